@@ -14,6 +14,8 @@ let userFavorites = [];
 let showingFavorites = false;
 let showingCollections = false;
 let collections = [];
+let watchStates = {}; // mediaId -> watch state of the active profile (for watched badges)
+let currentWatchState = null; // Watch state of the title in the player, with its episodes
 let streamingVerified = new Set(); // Track which items we've verified
 let nonStreamableItems = new Set(); // Track items that don't stream
 let currentSeason = 1; // Current season for TV shows
@@ -49,6 +51,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     await loadMedia();
     setupEventListeners();
     setupKeyboardShortcuts(); // Setup keyboard shortcuts
+    setupLibraryEvents(); // Live library updates from the server
+    setupMusicPlayer(); // Queue player for local music
+    setupSeekBar(); // Seek bar with trickplay previews for local videos
     if (currentUser) {
         await loadContinueWatching(); // Load continue watching if logged in
         await loadRecommendations(); // Load recommendations if logged in
@@ -383,6 +388,7 @@ function clearSearch() {
     
     // Reset to browse view
     showingFavorites = false;
+    showingCollections = false;
     currentFilter = 'all';
     currentPage = 1;
     filteredMedia = [...allMedia, ...allAPIContent.filter(item => {
@@ -483,6 +489,7 @@ window.onclick = function(event) {
     if (event.target === videoModal) {
         closeVideoModal();
     }
+    closeCollectionMenu();
 }
 
 // Load media from API - PROGRESSIVE LOADING for speed
@@ -492,12 +499,7 @@ async function loadMedia() {
         loadAPISettings();
         
         // Get local media separately for streaming (fast)
-        const localResponse = await fetch('/api/media');
-        if (localResponse.ok) {
-            allMedia = await localResponse.json();
-        } else {
-            allMedia = [];
-        }
+        allMedia = (await fetchLocalMedia()) || [];
 
         // Show local media immediately
         const combinedMedia = [...allMedia];
@@ -543,22 +545,22 @@ async function loadMedia() {
             const fetchPromises = [];
             if (moviesEnabled) {
                 fetchPromises.push(
-                    fetchWithTimeout('/api/bulk/movies?pages=5', 15000).then(data => ({ type: 'movies', data }))
+                    fetchWithTimeout('/api/bulk/movies?hideBroken=true&pages=5', 15000).then(data => ({ type: 'movies', data }))
                 );
             }
             if (tvEnabled) {
                 fetchPromises.push(
-                    fetchWithTimeout('/api/bulk/tv?pages=5', 15000).then(data => ({ type: 'tv', data }))
+                    fetchWithTimeout('/api/bulk/tv?hideBroken=true&pages=5', 15000).then(data => ({ type: 'tv', data }))
                 );
             }
             if (animeEnabled) {
                 fetchPromises.push(
-                    fetchWithTimeout('/api/bulk/anime?pages=3', 10000).then(data => ({ type: 'anime', data }))
+                    fetchWithTimeout('/api/bulk/anime?hideBroken=true&pages=3', 10000).then(data => ({ type: 'anime', data }))
                 );
             }
             if (cartoonsEnabled) {
                 fetchPromises.push(
-                    fetchWithTimeout('/api/bulk/cartoons?pages=5', 15000).then(data => ({ type: 'cartoons', data }))
+                    fetchWithTimeout('/api/bulk/cartoons?hideBroken=true&pages=5', 15000).then(data => ({ type: 'cartoons', data }))
                 );
             }
             
@@ -620,22 +622,22 @@ async function loadMedia() {
                const bgFetchPromises = [];
                if (moviesEnabled) {
                    bgFetchPromises.push(
-                       fetchWithTimeout('/api/bulk/movies?pages=15&start=6', 90000).then(data => ({ type: 'movies', data }))
+                       fetchWithTimeout('/api/bulk/movies?hideBroken=true&pages=15&start=6', 90000).then(data => ({ type: 'movies', data }))
                    );
                }
                if (tvEnabled) {
                    bgFetchPromises.push(
-                       fetchWithTimeout('/api/bulk/tv?pages=15&start=6', 90000).then(data => ({ type: 'tv', data }))
+                       fetchWithTimeout('/api/bulk/tv?hideBroken=true&pages=15&start=6', 90000).then(data => ({ type: 'tv', data }))
                    );
                }
                if (animeEnabled) {
                    bgFetchPromises.push(
-                       fetchWithTimeout('/api/bulk/anime?pages=17&start=4', 60000).then(data => ({ type: 'anime', data }))
+                       fetchWithTimeout('/api/bulk/anime?hideBroken=true&pages=17&start=4', 60000).then(data => ({ type: 'anime', data }))
                    );
                }
                if (cartoonsEnabled) {
                    bgFetchPromises.push(
-                       fetchWithTimeout('/api/bulk/cartoons?pages=10&start=6', 90000).then(data => ({ type: 'cartoons', data }))
+                       fetchWithTimeout('/api/bulk/cartoons?hideBroken=true&pages=10&start=6', 90000).then(data => ({ type: 'cartoons', data }))
                    );
                }
         
@@ -719,6 +721,69 @@ async function loadMedia() {
     }
 }
 
+// ========== Live Library Updates ==========
+
+let libraryEvents = null;
+let libraryRefreshTimeout = null;
+
+// Subscribe to library changes pushed by the server (Server-Sent Events)
+function setupLibraryEvents() {
+    if (!window.EventSource || libraryEvents) return;
+    
+    libraryEvents = new EventSource('/api/events');
+    const scheduleRefresh = () => {
+        // Coalesce bursts of changes into a single refresh
+        clearTimeout(libraryRefreshTimeout);
+        libraryRefreshTimeout = setTimeout(refreshLocalMedia, 500);
+    };
+    libraryEvents.addEventListener('library', scheduleRefresh);
+    libraryEvents.addEventListener('metadata', scheduleRefresh); // TMDB matches changed
+    libraryEvents.addEventListener('trickplay', (event) => {
+        // Seek previews of the playing video finished generating
+        const { mediaId } = JSON.parse(event.data);
+        if (currentPlayback && currentPlayback.mediaId === mediaId) loadTrickplay(mediaId);
+    });
+}
+
+// Fetch local media with episode files grouped into their series
+// Returns null if the library couldn't be loaded
+async function fetchLocalMedia() {
+    const [mediaResponse, showsResponse] = await Promise.all([
+        fetch('/api/media'),
+        fetch('/api/tv/local').catch(() => null)
+    ]);
+    if (!mediaResponse.ok) return null;
+    
+    const media = await mediaResponse.json();
+    const shows = showsResponse && showsResponse.ok ? await showsResponse.json() : [];
+    const episodeIds = new Set(shows.flatMap(show => show.mediaIds || []));
+    
+    return [...media.filter(item => !episodeIds.has(item.id)), ...shows];
+}
+
+// Reload local media in place (API content and the page are left alone)
+async function refreshLocalMedia() {
+    try {
+        const media = await fetchLocalMedia();
+        if (!media) return;
+        allMedia = media;
+        
+        // Don't replace search results, the favorites or the collections view
+        const searchInput = document.getElementById('searchInput');
+        if (showingFavorites || showingCollections || (searchInput && searchInput.value.trim())) return;
+        
+        const page = currentPage;
+        await filterMedia(currentFilter);
+        const totalPages = Math.max(1, Math.ceil(filteredMedia.length / itemsPerPage));
+        if (page > 1) {
+            currentPage = Math.min(page, totalPages);
+            displayMedia();
+        }
+    } catch (error) {
+        console.warn('Could not refresh local media:', error);
+    }
+}
+
 // Load available genres
 async function loadGenres() {
     try {
@@ -905,10 +970,13 @@ function createMovieCard(media, isFeatured = false, progress = null) {
     if (media.source === 'tmdb' || media.source === 'jikan') {
         // API content has posterUrl
         thumbnailUrl = media.posterUrl || media.backdropUrl || 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjMwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMjAwIiBoZWlnaHQ9IjMwMCIgZmlsbD0iIzJhMmEyYSIvPjx0ZXh0IHg9IjUwJSIgeT0iNTAlIiBmb250LWZhbWlseT0iQXJpYWwiIGZvbnQtc2l6ZT0iMTQiIGZpbGw9IiM5OTkiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGR5PSIuM2VtIj5Nb3ZpZSBQb3N0ZXI8L3RleHQ+PC9zdmc+';
+    } else if (media.posterUrl) {
+        // Local media matched to TMDB
+        thumbnailUrl = media.posterUrl;
     } else {
         // Local media
         thumbnailUrl = media.hasThumbnail 
-            ? `/api/thumbnail/${media.id}` 
+            ? `/api/thumbnail/${media.thumbnailId || media.id}` 
             : 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjMwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMjAwIiBoZWlnaHQ9IjMwMCIgZmlsbD0iIzJhMmEyYSIvPjx0ZXh0IHg9IjUwJSIgeT0iNTAlIiBmb250LWZhbWlseT0iQXJpYWwiIGZvbnQtc2l6ZT0iMTQiIGZpbGw9IiM5OTkiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGR5PSIuM2VtIj5WaWRlbyBJY29uPC90ZXh0Pjwvc3ZnPg==';
     }
     
@@ -924,7 +992,7 @@ function createMovieCard(media, isFeatured = false, progress = null) {
     
     // Clean title
     let title = media.title;
-    if (!media.source) {
+    if (!media.source && !media.tmdbId) {
         // Local media - remove year from title if present
         title = title.replace(/\s*\([^)]*\)\s*$/, '');
     }
@@ -964,6 +1032,12 @@ function createMovieCard(media, isFeatured = false, progress = null) {
         collectionBtn = `<button class="collection-btn" onclick="showAddToCollectionMenu(event, '${media.id}')" title="Add to collection" style="position: absolute; top: 10px; right: 50px; background: rgba(0,0,0,0.7); border: none; color: white; padding: 8px; border-radius: 50%; cursor: pointer; font-size: 16px;">📁</button>`;
     }
     
+    // Watched badge and progress of the active profile
+    const watchedBadge = currentUser ? renderWatchedBadge(media.id) : '';
+    if ((progress === null || progress === undefined) && watchStates[media.id] && watchStates[media.id].state === 'in-progress') {
+        progress = watchStates[media.id].progress;
+    }
+    
     // Progress bar for continue watching
     let progressBar = '';
     if (progress !== null && progress !== undefined && typeof progress === 'number' && progress > 0 && progress < 100) {
@@ -980,6 +1054,7 @@ function createMovieCard(media, isFeatured = false, progress = null) {
             ${watchBadge}
             ${favoriteBtn}
             ${collectionBtn}
+            ${watchedBadge}
             <img src="${thumbnailUrl}" alt="${title}" class="movie-thumbnail" 
                  onerror="this.src='data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjMwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMjAwIiBoZWlnaHQ9IjMwMCIgZmlsbD0iIzJhMmEyYSIvPjx0ZXh0IHg9IjUwJSIgeT0iNTAlIiBmb250LWZhbWlseT0iQXJpYWwiIGZvbnQtc2l6ZT0iMTQiIGZpbGw9IiM5OTkiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGR5PSIuM2VtIj5WaWRlbyBJY29uPC90ZXh0Pjwvc3ZnPg=='">
             ${progressBar}
@@ -1028,7 +1103,8 @@ function attachCardClickListeners() {
 }
 
 // Open media player
-async function openMediaPlayer(mediaId, mediaType, source = 'local') {
+// options: { season, episode } to start a series at an episode (e.g. from Up Next)
+async function openMediaPlayer(mediaId, mediaType, source = 'local', options = {}) {
             const videoPlayer = document.getElementById('videoPlayer');
     const cinetaroPlayer = document.getElementById('cinetaroPlayer');
             const videoModal = document.getElementById('videoModal');
@@ -1039,10 +1115,14 @@ async function openMediaPlayer(mediaId, mediaType, source = 'local') {
     // Reset players
     videoPlayer.style.display = 'none';
     cinetaroPlayer.style.display = 'none';
+    stopLocalPlayback();
     videoPlayer.src = '';
     cinetaroPlayer.src = '';
     subtitleSelector.style.display = 'none';
     subtitleSelect.innerHTML = '<option value="">None</option>';
+    document.getElementById('audioTrackSelector').style.display = 'none';
+    hideStreamingSources();
+    hideSeekBar();
     
     // Find media in all content
     const allContent = [...allMedia, ...allAPIContent];
@@ -1052,6 +1132,14 @@ async function openMediaPlayer(mediaId, mediaType, source = 'local') {
         return;
     }
     
+    // Local audio plays in the music player, which keeps playing while browsing
+    if (mediaType === 'audio' && (!media.source || media.source === 'local')) {
+        await playLocalAudio(media);
+        return;
+    }
+    // Pause music while a video plays (the queue is kept)
+    document.getElementById('audioPlayer')?.pause();
+    
     // Determine if this is API content (has source property)
     const isAPIContent = media.source && (media.source === 'tmdb' || media.source === 'jikan');
     
@@ -1062,8 +1150,8 @@ async function openMediaPlayer(mediaId, mediaType, source = 'local') {
     // Reset episode selector
     const episodeSelector = document.getElementById('episodeSelector');
     if (episodeSelector) episodeSelector.style.display = 'none';
-    currentSeason = 1;
-    currentEpisode = 1;
+    currentSeason = options.season || 1;
+    currentEpisode = options.episode || 1;
     tvShowDetails = null;
     tvShowSeasons = [];
     tvShowEpisodes = [];
@@ -1074,15 +1162,25 @@ async function openMediaPlayer(mediaId, mediaType, source = 'local') {
     if (playerControls) playerControls.style.display = 'block';
     const reportBtn = document.getElementById('reportBtn');
     if (reportBtn) reportBtn.style.display = 'none';
+    const addToCollectionBtn = document.getElementById('addToCollectionBtn');
+    if (addToCollectionBtn) addToCollectionBtn.style.display = currentUser ? 'inline-block' : 'none';
+    const similarContent = document.getElementById('similarContent');
+    if (similarContent) similarContent.innerHTML = '';
+    loadSimilarContent(mediaId);
+    loadPlayerWatchState(mediaId);
     
     // For TV shows, fetch show details (seasons/episodes) first
-    if (mediaType === 'tv' && media.tmdbId) {
+    if (mediaType === 'tv' && (media.tmdbId || media.isLocalShow)) {
         try {
             const detailsResponse = await fetch(`/api/tv/${mediaId}/details`);
             if (detailsResponse.ok) {
                 tvShowDetails = await detailsResponse.json();
                 tvShowSeasons = tvShowDetails.seasons || [];
-                // Load episodes for season 1
+                // Load episodes for the requested season (or the first season there is)
+                if (tvShowSeasons.length > 0 && !tvShowSeasons.some(s => s.seasonNumber === currentSeason)) {
+                    currentSeason = tvShowSeasons[0].seasonNumber;
+                    currentEpisode = 1;
+                }
                 await loadSeasonEpisodes(currentSeason);
             }
         } catch (error) {
@@ -1093,7 +1191,9 @@ async function openMediaPlayer(mediaId, mediaType, source = 'local') {
     // For API content, always try to get streaming URL (even if not in initial data)
     if (isAPIContent && (source !== 'local')) {
         // Try to get/fetch streaming URL from server
-        let streamingUrl = media.streamingUrl;
+        // (a source the user picked for this title replaces the precomputed URL)
+        const preferredSource = getPreferredStreamingSource(mediaId);
+        let streamingUrl = preferredSource ? null : media.streamingUrl;
         let streamingError = null;
         
         // For TV shows, use current season/episode for URL
@@ -1103,8 +1203,8 @@ async function openMediaPlayer(mediaId, mediaType, source = 'local') {
         // If no streaming URL in media object, try to fetch it
         if (!streamingUrl && media.tmdbId) {
             try {
-                // Check localStorage cache first (for this specific season/episode)
-                const cacheKey = `streaming_${mediaId}_s${seasonParam}_e${episodeParam}`;
+                // Check localStorage cache first (for this specific season/episode and source)
+                const cacheKey = `streaming_${mediaId}_s${seasonParam}_e${episodeParam}` + (preferredSource ? `_${preferredSource}` : '');
                 const cached = localStorage.getItem(cacheKey);
                 if (cached) {
                     const cachedData = JSON.parse(cached);
@@ -1116,15 +1216,12 @@ async function openMediaPlayer(mediaId, mediaType, source = 'local') {
                 
                 // If not cached, fetch from server
                 if (!streamingUrl) {
-                    const streamingParams = new URLSearchParams({
-                        type: media.type || 'movie',
-                        season: seasonParam.toString(),
-                        episode: episodeParam.toString()
-                    });
+                    const streamingParams = getStreamingParams(media.type || 'movie');
                     const streamingResponse = await fetch(`/api/streaming/${mediaId}?${streamingParams}`);
                     if (streamingResponse.ok) {
                         const streamingData = await streamingResponse.json();
                         streamingUrl = streamingData.streamingUrl;
+                        showStreamingSources(streamingData.sources, streamingData.source);
                         // Cache the result
                         if (streamingUrl) {
                             localStorage.setItem(cacheKey, JSON.stringify({
@@ -1165,6 +1262,14 @@ async function openMediaPlayer(mediaId, mediaType, source = 'local') {
             cinetaroPlayer.src = streamingUrl;
             cinetaroPlayer.style.display = 'block';
             
+            // Let the user switch sources (the list isn't known yet for cached URLs)
+            if (streamingSources.length === 0) {
+                loadStreamingSources(media.type || 'movie');
+            }
+            if (reportBtn && currentUser) {
+                reportBtn.style.display = 'inline-block';
+            }
+            
             // Show episode selector for TV shows
             if (mediaType === 'tv' && tvShowDetails && tvShowSeasons.length > 0) {
                 setupEpisodeSelector();
@@ -1262,41 +1367,41 @@ async function openMediaPlayer(mediaId, mediaType, source = 'local') {
     } else if (source === 'local' || (!source && !isAPIContent)) {
         // Local media file
         if (mediaType === 'video' || mediaType === 'audio') {
-            videoPlayer.src = `/api/stream/${mediaId}`;
+            // Ask the server how this file should be played on this browser
+            const playback = await getPlaybackDecision(mediaId);
+            startLocalPlayback(playback, 0);
+            
             videoInfo.innerHTML = `
                 <h3>${media.title}</h3>
                 ${media.duration ? `<p>Duration: ${formatDuration(media.duration)}</p>` : ''}
                 ${media.resolution ? `<p>Resolution: ${media.resolution.width}x${media.resolution.height}</p>` : ''}
+                ${formatPlaybackMethod(playback)}
                 ${media.overview ? `<p class="overview">${media.overview}</p>` : ''}
             `;
             
-            // Add subtitle tracks if available
-            if (media.subtitles && Array.isArray(media.subtitles) && media.subtitles.length > 0) {
-                media.subtitles.forEach(sub => {
-                    const option = document.createElement('option');
-                    option.value = sub.src || sub;
-                    option.textContent = sub.label || sub;
-                    subtitleSelect.appendChild(option);
-                });
-                subtitleSelector.style.display = 'block';
-            }
-            
             videoModal.style.display = 'block';
             videoPlayer.style.display = 'block';
             
             // Check for resume position
             if (currentUser) {
                 try {
-                    const resumeResponse = await fetch(`/api/resume/${mediaId}`);
+                    const resumeResponse = await fetch(`/api/watch-history/resume/${encodeURIComponent(mediaId)}`, {
+                        credentials: 'include'
+                    });
                     if (resumeResponse.ok) {
                         const resumeData = await resumeResponse.json();
-                        if (resumeData.position > 0 && resumeData.progress < 90) {
+                        if (resumeData.position > 0 && resumeData.state === 'in-progress') {
                             const resumeBtn = document.getElementById('resumeBtn');
                             if (resumeBtn) {
                                 resumeBtn.style.display = 'inline-block';
                                 resumeBtn.onclick = () => {
-                                    videoPlayer.currentTime = resumeData.position;
                                     resumeBtn.style.display = 'none';
+                                    if (currentPlayback && currentPlayback.method !== 'direct') {
+                                        // Remuxed/transcoded streams can't seek ahead, restart them at the position
+                                        startLocalPlayback(currentPlayback, resumeData.position);
+                                    } else {
+                                        videoPlayer.currentTime = resumeData.position;
+                                    }
                                     videoPlayer.play();
                                 };
                             }
@@ -1313,12 +1418,469 @@ async function openMediaPlayer(mediaId, mediaType, source = 'local') {
             }
             
             videoPlayer.play();
+        } else if (mediaType === 'tv' && media.isLocalShow) {
+            // Local series: play episode files, starting with the requested (or first) episode
+            if (!tvShowDetails || tvShowEpisodes.length === 0) {
+                videoInfo.innerHTML = `<h3>${media.title}</h3><p style="color: #ff6b6b;">No episodes found</p>`;
+                videoModal.style.display = 'block';
+                return;
+            }
+            if (!tvShowEpisodes.some(ep => ep.episodeNumber === currentEpisode)) {
+                currentEpisode = tvShowEpisodes[0].episodeNumber;
+            }
+            setupEpisodeSelector();
+            const episodeSelectorEl = document.getElementById('episodeSelector');
+            if (episodeSelectorEl) episodeSelectorEl.style.display = 'block';
+            
+            videoModal.style.display = 'block';
+            videoPlayer.style.display = 'block';
+            await playLocalEpisode();
+            
+            if (currentUser) {
+                watchHistoryInterval = setInterval(saveWatchHistory, 30000); // Save every 30 seconds
+            }
         } else {
             alert('Audio playback coming soon!');
         }
     }
 }
 
+// Play the current season/episode of a local series
+async function playLocalEpisode() {
+    const videoPlayer = document.getElementById('videoPlayer');
+    const videoInfo = document.getElementById('videoInfo');
+    const media = allMedia.find(m => m.id === currentMediaId);
+    const episode = tvShowEpisodes.find(ep => ep.episodeNumber === currentEpisode);
+    
+    if (!media || !episode) {
+        if (videoInfo) {
+            videoInfo.innerHTML = `<p style="color: #ff6b6b;">Season ${currentSeason}, Episode ${currentEpisode} is not in your library</p>`;
+        }
+        return;
+    }
+    
+    const playback = await getPlaybackDecision(episode.mediaId);
+    startLocalPlayback(playback, 0);
+    
+    const episodeLabel = episode.episodeNumbers && episode.episodeNumbers.length > 1
+        ? `E${episode.episodeNumbers[0]}-E${episode.episodeNumbers[episode.episodeNumbers.length - 1]}`
+        : `E${episode.episodeNumber}`;
+    videoInfo.innerHTML = `
+        <h3>${media.title} - S${currentSeason}${episodeLabel}</h3>
+        ${episode.name ? `<p><strong>Episode:</strong> ${episode.name}</p>` : ''}
+        ${episode.runtime ? `<p><strong>Runtime:</strong> ${episode.runtime} min</p>` : ''}
+        ${formatPlaybackMethod(playback)}
+    `;
+    
+    updateEpisodeSelect();
+    videoPlayer.play();
+}
+
+// ========== Streaming Sources ==========
+let streamingSources = []; // Candidate sources of the title in the streaming player
+
+// Source the user picked for a title, remembered per title
+function getPreferredStreamingSource(mediaId) {
+    return localStorage.getItem(`streamingSource_${mediaId}`);
+}
+
+function rememberStreamingSource(mediaId, name) {
+    localStorage.setItem(`streamingSource_${mediaId}`, name);
+}
+
+// Query for /api/streaming/:mediaId at the current episode, with the remembered source
+function getStreamingParams(type, extra = {}) {
+    const params = new URLSearchParams({
+        type,
+        season: (type === 'tv' ? currentSeason : 1).toString(),
+        episode: (type === 'tv' ? currentEpisode : 1).toString(),
+        ...extra
+    });
+    const preferred = getPreferredStreamingSource(currentMediaId);
+    if (preferred && !params.has('source')) params.set('source', preferred);
+    return params;
+}
+
+// Fill the source picker (name, languages and whether the source is down)
+function showStreamingSources(sources, current) {
+    const sourceSelector = document.getElementById('sourceSelector');
+    const sourceSelect = document.getElementById('streamSource');
+    if (!sourceSelector || !sourceSelect) return;
+    
+    streamingSources = sources || [];
+    sourceSelect.innerHTML = streamingSources.map(source => {
+        const languages = source.languages.length > 0 ? ` (${source.languages.join(', ')})` : '';
+        const down = source.health && source.health.circuit === 'open' ? ' - down' : '';
+        const unavailable = source.available === false ? ' - not available' : '';
+        const reported = source.reports > 0 ? ' - reported' : '';
+        return `<option value="${source.name}">${source.label}${languages}${down}${unavailable}${reported}</option>`;
+    }).join('');
+    sourceSelect.value = current || '';
+    sourceSelector.style.display = streamingSources.length > 0 ? 'block' : 'none';
+}
+
+function hideStreamingSources() {
+    streamingSources = [];
+    const sourceSelector = document.getElementById('sourceSelector');
+    if (sourceSelector) sourceSelector.style.display = 'none';
+}
+
+// Load the sources of the title being streamed without checking them (fast)
+async function loadStreamingSources(type) {
+    if (!currentMediaId) return;
+    const mediaId = currentMediaId;
+    
+    try {
+        const response = await fetch(`/api/streaming/${mediaId}?${getStreamingParams(type, { check: 'false' })}`);
+        if (!response.ok || mediaId !== currentMediaId) return;
+        const data = await response.json();
+        
+        // The player may be on another source (e.g. a cached URL)
+        const playerSrc = document.getElementById('cinetaroPlayer').src;
+        const playing = data.sources.find(source => source.url === playerSrc);
+        showStreamingSources(data.sources, playing ? playing.name : data.source);
+    } catch (error) {
+        console.warn('Could not load streaming sources:', error);
+    }
+}
+
+// Switch the streaming player to another source and remember it for this title
+function changeStreamingSource(name) {
+    const source = streamingSources.find(s => s.name === name);
+    if (!currentMediaId || !source) return;
+    
+    rememberStreamingSource(currentMediaId, name);
+    document.getElementById('cinetaroPlayer').src = source.url;
+}
+
+// ========== Local Playback ==========
+let currentPlayback = null; // Playback decision for the local file being played
+let playbackStartOffset = 0; // Seconds skipped when a remux/transcode stream was started mid-file
+let hlsPlayer = null;
+let hlsViewer = null; // Token of the HLS playback, sent back to release its transcoding session
+let selectedSubtitleTrack = ''; // Subtitle track ID shown in the local player ('' = off)
+let preferredSubtitleLanguage = null; // Language picked last, reused for the next file (e.g. next episode)
+let preferredAudioLanguage = null; // Audio language picked last, reused for the next file
+
+// Codecs and containers this browser can play, sent with /api/media/:id
+function getClientCapabilities() {
+    const probe = document.createElement('video');
+    const canPlay = type => probe.canPlayType(type) !== '' ||
+        (window.MediaSource && MediaSource.isTypeSupported && MediaSource.isTypeSupported(type));
+    const supported = types => Object.keys(types).filter(name => canPlay(types[name])).join(',');
+    
+    const containers = supported({
+        mp4: 'video/mp4', webm: 'video/webm', ogg: 'video/ogg', matroska: 'video/x-matroska',
+        mov: 'video/quicktime', mp3: 'audio/mpeg', wav: 'audio/wav', flac: 'audio/flac',
+        aac: 'audio/aac', opus: 'audio/ogg; codecs="opus"'
+    });
+    const videoCodecs = supported({
+        h264: 'video/mp4; codecs="avc1.42E01E"', hevc: 'video/mp4; codecs="hvc1.1.6.L93.B0"',
+        vp8: 'video/webm; codecs="vp8"', vp9: 'video/webm; codecs="vp9"', av1: 'video/mp4; codecs="av01.0.05M.08"'
+    });
+    const audioCodecs = supported({
+        aac: 'audio/mp4; codecs="mp4a.40.2"', mp3: 'audio/mpeg', opus: 'audio/webm; codecs="opus"',
+        vorbis: 'audio/ogg; codecs="vorbis"', flac: 'audio/flac', ac3: 'audio/mp4; codecs="ac-3"',
+        eac3: 'audio/mp4; codecs="ec-3"', pcm: 'audio/wav'
+    });
+    const hls = probe.canPlayType('application/vnd.apple.mpegurl') !== '' || !!(window.Hls && Hls.isSupported());
+    
+    return new URLSearchParams({ containers, videoCodecs, audioCodecs, hls: hls ? '1' : '0' }).toString();
+}
+
+// Ask the server how a local file should be played on this browser
+// Without an explicit audio track, the last picked audio language is used when the file has it
+async function getPlaybackDecision(mediaId, audioTrack = null) {
+    let playback = { method: 'direct', protocol: 'http', url: `/api/stream/${mediaId}`, reasons: [], mediaId, subtitles: [], audioTracks: [] };
+    try {
+        const trackParam = audioTrack !== null ? `&audioTrack=${audioTrack}` : '';
+        const response = await fetch(`/api/media/${mediaId}?${getClientCapabilities()}${trackParam}`);
+        if (response.ok) {
+            const details = await response.json();
+            if (details.playback) {
+                playback = {
+                    ...details.playback,
+                    duration: details.duration,
+                    mediaId,
+                    subtitles: details.subtitles || [],
+                    audioTracks: details.audioTracks || []
+                };
+            }
+        }
+    } catch (error) {
+        console.warn('Could not get playback decision, playing original file:', error);
+    }
+    
+    if (audioTrack === null && preferredAudioLanguage) {
+        const preferred = playback.audioTracks.find(track => track.language === preferredAudioLanguage);
+        if (preferred && preferred.index !== playback.audioTrack) {
+            return getPlaybackDecision(mediaId, preferred.index);
+        }
+    }
+    return playback;
+}
+
+// Note shown in the player when the file isn't played as-is
+function formatPlaybackMethod(playback) {
+    if (playback.method === 'direct') return '';
+    const reasons = playback.reasons.join('. ').replace(/"/g, '&quot;');
+    return `<p title="${reasons}">Playback: ${playback.method === 'remux' ? 'Remuxing' : 'Transcoding'}</p>`;
+}
+
+// Load a local file into the player using the server's playback decision
+function startLocalPlayback(playback, startTime) {
+    const videoPlayer = document.getElementById('videoPlayer');
+    const sameFile = currentPlayback && currentPlayback.mediaId === playback.mediaId;
+    stopLocalPlayback();
+    currentPlayback = playback;
+    
+    // Direct play seeks by byte range, everything else is started at the offset by the server
+    playbackStartOffset = playback.method === 'direct' ? 0 : Math.floor(startTime || 0);
+    let url = playback.url;
+    if (playbackStartOffset > 0) {
+        url += `${url.includes('?') ? '&' : '?'}start=${playbackStartOffset}`;
+    }
+    if (playback.protocol === 'hls') {
+        hlsViewer = Math.random().toString(36).slice(2) + Date.now().toString(36);
+        url += `${url.includes('?') ? '&' : '?'}viewer=${hlsViewer}`;
+    }
+    
+    if (playback.protocol === 'hls' && videoPlayer.canPlayType('application/vnd.apple.mpegurl') === '' &&
+        window.Hls && Hls.isSupported()) {
+        hlsPlayer = new Hls();
+        hlsPlayer.loadSource(url);
+        hlsPlayer.attachMedia(videoPlayer);
+        hlsPlayer.on(Hls.Events.ERROR, (event, data) => {
+            if (data.fatal) console.error('HLS playback error:', data.details);
+        });
+    } else {
+        videoPlayer.src = url;
+        if (playback.method === 'direct' && startTime > 0) {
+            videoPlayer.currentTime = startTime;
+        }
+    }
+    
+    // Restarting the same file (resume) keeps the subtitle track, cues are shifted to the new offset
+    if (sameFile) {
+        showLocalSubtitle(selectedSubtitleTrack);
+    } else {
+        setupLocalSubtitles(playback);
+        loadTrickplay(playback.mediaId);
+    }
+    setupAudioTracks(playback);
+}
+
+// Fill the audio track picker (only shown for files with several audio tracks)
+function setupAudioTracks(playback) {
+    const audioTrackSelector = document.getElementById('audioTrackSelector');
+    const audioTrackSelect = document.getElementById('audioTrack');
+    const tracks = playback.audioTracks || [];
+    
+    audioTrackSelect.innerHTML = tracks
+        .map(track => `<option value="${track.index}">${track.label}</option>`)
+        .join('');
+    audioTrackSelect.value = playback.audioTrack !== null && playback.audioTrack !== undefined ? playback.audioTrack : '';
+    audioTrackSelector.style.display = tracks.length > 1 ? 'block' : 'none';
+}
+
+// Switch the audio track of the local file being played
+// The server remuxes the file with the chosen track, restarted at the current position
+async function changeAudioTrack(index) {
+    if (!currentPlayback || index === '') return;
+    
+    const videoPlayer = document.getElementById('videoPlayer');
+    const position = getPlaybackPosition();
+    const track = (currentPlayback.audioTracks || []).find(t => t.index === Number(index));
+    preferredAudioLanguage = track ? track.language : null;
+    
+    const playback = await getPlaybackDecision(currentPlayback.mediaId, Number(index));
+    startLocalPlayback(playback, position);
+    videoPlayer.play();
+}
+
+// Tear down HLS playback and subtitle tracks
+function stopLocalPlayback() {
+    if (hlsPlayer) {
+        hlsPlayer.destroy();
+        hlsPlayer = null;
+    }
+    if (hlsViewer && currentPlayback) {
+        // Let the server stop the transcode once nobody else watches it
+        fetch(`/api/stream/${currentPlayback.mediaId}/hls?viewer=${hlsViewer}`, {
+            method: 'DELETE',
+            credentials: 'include',
+            keepalive: true
+        }).catch(() => {});
+    }
+    hlsViewer = null;
+    document.querySelectorAll('#videoPlayer track').forEach(track => track.remove());
+    currentPlayback = null;
+    playbackStartOffset = 0;
+}
+
+// Fill the subtitle picker with the tracks of a local file
+// Picks the last used language, otherwise the file's default or forced track
+function setupLocalSubtitles(playback) {
+    const subtitleSelector = document.getElementById('subtitleSelector');
+    const subtitleSelect = document.getElementById('subtitleLang');
+    const tracks = playback.subtitles || [];
+    
+    subtitleSelect.innerHTML = '<option value="">Off</option>' +
+        tracks.map(track => `<option value="${track.id}">${track.label}</option>`).join('');
+    subtitleSelector.style.display = tracks.length > 0 ? 'block' : 'none';
+    
+    const preferred = (preferredSubtitleLanguage && tracks.find(track => track.language === preferredSubtitleLanguage && !track.forced)) ||
+        tracks.find(track => track.default) ||
+        tracks.find(track => track.forced);
+    selectedSubtitleTrack = preferred ? preferred.id : '';
+    subtitleSelect.value = selectedSubtitleTrack;
+    showLocalSubtitle(selectedSubtitleTrack);
+}
+
+// Show a subtitle track of the local file being played ('' turns subtitles off)
+function showLocalSubtitle(trackId) {
+    const videoPlayer = document.getElementById('videoPlayer');
+    videoPlayer.querySelectorAll('track').forEach(track => track.remove());
+    if (!trackId || !currentPlayback) return;
+    
+    const subtitle = (currentPlayback.subtitles || []).find(track => track.id === trackId);
+    if (!subtitle) return;
+    
+    const trackElement = document.createElement('track');
+    trackElement.kind = 'subtitles';
+    trackElement.label = subtitle.label;
+    if (subtitle.language) trackElement.srclang = subtitle.language;
+    trackElement.src = `/api/stream/${currentPlayback.mediaId}/subtitles/${subtitle.id}.vtt` +
+        (playbackStartOffset > 0 ? `?offset=${playbackStartOffset}` : '');
+    trackElement.default = true;
+    videoPlayer.appendChild(trackElement);
+    trackElement.track.mode = 'showing';
+}
+
+// ========== Seek Bar & Trickplay Previews ==========
+let trickplayCues = []; // { start, end, url, x, y, width, height } tiles of the playing video
+
+// Parse the trickplay WebVTT index (cue text is "sprite.jpg#xywh=x,y,w,h")
+function parseTrickplayVtt(text) {
+    const toSeconds = (timestamp) => timestamp.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+    
+    return text.split(/\n\n+/).map(block => {
+        const match = block.match(/([\d:.]+)\s*-->\s*([\d:.]+)\s*\n(.+)#xywh=(\d+),(\d+),(\d+),(\d+)/);
+        if (!match) return null;
+        return {
+            start: toSeconds(match[1]),
+            end: toSeconds(match[2]),
+            url: match[3].trim(),
+            x: parseInt(match[4], 10),
+            y: parseInt(match[5], 10),
+            width: parseInt(match[6], 10),
+            height: parseInt(match[7], 10)
+        };
+    }).filter(Boolean);
+}
+
+// Show the seek bar of a local video and load its previews if they were generated
+async function loadTrickplay(mediaId) {
+    trickplayCues = [];
+    if (!currentPlayback || currentPlayback.mediaId !== mediaId) return;
+    document.getElementById('seekBar').style.display = 'block';
+    
+    try {
+        const response = await fetch(`/api/thumbnail/${mediaId}/trickplay`);
+        if (!response.ok) return;
+        const trickplay = await response.json();
+        if (trickplay.status !== 'ready') return;
+        
+        const vttResponse = await fetch(trickplay.url);
+        if (!vttResponse.ok) return;
+        const cues = parseTrickplayVtt(await vttResponse.text());
+        if (currentPlayback && currentPlayback.mediaId === mediaId) trickplayCues = cues;
+    } catch (error) {
+        console.warn('Could not load seek previews:', error);
+    }
+}
+
+function hideSeekBar() {
+    trickplayCues = [];
+    document.getElementById('seekBar').style.display = 'none';
+    document.getElementById('seekBarProgress').style.width = '0';
+}
+
+// Seek to a position in the file; remux/transcode streams are restarted when it isn't loaded yet
+function seekLocalPlayback(position) {
+    const videoPlayer = document.getElementById('videoPlayer');
+    if (!currentPlayback) return;
+    
+    const streamTime = position - playbackStartOffset;
+    const buffered = videoPlayer.buffered;
+    const isLoaded = streamTime >= 0 && Array.from({ length: buffered.length })
+        .some((_, i) => streamTime >= buffered.start(i) && streamTime <= buffered.end(i));
+    
+    if (currentPlayback.method === 'direct' || isLoaded) {
+        videoPlayer.currentTime = streamTime;
+    } else {
+        startLocalPlayback(currentPlayback, position);
+        videoPlayer.play();
+    }
+}
+
+// Hover shows the frame at that position, click seeks
+function setupSeekBar() {
+    const videoPlayer = document.getElementById('videoPlayer');
+    const seekBar = document.getElementById('seekBar');
+    if (!videoPlayer || !seekBar) return;
+    
+    const positionAt = (event) => {
+        const rect = seekBar.getBoundingClientRect();
+        const ratio = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+        return { ratio, position: ratio * getPlaybackDuration() };
+    };
+    
+    seekBar.addEventListener('mousemove', (event) => {
+        const { ratio, position } = positionAt(event);
+        const preview = document.getElementById('seekPreview');
+        const image = document.getElementById('seekPreviewImage');
+        const cue = trickplayCues.find(c => position >= c.start && position < c.end);
+        
+        preview.style.left = `${ratio * 100}%`;
+        document.getElementById('seekPreviewTime').textContent = formatTrackTime(position);
+        if (cue) {
+            image.style.display = 'block';
+            image.style.width = `${cue.width}px`;
+            image.style.height = `${cue.height}px`;
+            image.style.backgroundImage = `url("${cue.url}")`;
+            image.style.backgroundPosition = `-${cue.x}px -${cue.y}px`;
+        } else {
+            image.style.display = 'none';
+        }
+    });
+    
+    seekBar.addEventListener('click', (event) => {
+        seekLocalPlayback(positionAt(event).position);
+    });
+    
+    videoPlayer.addEventListener('timeupdate', () => {
+        const duration = getPlaybackDuration();
+        document.getElementById('seekBarProgress').style.width =
+            duration ? `${Math.min(100, (getPlaybackPosition() / duration) * 100)}%` : '0';
+    });
+}
+
+// Position in the file (remux/transcode streams start at playbackStartOffset)
+function getPlaybackPosition() {
+    const videoPlayer = document.getElementById('videoPlayer');
+    return playbackStartOffset + (videoPlayer.currentTime || 0);
+}
+
+// Duration of the file (live remux/transcode streams don't know it, use the library's)
+function getPlaybackDuration() {
+    const videoPlayer = document.getElementById('videoPlayer');
+    if (currentPlayback && currentPlayback.method !== 'direct' && currentPlayback.duration) {
+        return currentPlayback.duration;
+    }
+    return isFinite(videoPlayer.duration) ? videoPlayer.duration : 0;
+}
+
 // Close video modal
 function closeVideoModal() {
     const videoModal = document.getElementById('videoModal');
@@ -1340,15 +1902,25 @@ function closeVideoModal() {
     
     videoModal.style.display = 'none';
     videoPlayer.pause();
+    stopLocalPlayback();
     videoPlayer.src = '';
     videoPlayer.style.display = 'none';
     cinetaroPlayer.src = '';
     cinetaroPlayer.style.display = 'none';
     const subtitleSelector = document.getElementById('subtitleSelector');
     if (subtitleSelector) subtitleSelector.style.display = 'none';
+    const audioTrackSelector = document.getElementById('audioTrackSelector');
+    if (audioTrackSelector) audioTrackSelector.style.display = 'none';
+    hideStreamingSources();
+    hideSeekBar();
     if (playerControls) playerControls.style.display = 'none';
     if (reportBtn) reportBtn.style.display = 'none';
     if (resumeBtn) resumeBtn.style.display = 'none';
+    closeCollectionMenu();
+    currentWatchState = null;
+    updateWatchedButton();
+    const similarContent = document.getElementById('similarContent');
+    if (similarContent) similarContent.innerHTML = '';
     videoInfo.innerHTML = '';
     currentMediaId = null;
     currentMediaType = null;
@@ -1406,13 +1978,15 @@ function updateEpisodeSelect() {
     tvShowEpisodes.forEach(ep => {
         const option = document.createElement('option');
         option.value = ep.episodeNumber;
-        option.textContent = `E${ep.episodeNumber}: ${ep.name || `Episode ${ep.episodeNumber}`}`;
+        const watchedMark = isEpisodeWatched(currentSeason, ep.episodeNumber) ? '✓ ' : '';
+        option.textContent = `${watchedMark}E${ep.episodeNumber}: ${ep.name || `Episode ${ep.episodeNumber}`}`;
         if (ep.episodeNumber === currentEpisode) option.selected = true;
         episodeSelect.appendChild(option);
     });
     
-    // Update next episode button state
+    // Update next episode and "mark season watched" button states
     updateNextEpisodeButton();
+    updateSeasonWatchedButton();
 }
 
 // Update next episode button (disable if last episode)
@@ -1420,7 +1994,7 @@ function updateNextEpisodeButton() {
     const nextBtn = document.getElementById('nextEpisodeBtn');
     if (!nextBtn) return;
     
-    const isLastEpisode = currentEpisode >= tvShowEpisodes.length;
+    const isLastEpisode = !getNextEpisodeInSeason();
     const isLastSeason = !tvShowSeasons.find(s => s.seasonNumber > currentSeason);
     
     if (isLastEpisode && isLastSeason) {
@@ -1439,8 +2013,9 @@ function updateNextEpisodeButton() {
 // Change season
 async function changeSeason(seasonNumber) {
     currentSeason = parseInt(seasonNumber);
-    currentEpisode = 1; // Reset to episode 1 when changing seasons
+    currentEpisode = 1; // Reset to the first episode when changing seasons
     await loadSeasonEpisodes(currentSeason);
+    if (tvShowEpisodes.length > 0) currentEpisode = tvShowEpisodes[0].episodeNumber;
     await loadEpisodeStream();
 }
 
@@ -1450,21 +2025,63 @@ async function changeEpisode(episodeNumber) {
     await loadEpisodeStream();
 }
 
+// Next episode in the current season's list
+// (local seasons can have gaps, and a multi-episode file covers several numbers)
+function getNextEpisodeInSeason() {
+    const index = tvShowEpisodes.findIndex(ep => ep.episodeNumber === currentEpisode);
+    if (index === -1) return null;
+    const current = tvShowEpisodes[index];
+    return tvShowEpisodes.slice(index + 1).find(ep => !ep.mediaId || ep.mediaId !== current.mediaId) || null;
+}
+
+// Ask the server for the next unwatched episode (skips specials and watched episodes)
+async function getUpNextEpisode() {
+    if (!currentUser) return null;
+    try {
+        const params = new URLSearchParams({ season: currentSeason, episode: currentEpisode });
+        const response = await fetch(`/api/watch-history/up-next/${currentMediaId}?${params}`, {
+            credentials: 'include'
+        });
+        if (!response.ok) return null;
+        const data = await response.json();
+        return data.next;
+    } catch (error) {
+        console.warn('Could not get the next episode:', error);
+        return null;
+    }
+}
+
 // Play next episode
 async function playNextEpisode() {
-    const nextEpisode = currentEpisode + 1;
+    const upNext = await getUpNextEpisode();
+    if (upNext) {
+        if (upNext.season !== currentSeason) {
+            currentSeason = upNext.season;
+            await loadSeasonEpisodes(currentSeason);
+            const seasonSelect = document.getElementById('seasonSelect');
+            if (seasonSelect) seasonSelect.value = currentSeason;
+        }
+        currentEpisode = upNext.episode;
+        updateEpisodeSelect();
+        await loadEpisodeStream();
+        return;
+    }
+    
+    // Not logged in (or nothing unwatched left): play the following episode
+    const nextEpisode = getNextEpisodeInSeason();
     
     // Check if next episode exists in current season
-    if (nextEpisode <= tvShowEpisodes.length) {
-        currentEpisode = nextEpisode;
+    if (nextEpisode) {
+        currentEpisode = nextEpisode.episodeNumber;
         await loadEpisodeStream();
     } else {
-        // Move to next season, episode 1
+        // Move to next season, first episode
         const nextSeason = tvShowSeasons.find(s => s.seasonNumber > currentSeason);
         if (nextSeason) {
             currentSeason = nextSeason.seasonNumber;
             currentEpisode = 1;
             await loadSeasonEpisodes(currentSeason);
+            if (tvShowEpisodes.length > 0) currentEpisode = tvShowEpisodes[0].episodeNumber;
             await loadEpisodeStream();
         }
     }
@@ -1474,6 +2091,12 @@ async function playNextEpisode() {
 async function loadEpisodeStream() {
     if (!currentMediaId || currentMediaType !== 'tv') return;
     
+    const localShow = allMedia.find(m => m.id === currentMediaId && m.isLocalShow);
+    if (localShow) {
+        await playLocalEpisode();
+        return;
+    }
+    
     const cinetaroPlayer = document.getElementById('cinetaroPlayer');
         const videoInfo = document.getElementById('videoInfo');
     const allContent = [...allMedia, ...allAPIContent];
@@ -1488,17 +2111,14 @@ async function loadEpisodeStream() {
         }
         
         // Fetch streaming URL for this episode
-        const streamingParams = new URLSearchParams({
-            type: 'tv',
-            season: currentSeason.toString(),
-            episode: currentEpisode.toString()
-        });
+        const streamingParams = getStreamingParams('tv');
         
         const response = await fetch(`/api/streaming/${currentMediaId}?${streamingParams}`);
         if (response.ok) {
             const streamingData = await response.json();
             if (streamingData.streamingUrl) {
                 cinetaroPlayer.src = streamingData.streamingUrl;
+                showStreamingSources(streamingData.sources, streamingData.source);
                 
                 // Update episode info
                 const currentEpInfo = tvShowEpisodes.find(ep => ep.episodeNumber === currentEpisode);
@@ -1540,25 +2160,32 @@ async function saveWatchHistory() {
     if (!videoPlayer || !videoPlayer.src) return;
     
     try {
-        const position = Math.floor(videoPlayer.currentTime || 0);
-        const duration = Math.floor(videoPlayer.duration || 0);
+        const position = Math.floor(getPlaybackPosition());
+        const duration = Math.floor(getPlaybackDuration());
         
-        await fetch('/api/watch-history', {
+        // Episodes of a series are tracked under the show
+        const episode = currentMediaType === 'tv' ? { season: currentSeason, episode: currentEpisode } : {};
+        const response = await fetch('/api/watch-history', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 mediaId: currentMediaId,
                 mediaType: currentMediaType,
                 position,
-                duration
+                duration,
+                ...episode
             })
         });
+        if (response.ok) {
+            setWatchState(await response.json());
+        }
     } catch (error) {
         console.warn('Could not save watch history:', error);
     }
 }
 
 // Report non-streamable content
+// While streaming, the playing source (and episode) is reported and the next source is tried
 async function reportNonStreamable() {
     if (!currentUser) {
         alert('Please login to report issues');
@@ -1567,23 +2194,50 @@ async function reportNonStreamable() {
     
     if (!currentMediaId) return;
     
-    try {
-        const response = await fetch('/api/report-non-streamable', {
+    const cinetaroPlayer = document.getElementById('cinetaroPlayer');
+    const streaming = cinetaroPlayer.style.display !== 'none' && streamingSources.length > 0;
+    const source = streaming ? document.getElementById('streamSource').value : null;
+    const episode = streaming && currentMediaType === 'tv' ? { season: currentSeason, episode: currentEpisode } : {};
+    
+    const sendReport = async body => {
+        const response = await fetch('/api/watch-history/report-non-streamable', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ mediaId: currentMediaId })
+            credentials: 'include',
+            body: JSON.stringify({ mediaId: currentMediaId, ...body })
         });
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            alert(error.error || 'Failed to report. Please try again.');
+        }
+        return response.ok;
+    };
+    
+    try {
+        if (!await sendReport({ source: source || null, ...episode })) return;
         
-        if (response.ok) {
-            // Mark as non-streamable and hide
-            nonStreamableItems.add(currentMediaId);
-            const card = document.querySelector(`[data-id="${currentMediaId}"]`);
-            if (card) {
-                card.style.display = 'none';
-            }
-            alert('Thank you for reporting! This content has been hidden.');
-            closeVideoModal();
+        // Try another source of the title
+        const next = source && streamingSources.find(s => s.name !== source && !s.reports);
+        if (next) {
+            const reported = streamingSources.find(s => s.name === source);
+            if (reported) reported.reports = (reported.reports || 0) + 1;
+            document.getElementById('streamSource').value = next.name;
+            changeStreamingSource(next.name);
+            alert(`Thank you for reporting! Switched to ${next.label}.`);
+            return;
+        }
+        
+        // No source left: report the whole title (only these count towards confirming it as broken)
+        if (source && !await sendReport({ source: null })) return;
+        
+        // Mark as non-streamable and hide
+        nonStreamableItems.add(currentMediaId);
+        const card = document.querySelector(`[data-id="${currentMediaId}"]`);
+        if (card) {
+            card.style.display = 'none';
         }
+        alert('Thank you for reporting! This content has been hidden.');
+        closeVideoModal();
     } catch (error) {
         console.error('Error reporting:', error);
         alert('Failed to report. Please try again.');
@@ -1595,7 +2249,9 @@ async function resumePlayback() {
     if (!currentUser || !currentMediaId) return;
     
     try {
-        const response = await fetch(`/api/resume/${currentMediaId}`);
+        const response = await fetch(`/api/watch-history/resume/${encodeURIComponent(currentMediaId)}`, {
+            credentials: 'include'
+        });
         if (response.ok) {
             const data = await response.json();
             const videoPlayer = document.getElementById('videoPlayer');
@@ -1621,13 +2277,16 @@ function changePlaybackSpeed(speed) {
 // Load similar content
 async function loadSimilarContent(mediaId) {
     try {
-        const response = await fetch(`/api/similar/${mediaId}`);
+        const response = await fetch(`/api/media/${encodeURIComponent(mediaId)}/similar`, {
+            credentials: 'include'
+        });
         if (response.ok) {
             const similar = await response.json();
             const similarDiv = document.getElementById('similarContent');
-            if (similarDiv && similar.length > 0) {
-                // Filter valid similar items
-                const validSimilar = similar.filter(media => media && media.id).slice(0, 6);
+            // The player may have moved on to another title meanwhile
+            if (similarDiv && similar.length > 0 && currentMediaId === mediaId) {
+                // Filter valid, streamable similar items
+                const validSimilar = prepareRecommendedItems(similar).slice(0, 6);
                 const similarCards = validSimilar.map(media => createMovieCard(media, true)).filter(card => card && card.trim()).join('');
                 similarDiv.innerHTML = `
                     <h4 style="margin-bottom: 10px; color: #ff6600;">Similar Content</h4>
@@ -1690,6 +2349,15 @@ function setupKeyboardShortcuts() {
 
 // Change subtitle language
 async function changeSubtitle(lang) {
+    // Local files: switch the WebVTT track of the video element
+    if (currentPlayback) {
+        selectedSubtitleTrack = lang;
+        const subtitle = (currentPlayback.subtitles || []).find(track => track.id === lang);
+        preferredSubtitleLanguage = subtitle ? subtitle.language : null;
+        showLocalSubtitle(lang);
+        return;
+    }
+    
     const cinetaroPlayer = document.getElementById('cinetaroPlayer');
     if (!cinetaroPlayer || !cinetaroPlayer.src || lang === '') return;
     
@@ -1975,17 +2643,290 @@ function formatDuration(seconds) {
     return `${minutes}m ${secs}s`;
 }
 
-// ========== Authentication Functions ==========
+// ========== Music ==========
+let musicQueue = []; // Tracks queued in the music player
+let musicQueueIndex = -1; // Position of the playing track in the queue
+let musicBrowseTracks = []; // Tracks of the album shown in the music browser
 
-// Check if user is authenticated
-async function checkAuth() {
+function formatTrackTime(seconds) {
+    if (!seconds || !isFinite(seconds)) return '0:00';
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${minutes}:${secs.toString().padStart(2, '0')}`;
+}
+
+// Show the music browser (artists)
+async function showMusic() {
+    currentPage = 1;
+    showingFavorites = false;
+    showingCollections = false;
+    
+    document.querySelectorAll('.nav-link').forEach(link => link.classList.remove('active'));
+    document.getElementById('musicNavLink')?.classList.add('active');
+    document.querySelectorAll('.filter-tab').forEach(tab => tab.classList.remove('active'));
+    document.getElementById('featuredSection').style.display = 'none';
+    document.getElementById('pagination').innerHTML = '';
+    
+    const grid = document.getElementById('moviesGrid');
     try {
-        const response = await fetch('/api/auth/me', {
-            credentials: 'include'
-        });
+        const response = await fetch('/api/music/artists');
+        const artists = await response.json();
         
-        if (response.ok) {
-            const data = await response.json();
+        if (!response.ok || artists.length === 0) {
+            grid.innerHTML = '<div class="empty-state">No music found. Add audio files to a music library to browse them here.</div>';
+            return;
+        }
+        
+        grid.innerHTML = artists.map(artist => `
+            <div class="movie-card" onclick="showMusicArtist('${artist.id}')" style="cursor: pointer;">
+                <img class="music-cover-art" src="${artist.coverUrl}" alt="" onerror="this.style.visibility='hidden'">
+                <div class="movie-info">
+                    <h3 class="movie-title">${artist.name}</h3>
+                    <p class="movie-meta">${artist.albumCount} album${artist.albumCount === 1 ? '' : 's'} · ${artist.trackCount} tracks</p>
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading music:', error);
+        grid.innerHTML = '<div class="empty-state">Could not load music.</div>';
+    }
+}
+
+// Show the albums of an artist
+async function showMusicArtist(artistId) {
+    const grid = document.getElementById('moviesGrid');
+    try {
+        const response = await fetch(`/api/music/artists/${artistId}`);
+        if (!response.ok) throw new Error('Artist not found');
+        const artist = await response.json();
+        
+        grid.innerHTML = `
+            <div class="music-breadcrumb"><a onclick="showMusic()">Music</a> / ${artist.name}</div>
+            ${artist.albums.map(album => `
+                <div class="movie-card" onclick="showMusicAlbum('${album.id}')" style="cursor: pointer;">
+                    <img class="music-cover-art" src="${album.coverUrl}" alt="" onerror="this.style.visibility='hidden'">
+                    <div class="movie-info">
+                        <h3 class="movie-title">${album.title}</h3>
+                        <p class="movie-meta">${album.year || ''}${album.year ? ' · ' : ''}${album.trackCount} tracks</p>
+                    </div>
+                </div>
+            `).join('')}
+        `;
+    } catch (error) {
+        console.error('Error loading artist:', error);
+        grid.innerHTML = '<div class="empty-state">Could not load this artist.</div>';
+    }
+}
+
+// Show the tracks of an album
+async function showMusicAlbum(albumId) {
+    const grid = document.getElementById('moviesGrid');
+    try {
+        const response = await fetch(`/api/music/albums/${albumId}`);
+        if (!response.ok) throw new Error('Album not found');
+        const album = await response.json();
+        musicBrowseTracks = album.tracks;
+        
+        grid.innerHTML = `
+            <div class="music-breadcrumb">
+                <a onclick="showMusic()">Music</a> / <a onclick="showMusicArtist('${album.artistId}')">${album.artist}</a> / ${album.title}
+            </div>
+            <div class="music-header">
+                <img src="${album.coverUrl}" alt="" onerror="this.style.visibility='hidden'">
+                <div>
+                    <h2>${album.title}</h2>
+                    <p>${album.artist}${album.year ? ` · ${album.year}` : ''} · ${album.trackCount} tracks · ${formatDuration(album.duration)}</p>
+                    <button class="btn btn-primary" onclick="playTracks(musicBrowseTracks, 0)">▶ Play</button>
+                    <button class="btn btn-secondary" onclick="musicBrowseTracks.forEach(addToQueue)">+ Queue</button>
+                </div>
+            </div>
+            <ol class="music-tracklist">
+                ${album.tracks.map((track, i) => `
+                    <li onclick="playTracks(musicBrowseTracks, ${i})">
+                        <span class="track-number">${track.trackNumber || ''}</span>
+                        <span class="track-title">${track.title}${track.artist !== album.artist ? ` <small>— ${track.artist}</small>` : ''}</span>
+                        <span class="track-duration">${formatTrackTime(track.duration)}</span>
+                        <button onclick="event.stopPropagation(); addToQueue(musicBrowseTracks[${i}])" title="Add to queue">+</button>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    } catch (error) {
+        console.error('Error loading album:', error);
+        grid.innerHTML = '<div class="empty-state">Could not load this album.</div>';
+    }
+}
+
+// Replace the queue with a list of tracks and start playing one of them
+function playTracks(tracks, startIndex = 0) {
+    musicQueue = [...tracks];
+    playQueueIndex(startIndex);
+}
+
+// Add a track to the end of the queue (starts playing if nothing is queued)
+function addToQueue(track) {
+    musicQueue.push(track);
+    if (musicQueueIndex === -1) {
+        playQueueIndex(musicQueue.length - 1);
+    } else {
+        renderMusicQueue();
+    }
+}
+
+// Play the track at a queue position
+async function playQueueIndex(index) {
+    if (index < 0 || index >= musicQueue.length) return;
+    
+    const audioPlayer = document.getElementById('audioPlayer');
+    const track = musicQueue[index];
+    musicQueueIndex = index;
+    
+    // Stop a video playing in the modal so the two don't play over each other
+    if (document.getElementById('videoModal').style.display === 'block') {
+        closeVideoModal();
+    }
+    
+    // Files the browser can't play are remuxed/transcoded like any other local media
+    const playback = await getPlaybackDecision(track.id);
+    audioPlayer.src = playback.url;
+    audioPlayer.play().catch(error => console.warn('Audio playback failed:', error));
+    
+    document.getElementById('musicPlayer').style.display = 'flex';
+    document.body.classList.add('music-playing');
+    const cover = document.getElementById('musicCover');
+    cover.style.visibility = 'visible';
+    cover.src = track.coverUrl || `/api/thumbnail/${track.id}`;
+    document.getElementById('musicTitle').textContent = track.title;
+    document.getElementById('musicArtist').textContent = [track.artist, track.album].filter(Boolean).join(' — ');
+    renderMusicQueue();
+}
+
+function toggleMusicPlayback() {
+    const audioPlayer = document.getElementById('audioPlayer');
+    if (audioPlayer.paused) {
+        audioPlayer.play();
+    } else {
+        audioPlayer.pause();
+    }
+}
+
+function playNextTrack() {
+    if (musicQueueIndex < musicQueue.length - 1) {
+        playQueueIndex(musicQueueIndex + 1);
+    }
+}
+
+// Restart the track after a few seconds in, otherwise go back one track
+function playPreviousTrack() {
+    const audioPlayer = document.getElementById('audioPlayer');
+    if (audioPlayer.currentTime > 3 || musicQueueIndex <= 0) {
+        audioPlayer.currentTime = 0;
+    } else {
+        playQueueIndex(musicQueueIndex - 1);
+    }
+}
+
+function removeFromQueue(index) {
+    if (index === musicQueueIndex) {
+        musicQueue.splice(index, 1);
+        if (musicQueue.length === 0) {
+            closeMusicPlayer();
+            return;
+        }
+        playQueueIndex(Math.min(index, musicQueue.length - 1));
+        return;
+    }
+    
+    musicQueue.splice(index, 1);
+    if (index < musicQueueIndex) musicQueueIndex--;
+    renderMusicQueue();
+}
+
+function renderMusicQueue() {
+    const queueEl = document.getElementById('musicQueue');
+    queueEl.innerHTML = musicQueue.map((track, i) => `
+        <div class="music-queue-item ${i === musicQueueIndex ? 'current' : ''}" onclick="playQueueIndex(${i})">
+            <span>${track.title}${track.artist ? ` — ${track.artist}` : ''}</span>
+            <button onclick="event.stopPropagation(); removeFromQueue(${i})" title="Remove">✕</button>
+        </div>
+    `).join('');
+}
+
+function toggleMusicQueue() {
+    const queueEl = document.getElementById('musicQueue');
+    queueEl.style.display = queueEl.style.display === 'none' ? 'block' : 'none';
+}
+
+function seekMusic(percent) {
+    const audioPlayer = document.getElementById('audioPlayer');
+    if (audioPlayer.duration) {
+        audioPlayer.currentTime = (percent / 100) * audioPlayer.duration;
+    }
+}
+
+function closeMusicPlayer() {
+    const audioPlayer = document.getElementById('audioPlayer');
+    audioPlayer.pause();
+    audioPlayer.removeAttribute('src');
+    audioPlayer.load();
+    musicQueue = [];
+    musicQueueIndex = -1;
+    document.getElementById('musicPlayer').style.display = 'none';
+    document.getElementById('musicQueue').style.display = 'none';
+    document.body.classList.remove('music-playing');
+}
+
+// Play a local audio file from the library grid in the music player
+async function playLocalAudio(media) {
+    let track = {
+        id: media.id,
+        title: (media.music && media.music.title) || media.title,
+        artist: media.music && media.music.artist,
+        album: media.music && media.music.album,
+        duration: media.duration
+    };
+    try {
+        const response = await fetch(`/api/music/tracks/${media.id}`);
+        if (response.ok) track = await response.json();
+    } catch (error) {
+        console.warn('Could not load track details:', error);
+    }
+    addToQueue(track);
+    if (musicQueueIndex !== musicQueue.length - 1) {
+        playQueueIndex(musicQueue.length - 1);
+    }
+}
+
+function setupMusicPlayer() {
+    const audioPlayer = document.getElementById('audioPlayer');
+    if (!audioPlayer) return;
+    
+    audioPlayer.addEventListener('ended', playNextTrack);
+    audioPlayer.addEventListener('play', () => {
+        document.getElementById('musicPlayBtn').textContent = '⏸';
+    });
+    audioPlayer.addEventListener('pause', () => {
+        document.getElementById('musicPlayBtn').textContent = '▶';
+    });
+    audioPlayer.addEventListener('timeupdate', () => {
+        const duration = audioPlayer.duration || 0;
+        document.getElementById('musicSeek').value = duration ? (audioPlayer.currentTime / duration) * 100 : 0;
+        document.getElementById('musicTime').textContent =
+            `${formatTrackTime(audioPlayer.currentTime)} / ${formatTrackTime(duration)}`;
+    });
+}
+
+// ========== Authentication Functions ==========
+
+// Check if user is authenticated
+async function checkAuth() {
+    try {
+        const response = await fetch('/api/auth/me', {
+            credentials: 'include'
+        });
+        
+        if (response.ok) {
+            const data = await response.json();
             currentUser = data.user || data;
             await updateUIAuthState(true);
             await loadFavorites();
@@ -2012,8 +2953,13 @@ async function updateUIAuthState(isAuthenticated) {
         userMenu.style.display = 'block';
         if (favoritesNavLink) favoritesNavLink.style.display = 'inline-block';
         if (collectionsNavLink) collectionsNavLink.style.display = 'inline-block';
-        document.getElementById('userDisplayName').textContent = currentUser.displayName || currentUser.username;
+        const profile = currentUser.activeProfile;
+        document.getElementById('userDisplayName').textContent = profile
+            ? `${profile.avatar} ${profile.name}`
+            : currentUser.displayName || currentUser.username;
+        updateParentalLockLink();
         await loadCollections();
+        await loadWatchStates();
         await loadContinueWatching();
         await loadRecommendations();
     } else {
@@ -2022,8 +2968,10 @@ async function updateUIAuthState(isAuthenticated) {
         if (favoritesNavLink) favoritesNavLink.style.display = 'none';
         if (collectionsNavLink) collectionsNavLink.style.display = 'none';
         const continueSection = document.getElementById('continueWatchingSection');
+        const upNextSection = document.getElementById('upNextSection');
         const recSection = document.getElementById('recommendationsSection');
         if (continueSection) continueSection.style.display = 'none';
+        if (upNextSection) upNextSection.style.display = 'none';
         if (recSection) recSection.style.display = 'none';
     }
 }
@@ -2078,7 +3026,12 @@ async function handleLogin(event) {
             await updateUIAuthState(true);
             closeLoginModal();
             await loadFavorites();
-            displayMedia(); // Refresh to show favorite buttons
+            if (currentUser.maxCertification) {
+                await loadMedia(); // Reload without titles above the parental controls limit
+            } else {
+                displayMedia(); // Refresh to show favorite buttons
+            }
+            await promptForProfile();
         } else {
             errorDiv.textContent = data.error || 'Login failed';
             errorDiv.style.display = 'block';
@@ -2114,7 +3067,11 @@ async function handleRegister(event) {
             await updateUIAuthState(true);
             closeRegisterModal();
             await loadFavorites();
-            displayMedia(); // Refresh to show favorite buttons
+            if (currentUser.maxCertification) {
+                await loadMedia(); // Reload without titles above the parental controls limit
+            } else {
+                displayMedia(); // Refresh to show favorite buttons
+            }
         } else {
             errorDiv.textContent = data.error || 'Registration failed';
             errorDiv.style.display = 'block';
@@ -2136,8 +3093,11 @@ async function logout() {
         if (response.ok) {
             currentUser = null;
             userFavorites = [];
+            collections = [];
+            watchStates = {};
             await updateUIAuthState(false);
             showingFavorites = false;
+            showingCollections = false;
             await loadMedia();
         }
     } catch (error) {
@@ -2158,117 +3118,493 @@ function closeUserDropdown() {
     }
 }
 
-// ========== Favorites Functions ==========
+// ========== Profiles ==========
 
-// Load user favorites
-async function loadFavorites() {
-    if (!currentUser) {
-        userFavorites = [];
+let profileState = { profiles: [], avatars: [], maxProfiles: 0, activeProfileId: null };
+let pendingProfileId = null;
+
+// Load the profiles of the household account
+async function loadProfiles() {
+    try {
+        const response = await fetch('/api/profiles', { credentials: 'include' });
+        if (response.ok) {
+            profileState = await response.json();
+        }
+    } catch (error) {
+        console.error('Error loading profiles:', error);
+    }
+    return profileState.profiles;
+}
+
+// Ask "Who's watching?" after login when the account has several profiles
+async function promptForProfile() {
+    const profiles = await loadProfiles();
+    if (profiles.length > 1) {
+        openProfilePicker();
+    }
+}
+
+async function showProfilePicker() {
+    if (!currentUser) return;
+    await loadProfiles();
+    openProfilePicker();
+}
+
+function openProfilePicker() {
+    pendingProfileId = null;
+    document.getElementById('profileError').style.display = 'none';
+    document.getElementById('profilePinForm').style.display = 'none';
+    document.getElementById('profileAddForm').style.display = 'none';
+    renderProfiles();
+    document.getElementById('profileModal').style.display = 'block';
+}
+
+function closeProfilePicker() {
+    document.getElementById('profileModal').style.display = 'none';
+    document.getElementById('profilePinForm').reset();
+    document.getElementById('profileAddForm').reset();
+}
+
+function showProfileError(message) {
+    const errorDiv = document.getElementById('profileError');
+    errorDiv.textContent = message;
+    errorDiv.style.display = 'block';
+}
+
+// Profile cards (built with textContent, names are user input)
+function renderProfiles() {
+    const grid = document.getElementById('profileGrid');
+    grid.innerHTML = '';
+
+    const createCard = (avatarText, nameText, badgeText, onClick) => {
+        const card = document.createElement('div');
+        card.className = 'profile-card';
+        card.onclick = onClick;
+        const avatar = document.createElement('div');
+        avatar.className = 'profile-avatar';
+        avatar.textContent = avatarText;
+        const name = document.createElement('div');
+        name.textContent = nameText;
+        const badge = document.createElement('span');
+        badge.className = 'profile-badge';
+        badge.textContent = badgeText;
+        card.append(avatar, name, badge);
+        return card;
+    };
+
+    profileState.profiles.forEach(profile => {
+        const badge = [profile.hasPin ? '🔒' : '', profile.maxCertification ? `Up to ${profile.maxCertification}` : '']
+            .filter(Boolean).join(' ');
+        const card = createCard(profile.avatar, profile.name, badge, () => selectProfile(profile));
+        if (profile.id === profileState.activeProfileId) card.classList.add('active');
+
+        if (!profile.isMain) {
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'profile-delete';
+            deleteBtn.title = 'Delete profile';
+            deleteBtn.textContent = '×';
+            deleteBtn.onclick = (event) => {
+                event.stopPropagation();
+                deleteProfile(profile);
+            };
+            card.appendChild(deleteBtn);
+        }
+        grid.appendChild(card);
+    });
+
+    if (profileState.profiles.length < profileState.maxProfiles) {
+        grid.appendChild(createCard('＋', 'Add Profile', '', showAddProfileForm));
+    }
+}
+
+// Switch right away, or ask for the PIN first
+function selectProfile(profile) {
+    document.getElementById('profileError').style.display = 'none';
+    document.getElementById('profileAddForm').style.display = 'none';
+
+    if (profile.hasPin && profile.id !== profileState.activeProfileId) {
+        pendingProfileId = profile.id;
+        document.getElementById('profilePinLabel').textContent = `Enter the PIN for ${profile.name}`;
+        document.getElementById('profilePinForm').style.display = 'flex';
+        document.getElementById('profilePin').value = '';
+        document.getElementById('profilePin').focus();
         return;
     }
-    
+    switchProfile(profile.id);
+}
+
+async function handleProfilePin(event) {
+    event.preventDefault();
+    if (!pendingProfileId) return;
+    await switchProfile(pendingProfileId, document.getElementById('profilePin').value);
+}
+
+// Make a profile active and reload everything that depends on it
+async function switchProfile(profileId, pin = null) {
     try {
-        const response = await fetch('/api/favorites', {
-            credentials: 'include'
+        const response = await fetch('/api/auth/profile', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({ profileId, pin })
         });
-        
+
+        const data = await response.json();
+
         if (response.ok) {
-            const data = await response.json();
-            userFavorites = Array.isArray(data) ? data : [];
+            currentUser.activeProfile = data.profile;
+            currentUser.parentalUnlocked = false;
+            closeProfilePicker();
+            await updateUIAuthState(true);
+            await loadFavorites();
+            await loadMedia();
         } else {
-            userFavorites = [];
+            showProfileError(data.error || 'Could not switch profile');
         }
     } catch (error) {
-        console.error('Error loading favorites:', error);
-        userFavorites = [];
+        showProfileError('Network error. Please try again.');
     }
 }
 
-// Check if item is favorited
-function isFavorited(mediaId) {
-    if (!Array.isArray(userFavorites) || !mediaId) return false;
-    return userFavorites.some(f => f && f.id === mediaId);
+function showAddProfileForm() {
+    document.getElementById('profileError').style.display = 'none';
+    document.getElementById('profilePinForm').style.display = 'none';
+
+    const avatarSelect = document.getElementById('profileAvatar');
+    avatarSelect.innerHTML = profileState.avatars
+        .map(avatar => `<option value="${avatar}">${avatar}</option>`)
+        .join('');
+    avatarSelect.selectedIndex = profileState.profiles.length % profileState.avatars.length;
+
+    document.getElementById('profileAddForm').style.display = 'flex';
+    document.getElementById('profileName').focus();
 }
 
-// Toggle favorite
-async function toggleFavorite(event, mediaId) {
-    event.stopPropagation(); // Prevent card click
-    
-    if (!currentUser) {
-        showLoginModal();
-        return;
+async function handleAddProfile(event) {
+    event.preventDefault();
+    const body = {
+        name: document.getElementById('profileName').value,
+        avatar: document.getElementById('profileAvatar').value,
+        maxCertification: document.getElementById('profileMaxCertification').value || null,
+        pin: document.getElementById('profileNewPin').value || null
+    };
+
+    try {
+        const response = await fetch('/api/profiles', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify(body)
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            document.getElementById('profileAddForm').reset();
+            await showProfilePicker();
+        } else {
+            showProfileError(data.error || 'Could not add profile');
+        }
+    } catch (error) {
+        showProfileError('Network error. Please try again.');
     }
-    
-    const isFav = isFavorited(mediaId);
-    
+}
+
+async function deleteProfile(profile) {
+    if (!confirm(`Delete the profile "${profile.name}" with its favorites, watch history and collections?`)) return;
+
     try {
-        if (isFav) {
-            // Remove favorite
-            const response = await fetch(`/api/favorites/${mediaId}`, {
-                method: 'DELETE',
-                credentials: 'include'
-            });
-            
-            if (response.ok) {
-                userFavorites = userFavorites.filter(f => f.id !== mediaId);
-                updateFavoriteButton(mediaId, false);
+        const response = await fetch(`/api/profiles/${profile.id}`, {
+            method: 'DELETE',
+            credentials: 'include'
+        });
+
+        if (response.ok) {
+            if (profile.id === profileState.activeProfileId) {
+                await checkAuth(); // Back on the main profile
+                await loadMedia();
             }
+            await showProfilePicker();
         } else {
-            // Add favorite - get media data
-            const allContent = [...allMedia, ...allAPIContent];
-            const media = allContent.find(m => m.id === mediaId);
-            
-            const response = await fetch('/api/favorites', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                credentials: 'include',
-                body: JSON.stringify({
-                    mediaId,
-                    title: media?.title,
-                    type: media?.type,
-                    source: media?.source,
-                    posterUrl: media?.posterUrl,
-                    year: media?.year
-                })
-            });
-            
-            if (response.ok) {
-                const data = await response.json();
-                userFavorites.push(data.favorite);
-                updateFavoriteButton(mediaId, true);
-            }
-        }
-        
-        // If showing favorites, refresh the view
-        if (showingFavorites) {
-            showFavorites();
+            const data = await response.json().catch(() => ({}));
+            showProfileError(data.error || 'Could not delete profile');
         }
     } catch (error) {
-        console.error('Error toggling favorite:', error);
-        alert('Failed to update favorite. Please try again.');
+        showProfileError('Network error. Please try again.');
     }
 }
 
-// Update favorite button state
-function updateFavoriteButton(mediaId, isFavorited) {
-    const button = document.querySelector(`[data-favorite-id="${mediaId}"]`);
-    if (button) {
-        button.classList.toggle('active', isFavorited);
-        button.textContent = isFavorited ? '❤️' : '🤍';
+// ========== Parental Controls ==========
+
+// Show "Unlock"/"Lock" in the user menu for accounts with a maximum certification
+function updateParentalLockLink() {
+    const link = document.getElementById('parentalLockLink');
+    if (!link) return;
+
+    const limit = getActiveCertificationLimit();
+    if (!limit) {
+        link.style.display = 'none';
+        return;
     }
+    link.style.display = 'block';
+    link.textContent = currentUser.parentalUnlocked
+        ? '🔒 Lock Parental Controls'
+        : `🔓 Unlock Parental Controls (${limit})`;
 }
 
-// Show favorites
-async function showFavorites() {
-    if (!currentUser) {
-        showLoginModal();
+// Maximum certification of the active profile (the account's before profiles are loaded)
+function getActiveCertificationLimit() {
+    if (!currentUser) return null;
+    return currentUser.activeProfile
+        ? currentUser.activeProfile.maxCertification
+        : currentUser.maxCertification;
+}
+
+// Unlock with the PIN, or lock again
+async function toggleParentalLock() {
+    closeUserDropdown();
+    if (!currentUser) return;
+
+    if (!currentUser.parentalUnlocked) {
+        document.getElementById('parentalPinInfo').textContent =
+            `Titles above ${getActiveCertificationLimit()} are hidden. Enter your PIN to show everything until you lock again or log out.`;
+        document.getElementById('parentalPinError').style.display = 'none';
+        document.getElementById('parentalPinModal').style.display = 'block';
+        document.getElementById('parentalPin').focus();
         return;
     }
-    
-    showingFavorites = true;
-    
+
+    try {
+        const response = await fetch('/api/auth/parental/lock', {
+            method: 'POST',
+            credentials: 'include'
+        });
+        if (response.ok) {
+            currentUser.parentalUnlocked = false;
+            updateParentalLockLink();
+            await loadMedia();
+        }
+    } catch (error) {
+        console.error('Error locking parental controls:', error);
+    }
+}
+
+function closeParentalPinModal() {
+    document.getElementById('parentalPinModal').style.display = 'none';
+    document.getElementById('parentalPinForm').reset();
+    document.getElementById('parentalPinError').style.display = 'none';
+}
+
+// Handle PIN submit
+async function handleParentalUnlock(event) {
+    event.preventDefault();
+    const pin = document.getElementById('parentalPin').value;
+    const errorDiv = document.getElementById('parentalPinError');
+
+    try {
+        const response = await fetch('/api/auth/parental/unlock', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({ pin })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            currentUser.parentalUnlocked = true;
+            updateParentalLockLink();
+            closeParentalPinModal();
+            await loadMedia();
+        } else {
+            errorDiv.textContent = data.error || 'Unlock failed';
+            errorDiv.style.display = 'block';
+        }
+    } catch (error) {
+        errorDiv.textContent = 'Network error. Please try again.';
+        errorDiv.style.display = 'block';
+    }
+}
+
+// ========== User Data ==========
+
+// Download the active profile's favorites, history and collections
+function exportUserData() {
+    closeUserDropdown();
+    if (!currentUser) return;
+    window.location.href = '/api/user-data/export';
+}
+
+// Pick an archive to import
+function chooseUserDataImport() {
+    closeUserDropdown();
+    if (!currentUser) return;
+    document.getElementById('importDataInput').click();
+}
+
+// Import the chosen archive, merging it into the profile's data or replacing it
+async function importUserData(input) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    let archive;
+    try {
+        archive = JSON.parse(await file.text());
+    } catch (error) {
+        alert('This file is not a user data archive.');
+        return;
+    }
+
+    let mode = 'merge';
+    if (!confirm('Merge this archive into your current data?\n\nOK: merge\nCancel: replace or stop')) {
+        if (!confirm('Replace ALL favorites, watch history and collections of this profile with the archive?')) return;
+        mode = 'replace';
+    }
+
+    try {
+        const response = await fetch(`/api/user-data/import?mode=${mode}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify(archive)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            alert(data.error || 'Failed to import data.');
+            return;
+        }
+
+        alert(`Imported: ${data.favorites} favorites, ${data.watchHistory} watched titles, ${data.collections} collections.`);
+        await updateUIAuthState(true);
+        await loadFavorites();
+        await loadMedia();
+    } catch (error) {
+        console.error('Error importing user data:', error);
+        alert('Failed to import data. Please try again.');
+    }
+}
+
+// ========== Favorites Functions ==========
+
+// Load user favorites
+async function loadFavorites() {
+    if (!currentUser) {
+        userFavorites = [];
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/favorites', {
+            credentials: 'include'
+        });
+        
+        if (response.ok) {
+            const data = await response.json();
+            userFavorites = Array.isArray(data) ? data : [];
+        } else {
+            userFavorites = [];
+        }
+    } catch (error) {
+        console.error('Error loading favorites:', error);
+        userFavorites = [];
+    }
+}
+
+// Check if item is favorited
+function isFavorited(mediaId) {
+    if (!Array.isArray(userFavorites) || !mediaId) return false;
+    return userFavorites.some(f => f && f.id === mediaId);
+}
+
+// Toggle favorite
+async function toggleFavorite(event, mediaId) {
+    event.stopPropagation(); // Prevent card click
+    
+    if (!currentUser) {
+        showLoginModal();
+        return;
+    }
+    
+    const isFav = isFavorited(mediaId);
+    
+    try {
+        if (isFav) {
+            // Remove favorite
+            const response = await fetch(`/api/favorites/${mediaId}`, {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+            
+            if (response.ok) {
+                userFavorites = userFavorites.filter(f => f.id !== mediaId);
+                updateFavoriteButton(mediaId, false);
+            }
+        } else {
+            // Add favorite - get media data
+            const allContent = [...allMedia, ...allAPIContent];
+            const media = allContent.find(m => m.id === mediaId);
+            
+            const response = await fetch('/api/favorites', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({
+                    mediaId,
+                    title: media?.title,
+                    type: media?.type,
+                    source: media?.source,
+                    posterUrl: media?.posterUrl,
+                    year: media?.year
+                })
+            });
+            
+            if (response.ok) {
+                const data = await response.json();
+                userFavorites.push(data.favorite);
+                updateFavoriteButton(mediaId, true);
+            }
+        }
+        
+        // If showing favorites, refresh the view
+        if (showingFavorites) {
+            showFavorites();
+        }
+    } catch (error) {
+        console.error('Error toggling favorite:', error);
+        alert('Failed to update favorite. Please try again.');
+    }
+}
+
+// Update favorite button state
+function updateFavoriteButton(mediaId, isFavorited) {
+    const button = document.querySelector(`[data-favorite-id="${mediaId}"]`);
+    if (button) {
+        button.classList.toggle('active', isFavorited);
+        button.textContent = isFavorited ? '❤️' : '🤍';
+    }
+}
+
+// Show favorites
+async function showFavorites() {
+    if (!currentUser) {
+        showLoginModal();
+        return;
+    }
+    
+    showingFavorites = true;
+    showingCollections = false;
+    
     // Update nav
     document.querySelectorAll('.nav-link').forEach(link => link.classList.remove('active'));
     document.getElementById('favoritesNavLink').classList.add('active');
@@ -2299,5 +3635,685 @@ async function showFavorites() {
 // Hide favorites view
 function hideFavorites() {
     showingFavorites = false;
+    showingCollections = false;
     document.getElementById('featuredSection').style.display = 'block';
 }
+
+// ========== Collections ==========
+
+// Escape user-entered text (collection names, descriptions) for HTML
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
+// Load the active profile's collections
+async function loadCollections() {
+    if (!currentUser) {
+        collections = [];
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/collections', {
+            credentials: 'include'
+        });
+        collections = response.ok ? await response.json() : [];
+    } catch (error) {
+        console.error('Error loading collections:', error);
+        collections = [];
+    }
+}
+
+// Fields of a media item sent along when adding it, so API titles can be shown later
+function getCollectionItemPayload(mediaId) {
+    const media = [...allMedia, ...allAPIContent].find(m => m.id === mediaId) || {};
+    return {
+        mediaId,
+        title: media.title,
+        type: media.type,
+        source: media.source,
+        year: media.year,
+        posterUrl: media.posterUrl,
+        backdropUrl: media.backdropUrl,
+        rating: media.rating,
+        overview: media.overview,
+        genres: media.genres,
+        tmdbId: media.tmdbId,
+        malId: media.malId,
+        anilistId: media.anilistId,
+        ageRating: media.ageRating,
+        isAdult: media.isAdult
+    };
+}
+
+// Card of a collection in the collections view
+function createCollectionCard(collection) {
+    const cover = collection.coverUrl
+        ? `<img class="movie-thumbnail" src="${escapeHtml(collection.coverUrl)}" alt="" onerror="this.style.visibility='hidden'">`
+        : '<div class="movie-thumbnail collection-cover-empty">📁</div>';
+    const owner = collection.isOwner
+        ? (collection.shared ? ' · Shared' : '')
+        : ` · from ${escapeHtml(collection.ownerName || 'another profile')}`;
+    
+    return `
+        <div class="collection-card" onclick="showCollection('${collection.id}')">
+            ${cover}
+            <div class="movie-info">
+                <div class="movie-title">${escapeHtml(collection.name)}</div>
+                <div class="movie-year">${collection.itemCount} item${collection.itemCount === 1 ? '' : 's'}${owner}</div>
+            </div>
+        </div>
+    `;
+}
+
+// Show the active profile's collections and the ones shared by the household
+async function showCollections() {
+    if (!currentUser) {
+        showLoginModal();
+        return;
+    }
+    
+    showingCollections = true;
+    showingFavorites = false;
+    
+    document.querySelectorAll('.nav-link').forEach(link => link.classList.remove('active'));
+    document.getElementById('collectionsNavLink').classList.add('active');
+    document.querySelectorAll('.filter-tab').forEach(tab => tab.classList.remove('active'));
+    document.getElementById('featuredSection').style.display = 'none';
+    document.getElementById('pagination').innerHTML = '';
+    
+    const grid = document.getElementById('moviesGrid');
+    try {
+        const [, sharedResponse] = await Promise.all([
+            loadCollections(),
+            fetch('/api/collections/shared', { credentials: 'include' })
+        ]);
+        const shared = sharedResponse.ok ? await sharedResponse.json() : [];
+        
+        grid.innerHTML = `
+            <div class="collection-header">
+                <h2>Your Collections</h2>
+                <button class="btn btn-primary" onclick="promptNewCollection()">＋ New Collection</button>
+            </div>
+            ${collections.length > 0
+                ? collections.map(createCollectionCard).join('')
+                : '<div class="empty-state">No collections yet. Create one here or add a title from the player.</div>'}
+            ${shared.length > 0 ? `
+                <div class="collection-header"><h2>Shared by Your Household</h2></div>
+                ${shared.map(createCollectionCard).join('')}
+            ` : ''}
+        `;
+    } catch (error) {
+        console.error('Error loading collections:', error);
+        grid.innerHTML = '<div class="empty-state">Could not load collections.</div>';
+    }
+}
+
+// Show the items of a collection in order
+async function showCollection(collectionId) {
+    const grid = document.getElementById('moviesGrid');
+    try {
+        const response = await fetch(`/api/collections/${collectionId}`, { credentials: 'include' });
+        if (!response.ok) throw new Error('Collection not found');
+        const collection = await response.json();
+        
+        // Titles saved in the collection may not be loaded yet; keep them so the player can open them
+        collection.media.forEach(item => {
+            if (item.source && !allAPIContent.some(m => m.id === item.id)) {
+                allAPIContent.push(item);
+            }
+        });
+        
+        const ownerActions = collection.isOwner ? `
+            <button class="btn btn-secondary" onclick="toggleCollectionShared('${collection.id}', ${!collection.shared})">
+                ${collection.shared ? '🔒 Stop Sharing' : '👥 Share with Household'}
+            </button>
+            <button class="btn btn-secondary" onclick="renameCollection('${collection.id}')">✏️ Rename</button>
+            <button class="btn btn-secondary" onclick="deleteCollection('${collection.id}')">🗑️ Delete</button>
+        ` : '';
+        
+        grid.innerHTML = `
+            <div class="music-breadcrumb"><a onclick="showCollections()">Collections</a> / ${escapeHtml(collection.name)}</div>
+            <div class="collection-header">
+                <div>
+                    <h2>${escapeHtml(collection.name)}</h2>
+                    <p>${collection.description ? `${escapeHtml(collection.description)} · ` : ''}${collection.itemCount} item${collection.itemCount === 1 ? '' : 's'}${collection.isOwner ? '' : ` · from ${escapeHtml(collection.ownerName || 'another profile')}`}</p>
+                </div>
+                <div class="collection-actions">${ownerActions}</div>
+            </div>
+            ${collection.media.length > 0 ? collection.media.map((media, index) => `
+                <div class="collection-item">
+                    ${createMovieCard(media, false)}
+                    ${collection.isOwner ? `
+                        <div class="collection-item-actions">
+                            <button onclick="moveCollectionItem('${collection.id}', ${index}, -1)" title="Move earlier" ${index === 0 ? 'disabled' : ''}>◀</button>
+                            <button onclick="moveCollectionItem('${collection.id}', ${index}, 1)" title="Move later" ${index === collection.media.length - 1 ? 'disabled' : ''}>▶</button>
+                            <button onclick="setCollectionCover('${collection.id}', '${media.id}')" title="Use as cover">${collection.coverMediaId === media.id ? '★' : '☆'}</button>
+                            <button onclick="removeFromCollection('${collection.id}', '${media.id}')" title="Remove from collection">✕</button>
+                        </div>
+                    ` : ''}
+                </div>
+            `).join('') : '<div class="empty-state">This collection is empty. Add titles with the 📁 button in the player.</div>'}
+        `;
+        
+        attachCardClickListeners();
+    } catch (error) {
+        console.error('Error loading collection:', error);
+        grid.innerHTML = '<div class="empty-state">Could not load this collection.</div>';
+    }
+}
+
+// Create a collection, returning it (or null on failure)
+async function createCollection(name) {
+    try {
+        const response = await fetch('/api/collections', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({ name })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            alert(data.error || 'Failed to create collection.');
+            return null;
+        }
+        collections.push(data.collection);
+        return data.collection;
+    } catch (error) {
+        console.error('Error creating collection:', error);
+        alert('Failed to create collection. Please try again.');
+        return null;
+    }
+}
+
+// Ask for a name and create a collection from the collections view
+async function promptNewCollection() {
+    const name = prompt('Collection name:');
+    if (!name || !name.trim()) return;
+    
+    if (await createCollection(name.trim())) {
+        showCollections();
+    }
+}
+
+// Send a change to a collection, then refresh its view
+async function updateCollection(collectionId, url, method, body) {
+    try {
+        const response = await fetch(url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            alert(data.error || 'Failed to update collection.');
+            return;
+        }
+        
+        const index = collections.findIndex(c => c.id === collectionId);
+        if (index !== -1 && data.collection) collections[index] = data.collection;
+        if (showingCollections) showCollection(collectionId);
+    } catch (error) {
+        console.error('Error updating collection:', error);
+        alert('Failed to update collection. Please try again.');
+    }
+}
+
+// Share or stop sharing a collection with the household
+function toggleCollectionShared(collectionId, shared) {
+    updateCollection(collectionId, `/api/collections/${collectionId}`, 'PUT', { shared });
+}
+
+// Rename a collection
+function renameCollection(collectionId) {
+    const collection = collections.find(c => c.id === collectionId);
+    const name = prompt('Collection name:', collection ? collection.name : '');
+    if (!name || !name.trim()) return;
+    updateCollection(collectionId, `/api/collections/${collectionId}`, 'PUT', { name: name.trim() });
+}
+
+// Use an item's artwork as the collection cover
+function setCollectionCover(collectionId, mediaId) {
+    updateCollection(collectionId, `/api/collections/${collectionId}`, 'PUT', { coverMediaId: mediaId });
+}
+
+// Move an item one place earlier (-1) or later (1)
+function moveCollectionItem(collectionId, index, offset) {
+    const collection = collections.find(c => c.id === collectionId);
+    if (!collection) return;
+    
+    const mediaIds = [...collection.mediaIds];
+    const target = index + offset;
+    if (target < 0 || target >= mediaIds.length) return;
+    [mediaIds[index], mediaIds[target]] = [mediaIds[target], mediaIds[index]];
+    
+    updateCollection(collectionId, `/api/collections/${collectionId}/items`, 'PUT', { mediaIds });
+}
+
+// Remove an item from a collection
+function removeFromCollection(collectionId, mediaId) {
+    updateCollection(collectionId, `/api/collections/${collectionId}/items/${encodeURIComponent(mediaId)}`, 'DELETE');
+}
+
+// Delete a collection
+async function deleteCollection(collectionId) {
+    const collection = collections.find(c => c.id === collectionId);
+    if (!confirm(`Delete the collection "${collection ? collection.name : ''}"?`)) return;
+    
+    try {
+        const response = await fetch(`/api/collections/${collectionId}`, {
+            method: 'DELETE',
+            credentials: 'include'
+        });
+        if (!response.ok) {
+            const data = await response.json();
+            alert(data.error || 'Failed to delete collection.');
+            return;
+        }
+        collections = collections.filter(c => c.id !== collectionId);
+        showCollections();
+    } catch (error) {
+        console.error('Error deleting collection:', error);
+        alert('Failed to delete collection. Please try again.');
+    }
+}
+
+// Show the "add to collection" menu for a media item (from a card or the player)
+function showAddToCollectionMenu(event, mediaId) {
+    event.stopPropagation(); // Prevent card click
+    
+    if (!currentUser) {
+        showLoginModal();
+        return;
+    }
+    if (!mediaId) return;
+    
+    closeCollectionMenu();
+    const menu = document.createElement('div');
+    menu.id = 'collectionMenu';
+    menu.className = 'collection-menu';
+    menu.style.left = `${Math.min(event.clientX, window.innerWidth - 240)}px`;
+    menu.style.top = `${Math.min(event.clientY, window.innerHeight - 300)}px`;
+    menu.addEventListener('click', e => e.stopPropagation());
+    
+    collections.forEach(collection => {
+        const item = document.createElement('button');
+        const included = collection.mediaIds.includes(mediaId);
+        item.textContent = `${included ? '✓' : '＋'} ${collection.name}`;
+        item.onclick = () => toggleInCollection(collection.id, mediaId, !included);
+        menu.appendChild(item);
+    });
+    
+    const newItem = document.createElement('button');
+    newItem.className = 'collection-menu-new';
+    newItem.textContent = '＋ New collection…';
+    newItem.onclick = async () => {
+        const name = prompt('Collection name:');
+        if (!name || !name.trim()) return;
+        const collection = await createCollection(name.trim());
+        if (collection) toggleInCollection(collection.id, mediaId, true);
+    };
+    menu.appendChild(newItem);
+    
+    document.body.appendChild(menu);
+}
+
+// Close the "add to collection" menu
+function closeCollectionMenu() {
+    const menu = document.getElementById('collectionMenu');
+    if (menu) menu.remove();
+}
+
+// Add an item to a collection or remove it
+async function toggleInCollection(collectionId, mediaId, add) {
+    closeCollectionMenu();
+    
+    try {
+        const response = await fetch(add
+            ? `/api/collections/${collectionId}/items`
+            : `/api/collections/${collectionId}/items/${encodeURIComponent(mediaId)}`, {
+            method: add ? 'POST' : 'DELETE',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: add ? JSON.stringify(getCollectionItemPayload(mediaId)) : undefined
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            alert(data.error || 'Failed to update collection.');
+            return;
+        }
+        
+        const index = collections.findIndex(c => c.id === collectionId);
+        if (index !== -1) collections[index] = data.collection;
+    } catch (error) {
+        console.error('Error updating collection:', error);
+        alert('Failed to update collection. Please try again.');
+    }
+}
+
+// ========== Recommendations ==========
+
+// Keep the titles that can be played, and make API titles known to the player
+function prepareRecommendedItems(items) {
+    const playable = (items || []).filter(item => {
+        if (!item || !item.id || nonStreamableItems.has(item.id)) return false;
+        if (!item.source || item.source === 'local') return true;
+        return item.hasStreaming === true || !!item.streamingUrl;
+    });
+    
+    playable.forEach(item => {
+        if (item.source && !allAPIContent.some(m => m.id === item.id)) {
+            allAPIContent.push(item);
+        }
+    });
+    return playable;
+}
+
+// Open the player from the cards of a home page row
+function attachSectionCardListeners(container) {
+    container.querySelectorAll('.movie-card').forEach(card => {
+        card.addEventListener('click', (event) => {
+            // Don't trigger if clicking on buttons
+            if (event.target.closest('button')) return;
+            
+            const mediaId = card.dataset.id;
+            const mediaType = card.dataset.type || 'video';
+            const mediaSource = card.dataset.source || 'local';
+            // Up Next cards open the series at their episode
+            const options = card.dataset.episode
+                ? { season: parseInt(card.dataset.season), episode: parseInt(card.dataset.episode) }
+                : {};
+            if (mediaId) {
+                openMediaPlayer(mediaId, mediaType, mediaSource, options);
+            }
+        });
+    });
+}
+
+// Load the "Recommended For You" and "Because you watched" rows
+async function loadRecommendations() {
+    const recSection = document.getElementById('recommendationsSection');
+    const rowsContainer = document.getElementById('recommendationsRows');
+    if (!recSection || !rowsContainer) return;
+    
+    if (!currentUser) {
+        recSection.style.display = 'none';
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/recommendations', {
+            credentials: 'include'
+        });
+        if (!response.ok) {
+            recSection.style.display = 'none';
+            return;
+        }
+        
+        const { rows } = await response.json();
+        const rowsHTML = (rows || []).map(row => {
+            const items = prepareRecommendedItems(row.items).slice(0, 12);
+            if (items.length === 0) return '';
+            return `
+                <h2 class="section-title">${escapeHtml(row.title)}</h2>
+                <div class="featured-grid">
+                    ${items.map(media => createMovieCard(media, true)).filter(card => card && card.trim()).join('')}
+                </div>
+            `;
+        }).join('');
+        
+        rowsContainer.innerHTML = rowsHTML;
+        recSection.style.display = rowsHTML.trim() ? 'block' : 'none';
+        
+        attachSectionCardListeners(rowsContainer);
+    } catch (error) {
+        console.error('Error loading recommendations:', error);
+        recSection.style.display = 'none';
+    }
+}
+
+// ========== Watch State ==========
+
+// Load the active profile's watch states (for watched badges on cards)
+async function loadWatchStates() {
+    if (!currentUser) {
+        watchStates = {};
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/watch-history/states', {
+            credentials: 'include'
+        });
+        watchStates = response.ok ? (await response.json()).states : {};
+    } catch (error) {
+        console.error('Error loading watch states:', error);
+        watchStates = {};
+    }
+}
+
+// Watched badge of a card ("✓ Watched", "✓ Watched 3×", or watched episodes of a series)
+function renderWatchedBadge(mediaId) {
+    const state = watchStates[mediaId];
+    if (!state) return '';
+    
+    if (state.watched) {
+        const count = state.playCount > 1 ? ` ${state.playCount}×` : '';
+        return `<span class="watched-badge" title="Watched">✓ Watched${count}</span>`;
+    }
+    if (state.watchedEpisodes > 0) {
+        return `<span class="watched-badge" title="Watched episodes">✓ ${state.watchedEpisodes} ep</span>`;
+    }
+    return '';
+}
+
+// Replace the watched badges of the cards showing a title
+function updateWatchedBadges(mediaId) {
+    document.querySelectorAll('.movie-card').forEach(card => {
+        if (card.dataset.id !== mediaId) return;
+        card.querySelector('.watched-badge')?.remove();
+        const badge = renderWatchedBadge(mediaId);
+        if (badge) card.querySelector('.movie-thumbnail')?.insertAdjacentHTML('beforebegin', badge);
+    });
+}
+
+// Store a watch state returned by the server and refresh what shows it
+function setWatchState(state) {
+    if (!state || !state.mediaId) return;
+    
+    watchStates[state.mediaId] = {
+        state: state.state,
+        watched: state.watched,
+        playCount: state.playCount,
+        progress: state.progress,
+        watchedEpisodes: state.watchedEpisodes
+    };
+    updateWatchedBadges(state.mediaId);
+    
+    if (state.mediaId === currentMediaId) {
+        currentWatchState = state;
+        updateWatchedButton();
+        updateEpisodeSelect();
+    }
+}
+
+// Load the watch state of the title opened in the player
+async function loadPlayerWatchState(mediaId) {
+    currentWatchState = null;
+    updateWatchedButton();
+    if (!currentUser) return;
+    
+    try {
+        const response = await fetch(`/api/watch-history/state/${encodeURIComponent(mediaId)}`, {
+            credentials: 'include'
+        });
+        if (response.ok && currentMediaId === mediaId) {
+            setWatchState(await response.json());
+        }
+    } catch (error) {
+        console.warn('Could not load watch state:', error);
+    }
+}
+
+// Check if an episode of the series in the player was watched
+function isEpisodeWatched(season, episode) {
+    if (!currentWatchState || !Array.isArray(currentWatchState.episodes)) return false;
+    return currentWatchState.episodes.some(ep => ep.season === season && ep.episode === episode && ep.watched);
+}
+
+// Update the "Mark Watched" button of the player
+function updateWatchedButton() {
+    const watchedBtn = document.getElementById('watchedBtn');
+    if (!watchedBtn) return;
+    
+    if (!currentUser || !currentMediaId || !currentWatchState) {
+        watchedBtn.style.display = 'none';
+        return;
+    }
+    watchedBtn.style.display = 'inline-block';
+    watchedBtn.textContent = currentWatchState.watched ? '↺ Mark Unwatched' : '✓ Mark Watched';
+    watchedBtn.classList.toggle('active', !!currentWatchState.watched);
+}
+
+// Update the "Mark Season Watched" button of the episode selector
+function updateSeasonWatchedButton() {
+    const seasonBtn = document.getElementById('seasonWatchedBtn');
+    if (!seasonBtn) return;
+    
+    if (!currentUser || !currentWatchState || tvShowEpisodes.length === 0) {
+        seasonBtn.style.display = 'none';
+        return;
+    }
+    const allWatched = tvShowEpisodes.every(ep => isEpisodeWatched(currentSeason, ep.episodeNumber));
+    seasonBtn.style.display = 'inline-block';
+    seasonBtn.textContent = allWatched ? '↺ Mark Season Unwatched' : '✓ Mark Season Watched';
+    seasonBtn.classList.toggle('active', allWatched);
+}
+
+// Send a watched/unwatched change for the title in the player
+async function updateWatchState(body) {
+    if (!currentUser || !currentMediaId) return;
+    
+    try {
+        const response = await fetch(`/api/watch-history/state/${encodeURIComponent(currentMediaId)}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({ mediaType: currentMediaType, ...body })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            alert(data.error || 'Failed to update watch state.');
+            return;
+        }
+        setWatchState(data.state);
+        loadContinueWatching();
+    } catch (error) {
+        console.error('Error updating watch state:', error);
+        alert('Failed to update watch state. Please try again.');
+    }
+}
+
+// Mark the title in the player as watched or unwatched
+function toggleWatched() {
+    if (!currentWatchState) return;
+    updateWatchState({ watched: !currentWatchState.watched });
+}
+
+// Mark every episode of the current season as watched (or unwatched if they all are)
+function toggleSeasonWatched() {
+    if (tvShowEpisodes.length === 0) return;
+    
+    const episodes = tvShowEpisodes.map(ep => ep.episodeNumber);
+    const allWatched = episodes.every(episode => isEpisodeWatched(currentSeason, episode));
+    updateWatchState({ watched: !allWatched, season: currentSeason, episodes });
+}
+
+// Load the "Continue Watching" row
+async function loadContinueWatching() {
+    const continueSection = document.getElementById('continueWatchingSection');
+    const continueGrid = document.getElementById('continueWatchingGrid');
+    if (!continueSection || !continueGrid) return;
+    
+    if (!currentUser) {
+        continueSection.style.display = 'none';
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/watch-history/continue-watching', {
+            credentials: 'include'
+        });
+        const entries = response.ok ? await response.json() : [];
+        
+        // Only titles that are loaded can be opened in the player
+        const allContent = [...allMedia, ...allAPIContent];
+        const cards = entries
+            .map(entry => {
+                const media = allContent.find(m => m.id === entry.mediaId);
+                return media ? createMovieCard(media, true, entry.progress) : '';
+            })
+            .filter(card => card && card.trim())
+            .join('');
+        
+        continueGrid.innerHTML = cards;
+        continueSection.style.display = cards ? 'block' : 'none';
+        attachSectionCardListeners(continueGrid);
+    } catch (error) {
+        console.error('Error loading continue watching:', error);
+        continueSection.style.display = 'none';
+    }
+    
+    loadUpNext();
+}
+
+// Load the "Up Next" row (next unwatched episode of each series being watched)
+async function loadUpNext() {
+    const upNextSection = document.getElementById('upNextSection');
+    const upNextGrid = document.getElementById('upNextGrid');
+    if (!upNextSection || !upNextGrid) return;
+    
+    if (!currentUser) {
+        upNextSection.style.display = 'none';
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/watch-history/up-next', {
+            credentials: 'include'
+        });
+        const entries = response.ok ? await response.json() : [];
+        
+        // Only series that are loaded can be opened in the player
+        const allContent = [...allMedia, ...allAPIContent];
+        const items = entries
+            .map(entry => ({ entry, media: allContent.find(m => m.id === entry.mediaId) }))
+            .filter(item => item.media);
+        
+        upNextGrid.innerHTML = items.map(item => createMovieCard(item.media, true)).join('');
+        upNextGrid.querySelectorAll('.movie-card').forEach((card, index) => {
+            const next = items[index].entry.next;
+            card.dataset.season = next.season;
+            card.dataset.episode = next.episode;
+            card.insertAdjacentHTML('beforeend', `
+                <div class="up-next-episode">S${next.season}E${next.episode}${next.name ? ` · ${escapeHtml(next.name)}` : ''}</div>
+            `);
+        });
+        upNextSection.style.display = items.length > 0 ? 'block' : 'none';
+        attachSectionCardListeners(upNextGrid);
+    } catch (error) {
+        console.error('Error loading up next:', error);
+        upNextSection.style.display = 'none';
+    }
+}
@@ -20,7 +20,10 @@ const { errorHandler, asyncHandler } = require('./src/middleware/errorHandler');
 // Import routes
 const authRoutes = require('./src/routes/auth.routes');
 const usersRoutes = require('./src/routes/users.routes');
+const profilesRoutes = require('./src/routes/profiles.routes');
 const favoritesRoutes = require('./src/routes/favorites.routes');
+const collectionsRoutes = require('./src/routes/collections.routes');
+const recommendationsRoutes = require('./src/routes/recommendations.routes');
 const watchHistoryRoutes = require('./src/routes/watchHistory.routes');
 const mediaRoutes = require('./src/routes/media.routes');
 const searchRoutes = require('./src/routes/search.routes');
@@ -29,13 +32,37 @@ const streamingRoutes = require('./src/routes/streaming.routes');
 const tvRoutes = require('./src/routes/tv.routes');
 const mediaDetailsRoutes = require('./src/routes/mediaDetails.routes');
 const combinedMediaRoutes = require('./src/routes/combinedMedia.routes');
+const eventsRoutes = require('./src/routes/events.routes');
+const hlsRoutes = require('./src/routes/hls.routes');
+const librariesRoutes = require('./src/routes/libraries.routes');
+const matchesRoutes = require('./src/routes/matches.routes');
+const subtitlesRoutes = require('./src/routes/subtitles.routes');
+const musicRoutes = require('./src/routes/music.routes');
+const trickplayRoutes = require('./src/routes/trickplay.routes');
+const jobsRoutes = require('./src/routes/jobs.routes');
+const userDataRoutes = require('./src/routes/userData.routes');
+const streamingProvidersRoutes = require('./src/routes/streamingProviders.routes');
+const streamReportsRoutes = require('./src/routes/streamReports.routes');
+const cacheRoutes = require('./src/routes/cache.routes');
+
+// Import services
+const UserService = require('./src/services/userService');
+const MediaScanner = require('./src/services/mediaScanner');
+const LibraryWatcher = require('./src/services/libraryWatcher');
+const eventBus = require('./src/services/eventBus');
+const metadataMatcher = require('./src/services/metadataMatcher');
+const trickplayService = require('./src/services/trickplayService');
+const jobQueue = require('./src/services/jobQueue');
+const sourceHealthMonitor = require('./src/services/sourceHealthMonitor');
 
 const app = express();
 
 // Middleware
 app.use(cors(config.cors));
+app.use('/api/user-data/import', express.json({ limit: '10mb' })); // Data archives are larger than the default limit
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
+app.use('/vendor/hls.js', express.static(path.join(__dirname, 'node_modules/hls.js/dist'))); // HLS playback in browsers without native support
 
 // Session configuration
 app.use(session(config.session));
@@ -43,21 +70,39 @@ app.use(session(config.session));
 // Ensure media directory exists
 fs.ensureDirSync(config.mediaPath);
 
+// Local library (indexed on startup, kept current by the watcher)
+const mediaScanner = new MediaScanner(config.mediaPath);
+const libraryWatcher = new LibraryWatcher(mediaScanner, config.watcher);
+
 // API Routes
 // Order matters: more specific routes first
 app.use('/api/auth', authRoutes);
 app.use('/api/users', usersRoutes);
+app.use('/api/profiles', profilesRoutes);
 app.use('/api/favorites', favoritesRoutes);
+app.use('/api/collections', collectionsRoutes);
+app.use('/api/user-data', userDataRoutes);
 app.use('/api/watch-history', watchHistoryRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/streaming', streamingRoutes);
 app.use('/api/tv', tvRoutes);
+app.use('/api/events', eventsRoutes);
+app.use('/api/libraries', librariesRoutes);
+app.use('/api/music', musicRoutes);
+app.use('/api/admin/matches', matchesRoutes);
+app.use('/api/admin/jobs', jobsRoutes);
+app.use('/api/admin/streaming-providers', streamingProvidersRoutes);
+app.use('/api/admin/stream-reports', streamReportsRoutes);
+app.use('/api/admin/cache', cacheRoutes);
 
 // Media routes - more specific first
 app.use('/api/media', combinedMediaRoutes); // /api/media/all, /api/media/genres (more specific)
 app.use('/api/media', mediaDetailsRoutes); // /api/media/:mediaId/details (more specific)
+app.use('/api', recommendationsRoutes); // /api/recommendations, /api/media/:mediaId/similar
 
 // Local media streaming endpoints (must be before /api/media/:id to avoid conflicts)
+app.use('/api/stream', hlsRoutes); // /api/stream/:id/hls/* (transcoded HLS)
+app.use('/api/stream', subtitlesRoutes); // /api/stream/:id/subtitles/* (WebVTT)
 app.get('/api/stream/:id', asyncHandler(async (req, res) => {
   const { id } = req.params;
   const range = req.headers.range;
@@ -73,6 +118,29 @@ app.get('/api/stream/:id', asyncHandler(async (req, res) => {
   await mediaStreamer.stream(req, res, mediaPath, range);
 }));
 
+// Remux into fragmented MP4 (?start=seconds, ?audio=aac to convert the audio track,
+// ?audioTrack=n to pick one of the file's audio tracks)
+app.get('/api/stream/:id/remux', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const MediaScanner = require('./src/services/mediaScanner');
+  const MediaStreamer = require('./src/services/mediaStreamer');
+  const playbackDecision = require('./src/services/playbackDecision');
+  const mediaScanner = new MediaScanner(config.mediaPath);
+  const mediaStreamer = new MediaStreamer(config.mediaPath);
+
+  const media = await mediaScanner.getMetadata(id);
+  if (!media) {
+    return res.status(404).json({ error: 'Media not found' });
+  }
+  mediaStreamer.remux(req, res, media.path, {
+    startTime: Math.max(0, parseFloat(req.query.start) || 0),
+    transcodeAudio: req.query.audio === 'aac',
+    audioOnly: media.type === 'audio',
+    audioTrack: playbackDecision.parseAudioTrack(req.query.audioTrack, media)
+  });
+}));
+
+app.use('/api/thumbnail', trickplayRoutes); // /api/thumbnail/:id/trickplay* (seek previews)
 app.get('/api/thumbnail/:id', asyncHandler(async (req, res) => {
   const { id } = req.params;
   const fs = require('fs-extra');
@@ -162,8 +230,19 @@ function getLocalIP() {
   return addresses;
 }
 
-// Start server
-const server = app.listen(config.port, '0.0.0.0', () => {
+// Start server once the user store is ready (created on first start, an admin ensured)
+// and HLS segments left by the last run are cleared
+let server = null;
+Promise.all([new UserService().initializeStorage(), hlsRoutes.hlsTranscoder.clearCache()])
+  .then(() => {
+    server = app.listen(config.port, '0.0.0.0', onListening);
+  })
+  .catch(error => {
+    console.error('Could not prepare storage:', error);
+    process.exit(1);
+  });
+
+function onListening() {
   console.log('\n========================================');
   console.log('  Deme Movies - Media Streaming Server');
   console.log('========================================\n');
@@ -193,11 +272,48 @@ const server = app.listen(config.port, '0.0.0.0', () => {
   console.log(`🎬 Streaming: ${config.useCinetaro ? '✅ Enabled' : '❌ Disabled'}`);
   console.log(`\n========================================\n`);
   console.log('Press Ctrl+C to stop the server\n');
-});
+
+  // Probe streaming providers in the background
+  sourceHealthMonitor.start();
+
+  startLibrary();
+}
+
+// Bring the library index up to date, then watch for changes
+async function startLibrary() {
+  // Run background jobs (probing, thumbnails, seek previews), including ones left from the last run
+  await jobQueue.start();
+
+  try {
+    const { added, updated, moved, removed, total } = await mediaScanner.refresh();
+    if (added.length || updated.length || moved.length || removed.length) {
+      eventBus.publish('library', { added, updated, moved, removed, total });
+    }
+  } catch (error) {
+    console.error('Initial library scan failed:', error.message);
+  }
+
+  // Match new files to TMDB now and after every library change
+  metadataMatcher.start();
+
+  // Generate seek-preview sprites for new and changed videos in the background
+  trickplayService.start();
+
+  if (config.watcher.enabled) {
+    await libraryWatcher.start();
+  }
+}
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('\nSIGTERM signal received: closing HTTP server');
+  libraryWatcher.stop();
+  metadataMatcher.stop();
+  trickplayService.stop();
+  jobQueue.stop();
+  sourceHealthMonitor.stop();
+  hlsRoutes.hlsTranscoder.stopAll();
+  if (!server) return;
   server.close(() => {
     console.log('HTTP server closed');
   });
@@ -6,6 +6,12 @@
 require('dotenv').config();
 const path = require('path');
 
+// Number from an environment variable; the default applies only when it is unset or not a number, so 0 is kept
+function envNumber(name, defaultValue) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? defaultValue : value;
+}
+
 module.exports = {
   // Server Configuration
   port: process.env.PORT || 3000,
@@ -19,6 +25,117 @@ module.exports = {
   // Feature Flags
   useCinetaro: process.env.USE_CINETARO !== 'false',
   
+  // Streaming Provider Configuration
+  streaming: {
+    // Provider plugins: the built-in ones, then STREAMING_PROVIDERS_PATH (same name replaces a built-in)
+    providerPaths: [path.join(__dirname, '../providers'), process.env.STREAMING_PROVIDERS_PATH].filter(Boolean),
+    healthCheckTimeout: 3000
+  },
+  
+  // Streaming Source Health Configuration
+  sourceHealth: {
+    probeInterval: parseInt(process.env.SOURCE_HEALTH_INTERVAL, 10) || 5 * 60 * 1000, // background health checks
+    failureThreshold: 3, // failures in a row that open a provider's circuit
+    resetTimeout: 2 * 60 * 1000, // an open circuit lets a trial request through after this
+    latencyWindow: 20, // results kept for the success rate and average latency
+    availableTtl: parseInt(process.env.STREAM_AVAILABILITY_TTL, 10) || 6 * 60 * 60 * 1000, // cached title availability
+    unavailableTtl: 30 * 60 * 1000,
+    maxCachedTitles: 5000
+  },
+  
+  // Non-streamable Report Configuration
+  streamReports: {
+    ttl: parseInt(process.env.STREAM_REPORT_TTL, 10) || 30 * 24 * 60 * 60 * 1000, // reports of unconfirmed titles expire after this
+    confirmThreshold: parseInt(process.env.STREAM_REPORT_CONFIRM_THRESHOLD, 10) || 3 // accounts reporting the whole title that confirm it broken
+  },
+  
+  // External API Cache Configuration (TMDB, Jikan, AniList, TVMaze, OMDb)
+  apiCache: {
+    path: path.join(__dirname, '../../.cache/api'),
+    memoryEntries: parseInt(process.env.API_CACHE_MEMORY_ENTRIES, 10) || 500, // most recently used entries kept in memory
+    maxSize: parseInt(process.env.API_CACHE_MAX_SIZE, 10) || 200 * 1024 * 1024, // bytes on disk
+    staleTtl: 7 * 24 * 60 * 60 * 1000, // expired entries are served this long while being refreshed
+    notFoundTtl: 6 * 60 * 60 * 1000, // 404 answers of lookups that cache them (certifications)
+    // Time to live per endpoint
+    ttl: {
+      trending: 60 * 60 * 1000,
+      nowPlaying: 6 * 60 * 60 * 1000,
+      upcoming: 12 * 60 * 60 * 1000,
+      popular: 12 * 60 * 60 * 1000,
+      topRated: 24 * 60 * 60 * 1000,
+      genre: 24 * 60 * 60 * 1000,
+      search: 6 * 60 * 60 * 1000,
+      details: 7 * 24 * 60 * 60 * 1000,
+      seasons: 24 * 60 * 60 * 1000,
+      recommendations: 3 * 24 * 60 * 60 * 1000,
+      certification: 30 * 24 * 60 * 60 * 1000,
+      genres: 7 * 24 * 60 * 60 * 1000,
+      default: 24 * 60 * 60 * 1000
+    }
+  },
+  
+  // Library Watcher Configuration
+  watcher: {
+    enabled: process.env.WATCH_LIBRARY !== 'false',
+    debounceMs: parseInt(process.env.WATCH_DEBOUNCE_MS, 10) || 2000
+  },
+  
+  // HLS Transcoding Configuration
+  transcoding: {
+    cachePath: path.join(__dirname, '../../.cache/hls'),
+    segmentDuration: 4, // seconds
+    idleTimeout: 5 * 60 * 1000, // Stop ffmpeg and delete segments after 5 minutes without requests
+    maxSessions: parseInt(process.env.MAX_TRANSCODE_SESSIONS, 10) || 2,
+    preset: process.env.TRANSCODE_PRESET || 'veryfast',
+    // Renditions above the source resolution are skipped
+    renditions: [
+      { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+      { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+      { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 128 },
+      { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 }
+    ]
+  },
+  
+  // Background Job Queue Configuration
+  jobs: {
+    metadataConcurrency: parseInt(process.env.METADATA_JOB_CONCURRENCY, 10) || 2, // ffprobe + thumbnail jobs at once
+    maxAttempts: 3,
+    retryDelay: 10 * 1000, // doubled after every failed attempt
+    keepFinished: 500 // finished jobs kept for the admin list
+  },
+  
+  // Trickplay (seek preview) Configuration
+  trickplay: {
+    enabled: process.env.TRICKPLAY !== 'false',
+    interval: parseInt(process.env.TRICKPLAY_INTERVAL, 10) || 10, // seconds between frames
+    width: 160, // tile width in pixels (height follows the aspect ratio)
+    columns: 10,
+    rows: 10,
+    maxFrames: 1000 // long videos use a longer interval instead of more tiles
+  },
+  
+  // TMDB Metadata Matching Configuration
+  matching: {
+    // Matches scoring below this are kept for review but not applied
+    minConfidence: parseFloat(process.env.MATCH_MIN_CONFIDENCE) || 0.75
+  },
+  
+  // Parental Controls Configuration
+  parental: {
+    // Limit for visitors who aren't logged in, e.g. PG (unrestricted when not set)
+    guestMaxCertification: process.env.PARENTAL_GUEST_MAX_CERTIFICATION || null,
+    // Show titles without a US certification to restricted users
+    allowUnrated: process.env.PARENTAL_ALLOW_UNRATED === 'true',
+    maxPinAttempts: 5,
+    pinLockout: 5 * 60 * 1000 // 5 minutes after too many wrong PINs
+  },
+  
+  // Watch State Configuration
+  watchHistory: {
+    // Playback progress (percent) at which a title or episode counts as watched
+    completionThreshold: Math.min(100, Math.max(0, envNumber('WATCH_COMPLETION_THRESHOLD', 90)))
+  },
+  
   // Session Configuration
   session: {
     secret: process.env.SESSION_SECRET || 'deme-movies-secret-key-change-in-production',
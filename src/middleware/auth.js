@@ -2,13 +2,108 @@
  * Authentication Middleware
  */
 
-const requireAuth = (req, res, next) => {
-  if (req.session && req.session.userId) {
-    return next();
+const UserService = require('../services/userService');
+const ProfileService = require('../services/profileService');
+const parentalControls = require('../services/parentalControls');
+
+const userService = new UserService();
+const profileService = new ProfileService();
+
+// Active profile of the session; a profile deleted from another session falls back to the main profile
+async function resolveProfileId(session) {
+  if (session.profileId && session.profileId !== session.userId &&
+      !await profileService.getProfile(session.userId, session.profileId)) {
+    delete session.profileId;
+  }
+  return session.profileId || session.userId;
+}
+
+// Require a logged-in user
+// Sets req.profileId to the active profile (favorites, history and collections are stored under it)
+const requireAuth = async (req, res, next) => {
+  if (!req.session || !req.session.userId) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    req.profileId = await resolveProfileId(req.session);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Set req.profileId like requireAuth when a user is logged in, let guests through without one
+const optionalAuth = async (req, res, next) => {
+  try {
+    if (req.session && req.session.userId) {
+      req.profileId = await resolveProfileId(req.session);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Require a session without a parental controls limit (an unrestricted profile or an unlocked session),
+// so a restricted profile can't lift its own limit through the account's rights
+const requireUnrestricted = async (req, res, next) => {
+  try {
+    if (await parentalControls.getRestriction(req.session)) {
+      return res.status(403).json({ error: 'Switch to an unrestricted profile to do this' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Require a logged-in user with one of the given roles, e.g. requireRole('admin')
+// The role is read from the user store on every request so role changes apply immediately.
+// Restricted profiles are refused: they don't get the rights of the account they belong to
+const requireRole = (...roles) => async (req, res, next) => {
+  if (!req.session || !req.session.userId) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const user = await userService.getUserById(req.session.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!roles.includes(user.role)) {
+      return res.status(403).json({ error: 'You do not have permission to do this' });
+    }
+    req.profileId = await resolveProfileId(req.session);
+    if (await parentalControls.getRestriction(req.session)) {
+      return res.status(403).json({ error: 'Switch to an unrestricted profile to do this' });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Allow registering an account: anyone may register the first one (it becomes the admin), after that
+// only admins, so a guest or a restricted profile can't register its way to an unrestricted account
+const requireRegistrationAllowed = async (req, res, next) => {
+  try {
+    if (!await userService.hasAdmin()) return next();
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!req.session || !req.session.userId) {
+    return res.status(403).json({ error: 'Registration is closed, ask an admin to create your account' });
   }
-  res.status(401).json({ error: 'Authentication required' });
+  return requireRole('admin')(req, res, next);
 };
 
 module.exports = {
-  requireAuth
+  requireAuth,
+  optionalAuth,
+  requireUnrestricted,
+  requireRole,
+  requireRegistrationAllowed
 };
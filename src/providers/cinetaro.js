@@ -0,0 +1,25 @@
+/**
+ * Cinetaro streaming provider
+ * Movies and TV by TMDB ID, anime by AniList ID; language picks the audio/subtitles
+ */
+
+module.exports = {
+  name: 'cinetaro',
+  label: 'Cinetaro',
+  baseUrl: 'https://apicinetaro.falex43350.workers.dev',
+  types: ['movie', 'tv', 'anime'],
+  priority: 1,
+  // Audio/subtitle languages (anime: sub or dub)
+  languages: {
+    movie: ['english', 'spanish', 'french', 'german'],
+    tv: ['english', 'spanish', 'french', 'german'],
+    anime: ['sub', 'dub', 'hindi']
+  },
+
+  buildUrl({ baseUrl, id, type, season, episode, language, animeType }) {
+    if (type === 'movie') return `${baseUrl}/movie/${id}/${language}`;
+    if (type === 'tv') return `${baseUrl}/tv/${id}/${season}/${episode}/${language}`;
+    if (type === 'anime') return `${baseUrl}/anime/anilist/${animeType}/${id}/${season}/${episode}`;
+    return null;
+  }
+};
@@ -0,0 +1,13 @@
+/**
+ * Cinetaro mirror (same URL format as cinetaro)
+ */
+
+const cinetaro = require('./cinetaro');
+
+module.exports = {
+  ...cinetaro,
+  name: 'cinetaro-alt',
+  label: 'Cinetaro (mirror)',
+  baseUrl: 'https://cinetaro-api.vercel.app',
+  priority: 2
+};
@@ -0,0 +1,17 @@
+/**
+ * Generic embed streaming provider (movies and TV by TMDB ID)
+ */
+
+module.exports = {
+  name: 'embed',
+  label: 'Embed',
+  baseUrl: 'https://embed.su',
+  types: ['movie', 'tv'],
+  priority: 4,
+
+  buildUrl({ baseUrl, id, type, season, episode }) {
+    if (type === 'movie') return `${baseUrl}/embed/movie/${id}`;
+    if (type === 'tv') return `${baseUrl}/embed/tv/${id}/${season}/${episode}`;
+    return null;
+  }
+};
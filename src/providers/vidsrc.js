@@ -0,0 +1,17 @@
+/**
+ * VidSrc streaming provider (movies and TV by TMDB ID)
+ */
+
+module.exports = {
+  name: 'vidsrc',
+  label: 'VidSrc',
+  baseUrl: 'https://vidsrc.me',
+  types: ['movie', 'tv'],
+  priority: 3,
+
+  buildUrl({ baseUrl, id, type, season, episode }) {
+    if (type === 'movie') return `${baseUrl}/embed/movie/${id}`;
+    if (type === 'tv') return `${baseUrl}/embed/tv/${id}/${season}-${episode}`;
+    return null;
+  }
+};
@@ -6,6 +6,8 @@
 const express = require('express');
 const router = express.Router();
 const MovieAPI = require('../services/movieAPI');
+const parentalControls = require('../services/parentalControls');
+const streamReportService = require('../services/streamReportService');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 const movieAPI = new MovieAPI();
@@ -48,10 +50,21 @@ async function bulkLoad(endpoints, startPage, pageCount, batchSize = 2, delay =
   return allItems;
 }
 
+// Helper to hide titles above the session's parental controls limit
+// (and titles confirmed as not streaming with ?hideBroken=true)
+async function filterForSession(req, items) {
+  const restriction = await parentalControls.getRestriction(req.session);
+  const allowed = await parentalControls.filterItems(items, restriction);
+  if (req.query.hideBroken !== 'true') return allowed;
+
+  const broken = await streamReportService.getBrokenMediaIds();
+  return allowed.filter(item => !broken.has(item.id));
+}
+
 // Get featured content
 router.get('/featured', asyncHandler(async (req, res) => {
   const featured = await movieAPI.getFeatured();
-  res.json(featured);
+  res.json(await filterForSession(req, featured));
 }));
 
 // Get popular movies
@@ -59,7 +72,7 @@ router.get('/popular/movies', asyncHandler(async (req, res) => {
   const { page = 1 } = req.query;
   const movies = await movieAPI.getPopularMovies(parseInt(page));
   console.log(`[TMDB] Loaded ${movies.length} popular movies from page ${page}`);
-  res.json(movies);
+  res.json(await filterForSession(req, movies));
 }));
 
 // Get bulk movies
@@ -90,7 +103,7 @@ router.get('/bulk/movies', asyncHandler(async (req, res) => {
   });
 
   console.log(`[TMDB] Bulk load complete: ${uniqueMovies.length} unique movies`);
-  res.json(uniqueMovies);
+  res.json(await filterForSession(req, uniqueMovies));
 }));
 
 // Get popular TV shows
@@ -98,7 +111,7 @@ router.get('/popular/tv', asyncHandler(async (req, res) => {
   const { page = 1 } = req.query;
   const tvShows = await movieAPI.getPopularTVShows(parseInt(page));
   console.log(`[TMDB] Loaded ${tvShows.length} popular TV shows from page ${page}`);
-  res.json(tvShows);
+  res.json(await filterForSession(req, tvShows));
 }));
 
 // Get bulk TV shows
@@ -117,7 +130,7 @@ router.get('/bulk/tv', asyncHandler(async (req, res) => {
   const uniqueShows = movieAPI.deduplicateMedia(allShows);
 
   console.log(`[TV] Bulk load complete: ${uniqueShows.length} unique TV shows`);
-  res.json(uniqueShows);
+  res.json(await filterForSession(req, uniqueShows));
 }));
 
 // Get popular anime
@@ -130,7 +143,7 @@ router.get('/popular/anime', asyncHandler(async (req, res) => {
   ]);
   const combined = [...jikanAnime, ...anilistAnime];
   const uniqueAnime = movieAPI.deduplicateMedia(combined);
-  res.json(uniqueAnime);
+  res.json(await filterForSession(req, uniqueAnime));
 }));
 
 // Get bulk anime
@@ -148,7 +161,7 @@ router.get('/bulk/anime', asyncHandler(async (req, res) => {
   const uniqueAnime = movieAPI.deduplicateMedia(allAnime);
 
   console.log(`[Anime] Bulk load complete: ${uniqueAnime.length} unique anime`);
-  res.json(uniqueAnime);
+  res.json(await filterForSession(req, uniqueAnime));
 }));
 
 // Get cartoons
@@ -156,7 +169,7 @@ router.get('/cartoons', asyncHandler(async (req, res) => {
   const { page = 1 } = req.query;
   const cartoons = await movieAPI.getCartoons(parseInt(page));
   console.log(`[Cartoons] Loaded ${cartoons.length} cartoons`);
-  res.json(cartoons);
+  res.json(await filterForSession(req, cartoons));
 }));
 
 // Get bulk cartoons
@@ -181,7 +194,7 @@ router.get('/bulk/cartoons', asyncHandler(async (req, res) => {
   );
 
   console.log(`[Cartoons] Bulk load complete: ${deduplicated.length} unique cartoons`);
-  res.json(deduplicated);
+  res.json(await filterForSession(req, deduplicated));
 }));
 
 // Get genres - returns genre map from TMDB
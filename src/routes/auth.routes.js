@@ -5,13 +5,16 @@
 const express = require('express');
 const router = express.Router();
 const UserService = require('../services/userService');
-const { requireAuth } = require('../middleware/auth');
+const ProfileService = require('../services/profileService');
+const parentalControls = require('../services/parentalControls');
+const { requireAuth, requireRegistrationAllowed } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 const userService = new UserService();
+const profileService = new ProfileService();
 
-// Register new user
-router.post('/register', asyncHandler(async (req, res) => {
+// Register new user (open until the admin exists, then admins only; an admin stays logged in as themselves)
+router.post('/register', requireRegistrationAllowed, asyncHandler(async (req, res) => {
   const { username, password, displayName } = req.body;
 
   if (!username || !password) {
@@ -23,8 +26,14 @@ router.post('/register', asyncHandler(async (req, res) => {
   }
 
   const user = await userService.register(username, password, displayName);
+  if (req.user) {
+    return res.status(201).json({ message: 'User registered successfully', user });
+  }
+
   req.session.userId = user.id;
   req.session.username = user.username;
+  delete req.session.profileId; // Start on the main profile
+  parentalControls.lock(req.session);
 
   res.status(201).json({ message: 'User registered successfully', user });
 }));
@@ -40,6 +49,8 @@ router.post('/login', asyncHandler(async (req, res) => {
   const user = await userService.authenticate(username, password);
   req.session.userId = user.id;
   req.session.username = user.username;
+  delete req.session.profileId; // Start on the main profile
+  parentalControls.lock(req.session);
 
   res.json({ message: 'Login successful', user });
 }));
@@ -60,7 +71,62 @@ router.get('/me', requireAuth, asyncHandler(async (req, res) => {
   if (!user) {
     return res.status(404).json({ error: 'User not found' });
   }
-  res.json(user);
+  const profile = await profileService.getProfile(user.id, req.profileId);
+  res.json({
+    ...user,
+    activeProfile: profile ? profileService.toPublicProfile(profile) : null,
+    parentalUnlocked: !!req.session.parentalUnlocked
+  });
+}));
+
+// Switch the active profile of the household account (no new login needed)
+// Profiles with a PIN require it, unless already active; leaving a restricted profile for a
+// less restricted one always requires a PIN (the profile's, else the account's)
+router.post('/profile', requireAuth, asyncHandler(async (req, res) => {
+  const { profileId, pin } = req.body;
+
+  if (!profileId) {
+    return res.status(400).json({ error: 'profileId is required' });
+  }
+
+  const profile = await profileService.getProfile(req.session.userId, profileId);
+  if (!profile) {
+    return res.status(404).json({ error: 'Profile not found' });
+  }
+
+  const requiredPin = await parentalControls.getSwitchPin(req.session, profile);
+  if (requiredPin) {
+    if (!requiredPin.hash) {
+      return res.status(403).json({ error: 'Set a PIN on the main profile to leave a restricted profile' });
+    }
+    if (!pin) {
+      return res.status(403).json({ error: 'This profile requires a PIN', pinRequired: true });
+    }
+    await parentalControls.verifyPin(requiredPin.ownerId, pin, requiredPin.hash);
+  }
+
+  req.session.profileId = profile.id;
+  parentalControls.lock(req.session);
+
+  res.json({ message: 'Profile switched', profile: profileService.toPublicProfile(profile) });
 }));
 
+// Unlock parental controls for this session with the user's PIN
+router.post('/parental/unlock', requireAuth, asyncHandler(async (req, res) => {
+  const { pin } = req.body;
+
+  if (!pin) {
+    return res.status(400).json({ error: 'PIN is required' });
+  }
+
+  await parentalControls.unlock(req.session, pin);
+  res.json({ message: 'Parental controls unlocked', parentalUnlocked: true });
+}));
+
+// Restore parental controls for this session
+router.post('/parental/lock', requireAuth, (req, res) => {
+  parentalControls.lock(req.session);
+  res.json({ message: 'Parental controls locked', parentalUnlocked: false });
+});
+
 module.exports = router;
@@ -0,0 +1,30 @@
+/**
+ * API Cache Routes
+ * Statistics and purging of the external API cache (admin only)
+ */
+
+const express = require('express');
+const router = express.Router();
+const apiCache = require('../services/apiCache');
+const { requireRole } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+router.use(requireRole('admin'));
+
+// Get cache statistics (hits, memory and disk use per endpoint)
+router.get('/', asyncHandler(async (req, res) => {
+  res.json(await apiCache.getStats());
+}));
+
+// Purge the cache (?endpoint=trending purges one endpoint)
+router.delete('/', asyncHandler(async (req, res) => {
+  const { endpoint } = req.query;
+  if (endpoint !== undefined && !/^[a-zA-Z]+$/.test(endpoint)) {
+    return res.status(400).json({ error: 'Invalid endpoint' });
+  }
+
+  const purged = await apiCache.purge(endpoint || null);
+  res.json({ message: endpoint ? `Cache of ${endpoint} purged` : 'Cache purged', purged });
+}));
+
+module.exports = router;
@@ -0,0 +1,189 @@
+/**
+ * Collections Routes
+ * Collections/playlists of the active profile, and collections shared by other household members
+ */
+
+const express = require('express');
+const router = express.Router();
+const collectionsService = require('../services/collectionsService');
+const parentalControls = require('../services/parentalControls');
+const MediaScanner = require('../services/mediaScanner');
+const ProfileService = require('../services/profileService');
+const config = require('../config');
+const { isApiMediaId } = require('../utils/mediaIds');
+const { requireAuth } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const mediaScanner = new MediaScanner(config.mediaPath);
+const profileService = new ProfileService();
+
+// Hosts the cover of an API title may be redirected to (snapshots are stored as clients send them)
+const COVER_HOSTS = ['image.tmdb.org'];
+
+// Collection as returned to clients: item snapshots replaced by a count and a cover URL
+async function toSummary(collection, allMedia, req) {
+  const { mediaData, ...summary } = collection;
+  const owner = collection.ownerId === req.profileId ? null : await profileService.getProfile(req.session.userId, collection.ownerId);
+  return {
+    ...summary,
+    itemCount: collection.mediaIds.length,
+    coverUrl: collectionsService.getCoverUrl(collection, allMedia),
+    isOwner: collection.ownerId === req.profileId,
+    ownerName: owner ? owner.name : null
+  };
+}
+
+// Check if a cover URL may be redirected to: a local thumbnail or an image on an allowed host
+function isAllowedCoverUrl(coverUrl) {
+  if (/^\/api\/thumbnail\/[\w-]+$/.test(coverUrl)) return true;
+  try {
+    const url = new URL(coverUrl);
+    return url.protocol === 'https:' && COVER_HOSTS.includes(url.hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Helper to validate name/description/shared fields of a request body
+function validateFields(body, requireName) {
+  const { name, description, shared } = body;
+  if ((requireName || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+    return 'Collection name is required';
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    return 'Description must be a string';
+  }
+  if (shared !== undefined && typeof shared !== 'boolean') {
+    return 'shared must be true or false';
+  }
+  return null;
+}
+
+// Get the active profile's collections
+router.get('/', requireAuth, asyncHandler(async (req, res) => {
+  const [collections, allMedia] = await Promise.all([
+    collectionsService.getCollections(req.profileId),
+    mediaScanner.getLibrary()
+  ]);
+  res.json(await Promise.all(collections.map(c => toSummary(c, allMedia, req))));
+}));
+
+// Get collections shared by the account's other profiles
+router.get('/shared', requireAuth, asyncHandler(async (req, res) => {
+  const [collections, allMedia] = await Promise.all([
+    profileService.getProfileIds(req.session.userId)
+      .then(householdIds => collectionsService.getSharedCollections(req.profileId, householdIds)),
+    mediaScanner.getLibrary()
+  ]);
+  res.json(await Promise.all(collections.map(c => toSummary(c, allMedia, req))));
+}));
+
+// Create a collection
+router.post('/', requireAuth, asyncHandler(async (req, res) => {
+  const error = validateFields(req.body, true);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { name, description = '', shared = false } = req.body;
+  const collection = await collectionsService.createCollection(req.profileId, name.trim(), description, { shared });
+  res.status(201).json({ message: 'Collection created', collection: await toSummary(collection, [], req) });
+}));
+
+// Get a collection with its items in order
+// API titles above the active profile's parental controls limit are left out; whether an item is an
+// API title and its certification are taken from its media ID, not from the snapshot a client stored
+router.get('/:collectionId', requireAuth, asyncHandler(async (req, res) => {
+  const householdIds = await profileService.getProfileIds(req.session.userId);
+  const collection = await collectionsService.getVisibleCollection(req.profileId, req.params.collectionId, householdIds);
+  if (!collection) {
+    return res.status(404).json({ error: 'Collection not found' });
+  }
+
+  const allMedia = await mediaScanner.getLibrary();
+  const restriction = await parentalControls.getRestriction(req.session);
+  const media = collectionsService.resolveMedia(collection, allMedia);
+  const lookups = media
+    .filter(item => isApiMediaId(item.id))
+    .map(item => ({ ...parentalControls.getItemFromMediaId(item.id), item }));
+  const allowed = new Set((await parentalControls.filterItems(lookups, restriction)).map(lookup => lookup.item));
+
+  res.json({
+    ...await toSummary(collection, allMedia, req),
+    media: media.filter(item => !isApiMediaId(item.id) || allowed.has(item))
+  });
+}));
+
+// Update a collection (name, description, shared, coverMediaId)
+router.put('/:collectionId', requireAuth, asyncHandler(async (req, res) => {
+  const error = validateFields(req.body, false);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { name, description, shared, coverMediaId } = req.body;
+  const collection = await collectionsService.updateCollection(req.profileId, req.params.collectionId, {
+    name: name !== undefined ? name.trim() : undefined,
+    description,
+    shared,
+    coverMediaId
+  });
+  const allMedia = await mediaScanner.getLibrary();
+  res.json({ message: 'Collection updated', collection: await toSummary(collection, allMedia, req) });
+}));
+
+// Delete a collection
+router.delete('/:collectionId', requireAuth, asyncHandler(async (req, res) => {
+  await collectionsService.deleteCollection(req.profileId, req.params.collectionId);
+  res.json({ message: 'Collection deleted' });
+}));
+
+// Get a collection's cover image (redirects only to a local thumbnail or a TMDB image)
+router.get('/:collectionId/cover', requireAuth, asyncHandler(async (req, res) => {
+  const householdIds = await profileService.getProfileIds(req.session.userId);
+  const collection = await collectionsService.getVisibleCollection(req.profileId, req.params.collectionId, householdIds);
+  if (!collection) {
+    return res.status(404).json({ error: 'Collection not found' });
+  }
+
+  const coverUrl = collectionsService.getCoverUrl(collection, await mediaScanner.getLibrary());
+  if (!coverUrl || !isAllowedCoverUrl(coverUrl)) {
+    return res.status(404).json({ error: 'Collection has no cover' });
+  }
+  res.redirect(coverUrl);
+}));
+
+// Add an item (body: mediaId plus the title, posterUrl, type... shown for API titles)
+router.post('/:collectionId/items', requireAuth, asyncHandler(async (req, res) => {
+  const { mediaId, ...mediaData } = req.body;
+
+  if (!mediaId) {
+    return res.status(400).json({ error: 'Media ID is required' });
+  }
+
+  const collection = await collectionsService.addToCollection(req.profileId, req.params.collectionId, mediaId, mediaData);
+  const allMedia = await mediaScanner.getLibrary();
+  res.status(201).json({ message: 'Added to collection', collection: await toSummary(collection, allMedia, req) });
+}));
+
+// Reorder items (body: { mediaIds: [...] } listing every item in the new order)
+router.put('/:collectionId/items', requireAuth, asyncHandler(async (req, res) => {
+  const { mediaIds } = req.body;
+
+  if (!Array.isArray(mediaIds)) {
+    return res.status(400).json({ error: 'mediaIds must be an array' });
+  }
+
+  const collection = await collectionsService.reorderCollection(req.profileId, req.params.collectionId, mediaIds);
+  const allMedia = await mediaScanner.getLibrary();
+  res.json({ message: 'Collection reordered', collection: await toSummary(collection, allMedia, req) });
+}));
+
+// Remove an item
+router.delete('/:collectionId/items/:mediaId', requireAuth, asyncHandler(async (req, res) => {
+  const collection = await collectionsService.removeFromCollection(req.profileId, req.params.collectionId, req.params.mediaId);
+  const allMedia = await mediaScanner.getLibrary();
+  res.json({ message: 'Removed from collection', collection: await toSummary(collection, allMedia, req) });
+}));
+
+module.exports = router;
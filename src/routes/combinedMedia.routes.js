@@ -6,6 +6,7 @@ const express = require('express');
 const router = express.Router();
 const MediaScanner = require('../services/mediaScanner');
 const MovieAPI = require('../services/movieAPI');
+const libraryService = require('../services/libraryService');
 const config = require('../config');
 const { asyncHandler } = require('../middleware/errorHandler');
 
@@ -13,6 +14,7 @@ const mediaScanner = new MediaScanner(config.mediaPath);
 const movieAPI = new MovieAPI();
 
 // Get all media (local + API)
+// source: 'all', 'local', 'api' or a library ID
 router.get('/all', asyncHandler(async (req, res) => {
   const { page = 1, source = 'all', genre } = req.query;
   
@@ -20,8 +22,14 @@ router.get('/all', asyncHandler(async (req, res) => {
   
   // Get local media
   if (source === 'all' || source === 'local') {
-    const localMedia = await mediaScanner.scan();
+    const localMedia = await mediaScanner.getLibrary();
     allMedia.push(...localMedia);
+  } else if (source !== 'api') {
+    const library = await libraryService.getLibrary(source);
+    if (!library) {
+      return res.status(400).json({ error: `Unknown source: ${source}` });
+    }
+    allMedia.push(...await mediaScanner.getByLibrary(library.id));
   }
   
   // Get API content if requested
@@ -66,7 +74,7 @@ router.get('/genres', asyncHandler(async (req, res) => {
   let allMedia = [];
   
   // Get local media
-  const localMedia = await mediaScanner.scan();
+  const localMedia = await mediaScanner.getLibrary();
   allMedia.push(...localMedia);
   
   // Get API content
@@ -0,0 +1,36 @@
+/**
+ * Server-Sent Events Routes
+ * Pushes live updates (library changes, etc.) to connected clients
+ */
+
+const express = require('express');
+const router = express.Router();
+const eventBus = require('../services/eventBus');
+
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+// Subscribe to server events
+router.get('/', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = eventBus.subscribe((event) => {
+    res.write(`event: ${event.type}\n`);
+    res.write(`data: ${JSON.stringify({ ...event.data, timestamp: event.timestamp })}\n\n`);
+  });
+
+  // Comment lines keep proxies and browsers from closing idle connections
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
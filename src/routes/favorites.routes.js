@@ -12,7 +12,7 @@ const favoritesService = new FavoritesService();
 
 // Get user's favorites
 router.get('/', requireAuth, asyncHandler(async (req, res) => {
-  const favorites = await favoritesService.getUserFavorites(req.session.userId);
+  const favorites = await favoritesService.getUserFavorites(req.profileId);
   res.json(favorites);
 }));
 
@@ -24,14 +24,14 @@ router.post('/', requireAuth, asyncHandler(async (req, res) => {
     return res.status(400).json({ error: 'Media ID is required' });
   }
 
-  const favorite = await favoritesService.addFavorite(req.session.userId, mediaId, mediaData);
+  const favorite = await favoritesService.addFavorite(req.profileId, mediaId, mediaData);
   res.status(201).json({ message: 'Added to favorites', favorite });
 }));
 
 // Remove from favorites
 router.delete('/:mediaId', requireAuth, asyncHandler(async (req, res) => {
   const { mediaId } = req.params;
-  const removed = await favoritesService.removeFavorite(req.session.userId, mediaId);
+  const removed = await favoritesService.removeFavorite(req.profileId, mediaId);
 
   if (removed) {
     res.json({ message: 'Removed from favorites' });
@@ -43,7 +43,7 @@ router.delete('/:mediaId', requireAuth, asyncHandler(async (req, res) => {
 // Check if item is favorited
 router.get('/:mediaId', requireAuth, asyncHandler(async (req, res) => {
   const { mediaId } = req.params;
-  const isFavorited = await favoritesService.isFavorited(req.session.userId, mediaId);
+  const isFavorited = await favoritesService.isFavorited(req.profileId, mediaId);
   res.json({ isFavorited });
 }));
 
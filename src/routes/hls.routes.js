@@ -0,0 +1,120 @@
+/**
+ * HLS Streaming Routes (on-demand transcoding of local files)
+ * Mounted next to /api/stream/:id so browsers that can't play the original
+ * container or codecs still get an adaptive stream
+ */
+
+const express = require('express');
+const router = express.Router();
+const MediaScanner = require('../services/mediaScanner');
+const HlsTranscoder = require('../services/hlsTranscoder');
+const playbackDecision = require('../services/playbackDecision');
+const config = require('../config');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const mediaScanner = new MediaScanner(config.mediaPath);
+const hlsTranscoder = new HlsTranscoder(config.transcoding);
+
+const FILE_PATTERN = /^(master|index)\.m3u8$|^segment_\d+\.ts$/;
+const VARIANT_PATTERN = /^[\w-]+$/;
+// Token the player picks for one playback and sends back when it stops
+const VIEWER_PATTERN = /^[\w-]{8,64}$/;
+
+// Viewer token of a request, or null when missing or malformed
+function getViewerId(req) {
+  const { viewer } = req.query;
+  return typeof viewer === 'string' && VIEWER_PATTERN.test(viewer) ? viewer : null;
+}
+
+// Start (or reuse) a transcoding session and redirect to its master playlist
+// ?start=<seconds> begins the stream at any position, ?audioTrack=<n> picks the audio track,
+// ?viewer=<token> keeps the session running until that viewer releases it
+router.get('/:id/hls/master.m3u8', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const startTime = parseFloat(req.query.start) || 0;
+
+  const media = await mediaScanner.getMetadata(id);
+  if (!media) {
+    return res.status(404).json({ error: 'Media not found' });
+  }
+  if (media.type !== 'video') {
+    return res.status(400).json({ error: 'HLS is only available for video files' });
+  }
+
+  const probe = await mediaScanner.getProbeData(id);
+  const hasAudio = probe && probe.streams
+    ? probe.streams.some(s => s.codec_type === 'audio')
+    : true;
+
+  const session = await hlsTranscoder.getSession(id, media.path, {
+    startTime,
+    sourceHeight: media.resolution ? media.resolution.height : null,
+    hasAudio,
+    audioTrack: playbackDecision.parseAudioTrack(req.query.audioTrack, media),
+    viewerId: getViewerId(req)
+  });
+
+  const masterPath = hlsTranscoder.resolveSessionFile(session, 'master.m3u8');
+  const ready = await hlsTranscoder.waitForFile(session, masterPath);
+  if (!ready) {
+    return res.status(504).json({ error: 'Transcoding did not start in time' });
+  }
+
+  res.redirect(`${req.baseUrl}/${id}/hls/${session.id}/master.m3u8`);
+}));
+
+// Serve playlists and segments for a session
+// Paths are relative to the master playlist: <session>/master.m3u8, <session>/<variant>/index.m3u8, ...
+router.get(['/:id/hls/:sessionId/:file', '/:id/hls/:sessionId/:variant/:file'], asyncHandler(async (req, res) => {
+  const { sessionId, variant, file } = req.params;
+
+  if (!FILE_PATTERN.test(file) || (variant && !VARIANT_PATTERN.test(variant))) {
+    return res.status(400).json({ error: 'Invalid HLS file' });
+  }
+
+  const session = hlsTranscoder.touchSession(sessionId);
+  if (!session || session.mediaId !== req.params.id) {
+    return res.status(404).json({ error: 'Transcoding session expired' });
+  }
+
+  const filePath = hlsTranscoder.resolveSessionFile(session, variant ? `${variant}/${file}` : file);
+  if (!filePath || !(await hlsTranscoder.waitForFile(session, filePath))) {
+    return res.status(404).json({ error: 'HLS file not found' });
+  }
+
+  if (file.endsWith('.m3u8')) {
+    res.set('Content-Type', 'application/vnd.apple.mpegurl');
+    res.set('Cache-Control', 'no-cache');
+  } else {
+    res.set('Content-Type', 'video/mp2t');
+  }
+  res.sendFile(filePath);
+}));
+
+// Leave the sessions of a playback early (e.g. when the player closes), ?viewer=<token> as sent to the master playlist
+// A session only stops once every viewer has left; others keep watching
+router.delete('/:id/hls', asyncHandler(async (req, res) => {
+  const viewerId = getViewerId(req);
+  if (!viewerId) {
+    return res.status(400).json({ error: 'viewer is required' });
+  }
+  const stopped = await hlsTranscoder.releaseViewer(viewerId);
+  res.json({ message: stopped > 0 ? 'Transcoding session stopped' : 'Left the transcoding session', stopped: stopped > 0 });
+}));
+
+// Leave one session early, ?viewer=<token> as sent to the master playlist
+router.delete('/:id/hls/:sessionId', asyncHandler(async (req, res) => {
+  const viewerId = getViewerId(req);
+  if (!viewerId) {
+    return res.status(400).json({ error: 'viewer is required' });
+  }
+  const session = hlsTranscoder.touchSession(req.params.sessionId);
+  if (!session || session.mediaId !== req.params.id) {
+    return res.status(404).json({ error: 'Transcoding session not found' });
+  }
+  const stopped = await hlsTranscoder.releaseSession(session.id, viewerId);
+  res.json({ message: stopped ? 'Transcoding session stopped' : 'Left the transcoding session', stopped });
+}));
+
+module.exports = router;
+module.exports.hlsTranscoder = hlsTranscoder;
@@ -0,0 +1,63 @@
+/**
+ * Job Routes
+ * List, cancel and retry background jobs (metadata extraction, thumbnails, seek previews)
+ */
+
+const express = require('express');
+const router = express.Router();
+const jobQueue = require('../services/jobQueue');
+const { requireRole } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+router.use(requireRole('admin'));
+
+// Get jobs, newest first (?status=failed&type=metadata), with counts per status
+router.get('/', asyncHandler(async (req, res) => {
+  const { status, type } = req.query;
+  if (status && !JOB_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${JOB_STATUSES.join(', ')}` });
+  }
+
+  await jobQueue.load();
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  const jobs = jobQueue.list({ status, type });
+  res.json({
+    counts: jobQueue.getCounts(),
+    total: jobs.length,
+    jobs: jobs.slice(0, limit)
+  });
+}));
+
+// Get a job
+router.get('/:jobId', asyncHandler(async (req, res) => {
+  await jobQueue.load();
+  const job = jobQueue.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(job);
+}));
+
+// Cancel a queued or running job
+router.post('/:jobId/cancel', asyncHandler(async (req, res) => {
+  await jobQueue.load();
+  const job = await jobQueue.cancel(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json({ message: 'Job cancelled', job });
+}));
+
+// Run a failed or cancelled job again
+router.post('/:jobId/retry', asyncHandler(async (req, res) => {
+  await jobQueue.load();
+  const job = await jobQueue.retry(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json({ message: 'Job queued', job });
+}));
+
+module.exports = router;
@@ -0,0 +1,98 @@
+/**
+ * Library Routes
+ * Manage named media libraries (Movies, TV, Music, Home Videos, ...)
+ */
+
+const express = require('express');
+const router = express.Router();
+const MediaScanner = require('../services/mediaScanner');
+const libraryService = require('../services/libraryService');
+const eventBus = require('../services/eventBus');
+const config = require('../config');
+const { requireRole } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const mediaScanner = new MediaScanner(config.mediaPath);
+
+// Rescan in the background after a library changed and notify clients
+function rescanLibraries() {
+  eventBus.publish('libraries', {});
+  mediaScanner.queueRefresh()
+    .then(({ added, updated, moved, removed, total }) => {
+      eventBus.publish('library', { added, updated, moved, removed, total });
+    })
+    .catch(error => console.error('Library rescan failed:', error.message));
+}
+
+// Add item counts to a library
+function withCounts(library, media) {
+  const items = media.filter(item => item.libraryId === library.id);
+  return {
+    ...library,
+    itemCount: items.length,
+    videoCount: items.filter(item => item.type === 'video').length,
+    audioCount: items.filter(item => item.type === 'audio').length
+  };
+}
+
+// Get all libraries
+router.get('/', asyncHandler(async (req, res) => {
+  const libraries = await libraryService.getLibraries();
+  const media = await mediaScanner.getLibrary();
+  res.json(libraries.map(library => withCounts(library, media)));
+}));
+
+// Get available library types
+router.get('/types', (req, res) => {
+  res.json(libraryService.getTypes());
+});
+
+// Get a library
+router.get('/:libraryId', asyncHandler(async (req, res) => {
+  const library = await libraryService.getLibrary(req.params.libraryId);
+  if (!library) {
+    return res.status(404).json({ error: 'Library not found' });
+  }
+  const media = await mediaScanner.getLibrary();
+  res.json(withCounts(library, media));
+}));
+
+// Get media of a library
+router.get('/:libraryId/media', asyncHandler(async (req, res) => {
+  const library = await libraryService.getLibrary(req.params.libraryId);
+  if (!library) {
+    return res.status(404).json({ error: 'Library not found' });
+  }
+  res.json(await mediaScanner.getByLibrary(library.id));
+}));
+
+// Create a library
+router.post('/', requireRole('admin'), asyncHandler(async (req, res) => {
+  const { name, type, paths } = req.body;
+  const library = await libraryService.createLibrary({ name, type, paths });
+  rescanLibraries();
+  res.status(201).json({ message: 'Library created', library });
+}));
+
+// Update a library
+router.put('/:libraryId', requireRole('admin'), asyncHandler(async (req, res) => {
+  const { name, type, paths } = req.body;
+  const library = await libraryService.updateLibrary(req.params.libraryId, { name, type, paths });
+  if (!library) {
+    return res.status(404).json({ error: 'Library not found' });
+  }
+  rescanLibraries();
+  res.json({ message: 'Library updated', library });
+}));
+
+// Delete a library (files stay on disk, they are only removed from the index)
+router.delete('/:libraryId', requireRole('admin'), asyncHandler(async (req, res) => {
+  const deleted = await libraryService.deleteLibrary(req.params.libraryId);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Library not found' });
+  }
+  rescanLibraries();
+  res.json({ message: 'Library deleted' });
+}));
+
+module.exports = router;
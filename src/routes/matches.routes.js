@@ -0,0 +1,95 @@
+/**
+ * Metadata Match Routes
+ * Review and correct TMDB matches of local movies and series
+ */
+
+const express = require('express');
+const router = express.Router();
+const metadataMatcher = require('../services/metadataMatcher');
+const config = require('../config');
+const { requireRole } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const MATCH_STATUSES = ['matched', 'low-confidence', 'unmatched', 'manual', 'ignored'];
+const MATCH_TYPES = ['movie', 'tv'];
+
+router.use(requireRole('admin'));
+
+// Get matches (?status=low-confidence lists the ones to review)
+router.get('/', asyncHandler(async (req, res) => {
+  const { status } = req.query;
+  if (status && !MATCH_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${MATCH_STATUSES.join(', ')}` });
+  }
+
+  await metadataMatcher.load();
+  const matches = metadataMatcher.getMatches(status)
+    .sort((a, b) => (a.confidence || 0) - (b.confidence || 0));
+  res.json(matches);
+}));
+
+// Match new and renamed items now (force: true rematches everything except manual matches)
+router.post('/run', asyncHandler(async (req, res) => {
+  if (!config.tmdbApiKey) {
+    return res.status(503).json({ error: 'TMDB API key is not configured' });
+  }
+
+  const summary = await metadataMatcher.matchLibrary({ force: req.body.force === true });
+  res.json({ message: 'Matching complete', ...summary });
+}));
+
+// Get the match of an item (with the other candidates)
+router.get('/:mediaId', asyncHandler(async (req, res) => {
+  await metadataMatcher.load();
+  const match = metadataMatcher.getMatch(req.params.mediaId);
+  if (!match) {
+    return res.status(404).json({ error: 'Match not found' });
+  }
+  res.json(match);
+}));
+
+// Correct a match by hand
+router.put('/:mediaId', asyncHandler(async (req, res) => {
+  const { tmdbId, type = 'movie' } = req.body;
+  if (!tmdbId || !Number.isInteger(Number(tmdbId))) {
+    return res.status(400).json({ error: 'tmdbId is required' });
+  }
+  if (!MATCH_TYPES.includes(type)) {
+    return res.status(400).json({ error: `Type must be one of: ${MATCH_TYPES.join(', ')}` });
+  }
+  if (!config.tmdbApiKey) {
+    return res.status(503).json({ error: 'TMDB API key is not configured' });
+  }
+
+  const match = await metadataMatcher.setManualMatch(req.params.mediaId, Number(tmdbId), type);
+  if (!match) {
+    return res.status(404).json({ error: 'TMDB title not found' });
+  }
+  res.json({ message: 'Match updated', match });
+}));
+
+// Accept the current candidate of a low-confidence match
+router.post('/:mediaId/confirm', asyncHandler(async (req, res) => {
+  await metadataMatcher.load();
+  const existing = metadataMatcher.getMatch(req.params.mediaId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Match not found' });
+  }
+  if (!existing.metadata) {
+    return res.status(400).json({ error: 'Item has no candidate to confirm' });
+  }
+
+  const match = await metadataMatcher.confirmMatch(existing.mediaId);
+  res.json({ message: 'Match confirmed', match });
+}));
+
+// Mark an item as having no TMDB match (its file name is shown instead)
+router.delete('/:mediaId', asyncHandler(async (req, res) => {
+  const match = await metadataMatcher.ignoreMatch(req.params.mediaId);
+  if (!match) {
+    return res.status(404).json({ error: 'Match not found' });
+  }
+  res.json({ message: 'Match removed', match });
+}));
+
+module.exports = router;
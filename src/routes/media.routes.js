@@ -9,18 +9,36 @@ const fs = require('fs-extra');
 const MediaScanner = require('../services/mediaScanner');
 const MediaStreamer = require('../services/mediaStreamer');
 const config = require('../config');
+const { requireRole } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const eventBus = require('../services/eventBus');
+const playbackDecision = require('../services/playbackDecision');
 
 const mediaScanner = new MediaScanner(config.mediaPath);
 const mediaStreamer = new MediaStreamer(config.mediaPath);
 
-// Get all media files
+// Get all media files (served from the library index, kept current by the watcher)
+// ?library=<id> limits the list to one library
 router.get('/', asyncHandler(async (req, res) => {
-  const media = await mediaScanner.scan();
+  const media = req.query.library
+    ? await mediaScanner.getByLibrary(req.query.library)
+    : await mediaScanner.getLibrary();
   res.json(media);
 }));
 
+// Trigger a library rescan
+// Unchanged files keep their IDs and cached metadata; pass { force: true } to re-probe everything
+router.post('/scan', requireRole('admin'), asyncHandler(async (req, res) => {
+  const force = req.body && req.body.force === true;
+  const summary = await mediaScanner.refresh({ force });
+  const { added, updated, moved, removed, total } = summary;
+  eventBus.publish('library', { added, updated, moved, removed, total });
+  res.json({ message: 'Library scan complete', ...summary });
+}));
+
 // Get media metadata (local files only)
+// Includes a playback decision for the client's ?containers=&videoCodecs=&audioCodecs=&hls=
+// and the requested ?audioTrack= (position among the file's audioTracks)
 // Note: This must come after /all, /genres, and /:mediaId/details routes
 router.get('/:id', asyncHandler(async (req, res) => {
   // Skip if this is actually a combined media route
@@ -33,7 +51,14 @@ router.get('/:id', asyncHandler(async (req, res) => {
   if (!metadata) {
     return res.status(404).json({ error: 'Media not found' });
   }
-  res.json(metadata);
+
+  const probe = await mediaScanner.getProbeData(id);
+  const capabilities = playbackDecision.parseCapabilities(req.query);
+  const audioTrack = playbackDecision.parseAudioTrack(req.query.audioTrack, metadata);
+  res.json({
+    ...metadata,
+    playback: playbackDecision.decide(metadata, probe, capabilities, audioTrack)
+  });
 }));
 
 // Note: /api/stream/:id and /api/thumbnail/:id are handled directly in server.js
@@ -4,14 +4,13 @@
 
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
 const MovieAPI = require('../services/movieAPI');
 const config = require('../config');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 const movieAPI = new MovieAPI();
 
-// Get enriched media details (TMDB + OMDb)
+// Get enriched media details (TMDB + OMDb), TMDB answers come from the API cache
 router.get('/:mediaId/details', asyncHandler(async (req, res) => {
   const { mediaId } = req.params;
   
@@ -24,7 +23,7 @@ router.get('/:mediaId/details', asyncHandler(async (req, res) => {
     type = 'movie';
     
     if (config.tmdbApiKey) {
-      const response = await axios.get(`https://api.themoviedb.org/3/movie/${id}`, {
+      const response = await movieAPI.cachedGet('details', `movie_full_details_${id}`, `${movieAPI.tmdbBaseUrl}/movie/${id}`, {
         params: {
           api_key: config.tmdbApiKey,
           language: 'en-US',
@@ -60,7 +59,7 @@ router.get('/:mediaId/details', asyncHandler(async (req, res) => {
     type = 'tv';
     
     if (config.tmdbApiKey) {
-      const response = await axios.get(`https://api.themoviedb.org/3/tv/${id}`, {
+      const response = await movieAPI.cachedGet('details', `tv_full_details_${id}`, `${movieAPI.tmdbBaseUrl}/tv/${id}`, {
         params: {
           api_key: config.tmdbApiKey,
           language: 'en-US',
@@ -0,0 +1,63 @@
+/**
+ * Music Routes
+ * Browse local music by artist, album and track
+ */
+
+const express = require('express');
+const router = express.Router();
+const musicService = require('../services/musicService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// Get all artists
+router.get('/artists', asyncHandler(async (req, res) => {
+  res.json(await musicService.getArtists());
+}));
+
+// Get an artist with their albums
+router.get('/artists/:artistId', asyncHandler(async (req, res) => {
+  const artist = await musicService.getArtist(req.params.artistId);
+  if (!artist) {
+    return res.status(404).json({ error: 'Artist not found' });
+  }
+  res.json(artist);
+}));
+
+// Get albums (?artist=<artistId> for one artist)
+router.get('/albums', asyncHandler(async (req, res) => {
+  res.json(await musicService.getAlbums({ artistId: req.query.artist }));
+}));
+
+// Get an album with its tracks
+router.get('/albums/:albumId', asyncHandler(async (req, res) => {
+  const album = await musicService.getAlbum(req.params.albumId);
+  if (!album) {
+    return res.status(404).json({ error: 'Album not found' });
+  }
+  res.json(album);
+}));
+
+// Get album cover art (embedded in the tracks or a cover image in the album folder)
+router.get('/albums/:albumId/cover', asyncHandler(async (req, res) => {
+  const coverPath = await musicService.getAlbumCover(req.params.albumId);
+  if (!coverPath) {
+    return res.status(404).json({ error: 'Cover not found' });
+  }
+  res.sendFile(coverPath);
+}));
+
+// Get tracks (?artist=<artistId>, ?album=<albumId>, ?q=<search>)
+router.get('/tracks', asyncHandler(async (req, res) => {
+  const { artist, album, q } = req.query;
+  res.json(await musicService.getTracks({ artistId: artist, albumId: album, q }));
+}));
+
+// Get a track
+router.get('/tracks/:trackId', asyncHandler(async (req, res) => {
+  const track = await musicService.getTrack(req.params.trackId);
+  if (!track) {
+    return res.status(404).json({ error: 'Track not found' });
+  }
+  res.json(track);
+}));
+
+module.exports = router;
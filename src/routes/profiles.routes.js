@@ -0,0 +1,66 @@
+/**
+ * Profiles Routes
+ * Profiles of the logged-in household account; switching happens through POST /api/auth/profile
+ */
+
+const express = require('express');
+const router = express.Router();
+const ProfileService = require('../services/profileService');
+const FavoritesService = require('../services/favoritesService');
+const watchHistoryService = require('../services/watchHistoryService');
+const collectionsService = require('../services/collectionsService');
+const { requireAuth, requireUnrestricted } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const profileService = new ProfileService();
+const favoritesService = new FavoritesService();
+
+// List profiles
+router.get('/', requireAuth, asyncHandler(async (req, res) => {
+  const profiles = await profileService.getProfiles(req.session.userId);
+  res.json({
+    activeProfileId: req.profileId,
+    avatars: ProfileService.AVATARS,
+    maxProfiles: ProfileService.MAX_PROFILES,
+    profiles
+  });
+}));
+
+// Profiles can only be managed from an unrestricted profile (or an unlocked session),
+// so a kids profile can't lift its own limit
+// Create a profile
+router.post('/', requireAuth, requireUnrestricted, asyncHandler(async (req, res) => {
+  const { name, avatar, maxCertification, pin } = req.body;
+  const profile = await profileService.createProfile(req.session.userId, { name, avatar, maxCertification, pin });
+  res.status(201).json({ message: 'Profile created', profile });
+}));
+
+// Update a profile (name, avatar, maxCertification and pin; null removes the limit or PIN)
+router.put('/:profileId', requireAuth, requireUnrestricted, asyncHandler(async (req, res) => {
+  const { name, avatar, maxCertification, pin } = req.body;
+  const profile = await profileService.updateProfile(req.session.userId, req.params.profileId, {
+    name, avatar, maxCertification, pin
+  });
+  res.json({ message: 'Profile updated', profile });
+}));
+
+// Delete a profile with its favorites, watch history and collections
+router.delete('/:profileId', requireAuth, requireUnrestricted, asyncHandler(async (req, res) => {
+  const { profileId } = req.params;
+  await profileService.deleteProfile(req.session.userId, profileId);
+
+  await Promise.all([
+    favoritesService.clearUserFavorites(profileId),
+    watchHistoryService.clearHistory(profileId),
+    collectionsService.clearCollections(profileId)
+  ]);
+
+  // Deleting the active profile switches back to the main one
+  if (req.session.profileId === profileId) {
+    delete req.session.profileId;
+  }
+
+  res.json({ message: 'Profile deleted' });
+}));
+
+module.exports = router;
@@ -0,0 +1,89 @@
+/**
+ * Recommendations Routes
+ * Personalized rows for the home page and "similar titles" for a media item
+ */
+
+const express = require('express');
+const router = express.Router();
+const recommendationsService = require('../services/recommendationsService');
+const watchHistoryService = require('../services/watchHistoryService');
+const streamReportService = require('../services/streamReportService');
+const FavoritesService = require('../services/favoritesService');
+const parentalControls = require('../services/parentalControls');
+const MediaScanner = require('../services/mediaScanner');
+const config = require('../config');
+const { requireAuth, optionalAuth } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const mediaScanner = new MediaScanner(config.mediaPath);
+const favoritesService = new FavoritesService();
+
+// Helper to parse a ?limit= between 1 and 50
+function parseLimit(value, defaultLimit) {
+  const limit = parseInt(value, 10);
+  return limit > 0 ? Math.min(limit, 50) : defaultLimit;
+}
+
+// Helper returning a filter that hides API titles above the session's parental controls limit
+function sessionFilter(req) {
+  return async items => {
+    const restriction = await parentalControls.getRestriction(req.session);
+    const apiItems = await parentalControls.filterItems(items.filter(item => item.source), restriction);
+    return items.filter(item => !item.source || apiItems.includes(item));
+  };
+}
+
+// Watch history without titles marked as unwatched
+async function getWatchedHistory(profileId) {
+  const history = await watchHistoryService.getHistory(profileId);
+  return history.filter(entry => entry.watched || entry.progress > 0);
+}
+
+// Media IDs reported as not streaming (open reports and confirmed titles)
+async function getNonStreamableIds() {
+  return Array.from(await streamReportService.getReportedMediaIds());
+}
+
+// Get recommendation rows for the active profile
+// ("Recommended For You", "Because you watched ...", "Because you liked ...")
+router.get('/recommendations', requireAuth, asyncHandler(async (req, res) => {
+  const [history, favorites, allMedia, excludeIds] = await Promise.all([
+    getWatchedHistory(req.profileId),
+    favoritesService.getUserFavorites(req.profileId),
+    mediaScanner.getLibrary(),
+    getNonStreamableIds()
+  ]);
+
+  const rows = await recommendationsService.getRecommendationRows({
+    history,
+    favorites,
+    allMedia,
+    excludeIds,
+    limit: parseLimit(req.query.limit, 20),
+    filter: sessionFilter(req)
+  });
+  res.json({ rows });
+}));
+
+// Get titles similar to a media item (watched titles are left out when logged in)
+router.get('/media/:mediaId/similar', optionalAuth, asyncHandler(async (req, res) => {
+  const [history, allMedia, nonStreamableIds] = await Promise.all([
+    req.profileId ? getWatchedHistory(req.profileId) : [],
+    mediaScanner.getLibrary(),
+    getNonStreamableIds()
+  ]);
+
+  const similar = await recommendationsService.getSimilar(req.params.mediaId, {
+    allMedia,
+    excludeIds: [...nonStreamableIds, ...history.map(entry => entry.mediaId)],
+    limit: parseLimit(req.query.limit, 12),
+    filter: sessionFilter(req)
+  });
+
+  if (!similar) {
+    return res.status(404).json({ error: 'Media not found' });
+  }
+  res.json(similar);
+}));
+
+module.exports = router;
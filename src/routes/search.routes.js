@@ -5,6 +5,7 @@
 const express = require('express');
 const router = express.Router();
 const MovieAPI = require('../services/movieAPI');
+const parentalControls = require('../services/parentalControls');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 const movieAPI = new MovieAPI();
@@ -33,6 +34,10 @@ router.get('/', asyncHandler(async (req, res) => {
   if (anime === '0') {
     results = results.filter(r => r.type !== 'anime');
   }
+
+  // Hide titles above the user's parental controls limit
+  const restriction = await parentalControls.getRestriction(req.session);
+  results = await parentalControls.filterItems(results, restriction);
   
   // Apply limit if specified
   if (limit) {
@@ -0,0 +1,42 @@
+/**
+ * Stream Report Routes
+ * Review, confirm and clear reports of titles that don't stream (admin only)
+ */
+
+const express = require('express');
+const router = express.Router();
+const streamReportService = require('../services/streamReportService');
+const { requireRole } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const STATUSES = ['reported', 'confirmed'];
+
+router.use(requireRole('admin'));
+
+// Get reported titles, most recently reported first (?status=reported|confirmed)
+router.get('/', asyncHandler(async (req, res) => {
+  const { status } = req.query;
+  if (status && !STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+  }
+  res.json(await streamReportService.getTitles(status));
+}));
+
+// Get a title's reports
+router.get('/:mediaId', asyncHandler(async (req, res) => {
+  res.json(await streamReportService.getTitle(req.params.mediaId));
+}));
+
+// Confirm a title as broken
+router.post('/:mediaId/confirm', asyncHandler(async (req, res) => {
+  const title = await streamReportService.confirm(req.params.mediaId, req.session.userId);
+  res.json({ message: 'Title confirmed as not streaming', title });
+}));
+
+// Clear a title's reports (?source=<name> clears only the reports against that source)
+router.delete('/:mediaId', asyncHandler(async (req, res) => {
+  const cleared = await streamReportService.clear(req.params.mediaId, req.query.source || null);
+  res.json({ message: 'Reports cleared', cleared });
+}));
+
+module.exports = router;
@@ -5,20 +5,36 @@
 const express = require('express');
 const router = express.Router();
 const MovieAPI = require('../services/movieAPI');
+const parentalControls = require('../services/parentalControls');
+const streamReportService = require('../services/streamReportService');
 const axios = require('axios');
 const config = require('../config');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 const movieAPI = new MovieAPI();
 
-// Get streaming URL with fallback support
+// Get the streaming URL and every candidate source (?source=<name> plays a given source)
 router.get('/:mediaId', asyncHandler(async (req, res) => {
   const { mediaId } = req.params;
-  const { type, season = 1, episode = 1, language = 'english', animeType = 'sub', subtitleLang } = req.query;
+  const { type, season = 1, episode = 1, language = 'english', animeType = 'sub', subtitleLang, source, check } = req.query;
   
   let id = null;
   let actualType = type;
   let anilistId = null;
+
+  // Titles above the user's parental controls limit can't be streamed
+  const restriction = await parentalControls.getRestriction(req.session);
+  if (restriction) {
+    const item = parentalControls.getItemFromMediaId(mediaId);
+    const { allowed, certification } = await parentalControls.checkItem(item, restriction);
+    if (!allowed) {
+      return res.status(403).json({
+        error: 'This title is blocked by parental controls',
+        certification,
+        maxCertification: restriction
+      });
+    }
+  }
   
   if (mediaId.startsWith('tmdb_movie_')) {
     id = mediaId.replace('tmdb_movie_', '');
@@ -57,18 +73,31 @@ router.get('/:mediaId', asyncHandler(async (req, res) => {
   }
   
   const streamLanguage = subtitleLang || language;
-  const streamingUrl = await movieAPI.getStreamingUrl(id, actualType, {
+  const sources = await streamReportService.demoteSources(mediaId, movieAPI.getStreamingSources(id, actualType, {
     season: parseInt(season),
     episode: parseInt(episode),
     language: streamLanguage,
     animeType
-  }, true); // checkAvailability = true
+  }), actualType === 'tv' ? { season: parseInt(season), episode: parseInt(episode) } : {});
 
-  if (!streamingUrl) {
+  if (sources.length === 0) {
     return res.status(404).json({ error: 'Streaming not available from any source.' });
   }
 
-  res.json({ streamingUrl, type: 'cinetaro', language: streamLanguage });
+  // A source the user picked is used as is; otherwise the first available one,
+  // reported sources last (?check=false skips the availability checks and takes the first source)
+  let selected = source ? sources.find(s => s.name === source) : null;
+  if (!selected) {
+    selected = check === 'false' ? sources[0] : await movieAPI.selectStreamingSource(sources);
+  }
+
+  res.json({
+    streamingUrl: selected.url,
+    source: selected.name,
+    type: selected.name,
+    language: streamLanguage,
+    sources
+  });
 }));
 
 // Check streaming availability
@@ -0,0 +1,89 @@
+/**
+ * Streaming Provider Routes
+ * Enable, disable, reorder and health-check streaming provider plugins (admin only)
+ */
+
+const express = require('express');
+const router = express.Router();
+const streamingProviders = require('../services/streamingProviders');
+const sourceHealthMonitor = require('../services/sourceHealthMonitor');
+const { requireRole } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+router.use(requireRole('admin'));
+
+// Add the health monitor's status to a provider
+function withHealth(provider) {
+  return { ...provider, health: sourceHealthMonitor.getStatus(provider.name) };
+}
+
+// Get providers in priority order
+router.get('/', (req, res) => {
+  res.json(streamingProviders.getProviders().map(withHealth));
+});
+
+// Get the health of every provider (circuit, success rate, latency) and the availability cache size
+router.get('/health', (req, res) => {
+  res.json({
+    providers: sourceHealthMonitor.getAllStatus(),
+    cachedTitles: sourceHealthMonitor.getCachedTitleCount()
+  });
+});
+
+// Forget cached title availability
+router.delete('/availability', (req, res) => {
+  const cleared = sourceHealthMonitor.clearAvailability();
+  res.json({ message: 'Availability cache cleared', cleared });
+});
+
+// Reload provider plugins from the provider directories
+router.post('/reload', (req, res) => {
+  const providers = streamingProviders.reload();
+  res.json({ message: 'Streaming providers reloaded', providers: providers.map(withHealth) });
+});
+
+// Set the priority order (body: { names: [...] }, first is tried first)
+router.put('/order', asyncHandler(async (req, res) => {
+  const { names } = req.body;
+  if (!Array.isArray(names) || names.length === 0 || !names.every(name => typeof name === 'string')) {
+    return res.status(400).json({ error: 'names must be a list of provider names' });
+  }
+
+  const providers = await streamingProviders.reorder(names);
+  res.json({ message: 'Streaming providers reordered', providers: providers.map(withHealth) });
+}));
+
+// Get a provider
+router.get('/:name', (req, res) => {
+  const provider = streamingProviders.getProvider(req.params.name);
+  if (!provider) {
+    return res.status(404).json({ error: 'Streaming provider not found' });
+  }
+  res.json(withHealth(provider));
+});
+
+// Update a provider (enabled, priority, baseUrl; null baseUrl restores the default)
+router.put('/:name', asyncHandler(async (req, res) => {
+  const { enabled, priority, baseUrl } = req.body;
+  const provider = await streamingProviders.updateProvider(req.params.name, { enabled, priority, baseUrl });
+  // Results of the old URL say nothing about the new one
+  if (baseUrl !== undefined) sourceHealthMonitor.reset(provider.name);
+  res.json({ message: 'Streaming provider updated', provider: withHealth(provider) });
+}));
+
+// Run a provider's health check now
+router.post('/:name/health', asyncHandler(async (req, res) => {
+  const health = await sourceHealthMonitor.probe(req.params.name);
+  res.json({ name: req.params.name, ...health });
+}));
+
+// Close a provider's circuit and reset its stats
+router.post('/:name/reset', (req, res) => {
+  if (!streamingProviders.getProvider(req.params.name)) {
+    return res.status(404).json({ error: 'Streaming provider not found' });
+  }
+  const health = sourceHealthMonitor.reset(req.params.name);
+  res.json({ message: 'Streaming provider health reset', name: req.params.name, health });
+});
+
+module.exports = router;
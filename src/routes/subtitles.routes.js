@@ -0,0 +1,46 @@
+/**
+ * Subtitle Routes
+ * Sidecar and embedded subtitle tracks of local videos, served as WebVTT
+ */
+
+const express = require('express');
+const router = express.Router();
+const MediaScanner = require('../services/mediaScanner');
+const subtitleService = require('../services/subtitleService');
+const config = require('../config');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const mediaScanner = new MediaScanner(config.mediaPath);
+
+// List the subtitle tracks of a media file
+router.get('/:id/subtitles', asyncHandler(async (req, res) => {
+  const media = await mediaScanner.getMetadata(req.params.id);
+  if (!media) {
+    return res.status(404).json({ error: 'Media not found' });
+  }
+
+  res.json((media.subtitles || []).map(track => ({
+    ...track,
+    url: `${req.baseUrl}/${media.id}/subtitles/${track.id}.vtt`
+  })));
+}));
+
+// Get a subtitle track as WebVTT
+// ?offset=<seconds> shifts the cues for streams started mid-file (remux/transcode with ?start)
+router.get('/:id/subtitles/:trackId.vtt', asyncHandler(async (req, res) => {
+  const media = await mediaScanner.getMetadata(req.params.id);
+  if (!media) {
+    return res.status(404).json({ error: 'Media not found' });
+  }
+
+  const offset = Math.max(0, parseFloat(req.query.offset) || 0);
+  const vtt = await subtitleService.getWebVTT(media, req.params.trackId, offset);
+  if (vtt === null) {
+    return res.status(404).json({ error: 'Subtitle track not found' });
+  }
+
+  res.set('Content-Type', 'text/vtt; charset=utf-8');
+  res.send(vtt);
+}));
+
+module.exports = router;
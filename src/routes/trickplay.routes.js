@@ -0,0 +1,57 @@
+/**
+ * Trickplay Routes
+ * Seek-preview sprite sheets of local videos and their WebVTT index
+ */
+
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const trickplayService = require('../services/trickplayService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// Get the trickplay status of a video (ready, generating, pending, failed or unavailable)
+router.get('/:id/trickplay', asyncHandler(async (req, res) => {
+  const entry = await trickplayService.getEntry(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Media not found' });
+  }
+
+  const status = await trickplayService.getStatus(entry);
+  const manifest = status === 'ready' ? await trickplayService.getManifest(entry.id) : null;
+  res.json({
+    status,
+    ...(manifest && {
+      interval: manifest.interval,
+      width: manifest.width,
+      height: manifest.height,
+      count: manifest.count,
+      url: `${req.baseUrl}/${entry.id}/trickplay.vtt`
+    })
+  });
+}));
+
+// Get the WebVTT index (each cue points at a tile: sprite-N.jpg#xywh=x,y,w,h)
+router.get('/:id/trickplay.vtt', asyncHandler(async (req, res) => {
+  const entry = await trickplayService.getEntry(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Media not found' });
+  }
+  if (!(await trickplayService.isCurrent(entry))) {
+    return res.status(404).json({ error: 'Trickplay not generated', status: await trickplayService.getStatus(entry) });
+  }
+
+  const manifest = await trickplayService.getManifest(entry.id);
+  res.set('Content-Type', 'text/vtt; charset=utf-8');
+  res.send(trickplayService.buildVtt(manifest, `${req.baseUrl}/${entry.id}/trickplay`));
+}));
+
+// Get a sprite sheet
+router.get('/:id/trickplay/:file', asyncHandler(async (req, res) => {
+  const spritePath = await trickplayService.getSpritePath(req.params.id, req.params.file);
+  if (!spritePath) {
+    return res.status(404).json({ error: 'Sprite not found' });
+  }
+  res.sendFile(path.resolve(spritePath));
+}));
+
+module.exports = router;
@@ -0,0 +1,33 @@
+/**
+ * User Data Routes
+ * Export and import of the active profile's favorites, watch history and collections
+ */
+
+const express = require('express');
+const router = express.Router();
+const userDataService = require('../services/userDataService');
+const ProfileService = require('../services/profileService');
+const { requireAuth } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const profileService = new ProfileService();
+
+// Download the active profile's data as an archive
+router.get('/export', requireAuth, asyncHandler(async (req, res) => {
+  const profile = await profileService.getProfile(req.session.userId, req.profileId);
+  const archive = await userDataService.exportData(req.profileId, profile || {});
+
+  const name = (profile ? profile.name : 'profile').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const date = archive.exportedAt.split('T')[0];
+  res.setHeader('Content-Disposition', `attachment; filename="user-data-${name || 'profile'}-${date}.json"`);
+  res.json(archive);
+}));
+
+// Import an archive into the active profile (?mode=merge (default) or ?mode=replace)
+router.post('/import', requireAuth, asyncHandler(async (req, res) => {
+  const mode = req.query.mode || 'merge';
+  const counts = await userDataService.importData(req.profileId, req.body, mode);
+  res.json({ message: 'User data imported', mode, ...counts });
+}));
+
+module.exports = router;
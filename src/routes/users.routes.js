@@ -1,19 +1,120 @@
 /**
  * Users Routes
+ * Admins manage every account; members can only see and edit their own
  */
 
 const express = require('express');
 const router = express.Router();
 const UserService = require('../services/userService');
-const { requireAuth } = require('../middleware/auth');
+const FavoritesService = require('../services/favoritesService');
+const ProfileService = require('../services/profileService');
+const watchHistoryService = require('../services/watchHistoryService');
+const collectionsService = require('../services/collectionsService');
+const { requireRole } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 const userService = new UserService();
+const favoritesService = new FavoritesService();
+const profileService = new ProfileService();
 
-// Get all users (admin or household members list)
-router.get('/', requireAuth, asyncHandler(async (req, res) => {
+// Members may only act on their own account
+const requireSelfOrAdmin = (req, res, next) => {
+  if (req.user.role === 'admin' || req.user.id === req.params.userId) {
+    return next();
+  }
+  res.status(403).json({ error: 'You do not have permission to do this' });
+};
+
+// Get all users (admin)
+router.get('/', requireRole('admin'), asyncHandler(async (req, res) => {
   const users = await userService.getAllUsers();
   res.json(users);
 }));
 
+// Create a user (admin)
+router.post('/', requireRole('admin'), asyncHandler(async (req, res) => {
+  const { username, password, displayName, role = 'user' } = req.body;
+
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Username and password are required' });
+  }
+
+  if (password.length < 4) {
+    return res.status(400).json({ error: 'Password must be at least 4 characters' });
+  }
+
+  const user = await userService.register(username, password, displayName, role);
+  res.status(201).json({ message: 'User created', user });
+}));
+
+// Get a user (admin, or the user themselves)
+router.get('/:userId', requireRole('admin', 'user'), requireSelfOrAdmin, asyncHandler(async (req, res) => {
+  const user = await userService.getUserById(req.params.userId);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  res.json(user);
+}));
+
+// Update a user
+// Members can change their own display name, password and parental PIN; admins can also change
+// usernames, roles and the certification limit (maxCertification, parentalPin; null removes either)
+router.put('/:userId', requireRole('admin', 'user'), requireSelfOrAdmin, asyncHandler(async (req, res) => {
+  const { username, displayName, role, password, maxCertification, parentalPin } = req.body;
+  const isAdmin = req.user.role === 'admin';
+
+  if (!isAdmin && (username !== undefined || role !== undefined)) {
+    return res.status(403).json({ error: 'Only admins can change usernames and roles' });
+  }
+  if (!isAdmin && maxCertification !== undefined) {
+    return res.status(403).json({ error: 'Only admins can change the certification limit' });
+  }
+  if (parentalPin !== undefined && parentalPin !== null && !/^\d{4,8}$/.test(String(parentalPin))) {
+    return res.status(400).json({ error: 'PIN must be 4 to 8 digits' });
+  }
+  if (password !== undefined && (typeof password !== 'string' || password.length < 4)) {
+    return res.status(400).json({ error: 'Password must be at least 4 characters' });
+  }
+  if (username !== undefined && (typeof username !== 'string' || !username.trim())) {
+    return res.status(400).json({ error: 'Username cannot be empty' });
+  }
+
+  const updates = {};
+  if (displayName !== undefined) updates.displayName = displayName;
+  if (username !== undefined) updates.username = username.trim();
+  if (role !== undefined) updates.role = role;
+  if (maxCertification !== undefined) updates.maxCertification = maxCertification || null;
+
+  let user = await userService.updateUser(req.params.userId, updates);
+  if (password !== undefined) {
+    await userService.changePassword(req.params.userId, password);
+  }
+  if (parentalPin !== undefined) {
+    await userService.setParentalPin(req.params.userId, parentalPin);
+  }
+  if (req.params.userId === req.session.userId) {
+    req.session.username = user.username;
+  }
+
+  user = await userService.getUserById(req.params.userId);
+  res.json({ message: 'User updated', user });
+}));
+
+// Delete a user and the favorites, watch history and collections of all their profiles (admin)
+router.delete('/:userId', requireRole('admin'), asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const profileIds = await profileService.getProfileIds(userId);
+  await userService.deleteUser(userId);
+
+  for (const profileId of profileIds) {
+    await Promise.all([
+      favoritesService.clearUserFavorites(profileId),
+      watchHistoryService.clearHistory(profileId),
+      collectionsService.clearCollections(profileId)
+    ]);
+  }
+
+  res.json({ message: 'User deleted' });
+}));
+
 module.exports = router;
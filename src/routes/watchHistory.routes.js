@@ -5,69 +5,120 @@
 const express = require('express');
 const router = express.Router();
 const WatchHistoryService = require('../services/watchHistoryService');
+const upNextService = require('../services/upNextService');
+const streamReportService = require('../services/streamReportService');
 const { requireAuth } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
-const path = require('path');
-const fs = require('fs-extra');
+
+// Helper to check season/episode numbers
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
 
 // Get watch history
 router.get('/', requireAuth, asyncHandler(async (req, res) => {
-  const userId = req.session.userId;
-  const history = await WatchHistoryService.getHistory(userId);
+  const history = await WatchHistoryService.getHistory(req.profileId);
   res.json(history);
 }));
 
 // Get continue watching
 router.get('/continue-watching', requireAuth, asyncHandler(async (req, res) => {
-  const userId = req.session.userId;
-  const continueWatching = await WatchHistoryService.getContinueWatching(userId);
+  const continueWatching = await WatchHistoryService.getContinueWatching(req.profileId);
   res.json(continueWatching);
 }));
 
+// Get the "Up Next" row: the next unwatched episode of each series being watched
+router.get('/up-next', requireAuth, asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+  const upNext = await upNextService.getUpNext(req.profileId, limit);
+  res.json(upNext);
+}));
+
+// Get the next unwatched episode of a series after ?season=&episode=
+router.get('/up-next/:mediaId', requireAuth, asyncHandler(async (req, res) => {
+  const season = parseInt(req.query.season);
+  const episode = parseInt(req.query.episode);
+
+  if (!Number.isInteger(season) || season < 0 || !isPositiveInteger(episode)) {
+    return res.status(400).json({ error: 'season and episode are required' });
+  }
+
+  const next = await upNextService.getNextEpisode(req.profileId, req.params.mediaId, season, episode);
+  res.json({ next });
+}));
+
 // Get resume position
 router.get('/resume/:mediaId', requireAuth, asyncHandler(async (req, res) => {
-  const userId = req.session.userId;
   const { mediaId } = req.params;
-  const resume = await WatchHistoryService.getResumePosition(userId, mediaId);
+  const resume = await WatchHistoryService.getResumePosition(req.profileId, mediaId);
   res.json(resume || { position: 0, progress: 0 });
 }));
 
-// Update watch history
+// Get the watch state of every title in the history (for watched badges)
+router.get('/states', requireAuth, asyncHandler(async (req, res) => {
+  const states = await WatchHistoryService.getWatchStates(req.profileId);
+  res.json({ completionThreshold: WatchHistoryService.getCompletionThreshold(), states });
+}));
+
+// Get the watch state of a title, with its episodes for TV shows
+router.get('/state/:mediaId', requireAuth, asyncHandler(async (req, res) => {
+  const state = await WatchHistoryService.getWatchState(req.profileId, req.params.mediaId);
+  res.json(state);
+}));
+
+// Mark a title as watched or unwatched
+// body: { watched, mediaType } for a title, plus { season, episode } for one episode
+// or { season, episodes: [1, 2, ...] } for several episodes (e.g. a whole season)
+// mediaType can be left out for API titles (tmdb_movie_…, anime_…) and titles already in the history
+router.put('/state/:mediaId', requireAuth, asyncHandler(async (req, res) => {
+  const { watched, mediaType, season, episode, episodes } = req.body;
+
+  if (typeof watched !== 'boolean') {
+    return res.status(400).json({ error: 'watched must be true or false' });
+  }
+  if (mediaType !== undefined && (typeof mediaType !== 'string' || !mediaType.trim())) {
+    return res.status(400).json({ error: 'mediaType must be a media type such as movie or tv' });
+  }
+
+  const options = {};
+  if (season !== undefined) {
+    const episodeNumbers = episodes !== undefined ? episodes : [episode];
+    if (!Number.isInteger(season) || season < 0) {
+      return res.status(400).json({ error: 'season must be a season number' });
+    }
+    if (!Array.isArray(episodeNumbers) || episodeNumbers.length === 0 || !episodeNumbers.every(isPositiveInteger)) {
+      return res.status(400).json({ error: 'episode or episodes (episode numbers) are required with season' });
+    }
+    options.season = season;
+    options.episodes = episodeNumbers;
+  }
+
+  const state = await WatchHistoryService.setWatched(req.profileId, req.params.mediaId, mediaType, watched, options);
+  res.json({ message: watched ? 'Marked as watched' : 'Marked as unwatched', state });
+}));
+
+// Update watch history (season and episode for TV episodes)
 router.post('/', requireAuth, asyncHandler(async (req, res) => {
-  const userId = req.session.userId;
-  const { mediaId, mediaType, position, duration } = req.body;
+  const { mediaId, mediaType, position, duration, season, episode } = req.body;
   
   if (!mediaId || !mediaType) {
     return res.status(400).json({ error: 'mediaId and mediaType are required' });
   }
   
-  const entry = await WatchHistoryService.addHistory(userId, mediaId, mediaType, position || 0, duration || 0);
+  const options = isPositiveInteger(episode) && Number.isInteger(season) ? { season, episode } : {};
+  const entry = await WatchHistoryService.addHistory(req.profileId, mediaId, mediaType, position || 0, duration || 0, options);
   res.json(entry);
 }));
 
-// Report non-streamable
+// Report non-streamable (optionally the source and the season/episode that failed)
 router.post('/report-non-streamable', requireAuth, asyncHandler(async (req, res) => {
-  const { mediaId } = req.body;
-  if (!mediaId) return res.status(400).json({ error: 'mediaId is required' });
-  
-  const reportsFile = path.join(__dirname, '../../.data', 'nonStreamableReports.json');
-  await fs.ensureDir(path.dirname(reportsFile));
-  
-  let reports = [];
-  if (await fs.pathExists(reportsFile)) {
-    reports = await fs.readJson(reportsFile);
-  }
-  
-  if (!reports.find(r => r.mediaId === mediaId)) {
-    reports.push({ 
-      mediaId, 
-      reportedAt: new Date().toISOString(), 
-      reportedBy: req.session.userId 
-    });
-    await fs.writeJson(reportsFile, reports, { spaces: 2 });
-  }
+  const { mediaId, source = null, season = null, episode = null } = req.body;
+  if (!mediaId || typeof mediaId !== 'string') return res.status(400).json({ error: 'mediaId is required' });
   
-  res.json({ success: true });
+  const report = await streamReportService.report({
+    mediaId, source, season, episode, userId: req.session.userId, profileId: req.profileId
+  });
+  res.json({ success: true, report });
 }));
 
 module.exports = router;
@@ -0,0 +1,299 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+// Bumped when the format of the cached data changes; older entries are misses
+const CACHE_VERSION = 2;
+
+/**
+ * API Cache
+ * Caches the raw response bodies of the external APIs (TMDB, Jikan, AniList, TVMaze, OMDb)
+ * for every MovieAPI instance:
+ *
+ * - Recently used entries are kept in memory (LRU), every entry on disk under
+ *   .cache/api, one file per key.
+ * - Each endpoint has its own TTL (config.apiCache.ttl): trending lists expire
+ *   within the hour, title details after a week.
+ * - An expired entry is still served for staleTtl while it is fetched again in
+ *   the background (stale-while-revalidate); only older entries wait for the API.
+ * - The disk cache is kept under maxSize by removing the least recently used files.
+ *
+ * Failed calls (the fetch function throws) are never cached, except 404 answers
+ * of lookups that ask for it (cacheNotFound): those are remembered for
+ * notFoundTtl and thrown again as 404 errors meanwhile.
+ */
+class ApiCache {
+  constructor() {
+    this.cacheDir = config.apiCache.path;
+    this.memory = new Map(); // key -> { endpoint, timestamp, data } (least recently used first)
+    this.files = new Map(); // file name -> { endpoint, size, accessedAt }
+    this.diskSize = 0;
+    this.pending = new Map(); // key -> promise of a fetch in progress
+    this.stats = { hits: 0, staleHits: 0, misses: 0, refreshes: 0, errors: 0, evictions: 0 };
+    this.ready = null;
+  }
+
+  /**
+   * Index the files already on disk (once); files of the old one-file-per-key
+   * format without an endpoint are removed
+   */
+  init() {
+    if (!this.ready) {
+      this.ready = this.loadIndex().catch(error => {
+        console.warn('Cache index error:', error.message);
+      });
+    }
+    return this.ready;
+  }
+
+  async loadIndex() {
+    await fs.ensureDir(this.cacheDir);
+    const files = await fs.readdir(this.cacheDir);
+
+    for (const file of files) {
+      const filePath = path.join(this.cacheDir, file);
+      const match = file.match(/^([a-zA-Z]+)_[0-9a-f]{40}\.json$/);
+      if (!match) {
+        await fs.remove(filePath).catch(() => {});
+        continue;
+      }
+      const stat = await fs.stat(filePath);
+      this.files.set(file, { endpoint: match[1], size: stat.size, accessedAt: stat.mtimeMs });
+      this.diskSize += stat.size;
+    }
+
+    await this.enforceSizeLimit();
+  }
+
+  /**
+   * TTL of an endpoint (endpoints without one use the default)
+   */
+  getTtl(endpoint) {
+    const { ttl } = config.apiCache;
+    return ttl[endpoint] !== undefined ? ttl[endpoint] : ttl.default;
+  }
+
+  /**
+   * Disk file of a key
+   */
+  getFileName(endpoint, key) {
+    return `${endpoint}_${crypto.createHash('sha1').update(key).digest('hex')}.json`;
+  }
+
+  /**
+   * Cached entry of a key from memory or disk, or null
+   */
+  async read(endpoint, key) {
+    const file = this.getFileName(endpoint, key);
+    const indexed = this.files.get(file);
+    if (indexed) indexed.accessedAt = Date.now();
+
+    if (this.memory.has(key)) {
+      const entry = this.memory.get(key);
+      this.memory.delete(key);
+      this.memory.set(key, entry);
+      return entry;
+    }
+    if (!indexed) return null;
+
+    try {
+      const stored = await fs.readJson(path.join(this.cacheDir, file));
+      if (stored.version !== CACHE_VERSION || stored.key !== key) return null;
+      const entry = { endpoint, timestamp: stored.timestamp, data: stored.data, notFound: stored.notFound === true };
+      this.remember(key, entry);
+      return entry;
+    } catch (error) {
+      console.warn('Cache read error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Keep an entry in memory, dropping the least recently used past the limit
+   */
+  remember(key, entry) {
+    this.memory.delete(key);
+    this.memory.set(key, entry);
+    while (this.memory.size > config.apiCache.memoryEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  /**
+   * Store data for a key in memory and on disk (notFound: the API answered 404)
+   */
+  async write(endpoint, key, data, notFound = false) {
+    const entry = { endpoint, timestamp: Date.now(), data, notFound };
+    this.remember(key, entry);
+
+    const file = this.getFileName(endpoint, key);
+    try {
+      const json = JSON.stringify({ version: CACHE_VERSION, key, ...entry });
+      await fs.writeFile(path.join(this.cacheDir, file), json);
+
+      const previous = this.files.get(file);
+      if (previous) this.diskSize -= previous.size;
+      const size = Buffer.byteLength(json);
+      this.files.set(file, { endpoint, size, accessedAt: Date.now() });
+      this.diskSize += size;
+      await this.enforceSizeLimit();
+    } catch (error) {
+      console.warn('Cache write error:', error.message);
+    }
+  }
+
+  /**
+   * Remove the least recently used files while the disk cache is over maxSize
+   */
+  async enforceSizeLimit() {
+    if (this.diskSize <= config.apiCache.maxSize) return;
+
+    const oldestFirst = Array.from(this.files.entries()).sort((a, b) => a[1].accessedAt - b[1].accessedAt);
+    for (const [file, { size }] of oldestFirst) {
+      if (this.diskSize <= config.apiCache.maxSize) break;
+      this.files.delete(file);
+      this.diskSize -= size;
+      this.stats.evictions++;
+      await fs.remove(path.join(this.cacheDir, file)).catch(() => {});
+    }
+  }
+
+  /**
+   * Get the cached result of an API call, calling fetch() when there is none
+   * Expired results are returned while fetch() refreshes them in the background.
+   *
+   * @param {string} endpoint - Endpoint the TTL is taken from (e.g. 'trending', 'details')
+   * @param {string} key - Cache key, unique across endpoints
+   * @param {Function} fetch - Async function returning the data to cache; throws when the call fails
+   * @param {object} options - cacheNotFound: remember 404 errors thrown by fetch() (as axios throws them)
+   */
+  async wrap(endpoint, key, fetch, options = {}) {
+    await this.init();
+
+    const entry = await this.read(endpoint, key);
+    if (entry) {
+      const age = Date.now() - entry.timestamp;
+      if (entry.notFound) {
+        if (age < config.apiCache.notFoundTtl) {
+          this.stats.hits++;
+          throw Object.assign(new Error('Not found (cached)'), { response: { status: 404 } });
+        }
+        this.stats.misses++;
+        return this.fetch(endpoint, key, fetch, options);
+      }
+
+      const ttl = this.getTtl(endpoint);
+      if (age < ttl) {
+        this.stats.hits++;
+        return entry.data;
+      }
+      if (age < ttl + config.apiCache.staleTtl) {
+        this.stats.staleHits++;
+        this.refresh(endpoint, key, fetch);
+        return entry.data;
+      }
+    }
+
+    this.stats.misses++;
+    return this.fetch(endpoint, key, fetch, options);
+  }
+
+  /**
+   * Call fetch() and cache its result; concurrent calls for a key share one request
+   */
+  fetch(endpoint, key, fetch, options = {}) {
+    if (this.pending.has(key)) return this.pending.get(key);
+
+    const request = (async () => {
+      let data;
+      try {
+        data = await fetch();
+      } catch (error) {
+        if (options.cacheNotFound && error.response && error.response.status === 404) {
+          await this.write(endpoint, key, null, true);
+        }
+        throw error;
+      }
+      if (data !== undefined && data !== null) {
+        await this.write(endpoint, key, data);
+      }
+      return data;
+    })();
+
+    this.pending.set(key, request);
+    const done = () => this.pending.delete(key);
+    request.then(done, done);
+    return request;
+  }
+
+  /**
+   * Fetch an expired entry again in the background
+   */
+  refresh(endpoint, key, fetch) {
+    if (this.pending.has(key)) return;
+
+    this.stats.refreshes++;
+    this.fetch(endpoint, key, fetch).catch(error => {
+      this.stats.errors++;
+      console.warn(`[Cache] Could not refresh ${key}:`, error.message);
+    });
+  }
+
+  /**
+   * Cache statistics for admins: hit counts, memory and disk use per endpoint
+   */
+  async getStats() {
+    await this.init();
+
+    const endpoints = {};
+    const endpointOf = name => {
+      if (!endpoints[name]) endpoints[name] = { ttl: this.getTtl(name), files: 0, size: 0, memoryEntries: 0 };
+      return endpoints[name];
+    };
+    Object.keys(config.apiCache.ttl).filter(name => name !== 'default').forEach(endpointOf);
+    this.files.forEach(({ endpoint, size }) => {
+      endpointOf(endpoint).files++;
+      endpointOf(endpoint).size += size;
+    });
+    this.memory.forEach(({ endpoint }) => {
+      endpointOf(endpoint).memoryEntries++;
+    });
+
+    const lookups = this.stats.hits + this.stats.staleHits + this.stats.misses;
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round(((this.stats.hits + this.stats.staleHits) / lookups) * 100) : null,
+      memory: { entries: this.memory.size, maxEntries: config.apiCache.memoryEntries },
+      disk: { files: this.files.size, size: this.diskSize, maxSize: config.apiCache.maxSize },
+      staleTtl: config.apiCache.staleTtl,
+      notFoundTtl: config.apiCache.notFoundTtl,
+      endpoints
+    };
+  }
+
+  /**
+   * Remove cached entries, all of them or those of one endpoint
+   *
+   * @returns {number} Number of files removed
+   */
+  async purge(endpoint = null) {
+    await this.init();
+
+    let removed = 0;
+    for (const [file, info] of Array.from(this.files.entries())) {
+      if (endpoint && info.endpoint !== endpoint) continue;
+      this.files.delete(file);
+      this.diskSize -= info.size;
+      removed++;
+      await fs.remove(path.join(this.cacheDir, file)).catch(() => {});
+    }
+    this.memory.forEach((entry, key) => {
+      if (!endpoint || entry.endpoint === endpoint) this.memory.delete(key);
+    });
+
+    return removed;
+  }
+}
+
+module.exports = new ApiCache();
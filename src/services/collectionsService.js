@@ -1,9 +1,19 @@
 const fs = require('fs-extra');
 const path = require('path');
 
+// Fields of a media item kept with a collection so API titles can be shown without refetching
+const MEDIA_SNAPSHOT_FIELDS = [
+  'title', 'type', 'source', 'year', 'posterUrl', 'backdropUrl', 'rating', 'overview',
+  'genres', 'tmdbId', 'malId', 'anilistId', 'ageRating', 'isAdult'
+];
+
 /**
  * Collections Service
- * Manages user-created collections/playlists
+ * Manages user-created collections/playlists, stored per profile
+ *
+ * A collection keeps its items in order (mediaIds) with a snapshot of each
+ * item's title and artwork (mediaData). Collections marked as shared can be
+ * viewed by every household member; only the owner can change them.
  */
 class CollectionsService {
   constructor() {
@@ -30,7 +40,7 @@ class CollectionsService {
       const collectionsFile = this.getCollectionsFile(userId);
       if (await fs.pathExists(collectionsFile)) {
         const data = await fs.readJson(collectionsFile);
-        return Array.isArray(data) ? data : [];
+        return Array.isArray(data) ? data.map(collection => this.normalize(collection, userId)) : [];
       }
       return [];
     } catch (error) {
@@ -39,6 +49,20 @@ class CollectionsService {
     }
   }
 
+  /**
+   * Fill in fields missing from collections saved by older versions
+   */
+  normalize(collection, userId) {
+    return {
+      ...collection,
+      ownerId: userId,
+      shared: !!collection.shared,
+      coverMediaId: collection.coverMediaId || null,
+      mediaIds: collection.mediaIds || [],
+      mediaData: collection.mediaData || {}
+    };
+  }
+
   /**
    * Save collections for a user
    */
@@ -52,46 +76,81 @@ class CollectionsService {
     }
   }
 
+  /**
+   * Get one of a user's collections (throws 404 if it doesn't exist)
+   */
+  findCollection(collections, collectionId) {
+    const collection = collections.find(c => c.id === collectionId);
+    if (!collection) {
+      throw Object.assign(new Error('Collection not found'), { status: 404 });
+    }
+    return collection;
+  }
+
   /**
    * Create a new collection
    */
-  async createCollection(userId, name, description = '') {
+  async createCollection(userId, name, description = '', options = {}) {
     try {
       const collections = await this.getCollections(userId);
       const newCollection = {
         id: `collection_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
         name,
         description,
+        shared: !!options.shared,
+        coverMediaId: null,
         mediaIds: [],
+        mediaData: {},
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
       };
       collections.push(newCollection);
       await this.saveCollections(userId, collections);
-      return newCollection;
+      return this.normalize(newCollection, userId);
     } catch (error) {
       console.error('Error creating collection:', error);
       throw error;
     }
   }
 
+  /**
+   * Update a collection's name, description, sharing or cover item
+   */
+  async updateCollection(userId, collectionId, updates) {
+    const collections = await this.getCollections(userId);
+    const collection = this.findCollection(collections, collectionId);
+
+    if (updates.coverMediaId !== undefined && updates.coverMediaId !== null &&
+        !collection.mediaIds.includes(updates.coverMediaId)) {
+      throw Object.assign(new Error('The cover must be an item of the collection'), { status: 400 });
+    }
+
+    ['name', 'description', 'coverMediaId'].forEach(field => {
+      if (updates[field] !== undefined) collection[field] = updates[field];
+    });
+    if (updates.shared !== undefined) collection.shared = !!updates.shared;
+    collection.updatedAt = new Date().toISOString();
+
+    await this.saveCollections(userId, collections);
+    return collection;
+  }
+
   /**
    * Add media to a collection
+   * mediaData (title, poster...) is kept so API titles can be listed later
    */
   async addToCollection(userId, collectionId, mediaId, mediaData = {}) {
     try {
       const collections = await this.getCollections(userId);
-      const collection = collections.find(c => c.id === collectionId);
-      if (!collection) {
-        throw new Error('Collection not found');
-      }
-      
+      const collection = this.findCollection(collections, collectionId);
+
       if (!collection.mediaIds.find(id => id === mediaId)) {
         collection.mediaIds.push(mediaId);
+        collection.mediaData[mediaId] = this.getSnapshot(mediaData);
         collection.updatedAt = new Date().toISOString();
         await this.saveCollections(userId, collections);
       }
-      
+
       return collection;
     } catch (error) {
       console.error('Error adding to collection:', error);
@@ -99,21 +158,31 @@ class CollectionsService {
     }
   }
 
+  /**
+   * Keep the display fields of a media item
+   */
+  getSnapshot(mediaData) {
+    const snapshot = {};
+    MEDIA_SNAPSHOT_FIELDS.forEach(field => {
+      if (mediaData[field] !== undefined && mediaData[field] !== null) snapshot[field] = mediaData[field];
+    });
+    return snapshot;
+  }
+
   /**
    * Remove media from a collection
    */
   async removeFromCollection(userId, collectionId, mediaId) {
     try {
       const collections = await this.getCollections(userId);
-      const collection = collections.find(c => c.id === collectionId);
-      if (!collection) {
-        throw new Error('Collection not found');
-      }
-      
+      const collection = this.findCollection(collections, collectionId);
+
       collection.mediaIds = collection.mediaIds.filter(id => id !== mediaId);
+      delete collection.mediaData[mediaId];
+      if (collection.coverMediaId === mediaId) collection.coverMediaId = null;
       collection.updatedAt = new Date().toISOString();
       await this.saveCollections(userId, collections);
-      
+
       return collection;
     } catch (error) {
       console.error('Error removing from collection:', error);
@@ -121,6 +190,26 @@ class CollectionsService {
     }
   }
 
+  /**
+   * Reorder a collection
+   * mediaIds must list exactly the items already in the collection
+   */
+  async reorderCollection(userId, collectionId, mediaIds) {
+    const collections = await this.getCollections(userId);
+    const collection = this.findCollection(collections, collectionId);
+
+    const current = [...collection.mediaIds].sort();
+    const requested = [...new Set(mediaIds)].sort();
+    if (requested.length !== mediaIds.length || current.join('\n') !== requested.join('\n')) {
+      throw Object.assign(new Error('mediaIds must list every item of the collection exactly once'), { status: 400 });
+    }
+
+    collection.mediaIds = mediaIds;
+    collection.updatedAt = new Date().toISOString();
+    await this.saveCollections(userId, collections);
+    return collection;
+  }
+
   /**
    * Delete a collection
    */
@@ -128,6 +217,9 @@ class CollectionsService {
     try {
       const collections = await this.getCollections(userId);
       const filtered = collections.filter(c => c.id !== collectionId);
+      if (filtered.length === collections.length) {
+        throw Object.assign(new Error('Collection not found'), { status: 404 });
+      }
       await this.saveCollections(userId, filtered);
       return true;
     } catch (error) {
@@ -136,25 +228,91 @@ class CollectionsService {
     }
   }
 
+  /**
+   * Get a collection the user owns, or one shared by another household member
+   * Returns null if it doesn't exist or isn't visible to the user
+   *
+   * @param {string} userId - Profile viewing the collection
+   * @param {string} collectionId - Collection ID
+   * @param {string[]} householdIds - Profile IDs of the user's account
+   */
+  async getVisibleCollection(userId, collectionId, householdIds = []) {
+    const own = (await this.getCollections(userId)).find(c => c.id === collectionId);
+    if (own) return own;
+
+    const shared = await this.getSharedCollections(userId, householdIds);
+    return shared.find(c => c.id === collectionId) || null;
+  }
+
+  /**
+   * Get collections shared by the other profiles of a household, most recently updated first
+   */
+  async getSharedCollections(userId, householdIds = []) {
+    const shared = [];
+
+    for (const profileId of householdIds) {
+      if (profileId === userId) continue;
+      const collections = await this.getCollections(profileId);
+      shared.push(...collections.filter(c => c.shared));
+    }
+
+    return shared.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  }
+
   /**
    * Get media in a collection
+   * Local items are taken from allMedia, other items from their saved snapshot
    */
-  async getCollectionMedia(userId, collectionId, allMedia) {
+  async getCollectionMedia(userId, collectionId, allMedia, householdIds = []) {
     try {
-      const collections = await this.getCollections(userId);
-      const collection = collections.find(c => c.id === collectionId);
+      const collection = await this.getVisibleCollection(userId, collectionId, householdIds);
       if (!collection) {
         return [];
       }
-      
-      return collection.mediaIds
-        .map(id => allMedia.find(m => m.id === id))
-        .filter(m => m); // Remove undefined
+
+      return this.resolveMedia(collection, allMedia);
     } catch (error) {
       console.error('Error getting collection media:', error);
       return [];
     }
   }
+
+  /**
+   * Media items of a collection, in order
+   */
+  resolveMedia(collection, allMedia) {
+    return collection.mediaIds
+      .map(id => allMedia.find(m => m.id === id) ||
+        (collection.mediaData[id] && collection.mediaData[id].title ? { id, ...collection.mediaData[id] } : null))
+      .filter(m => m); // Remove undefined
+  }
+
+  /**
+   * Cover image URL of a collection: the chosen cover item, else the first item with artwork
+   */
+  getCoverUrl(collection, allMedia = []) {
+    const candidates = collection.coverMediaId
+      ? [collection.coverMediaId, ...collection.mediaIds]
+      : collection.mediaIds;
+
+    for (const id of candidates) {
+      const local = allMedia.find(m => m.id === id);
+      if (local) {
+        if (local.hasThumbnail) return `/api/thumbnail/${id}`;
+        continue;
+      }
+      const snapshot = collection.mediaData[id] || {};
+      if (snapshot.posterUrl || snapshot.backdropUrl) return snapshot.posterUrl || snapshot.backdropUrl;
+    }
+    return null;
+  }
+
+  /**
+   * Delete all collections of a user
+   */
+  async clearCollections(userId) {
+    await fs.remove(this.getCollectionsFile(userId));
+  }
 }
 
 module.exports = new CollectionsService();
@@ -0,0 +1,35 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Event Bus
+ * In-process pub/sub used to push server-side changes to connected clients
+ */
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    // Every connected client adds a listener
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Publish an event to all subscribers
+   */
+  publish(type, data = {}) {
+    this.emit('event', {
+      type,
+      data,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Subscribe to all events
+   * Returns an unsubscribe function
+   */
+  subscribe(listener) {
+    this.on('event', listener);
+    return () => this.off('event', listener);
+  }
+}
+
+module.exports = new EventBus();
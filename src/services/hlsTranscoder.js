@@ -0,0 +1,331 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+
+/**
+ * HLS Transcoder
+ * Runs on-demand ffmpeg sessions that turn a local file into a multi-rendition
+ * HLS stream, cached under .cache/hls and removed once the session goes idle
+ *
+ * Viewers asking for the same file, start and audio track share a session;
+ * it is only stopped early once every viewer has released it, and never
+ * evicted to make room for another session while someone is watching it.
+ */
+class HlsTranscoder {
+  constructor(options = {}) {
+    this.cachePath = options.cachePath;
+    this.segmentDuration = options.segmentDuration || 4;
+    this.idleTimeout = options.idleTimeout || 5 * 60 * 1000;
+    this.maxSessions = options.maxSessions || 2;
+    this.preset = options.preset || 'veryfast';
+    this.renditions = options.renditions || [];
+    this.sessions = new Map();
+
+    this.cleanupTimer = setInterval(() => this.cleanupIdleSessions(), 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Remove segments left by a previous run, which can't be resumed (once, at startup)
+   */
+  async clearCache() {
+    await fs.emptyDir(this.cachePath);
+  }
+
+  /**
+   * Session ID for a media item, start offset and audio track
+   */
+  getSessionId(mediaId, startTime, audioTrack) {
+    return crypto.createHash('sha1')
+      .update(`${mediaId}:${startTime}:${audioTrack}`)
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  /**
+   * Pick renditions that don't upscale the source
+   */
+  selectRenditions(sourceHeight) {
+    const sorted = [...this.renditions].sort((a, b) => b.height - a.height);
+    if (!sourceHeight) return sorted.slice(-2);
+
+    const fitting = sorted.filter(r => r.height <= sourceHeight);
+    return fitting.length > 0 ? fitting : sorted.slice(-1);
+  }
+
+  /**
+   * Build ffmpeg arguments for a session
+   */
+  buildArgs(session) {
+    const { inputPath, outputDir, startTime, renditions, hasAudio, audioTrack } = session;
+    const args = ['-hide_banner', '-loglevel', 'error'];
+
+    // Seeking before -i is fast and lands on the nearest keyframe
+    if (startTime > 0) {
+      args.push('-ss', String(startTime));
+    }
+    args.push('-i', inputPath);
+
+    renditions.forEach(() => {
+      args.push('-map', '0:v:0');
+      if (hasAudio) args.push('-map', `0:a:${audioTrack}`);
+    });
+
+    args.push(
+      '-c:v', 'libx264',
+      '-preset', this.preset,
+      '-profile:v', 'main',
+      '-pix_fmt', 'yuv420p',
+      '-sc_threshold', '0',
+      '-force_key_frames', `expr:gte(t,n_forced*${this.segmentDuration})`
+    );
+
+    renditions.forEach((rendition, i) => {
+      args.push(
+        `-filter:v:${i}`, `scale=-2:${rendition.height}`,
+        `-b:v:${i}`, `${rendition.videoBitrate}k`,
+        `-maxrate:v:${i}`, `${Math.round(rendition.videoBitrate * 1.07)}k`,
+        `-bufsize:v:${i}`, `${rendition.videoBitrate * 2}k`
+      );
+      if (hasAudio) {
+        args.push(`-b:a:${i}`, `${rendition.audioBitrate}k`);
+      }
+    });
+
+    if (hasAudio) {
+      args.push('-c:a', 'aac', '-ac', '2');
+    }
+
+    const streamMap = renditions
+      .map((rendition, i) => (hasAudio ? `v:${i},a:${i},name:${rendition.name}` : `v:${i},name:${rendition.name}`))
+      .join(' ');
+
+    args.push(
+      '-f', 'hls',
+      '-hls_time', String(this.segmentDuration),
+      '-hls_playlist_type', 'event',
+      // temp_file: playlists and segments only appear once fully written
+      '-hls_flags', 'independent_segments+temp_file',
+      '-hls_segment_filename', path.join(outputDir, '%v', 'segment_%05d.ts'),
+      '-master_pl_name', 'master.m3u8',
+      '-var_stream_map', streamMap,
+      path.join(outputDir, '%v', 'index.m3u8')
+    );
+
+    return args;
+  }
+
+  /**
+   * Get or start a transcoding session
+   *
+   * @param {string} mediaId - Local media ID
+   * @param {string} inputPath - Absolute path to the source file
+   * @param {object} options - startTime (seconds), sourceHeight, hasAudio, audioTrack (index among audio streams),
+   *   viewerId (token of one playback in a player, counted until it releases the session)
+   */
+  async getSession(mediaId, inputPath, options = {}) {
+    const startTime = Math.max(0, Math.floor(options.startTime || 0));
+    const audioTrack = options.audioTrack || 0;
+    const sessionId = this.getSessionId(mediaId, startTime, audioTrack);
+
+    const existing = this.sessions.get(sessionId);
+    if (existing && !existing.error) {
+      existing.lastAccess = Date.now();
+      if (options.viewerId) existing.viewers.add(options.viewerId);
+      return existing;
+    }
+
+    await this.enforceSessionLimit();
+
+    const outputDir = path.join(this.cachePath, sessionId);
+    await fs.emptyDir(outputDir);
+
+    const session = {
+      id: sessionId,
+      mediaId,
+      inputPath,
+      outputDir,
+      startTime,
+      hasAudio: options.hasAudio !== false,
+      audioTrack,
+      renditions: this.selectRenditions(options.sourceHeight),
+      viewers: new Set(options.viewerId ? [options.viewerId] : []),
+      process: null,
+      finished: false,
+      error: null,
+      createdAt: Date.now(),
+      lastAccess: Date.now()
+    };
+
+    await Promise.all(session.renditions.map(r => fs.ensureDir(path.join(outputDir, r.name))));
+    this.sessions.set(sessionId, session);
+    this.startProcess(session);
+
+    return session;
+  }
+
+  /**
+   * Spawn ffmpeg for a session
+   */
+  startProcess(session) {
+    const ffmpeg = spawn('ffmpeg', this.buildArgs(session), { stdio: ['ignore', 'ignore', 'pipe'] });
+    session.process = ffmpeg;
+
+    let stderr = '';
+    ffmpeg.stderr.on('data', chunk => {
+      stderr = (stderr + chunk.toString()).slice(-2000);
+    });
+
+    ffmpeg.on('error', error => {
+      session.error = error.code === 'ENOENT'
+        ? 'ffmpeg is not installed or not in PATH'
+        : error.message;
+      console.warn(`[HLS] Failed to start ffmpeg for ${session.mediaId}:`, session.error);
+    });
+
+    ffmpeg.on('exit', (code, signal) => {
+      session.process = null;
+      if (code === 0) {
+        session.finished = true;
+      } else if (!signal && !session.error) {
+        session.error = stderr.trim() || `ffmpeg exited with code ${code}`;
+        console.warn(`[HLS] Transcoding failed for ${session.mediaId}:`, session.error);
+      }
+    });
+
+    console.log(`[HLS] Started session ${session.id} for ${session.mediaId} at ${session.startTime}s (${session.renditions.map(r => r.name).join(', ')})`);
+  }
+
+  /**
+   * Resolve a file inside a session directory, rejecting path traversal
+   */
+  resolveSessionFile(session, relativePath) {
+    const filePath = path.resolve(session.outputDir, relativePath);
+    if (!filePath.startsWith(path.resolve(session.outputDir) + path.sep)) {
+      return null;
+    }
+    return filePath;
+  }
+
+  /**
+   * Wait until ffmpeg has written a file (playlists and segments appear progressively)
+   */
+  async waitForFile(session, filePath, timeout = 30000) {
+    const deadline = Date.now() + timeout;
+
+    while (Date.now() < deadline) {
+      if (await fs.pathExists(filePath)) {
+        // Playlists are only usable once they list a segment
+        if (!filePath.endsWith('.m3u8') || filePath.endsWith('master.m3u8')) {
+          return true;
+        }
+        const playlist = await fs.readFile(filePath, 'utf8');
+        if (playlist.includes('#EXTINF')) return true;
+      }
+      if (session.error) {
+        throw Object.assign(new Error(session.error), { status: 503 });
+      }
+      if (session.finished || !this.sessions.has(session.id)) {
+        // ffmpeg is done (or the session was stopped), nothing more will appear
+        return fs.pathExists(filePath);
+      }
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+
+    return false;
+  }
+
+  /**
+   * Get a session by ID and mark it as active
+   */
+  touchSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session) session.lastAccess = Date.now();
+    return session || null;
+  }
+
+  /**
+   * Release a viewer's hold on a session, stopping it once no viewer is left
+   * (sessions of viewers that never release them stop when idle)
+   *
+   * @returns {boolean} Whether the session was stopped
+   */
+  async releaseSession(sessionId, viewerId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !session.viewers.delete(viewerId)) return false;
+    if (session.viewers.size > 0) return false;
+    return this.stopSession(sessionId);
+  }
+
+  /**
+   * Release a viewer from every session it holds (e.g. when the player closes)
+   *
+   * @returns {number} Number of sessions stopped
+   */
+  async releaseViewer(viewerId) {
+    let stopped = 0;
+    for (const session of Array.from(this.sessions.values())) {
+      if (session.viewers.has(viewerId) && await this.releaseSession(session.id, viewerId)) stopped++;
+    }
+    return stopped;
+  }
+
+  /**
+   * Stop ffmpeg and delete cached segments for a session
+   */
+  async stopSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return false;
+
+    this.sessions.delete(sessionId);
+    if (session.process) {
+      session.process.kill('SIGKILL');
+    }
+    await fs.remove(session.outputDir).catch(() => {});
+    console.log(`[HLS] Stopped session ${sessionId}`);
+    return true;
+  }
+
+  /**
+   * Remove sessions nobody has requested for a while
+   */
+  async cleanupIdleSessions() {
+    const now = Date.now();
+    for (const session of Array.from(this.sessions.values())) {
+      if (now - session.lastAccess > this.idleTimeout) {
+        await this.stopSession(session.id);
+      }
+    }
+  }
+
+  /**
+   * Make room for a new session when the limit is reached by evicting the least
+   * recently used sessions nobody is watching; throws 503 when every session has viewers
+   */
+  async enforceSessionLimit() {
+    await this.cleanupIdleSessions();
+
+    const unwatched = Array.from(this.sessions.values())
+      .filter(session => session.viewers.size === 0)
+      .sort((a, b) => a.lastAccess - b.lastAccess);
+
+    while (this.sessions.size >= this.maxSessions) {
+      const oldest = unwatched.shift();
+      if (!oldest) {
+        throw Object.assign(new Error('Too many videos are being transcoded, try again later'), { status: 503 });
+      }
+      await this.stopSession(oldest.id);
+    }
+  }
+
+  /**
+   * Stop all sessions (on shutdown)
+   */
+  async stopAll() {
+    clearInterval(this.cleanupTimer);
+    await Promise.all(Array.from(this.sessions.keys()).map(id => this.stopSession(id)));
+  }
+}
+
+module.exports = HlsTranscoder;
@@ -0,0 +1,375 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Delay before changes are written to disk
+const SAVE_DELAY = 1000;
+
+/**
+ * Job Queue
+ * Persistent background queue for heavy work (metadata extraction, thumbnails,
+ * seek previews). Each job type has a handler and a concurrency limit; failed
+ * jobs are retried with a growing delay, and jobs interrupted by a restart are
+ * run again on the next start.
+ *
+ * Job statuses:
+ * - queued: waiting to run (or waiting for its retry delay, see runAfter)
+ * - running: handler in progress, reports progress (0-100) and a message
+ * - completed: handler finished, its return value is stored as the result
+ * - failed: handler threw on its last attempt
+ * - cancelled: cancelled by an admin (running handlers are aborted through their signal)
+ *
+ * Handlers are called as handler(job, { progress(percent, message), signal }).
+ * Errors with `retry: false` fail the job without further attempts.
+ */
+class JobQueue {
+  constructor() {
+    this.dataDir = path.join(__dirname, '../../.data');
+    this.jobsFile = path.join(this.dataDir, 'jobs.json');
+    this.jobs = new Map(); // Job ID -> job, in the order jobs were added (oldest first, also on disk)
+    this.handlers = new Map();
+    this.controllers = new Map(); // Job ID -> AbortController of running jobs
+    this.loadPromise = null;
+    this.savePromise = Promise.resolve();
+    this.saveTimer = null;
+    this.started = false;
+    this.retryTimer = null;
+  }
+
+  /**
+   * Register the handler of a job type
+   */
+  register(type, handler, options = {}) {
+    this.handlers.set(type, {
+      handler,
+      concurrency: options.concurrency || 1,
+      maxAttempts: options.maxAttempts || config.jobs.maxAttempts
+    });
+    if (this.started) this.process();
+  }
+
+  /**
+   * Load jobs from disk (only once per process)
+   * Jobs that were running when the server stopped are queued again
+   */
+  async load() {
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        try {
+          await fs.ensureDir(this.dataDir);
+          if (await fs.pathExists(this.jobsFile)) {
+            const data = await fs.readJson(this.jobsFile);
+            (data.jobs || []).forEach(job => {
+              if (job.status === 'running') {
+                job.status = 'queued';
+                job.progress = 0;
+                job.message = 'Interrupted by a restart';
+              }
+              this.jobs.set(job.id, job);
+            });
+          }
+        } catch (error) {
+          console.error('Error loading jobs:', error);
+        }
+      })();
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Save jobs to disk (writes are chained so they never interleave)
+   * Only the most recent finished jobs are kept
+   */
+  async save() {
+    const finished = Array.from(this.jobs.values())
+      .filter(job => FINISHED_STATUSES.includes(job.status))
+      .sort((a, b) => new Date(b.finishedAt) - new Date(a.finishedAt));
+    finished.slice(config.jobs.keepFinished).forEach(job => this.jobs.delete(job.id));
+
+    this.savePromise = this.savePromise
+      .catch(() => {})
+      .then(() => fs.writeJson(this.jobsFile, {
+        version: 1,
+        jobs: Array.from(this.jobs.values())
+      }, { spaces: 2 }));
+
+    try {
+      await this.savePromise;
+    } catch (error) {
+      console.error('Error saving jobs:', error);
+    }
+  }
+
+  /**
+   * Save shortly after a change (a library scan can queue thousands of jobs at once)
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DELAY);
+  }
+
+  /**
+   * Add a job
+   * A job with the same key that is still queued is updated instead of duplicated
+   *
+   * @param {string} type - Registered job type
+   * @param {object} payload - Data passed to the handler
+   * @param {object} options - { key: dedupe key, label: shown in the admin list }
+   * @returns {object} The queued job
+   */
+  async add(type, payload = {}, options = {}) {
+    await this.load();
+
+    const key = options.key || null;
+    const queued = key && this.findByKey(key, ['queued']);
+    if (queued) {
+      queued.payload = payload;
+      this.scheduleSave();
+      return queued;
+    }
+
+    const job = {
+      id: uuidv4(),
+      type,
+      key,
+      label: options.label || null,
+      payload,
+      status: 'queued',
+      progress: 0,
+      message: null,
+      error: null,
+      result: null,
+      attempts: 0,
+      runAfter: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+    this.jobs.set(job.id, job);
+    this.scheduleSave();
+
+    this.process();
+    return job;
+  }
+
+  /**
+   * Get a job
+   */
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * List jobs, newest first (optionally of one status and/or type)
+   */
+  list(filters = {}) {
+    return this.listOldestFirst(filters).reverse();
+  }
+
+  /**
+   * Jobs in the order they were added (no sorting needed, see this.jobs)
+   */
+  listOldestFirst(filters = {}) {
+    const jobs = [];
+    this.jobs.forEach(job => {
+      if ((!filters.status || job.status === filters.status) && (!filters.type || job.type === filters.type)) {
+        jobs.push(job);
+      }
+    });
+    return jobs;
+  }
+
+  /**
+   * Number of jobs per status
+   */
+  getCounts() {
+    const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+    this.jobs.forEach(job => counts[job.status]++);
+    return counts;
+  }
+
+  /**
+   * Most recent job with a key, optionally limited to some statuses
+   */
+  findByKey(key, statuses = JOB_STATUSES) {
+    let found = null;
+    this.jobs.forEach(job => {
+      if (job.key === key && statuses.includes(job.status)) found = job;
+    });
+    return found;
+  }
+
+  /**
+   * Cancel a queued or running job
+   */
+  async cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw Object.assign(new Error(`Job is already ${job.status}`), { status: 400 });
+    }
+
+    const controller = this.controllers.get(jobId);
+    if (controller) controller.abort();
+    this.finish(job, 'cancelled', { message: 'Cancelled' });
+    this.scheduleSave();
+    this.process();
+    return job;
+  }
+
+  /**
+   * Cancel the queued or running job with a key (e.g. work for a deleted file)
+   */
+  async cancelByKey(key) {
+    const job = this.findByKey(key, ['queued', 'running']);
+    return job ? this.cancel(job.id) : null;
+  }
+
+  /**
+   * Queue a failed or cancelled job again, with a fresh set of attempts
+   */
+  async retry(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+    if (!['failed', 'cancelled'].includes(job.status)) {
+      throw Object.assign(new Error('Only failed or cancelled jobs can be retried'), { status: 400 });
+    }
+
+    Object.assign(job, {
+      status: 'queued',
+      progress: 0,
+      message: null,
+      error: null,
+      attempts: 0,
+      runAfter: null,
+      finishedAt: null
+    });
+    this.scheduleSave();
+
+    this.process();
+    return job;
+  }
+
+  /**
+   * Mark a job as finished
+   */
+  finish(job, status, fields = {}) {
+    this.controllers.delete(job.id);
+    Object.assign(job, fields, { status, runAfter: null, finishedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Start queued jobs up to each type's concurrency limit
+   */
+  process() {
+    if (!this.started) return;
+
+    const now = Date.now();
+    let nextRetry = null;
+
+    this.handlers.forEach((registration, type) => {
+      let running = this.listOldestFirst({ status: 'running', type }).length;
+      if (running >= registration.concurrency) return;
+
+      for (const job of this.listOldestFirst({ status: 'queued', type })) {
+        if (running >= registration.concurrency) break;
+
+        const runAfter = job.runAfter ? new Date(job.runAfter).getTime() : 0;
+        if (runAfter > now) {
+          nextRetry = nextRetry === null ? runAfter : Math.min(nextRetry, runAfter);
+          continue;
+        }
+
+        running++;
+        this.run(job, registration);
+      }
+    });
+
+    // Wake up for the next job waiting on its retry delay
+    clearTimeout(this.retryTimer);
+    if (nextRetry !== null) {
+      this.retryTimer = setTimeout(() => this.process(), nextRetry - now);
+    }
+  }
+
+  /**
+   * Run a job through its handler
+   */
+  async run(job, registration) {
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+    Object.assign(job, {
+      status: 'running',
+      progress: 0,
+      message: null,
+      attempts: job.attempts + 1,
+      startedAt: new Date().toISOString()
+    });
+    this.scheduleSave();
+
+    const progress = (percent, message) => {
+      if (job.status !== 'running') return;
+      job.progress = Math.max(0, Math.min(100, Math.round(percent)));
+      if (message !== undefined) job.message = message;
+    };
+
+    try {
+      const result = await registration.handler(job, { progress, signal: controller.signal });
+      if (job.status === 'running') {
+        this.finish(job, 'completed', { progress: 100, message: null, result: result === undefined ? null : result });
+      }
+    } catch (error) {
+      // Aborted by stop(): left as running so the next start queues it again
+      if (controller.signal.aborted && job.status === 'running') return;
+
+      if (job.status === 'running') {
+        if (error.retry !== false && job.attempts < registration.maxAttempts) {
+          // Retry after 1x, 2x, 4x... the base delay
+          const delay = config.jobs.retryDelay * Math.pow(2, job.attempts - 1);
+          this.controllers.delete(job.id);
+          Object.assign(job, {
+            status: 'queued',
+            error: error.message,
+            runAfter: new Date(Date.now() + delay).toISOString()
+          });
+        } else {
+          this.finish(job, 'failed', { error: error.message });
+          console.warn(`Job ${job.type} ${job.label || job.id} failed:`, error.message);
+        }
+      }
+    }
+
+    this.scheduleSave();
+    this.process();
+  }
+
+  /**
+   * Load persisted jobs and start running them
+   */
+  async start() {
+    await this.load();
+    this.started = true;
+    this.process();
+  }
+
+  /**
+   * Stop starting jobs and abort running ones (they're queued again on the next start)
+   */
+  stop() {
+    this.started = false;
+    clearTimeout(this.retryTimer);
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.save();
+    this.controllers.forEach(controller => controller.abort());
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,130 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Library Index
+ * Persists scanned local media (IDs, file identity and cached ffprobe data)
+ * so IDs survive rescans and server restarts
+ */
+class LibraryIndex {
+  constructor() {
+    this.libraryDir = path.join(__dirname, '../../.data/library');
+    this.indexFile = path.join(this.libraryDir, 'index.json');
+    this.version = 1;
+    this.items = new Map();
+    this.loadPromise = null;
+    this.savePromise = Promise.resolve();
+    this.lastScanAt = null;
+  }
+
+  /**
+   * Load the index from disk (only once per process)
+   */
+  async load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.readIndex();
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Read index file into memory
+   */
+  async readIndex() {
+    try {
+      await fs.ensureDir(this.libraryDir);
+      if (await fs.pathExists(this.indexFile)) {
+        const data = await fs.readJson(this.indexFile);
+        const items = Array.isArray(data.items) ? data.items : [];
+        items.forEach(item => {
+          if (item && item.id) this.items.set(item.id, item);
+        });
+        this.lastScanAt = data.lastScanAt || null;
+      }
+    } catch (error) {
+      console.error('Error loading library index:', error);
+    }
+  }
+
+  /**
+   * Save the index to disk
+   * Writes are chained so concurrent saves never interleave
+   */
+  async save() {
+    this.savePromise = this.savePromise
+      .catch(() => {})
+      .then(() => fs.writeJson(this.indexFile, {
+        version: this.version,
+        lastScanAt: this.lastScanAt,
+        items: Array.from(this.items.values())
+      }, { spaces: 2 }));
+
+    try {
+      await this.savePromise;
+    } catch (error) {
+      console.error('Error saving library index:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all indexed entries
+   */
+  getAll() {
+    return Array.from(this.items.values());
+  }
+
+  /**
+   * Get entry by ID
+   */
+  get(id) {
+    return this.items.get(id) || null;
+  }
+
+  /**
+   * Check if an ID is already used
+   */
+  has(id) {
+    return this.items.has(id);
+  }
+
+  /**
+   * Find entry by absolute file path
+   */
+  findByPath(filePath) {
+    return this.getAll().find(item => item.path === filePath) || null;
+  }
+
+  /**
+   * Find entry by device + inode (survives renames on the same volume)
+   */
+  findByInode(dev, inode, candidates = this.getAll()) {
+    if (!inode) return null;
+    return candidates.find(item => item.inode === inode && item.dev === dev) || null;
+  }
+
+  /**
+   * Find entry by content fingerprint (survives moves across volumes)
+   */
+  findByFingerprint(fingerprint, candidates = this.getAll()) {
+    if (!fingerprint) return null;
+    return candidates.find(item => item.fingerprint === fingerprint) || null;
+  }
+
+  /**
+   * Add or replace an entry
+   */
+  set(entry) {
+    this.items.set(entry.id, entry);
+    return entry;
+  }
+
+  /**
+   * Remove an entry
+   */
+  remove(id) {
+    return this.items.delete(id);
+  }
+}
+
+module.exports = new LibraryIndex();
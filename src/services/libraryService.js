@@ -0,0 +1,224 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+
+// Library content types and the kind of files each one indexes
+const LIBRARY_TYPES = {
+  movies: { label: 'Movies', mediaTypes: ['video'] },
+  tv: { label: 'TV Shows', mediaTypes: ['video'] },
+  music: { label: 'Music', mediaTypes: ['audio'] },
+  homevideos: { label: 'Home Videos', mediaTypes: ['video'] },
+  mixed: { label: 'Mixed', mediaTypes: ['video', 'audio'] }
+};
+
+/**
+ * Library Service
+ * Manages named media libraries, each with its own root paths and content type
+ */
+class LibraryService {
+  constructor() {
+    this.dataDir = path.join(__dirname, '../../.data');
+    this.librariesFile = path.join(this.dataDir, 'libraries.json');
+    this.libraries = null;
+  }
+
+  /**
+   * Load libraries from file
+   * The first run creates a library for MEDIA_PATH so existing setups keep working
+   */
+  async loadLibraries() {
+    if (this.libraries) return this.libraries;
+
+    try {
+      await fs.ensureDir(this.dataDir);
+      if (await fs.pathExists(this.librariesFile)) {
+        const data = await fs.readJson(this.librariesFile);
+        this.libraries = Array.isArray(data) ? data : [];
+      } else {
+        this.libraries = [this.buildLibrary({
+          id: 'default',
+          name: 'Media',
+          type: 'mixed',
+          paths: [config.mediaPath]
+        })];
+        await this.saveLibraries();
+      }
+    } catch (error) {
+      console.error('Error loading libraries:', error);
+      this.libraries = [];
+    }
+
+    return this.libraries;
+  }
+
+  /**
+   * Save libraries to file
+   */
+  async saveLibraries() {
+    try {
+      await fs.writeJson(this.librariesFile, this.libraries, { spaces: 2 });
+    } catch (error) {
+      console.error('Error saving libraries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build a library record
+   */
+  buildLibrary({ id, name, type, paths }) {
+    const now = new Date().toISOString();
+    return {
+      id: id || uuidv4(),
+      name,
+      type,
+      paths,
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Validate and normalize library fields
+   * Throws an error with status 400 on invalid input
+   */
+  async validate(data, existingId = null) {
+    const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+    const { name, type, paths } = data;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      throw invalid('Library name is required');
+    }
+    if (!LIBRARY_TYPES[type]) {
+      throw invalid(`Library type must be one of: ${Object.keys(LIBRARY_TYPES).join(', ')}`);
+    }
+    if (!Array.isArray(paths) || paths.length === 0) {
+      throw invalid('At least one library path is required');
+    }
+
+    const resolvedPaths = [];
+    for (const libraryPath of paths) {
+      if (typeof libraryPath !== 'string' || !path.isAbsolute(libraryPath)) {
+        throw invalid(`Library paths must be absolute: ${libraryPath}`);
+      }
+      const resolved = path.resolve(libraryPath);
+      const stats = await fs.stat(resolved).catch(() => null);
+      if (!stats || !stats.isDirectory()) {
+        throw invalid(`Directory not found: ${libraryPath}`);
+      }
+      if (!resolvedPaths.includes(resolved)) resolvedPaths.push(resolved);
+    }
+
+    const libraries = await this.loadLibraries();
+    if (libraries.some(l => l.id !== existingId && l.name.toLowerCase() === name.trim().toLowerCase())) {
+      throw invalid('A library with this name already exists');
+    }
+
+    return { name: name.trim(), type, paths: resolvedPaths };
+  }
+
+  /**
+   * Get all libraries
+   */
+  async getLibraries() {
+    return this.loadLibraries();
+  }
+
+  /**
+   * Get library by ID
+   */
+  async getLibrary(libraryId) {
+    const libraries = await this.loadLibraries();
+    return libraries.find(l => l.id === libraryId) || null;
+  }
+
+  /**
+   * Create a library
+   */
+  async createLibrary(data) {
+    const fields = await this.validate(data);
+    const library = this.buildLibrary(fields);
+    this.libraries.push(library);
+    await this.saveLibraries();
+    return library;
+  }
+
+  /**
+   * Update a library (name, type and/or paths)
+   */
+  async updateLibrary(libraryId, updates) {
+    const library = await this.getLibrary(libraryId);
+    if (!library) return null;
+
+    const fields = await this.validate({
+      name: updates.name !== undefined ? updates.name : library.name,
+      type: updates.type !== undefined ? updates.type : library.type,
+      paths: updates.paths !== undefined ? updates.paths : library.paths
+    }, libraryId);
+
+    Object.assign(library, fields, { updatedAt: new Date().toISOString() });
+    await this.saveLibraries();
+    return library;
+  }
+
+  /**
+   * Delete a library (its media is dropped from the index on the next scan)
+   */
+  async deleteLibrary(libraryId) {
+    const libraries = await this.loadLibraries();
+    const index = libraries.findIndex(l => l.id === libraryId);
+    if (index === -1) return false;
+
+    libraries.splice(index, 1);
+    await this.saveLibraries();
+    return true;
+  }
+
+  /**
+   * Check whether a library indexes a file of the given media type ('video' or 'audio')
+   */
+  acceptsMediaType(library, mediaType) {
+    const libraryType = LIBRARY_TYPES[library.type];
+    return !!libraryType && libraryType.mediaTypes.includes(mediaType);
+  }
+
+  /**
+   * Find the library (and root path) that indexes a file of the given media type
+   * The most specific root wins when library paths overlap
+   */
+  async findLibraryForPath(filePath, mediaType) {
+    const libraries = await this.loadLibraries();
+    let match = null;
+
+    for (const library of libraries) {
+      if (!this.acceptsMediaType(library, mediaType)) continue;
+
+      for (const root of library.paths) {
+        const isUnder = filePath === root || filePath.startsWith(root + path.sep);
+        if (isUnder && (!match || root.length > match.root.length)) {
+          match = { library, root };
+        }
+      }
+    }
+
+    return match;
+  }
+
+  /**
+   * All root paths across libraries
+   */
+  async getRootPaths() {
+    const libraries = await this.loadLibraries();
+    return [...new Set(libraries.flatMap(l => l.paths))];
+  }
+
+  /**
+   * Available library types
+   */
+  getTypes() {
+    return Object.entries(LIBRARY_TYPES).map(([id, type]) => ({ id, label: type.label, mediaTypes: type.mediaTypes }));
+  }
+}
+
+module.exports = new LibraryService();
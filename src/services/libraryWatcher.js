@@ -0,0 +1,166 @@
+const chokidar = require('chokidar');
+const path = require('path');
+const eventBus = require('./eventBus');
+const subtitleService = require('./subtitleService');
+
+// How long a file must stop growing before it is indexed
+const WRITE_STABILITY_MS = 2000;
+
+/**
+ * Library Watcher
+ * Watches every library root and applies debounced add/change/unlink events
+ * to the library index, then notifies connected clients
+ */
+class LibraryWatcher {
+  constructor(mediaScanner, options = {}) {
+    this.mediaScanner = mediaScanner;
+    this.debounceMs = options.debounceMs || 2000;
+    // Removals wait long enough for the matching add of a rename/move to arrive,
+    // so both are applied together and the entry keeps its cached metadata
+    this.removalDelayMs = this.debounceMs + WRITE_STABILITY_MS + 1000;
+    this.watcher = null;
+    this.rootPaths = [];
+    this.unsubscribe = null;
+    this.changedPaths = new Set();
+    this.removedPaths = new Set();
+    this.subtitlePaths = new Set();
+    this.flushTimer = null;
+    this.flushing = Promise.resolve();
+  }
+
+  /**
+   * Start watching all library roots
+   */
+  async start() {
+    if (this.watcher) return;
+
+    this.rootPaths = await this.mediaScanner.libraries.getRootPaths();
+    this.watcher = chokidar.watch(this.rootPaths, {
+      ignoreInitial: true,
+      // Skip hidden files and directories, same as MediaScanner.scanDirectory()
+      ignored: (filePath) => path.basename(filePath).startsWith('.'),
+      // Wait for copies to finish before indexing a file
+      awaitWriteFinish: {
+        stabilityThreshold: WRITE_STABILITY_MS,
+        pollInterval: 500
+      }
+    });
+
+    this.watcher
+      .on('add', filePath => this.queueChange(filePath))
+      .on('change', filePath => this.queueChange(filePath))
+      .on('unlink', filePath => this.queueRemoval(filePath))
+      .on('unlinkDir', dirPath => this.queueRemoval(dirPath))
+      .on('error', error => console.error('Library watcher error:', error.message));
+
+    // Follow library changes made through /api/libraries
+    this.unsubscribe = eventBus.subscribe(event => {
+      if (event.type === 'libraries') this.updateRootPaths();
+    });
+
+    console.log(`Watching media libraries for changes: ${this.rootPaths.join(', ')}`);
+  }
+
+  /**
+   * Watch added library roots and stop watching removed ones
+   */
+  async updateRootPaths() {
+    if (!this.watcher) return;
+
+    const rootPaths = await this.mediaScanner.libraries.getRootPaths();
+    const added = rootPaths.filter(p => !this.rootPaths.includes(p));
+    const removed = this.rootPaths.filter(p => !rootPaths.includes(p));
+    this.rootPaths = rootPaths;
+
+    if (removed.length) this.watcher.unwatch(removed);
+    if (added.length) this.watcher.add(added);
+  }
+
+  /**
+   * Stop watching
+   */
+  async stop() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    if (this.watcher) {
+      await this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  queueChange(filePath) {
+    if (subtitleService.isSubtitleFile(filePath)) {
+      this.queueSubtitle(filePath);
+      return;
+    }
+    if (!this.mediaScanner.isMediaFile(filePath)) return;
+    this.removedPaths.delete(filePath);
+    this.changedPaths.add(filePath);
+    this.scheduleFlush();
+  }
+
+  queueRemoval(filePath) {
+    if (subtitleService.isSubtitleFile(filePath)) {
+      this.queueSubtitle(filePath);
+      return;
+    }
+    this.changedPaths.delete(filePath);
+    this.removedPaths.add(filePath);
+    this.scheduleFlush(this.removalDelayMs);
+  }
+
+  // Sidecar subtitles don't change the index themselves, the videos they belong to are rechecked
+  queueSubtitle(filePath) {
+    this.subtitlePaths.add(filePath);
+    this.scheduleFlush();
+  }
+
+  scheduleFlush(delay = this.debounceMs) {
+    if (this.flushTimer) clearTimeout(this.flushTimer);
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flushing = this.flushing.then(() => this.flush());
+    }, delay);
+  }
+
+  /**
+   * Apply queued changes to the index and publish a library event
+   */
+  async flush() {
+    const subtitlePaths = Array.from(this.subtitlePaths);
+    const removedPaths = Array.from(this.removedPaths);
+    this.subtitlePaths.clear();
+    this.removedPaths.clear();
+
+    for (const subtitlePath of subtitlePaths) {
+      const owners = await this.mediaScanner.findSubtitleOwners(subtitlePath);
+      owners.forEach(entry => {
+        if (!removedPaths.includes(entry.path)) this.changedPaths.add(entry.path);
+      });
+    }
+    const changedPaths = Array.from(this.changedPaths);
+    this.changedPaths.clear();
+
+    if (changedPaths.length === 0 && removedPaths.length === 0) return;
+
+    try {
+      const summary = await this.mediaScanner.applyChanges(changedPaths, removedPaths);
+      const { added, updated, moved, removed } = summary;
+
+      if (added.length || updated.length || moved.length || removed.length) {
+        console.log(`Library updated (${added.length} added, ${updated.length} updated, ${moved.length} moved, ${removed.length} removed)`);
+        eventBus.publish('library', { added, updated, moved, removed, total: summary.total });
+      }
+    } catch (error) {
+      console.error('Error applying library changes:', error.message);
+    }
+  }
+}
+
+module.exports = LibraryWatcher;
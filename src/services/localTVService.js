@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const MediaScanner = require('./mediaScanner');
+const metadataMatcher = require('./metadataMatcher');
+const config = require('../config');
+const { parseEpisode } = require('../utils/episodeParser');
+
+// Library types whose videos are checked for episode names
+const TV_LIBRARY_TYPES = ['tv', 'mixed'];
+
+/**
+ * Local TV Service
+ * Groups local episode files into series -> seasons -> episodes and serves
+ * them in the same shape as the TMDB TV routes
+ */
+class LocalTVService {
+  constructor() {
+    this.mediaScanner = new MediaScanner(config.mediaPath);
+  }
+
+  /**
+   * Check if an ID belongs to a local series
+   */
+  isLocalShowId(tvId) {
+    return typeof tvId === 'string' && tvId.startsWith('local_tv_');
+  }
+
+  /**
+   * Stable series ID from the show title (same title in any folder = same series)
+   */
+  getShowId(showTitle) {
+    const key = showTitle.toLowerCase().replace(/[^a-z0-9]+/g, '');
+    return `local_tv_${crypto.createHash('sha1').update(key).digest('hex').slice(0, 12)}`;
+  }
+
+  /**
+   * Group the local library into series
+   * Returns a Map of series ID -> { id, title, seasons: Map(seasonNumber -> episodes) }
+   */
+  async buildShows() {
+    const media = await this.mediaScanner.getLibrary();
+    const shows = new Map();
+
+    media
+      .filter(item => item.type === 'video' && TV_LIBRARY_TYPES.includes(item.libraryType))
+      .forEach(item => {
+        const parsed = parseEpisode(item.relativePath);
+        if (!parsed || !parsed.showTitle) return;
+
+        const id = this.getShowId(parsed.showTitle);
+        if (!shows.has(id)) {
+          shows.set(id, { id, title: parsed.showTitle, seasons: new Map() });
+        }
+
+        const seasons = shows.get(id).seasons;
+        if (!seasons.has(parsed.seasonNumber)) {
+          seasons.set(parsed.seasonNumber, []);
+        }
+        seasons.get(parsed.seasonNumber).push({ item, parsed });
+      });
+
+    // Dated episodes are numbered by air date within their year
+    shows.forEach(show => {
+      show.seasons.forEach(files => {
+        const dated = files.filter(f => f.parsed.airDate).sort((a, b) => a.parsed.airDate.localeCompare(b.parsed.airDate));
+        dated.forEach((file, i) => {
+          file.parsed.episodeNumbers = [i + 1];
+        });
+      });
+    });
+
+    return shows;
+  }
+
+  /**
+   * Flatten a season's files into episodes sorted by number
+   * Multi-episode files are listed once per episode they contain
+   */
+  getEpisodes(files) {
+    const episodes = new Map();
+
+    files.forEach(({ item, parsed }) => {
+      parsed.episodeNumbers.forEach(episodeNumber => {
+        // Duplicates (e.g. two qualities of one episode) keep the first file found
+        if (episodes.has(episodeNumber)) return;
+
+        episodes.set(episodeNumber, {
+          episodeNumber,
+          name: parsed.episodeTitle || (parsed.airDate ? parsed.airDate : `Episode ${episodeNumber}`),
+          overview: '',
+          airDate: parsed.airDate,
+          stillPath: item.hasThumbnail ? `/api/thumbnail/${item.id}` : null,
+          runtime: item.duration ? Math.round(item.duration / 60) : null,
+          mediaId: item.id,
+          episodeNumbers: parsed.episodeNumbers
+        });
+      });
+    });
+
+    return Array.from(episodes.values()).sort((a, b) => a.episodeNumber - b.episodeNumber);
+  }
+
+  /**
+   * Season display name
+   */
+  getSeasonName(seasonNumber) {
+    return seasonNumber === 0 ? 'Specials' : `Season ${seasonNumber}`;
+  }
+
+  /**
+   * Get local series as media items for the library grid
+   * (with TMDB metadata for matched series)
+   */
+  async getShows() {
+    const shows = await this.buildShows();
+
+    return Array.from(shows.values()).map(show => {
+      const files = Array.from(show.seasons.values()).flat().map(f => f.item);
+      const withThumbnail = files.find(item => item.hasThumbnail);
+      const newest = files.reduce((latest, item) => (!latest || new Date(item.createdAt) > new Date(latest) ? item.createdAt : latest), null);
+
+      return metadataMatcher.applyMatch({
+        id: show.id,
+        title: show.title,
+        type: 'tv',
+        source: 'local',
+        isLocalShow: true,
+        totalSeasons: show.seasons.size,
+        totalEpisodes: Array.from(show.seasons.values()).reduce((sum, seasonFiles) => sum + this.getEpisodes(seasonFiles).length, 0),
+        mediaIds: files.map(item => item.id),
+        hasThumbnail: !!withThumbnail,
+        thumbnailId: withThumbnail ? withThumbnail.id : null,
+        createdAt: newest
+      });
+    }).sort((a, b) => a.title.localeCompare(b.title));
+  }
+
+  /**
+   * Get series details (same shape as /api/tv/:tvId/details for TMDB)
+   */
+  async getDetails(tvId) {
+    const shows = await this.buildShows();
+    const show = shows.get(tvId);
+    if (!show) return null;
+
+    const seasons = Array.from(show.seasons.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([seasonNumber, files]) => ({
+        seasonNumber,
+        name: this.getSeasonName(seasonNumber),
+        episodeCount: this.getEpisodes(files).length,
+        overview: '',
+        posterPath: null
+      }));
+
+    const matched = metadataMatcher.applyMatch({ id: show.id, title: show.title });
+
+    return {
+      id: show.id,
+      name: matched.title,
+      overview: matched.overview || '',
+      posterPath: matched.posterUrl || null,
+      backdropPath: matched.backdropUrl || null,
+      tmdbId: matched.tmdbId || null,
+      totalSeasons: seasons.length,
+      totalEpisodes: seasons.reduce((sum, season) => sum + season.episodeCount, 0),
+      seasons,
+      source: 'local'
+    };
+  }
+
+  /**
+   * Get a season's episodes (same shape as /api/tv/:tvId/season/:n for TMDB,
+   * plus the mediaId of the file to stream)
+   */
+  async getSeason(tvId, seasonNumber) {
+    const shows = await this.buildShows();
+    const show = shows.get(tvId);
+    if (!show || !show.seasons.has(seasonNumber)) return null;
+
+    return {
+      seasonNumber,
+      name: this.getSeasonName(seasonNumber),
+      overview: '',
+      episodes: this.getEpisodes(show.seasons.get(seasonNumber))
+    };
+  }
+}
+
+module.exports = new LocalTVService();
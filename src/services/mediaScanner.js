@@ -1,16 +1,40 @@
 const fs = require('fs-extra');
 const path = require('path');
-const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
 const mime = require('mime-types');
-const { exec } = require('child_process');
+const { exec, spawn } = require('child_process');
 const { promisify } = require('util');
+const libraryIndex = require('./libraryIndex');
+const libraryService = require('./libraryService');
+const metadataMatcher = require('./metadataMatcher');
+const subtitleService = require('./subtitleService');
+const trickplayService = require('./trickplayService');
+const jobQueue = require('./jobQueue');
+const eventBus = require('./eventBus');
+const config = require('../config');
+const { getLanguageName } = require('../utils/languages');
+const { parseMusicTags } = require('../utils/musicTags');
 
 const execAsync = promisify(exec);
 
+// Bytes hashed from the start and end of a file for its content fingerprint
+const FINGERPRINT_CHUNK_SIZE = 64 * 1024;
+
+// Only one scan runs at a time, shared by every MediaScanner instance
+let activeScan = null;
+// Forced scan requested while another scan was running (at most one is queued)
+let queuedForcedScan = null;
+
+// Media IDs whose metadata jobs finished since the last 'library' event
+const probedIds = new Set();
+let probedTimer = null;
+const PROBED_EVENT_DELAY = 2000;
+
 class MediaScanner {
   constructor(mediaPath) {
     this.mediaPath = mediaPath;
-    this.mediaCache = new Map();
+    this.index = libraryIndex;
+    this.libraries = libraryService;
     this.thumbnailsPath = path.join(__dirname, '../../.cache/thumbnails');
     fs.ensureDirSync(this.thumbnailsPath);
   }
@@ -34,6 +58,15 @@ class MediaScanner {
     return this.isVideoFile(filePath) || this.isAudioFile(filePath);
   }
 
+  // Find the library a file belongs to, or null if no library indexes it
+  // (outside every library root, or e.g. a video inside a music library)
+  async resolveLibrary(filePath) {
+    if (!this.isMediaFile(filePath)) return null;
+
+    const mediaType = this.isVideoFile(filePath) ? 'video' : 'audio';
+    return this.libraries.findLibraryForPath(filePath, mediaType);
+  }
+
   // Scan directory for media files
   async scanDirectory(dir) {
     const files = [];
@@ -98,6 +131,81 @@ class MediaScanner {
     return null;
   }
 
+  // Describe channel counts the way players do (2 -> Stereo, 6 -> 5.1)
+  formatChannels(channels) {
+    const names = { 1: 'Mono', 2: 'Stereo', 6: '5.1', 8: '7.1' };
+    return names[channels] || (channels ? `${channels}ch` : null);
+  }
+
+  // Extract audio streams (language, codec, channels)
+  // index is the position among audio streams, as used by ffmpeg's -map 0:a:<index>
+  extractAudioTracks(metadata) {
+    if (!metadata || !metadata.streams) return [];
+
+    return metadata.streams
+      .filter(s => s.codec_type === 'audio')
+      .map((stream, index) => {
+        const tags = stream.tags || {};
+        const disposition = stream.disposition || {};
+        const language = tags.language && tags.language !== 'und' ? tags.language : null;
+        const details = [stream.codec_name && stream.codec_name.toUpperCase(), this.formatChannels(stream.channels)]
+          .filter(Boolean).join(' ');
+        const name = tags.title || getLanguageName(language) || `Track ${index + 1}`;
+
+        return {
+          index,
+          streamIndex: stream.index,
+          codec: stream.codec_name || null,
+          language,
+          title: tags.title || null,
+          channels: stream.channels || null,
+          channelLayout: stream.channel_layout || null,
+          default: disposition.default === 1,
+          label: details ? `${name} (${details})` : name
+        };
+      });
+  }
+
+  // Check if an audio file has embedded cover art (ffprobe lists it as an attached picture)
+  hasCoverArt(metadata) {
+    return !!(metadata && metadata.streams &&
+      metadata.streams.some(s => s.codec_type === 'video' && s.disposition && s.disposition.attached_pic));
+  }
+
+  // Run ffmpeg with an argument list (no shell, so file names are never interpreted)
+  runFfmpeg(args) {
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn('ffmpeg', args, { stdio: ['ignore', 'ignore', 'pipe'] });
+
+      let stderr = '';
+      ffmpeg.stderr.on('data', chunk => {
+        stderr = (stderr + chunk.toString()).slice(-2000);
+      });
+      ffmpeg.on('error', reject);
+      ffmpeg.on('close', code => {
+        if (code === 0) resolve();
+        else reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim().split('\n').pop() || 'no output'}`));
+      });
+    });
+  }
+
+  // Extract embedded cover art of an audio file using ffmpeg
+  async extractCoverArt(audioPath, thumbnailPath) {
+    try {
+      await this.runFfmpeg([
+        '-v', 'error',
+        '-i', audioPath,
+        '-an', '-map', '0:v:0', '-frames:v', '1',
+        '-vf', 'scale=300:-1',
+        '-y', thumbnailPath
+      ]);
+      return true;
+    } catch (error) {
+      console.warn(`Could not extract cover art from ${audioPath}:`, error.message);
+      return false;
+    }
+  }
+
   // Generate thumbnail using ffmpeg
   async generateThumbnail(videoPath, thumbnailPath) {
     try {
@@ -112,102 +220,424 @@ class MediaScanner {
     }
   }
 
-  // Scan media library
-  async scan() {
-    console.log('Scanning media library...');
-    const mediaFiles = await this.scanDirectory(this.mediaPath);
-    const mediaList = [];
+  // Compute a content fingerprint from file size plus its first and last chunks
+  async computeFingerprint(filePath, size) {
+    const hash = crypto.createHash('sha1');
+    hash.update(String(size));
 
-    for (const filePath of mediaFiles) {
-      try {
-        const stats = await fs.stat(filePath);
-        const id = uuidv4();
-        const relativePath = path.relative(this.mediaPath, filePath);
-        const ext = path.extname(filePath).toLowerCase();
-        const mimeType = mime.lookup(filePath) || 'application/octet-stream';
-        
-        const mediaItem = {
-          id,
-          title: path.basename(filePath, ext),
-          path: filePath,
-          relativePath,
-          type: this.isVideoFile(filePath) ? 'video' : 'audio',
-          mimeType,
-          size: stats.size,
-          createdAt: stats.birthtime,
-          modifiedAt: stats.mtime,
-          extension: ext,
-          duration: 0,
-          resolution: null,
-          hasThumbnail: false
-        };
+    const fd = await fs.open(filePath, 'r');
+    try {
+      const headLength = Math.min(FINGERPRINT_CHUNK_SIZE, size);
+      const head = Buffer.alloc(headLength);
+      await fs.read(fd, head, 0, headLength, 0);
+      hash.update(head);
+
+      if (size > FINGERPRINT_CHUNK_SIZE) {
+        const tailLength = Math.min(FINGERPRINT_CHUNK_SIZE, size - FINGERPRINT_CHUNK_SIZE);
+        const tail = Buffer.alloc(tailLength);
+        await fs.read(fd, tail, 0, tailLength, size - tailLength);
+        hash.update(tail);
+      }
+    } finally {
+      await fs.close(fd);
+    }
+
+    return hash.digest('hex');
+  }
+
+  // Generate a deterministic media ID from the content fingerprint
+  // Falls back to fingerprint + path when two files share the same content
+  generateMediaId(fingerprint, relativePath) {
+    const hashId = (value) => `local_${crypto.createHash('sha1').update(value).digest('hex').slice(0, 16)}`;
+
+    const id = hashId(fingerprint);
+    const existing = this.index.get(id);
+    if (!existing || existing.relativePath === relativePath) {
+      return id;
+    }
+    return hashId(`${fingerprint}:${relativePath}`);
+  }
+
+  // Build the public media item from an index entry (internal fields stripped)
+  // TMDB metadata is merged in for matched files
+  toMediaItem(entry) {
+    if (!entry) return null;
+    const { dev, inode, mtimeMs, fingerprint, probe, indexedAt, ...mediaItem } = entry;
+    // Entries indexed before audio tracks were recorded still have their probe
+    if (!mediaItem.audioTracks) mediaItem.audioTracks = this.extractAudioTracks(probe);
+    if (mediaItem.type === 'audio') mediaItem.music = parseMusicTags(probe, mediaItem.relativePath);
+    return metadataMatcher.applyMatch(mediaItem);
+  }
+
+  // Extract ffprobe metadata and a thumbnail for a new or changed entry
+  async extractMetadata(entry, onProgress = () => {}) {
+    onProgress(0, 'Reading stream information');
+    const metadata = await this.getFileMetadata(entry.path);
+    entry.probe = metadata;
+    entry.duration = 0;
+    entry.resolution = null;
+    entry.audioTracks = [];
+    if (!metadata) return entry;
+
+    entry.duration = this.extractDuration(metadata);
+    entry.audioTracks = this.extractAudioTracks(metadata);
+
+    onProgress(50, entry.type === 'video' ? 'Generating thumbnail' : 'Extracting cover art');
+    const thumbnailPath = path.join(this.thumbnailsPath, `${entry.id}.jpg`);
+    if (entry.type === 'video') {
+      entry.resolution = this.extractResolution(metadata);
+      entry.hasThumbnail = await this.generateThumbnail(entry.path, thumbnailPath);
+    } else {
+      entry.hasThumbnail = this.hasCoverArt(metadata) && await this.extractCoverArt(entry.path, thumbnailPath);
+    }
+
+    return entry;
+  }
+
+  // Index a single file, reusing the existing entry when the file is unchanged
+  // Moved or renamed files are matched by inode, then by content fingerprint
+  async indexFile(filePath, options = {}) {
+    const { force = false, moveCandidates = [] } = options;
+    const match = await this.resolveLibrary(filePath);
+    if (!match) {
+      throw new Error('File is not part of any library');
+    }
+
+    const stats = await fs.stat(filePath);
+    const relativePath = path.relative(match.root, filePath);
+
+    let existing = this.index.findByPath(filePath);
+    if (existing && !force &&
+        existing.libraryId === match.library.id &&
+        existing.libraryType === match.library.type &&
+        existing.size === stats.size &&
+        existing.mtimeMs === stats.mtimeMs) {
+      // Sidecar subtitles can be added or removed without touching the video
+      const subtitles = await this.getSubtitleTracks(existing);
+      if (JSON.stringify(subtitles) === JSON.stringify(existing.subtitles || [])) {
+        return { entry: existing, status: 'unchanged' };
+      }
+      existing.subtitles = subtitles;
+      this.index.set(existing);
+      return { entry: existing, status: 'updated' };
+    }
+
+    const fingerprint = await this.computeFingerprint(filePath, stats.size);
+    let status = existing ? 'updated' : 'added';
+
+    if (!existing) {
+      existing = this.index.findByInode(stats.dev, stats.ino, moveCandidates) ||
+        this.index.findByFingerprint(fingerprint, moveCandidates);
+      if (existing) status = 'moved';
+    }
+
+    const ext = path.extname(filePath).toLowerCase();
+    const entry = {
+      id: existing ? existing.id : this.generateMediaId(fingerprint, relativePath),
+      title: path.basename(filePath, ext),
+      path: filePath,
+      relativePath,
+      type: this.isVideoFile(filePath) ? 'video' : 'audio',
+      libraryId: match.library.id,
+      libraryType: match.library.type,
+      mimeType: mime.lookup(filePath) || 'application/octet-stream',
+      size: stats.size,
+      createdAt: stats.birthtime,
+      modifiedAt: stats.mtime,
+      extension: ext,
+      duration: existing ? existing.duration : 0,
+      resolution: existing ? existing.resolution : null,
+      audioTracks: existing ? existing.audioTracks : [],
+      hasThumbnail: existing ? existing.hasThumbnail : false,
+      dev: stats.dev,
+      inode: stats.ino,
+      mtimeMs: stats.mtimeMs,
+      fingerprint,
+      probe: existing ? existing.probe : null,
+      indexedAt: new Date().toISOString()
+    };
+
+    // Moved files keep their probe data and thumbnail when the content is identical
+    // Others are probed by a background job (getMetadata() probes on demand if it hasn't run yet)
+    const contentChanged = !existing || existing.fingerprint !== fingerprint;
+    const needsMetadata = force || contentChanged || !entry.probe;
+    if (needsMetadata) entry.probe = null;
+    entry.subtitles = await this.getSubtitleTracks(entry);
+
+    this.index.set(entry);
+    if (needsMetadata) await this.queueMetadata(entry);
+    return { entry, status };
+  }
 
-        // Get detailed metadata for video files
-        if (this.isVideoFile(filePath)) {
-          const metadata = await this.getFileMetadata(filePath);
-          if (metadata) {
-            mediaItem.duration = this.extractDuration(metadata);
-            mediaItem.resolution = this.extractResolution(metadata);
-
-            // Generate thumbnail
-            const thumbnailPath = path.join(this.thumbnailsPath, `${id}.jpg`);
-            const thumbnailGenerated = await this.generateThumbnail(filePath, thumbnailPath);
-            mediaItem.hasThumbnail = thumbnailGenerated;
-          }
-        } else if (this.isAudioFile(filePath)) {
-          const metadata = await this.getFileMetadata(filePath);
-          if (metadata) {
-            mediaItem.duration = this.extractDuration(metadata);
-          }
+  // Queue ffprobe and thumbnail extraction of an entry
+  async queueMetadata(entry) {
+    return jobQueue.add('metadata', { mediaId: entry.id, fingerprint: entry.fingerprint }, {
+      key: `metadata:${entry.id}`,
+      label: entry.relativePath
+    });
+  }
+
+  // Job handler: probe an entry and generate its thumbnail
+  // Skipped when the file changed again or was probed on demand in the meantime
+  async processMetadataJob(job, { progress, signal }) {
+    const { mediaId, fingerprint } = job.payload;
+    await this.index.load();
+
+    const isCurrent = (entry) => entry && entry.fingerprint === fingerprint;
+    const entry = this.index.get(mediaId);
+    if (!isCurrent(entry) || entry.probe) return { skipped: true };
+
+    const probed = { ...entry };
+    await this.extractMetadata(probed, progress);
+    if (signal.aborted) return { skipped: true };
+    // Failed so the queue retries it later (getMetadata() still probes on demand meanwhile)
+    if (!probed.probe) throw new Error('ffprobe could not read the file (is FFmpeg installed?)');
+
+    // The index may have replaced the entry while ffprobe/ffmpeg ran
+    const current = this.index.get(mediaId);
+    if (!isCurrent(current) || current.probe) return { skipped: true };
+
+    const { probe, duration, resolution, audioTracks, hasThumbnail } = probed;
+    Object.assign(current, { probe, duration, resolution, audioTracks, hasThumbnail });
+    current.subtitles = await this.getSubtitleTracks(current);
+    this.index.set(current);
+
+    // Save once per batch, then let clients (and the matcher and seek preview generator)
+    // pick up the new metadata
+    probedIds.add(mediaId);
+    clearTimeout(probedTimer);
+    probedTimer = setTimeout(async () => {
+      const updated = Array.from(probedIds);
+      probedIds.clear();
+      await this.index.save().catch(() => {});
+      eventBus.publish('library', { added: [], updated, moved: [], removed: [], total: this.index.getAll().length });
+    }, PROBED_EVENT_DELAY);
+
+    return { duration, resolution, hasThumbnail };
+  }
+
+  // Remove an entry, its generated thumbnail, trickplay sprites and extracted subtitles
+  async removeEntry(entry) {
+    this.index.remove(entry.id);
+    await jobQueue.cancelByKey(`metadata:${entry.id}`);
+    await fs.remove(path.join(this.thumbnailsPath, `${entry.id}.jpg`)).catch(() => {});
+    await trickplayService.clearCache(entry.id);
+    await subtitleService.clearCache(entry.id);
+  }
+
+  // Embedded (from the cached probe) and sidecar subtitle tracks of a video
+  async getSubtitleTracks(entry) {
+    if (entry.type !== 'video') return [];
+    return subtitleService.getTracks(entry.path, entry.probe);
+  }
+
+  // Indexed videos a sidecar subtitle file belongs to (Movie.en.srt -> Movie.mkv)
+  async findSubtitleOwners(subtitlePath) {
+    await this.index.load();
+    const subtitleDir = path.dirname(subtitlePath);
+    const subtitleName = path.basename(subtitlePath);
+    const dirs = [subtitleDir, path.dirname(subtitleDir)]; // Sidecars may live in a Subs folder
+
+    return this.index.getAll().filter(entry => {
+      if (entry.type !== 'video' || !dirs.includes(path.dirname(entry.path))) return false;
+      const videoName = path.basename(entry.path, entry.extension);
+      return subtitleName.startsWith(`${videoName}.`);
+    });
+  }
+
+  // Incrementally update the library index
+  // Returns a summary of what changed
+  // A forced refresh during a scan runs once that scan has finished
+  async refresh(options = {}) {
+    if (activeScan && options.force) {
+      if (!queuedForcedScan) {
+        queuedForcedScan = activeScan.catch(() => {}).then(() => {
+          queuedForcedScan = null;
+          return this.refresh(options);
+        });
+      }
+      return queuedForcedScan;
+    }
+    if (activeScan) return activeScan;
+
+    activeScan = this.runRefresh(options).finally(() => {
+      activeScan = null;
+    });
+    return activeScan;
+  }
+
+  // Run a fresh scan once any scan in progress has finished
+  // (used when library settings changed while a scan may be running)
+  async queueRefresh(options = {}) {
+    if (activeScan) await activeScan.catch(() => {});
+    return this.refresh(options);
+  }
+
+  async runRefresh(options = {}) {
+    const { force = false } = options;
+    await this.index.load();
+
+    console.log('Scanning media libraries...');
+    const seenPaths = new Set();
+    for (const root of await this.libraries.getRootPaths()) {
+      for (const filePath of await this.scanDirectory(root)) {
+        // Nested roots list the same file twice
+        if (!seenPaths.has(filePath) && await this.resolveLibrary(filePath)) {
+          seenPaths.add(filePath);
         }
+      }
+    }
+    const mediaFiles = Array.from(seenPaths);
+
+    // Entries whose file disappeared may have been moved or renamed
+    const moveCandidates = this.index.getAll().filter(entry => !seenPaths.has(entry.path));
+    const summary = await this.indexFiles(mediaFiles, moveCandidates, { force });
+
+    this.index.lastScanAt = new Date().toISOString();
+    await this.index.save();
+
+    console.log(`Found ${summary.total} media files (${summary.added.length} added, ${summary.updated.length} updated, ${summary.moved.length} moved, ${summary.removed.length} removed)`);
+    return summary;
+  }
+
+  // Index a batch of files, then drop move candidates that were not claimed
+  // Summary lists the affected media IDs per change type
+  async indexFiles(filePaths, moveCandidates = [], options = {}) {
+    const summary = { added: [], updated: [], moved: [], unchanged: 0, removed: [], errors: 0 };
+    const claimedIds = new Set();
 
-        this.mediaCache.set(id, mediaItem);
-        mediaList.push(mediaItem);
+    for (const filePath of filePaths) {
+      try {
+        const candidates = moveCandidates.filter(entry => !claimedIds.has(entry.id));
+        const { entry, status } = await this.indexFile(filePath, { ...options, moveCandidates: candidates });
+        claimedIds.add(entry.id);
+        if (status === 'unchanged') {
+          summary.unchanged++;
+        } else {
+          summary[status].push(entry.id);
+        }
       } catch (error) {
+        summary.errors++;
         console.error(`Error processing ${filePath}:`, error.message);
       }
     }
 
-    console.log(`Found ${mediaList.length} media files`);
-    return mediaList;
+    for (const entry of moveCandidates) {
+      if (!claimedIds.has(entry.id)) {
+        await this.removeEntry(entry);
+        summary.removed.push(entry.id);
+      }
+    }
+
+    summary.total = this.index.getAll().length;
+    return summary;
+  }
+
+  // Apply filesystem changes without a full scan (used by the library watcher)
+  // changedPaths are added/modified files, removedPaths are deleted files or directories
+  async applyChanges(changedPaths = [], removedPaths = []) {
+    if (activeScan) await activeScan.catch(() => {});
+    await this.index.load();
+
+    const isUnder = (filePath, removedPath) =>
+      filePath === removedPath || filePath.startsWith(removedPath + path.sep);
+
+    const moveCandidates = this.index.getAll().filter(entry =>
+      removedPaths.some(removedPath => isUnder(entry.path, removedPath))
+    );
+
+    const existingFiles = [];
+    for (const filePath of changedPaths) {
+      if (await this.resolveLibrary(filePath) && await fs.pathExists(filePath)) {
+        existingFiles.push(filePath);
+      }
+    }
+
+    const summary = await this.indexFiles(existingFiles, moveCandidates);
+    await this.index.save();
+    return summary;
+  }
+
+  // Scan media library
+  async scan(options = {}) {
+    await this.refresh(options);
+    await metadataMatcher.load();
+    return this.getAll();
+  }
+
+  // Get the indexed library, running the first scan if nothing was indexed yet
+  async getLibrary() {
+    await this.index.load();
+    if (!this.index.lastScanAt) {
+      await this.refresh();
+    }
+    await metadataMatcher.load();
+    return this.getAll();
+  }
+
+  // Get all indexed media items
+  getAll() {
+    return this.index.getAll().map(entry => this.toMediaItem(entry));
+  }
+
+  // Get indexed media items of one library
+  async getByLibrary(libraryId) {
+    const media = await this.getLibrary();
+    return media.filter(item => item.libraryId === libraryId);
   }
 
   // Get media item by ID
-  getMediaItem(id) {
-    return this.mediaCache.get(id);
+  async getMediaItem(id) {
+    await this.index.load();
+    await metadataMatcher.load();
+    return this.toMediaItem(this.index.get(id));
   }
 
   // Get media path by ID
   async getMediaPath(id) {
-    const mediaItem = this.mediaCache.get(id);
-    return mediaItem ? mediaItem.path : null;
+    await this.index.load();
+    const entry = this.index.get(id);
+    return entry ? entry.path : null;
   }
 
   // Get metadata for a specific media item
   async getMetadata(id) {
-    const mediaItem = this.mediaCache.get(id);
-    if (!mediaItem) return null;
-
-    // Refresh metadata if needed
-    if (this.isVideoFile(mediaItem.path)) {
-      const metadata = await this.getFileMetadata(mediaItem.path);
-      if (metadata) {
-        mediaItem.duration = this.extractDuration(metadata);
-        mediaItem.resolution = this.extractResolution(metadata);
-      }
+    await this.index.load();
+    const entry = this.index.get(id);
+    if (!entry) return null;
+
+    // Probe only if nothing is cached yet (e.g. ffprobe was missing during the scan)
+    if (!entry.probe && await fs.pathExists(entry.path)) {
+      await this.extractMetadata(entry);
+      entry.subtitles = await this.getSubtitleTracks(entry);
+      await this.index.save();
     }
 
-    return mediaItem;
+    await metadataMatcher.load();
+    return this.toMediaItem(entry);
+  }
+
+  // Get cached ffprobe output for a media item
+  async getProbeData(id) {
+    await this.index.load();
+    const entry = this.index.get(id);
+    return entry ? entry.probe : null;
   }
 
   // Get thumbnail path
   async getThumbnail(id) {
-    const mediaItem = this.mediaCache.get(id);
-    if (!mediaItem || !mediaItem.hasThumbnail) return null;
+    await this.index.load();
+    const entry = this.index.get(id);
+    if (!entry || !entry.hasThumbnail) return null;
 
     return path.join(this.thumbnailsPath, `${id}.jpg`);
   }
 }
 
+// Metadata extraction runs in the background job queue
+jobQueue.register('metadata', (job, context) => new MediaScanner(config.mediaPath).processMetadataJob(job, context), {
+  concurrency: config.jobs.metadataConcurrency
+});
+
 module.exports = MediaScanner;
 
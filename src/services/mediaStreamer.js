@@ -1,6 +1,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const mime = require('mime-types');
+const { spawn } = require('child_process');
 
 class MediaStreamer {
   constructor(mediaPath) {
@@ -55,6 +56,75 @@ class MediaStreamer {
       }
     }
   }
+
+  // Remux a file into fragmented MP4 on the fly (video copied, audio copied or converted to AAC)
+  // The output isn't seekable by byte range, so clients restart it with a start offset instead
+  // audioTrack picks the audio stream (position among audio streams), default is the first
+  remux(req, res, filePath, options = {}) {
+    const { startTime = 0, transcodeAudio = false, audioOnly = false, audioTrack = null } = options;
+    const args = ['-hide_banner', '-loglevel', 'error'];
+
+    if (startTime > 0) {
+      args.push('-ss', String(startTime));
+    }
+    args.push('-i', filePath);
+
+    if (!audioOnly) {
+      args.push('-map', '0:v:0', '-c:v', 'copy');
+    }
+    args.push('-map', audioTrack === null ? '0:a:0?' : `0:a:${audioTrack}`);
+    args.push(...(transcodeAudio ? ['-c:a', 'aac', '-ac', '2', '-b:a', '192k'] : ['-c:a', 'copy']));
+    args.push(
+      '-movflags', 'frag_keyframe+empty_moov+default_base_moof',
+      '-f', 'mp4',
+      'pipe:1'
+    );
+
+    const ffmpeg = spawn('ffmpeg', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stderr = '';
+
+    ffmpeg.stderr.on('data', chunk => {
+      stderr = (stderr + chunk.toString()).slice(-2000);
+    });
+
+    ffmpeg.on('error', error => {
+      const message = error.code === 'ENOENT' ? 'ffmpeg is not installed or not in PATH' : error.message;
+      console.error('Remux error:', message);
+      if (!res.headersSent) {
+        res.status(503).json({ error: message });
+      }
+    });
+
+    ffmpeg.on('close', (code, signal) => {
+      if (res.writableEnded) return;
+      if (code !== 0 && !signal) {
+        console.error(`Remux failed for ${filePath}:`, stderr.trim() || `ffmpeg exited with code ${code}`);
+        if (!res.headersSent) {
+          return res.status(500).json({ error: 'Remuxing failed' });
+        }
+      }
+      res.end();
+    });
+
+    // Headers are only sent once ffmpeg produces output, so failures can still return JSON
+    ffmpeg.stdout.on('data', chunk => {
+      if (!res.headersSent) {
+        res.writeHead(200, {
+          'Content-Type': audioOnly ? 'audio/mp4' : 'video/mp4',
+          'Cache-Control': 'no-cache'
+        });
+      }
+      if (!res.write(chunk)) {
+        ffmpeg.stdout.pause();
+        res.once('drain', () => ffmpeg.stdout.resume());
+      }
+    });
+
+    // Stop ffmpeg as soon as the client goes away (seek, close, ...)
+    res.on('close', () => {
+      if (ffmpeg.exitCode === null) ffmpeg.kill('SIGKILL');
+    });
+  }
 }
 
 module.exports = MediaStreamer;
@@ -0,0 +1,436 @@
+const fs = require('fs-extra');
+const path = require('path');
+const MovieAPI = require('./movieAPI');
+const eventBus = require('./eventBus');
+const config = require('../config');
+const { parseMovieTitle } = require('../utils/titleParser');
+
+// Library types whose videos are matched as movies
+const MOVIE_LIBRARY_TYPES = ['movies', 'mixed'];
+
+// Statuses whose metadata is applied to the local item
+const APPLIED_STATUSES = ['matched', 'manual'];
+
+/**
+ * Metadata Matcher
+ * Matches local movies and series to TMDB titles so they get posters, genres,
+ * ratings and years (and merge with their TMDB counterparts in deduplicateMedia())
+ *
+ * Match statuses:
+ * - matched: best candidate scored at least config.matching.minConfidence
+ * - low-confidence: best candidate scored lower, kept for review but not applied
+ * - unmatched: TMDB returned no candidates
+ * - manual: set or confirmed by an admin, never replaced automatically
+ * - ignored: an admin marked the item as having no TMDB match
+ */
+class MetadataMatcher {
+  constructor() {
+    this.libraryDir = path.join(__dirname, '../../.data/library');
+    this.matchesFile = path.join(this.libraryDir, 'matches.json');
+    this.movieAPI = new MovieAPI();
+    this.matches = new Map();
+    this.loadPromise = null;
+    this.savePromise = Promise.resolve();
+    this.activeRun = null;
+    this.matchTimer = null;
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Load matches from disk (only once per process)
+   */
+  async load() {
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        try {
+          await fs.ensureDir(this.libraryDir);
+          if (await fs.pathExists(this.matchesFile)) {
+            const data = await fs.readJson(this.matchesFile);
+            Object.values(data.matches || {}).forEach(match => this.matches.set(match.mediaId, match));
+          }
+        } catch (error) {
+          console.error('Error loading metadata matches:', error);
+        }
+      })();
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Save matches to disk (writes are chained so they never interleave)
+   */
+  async save() {
+    this.savePromise = this.savePromise
+      .catch(() => {})
+      .then(() => fs.writeJson(this.matchesFile, {
+        version: 1,
+        matches: Object.fromEntries(this.matches)
+      }, { spaces: 2 }));
+
+    try {
+      await this.savePromise;
+    } catch (error) {
+      console.error('Error saving metadata matches:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the match record of a local item
+   */
+  getMatch(mediaId) {
+    return this.matches.get(mediaId) || null;
+  }
+
+  /**
+   * Get all match records, optionally filtered by status
+   */
+  getMatches(status = null) {
+    const matches = Array.from(this.matches.values());
+    return status ? matches.filter(m => m.status === status) : matches;
+  }
+
+  /**
+   * Merge matched TMDB metadata into a local item
+   * The file's own title is kept as fileTitle
+   */
+  applyMatch(item) {
+    if (!item) return item;
+    const match = this.matches.get(item.id);
+    if (!match || !APPLIED_STATUSES.includes(match.status) || !match.metadata) return item;
+
+    const metadata = match.metadata;
+    return {
+      ...item,
+      title: metadata.title,
+      fileTitle: item.title,
+      originalTitle: metadata.originalTitle,
+      overview: metadata.overview,
+      releaseDate: metadata.releaseDate,
+      year: metadata.year,
+      posterUrl: metadata.posterUrl,
+      backdropUrl: metadata.backdropUrl,
+      rating: metadata.rating,
+      genres: metadata.genres || [],
+      genreIds: metadata.genreIds || [],
+      tmdbId: metadata.tmdbId,
+      tmdbType: match.type,
+      matchConfidence: match.confidence
+    };
+  }
+
+  /**
+   * Normalize a title for comparison
+   */
+  normalize(title) {
+    const plain = (title || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/&/g, ' and ');
+    return this.movieAPI.normalizeTitle(plain)
+      .replace(/^(the|a|an) /, '');
+  }
+
+  /**
+   * Title similarity between 0 and 1 (Dice coefficient over character bigrams)
+   */
+  titleSimilarity(a, b) {
+    const left = this.normalize(a);
+    const right = this.normalize(b);
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+
+    const bigrams = (value) => {
+      const compact = value.replace(/\s+/g, '');
+      const result = new Map();
+      for (let i = 0; i < compact.length - 1; i++) {
+        const bigram = compact.slice(i, i + 2);
+        result.set(bigram, (result.get(bigram) || 0) + 1);
+      }
+      return result;
+    };
+
+    const leftBigrams = bigrams(left);
+    const rightBigrams = bigrams(right);
+    let overlap = 0;
+    let total = 0;
+    leftBigrams.forEach((count, bigram) => {
+      overlap += Math.min(count, rightBigrams.get(bigram) || 0);
+      total += count;
+    });
+    rightBigrams.forEach(count => {
+      total += count;
+    });
+
+    return total > 0 ? (2 * overlap) / total : 0;
+  }
+
+  /**
+   * Score a TMDB candidate against the parsed query (0 to 1)
+   * 70% title similarity, 30% year agreement
+   */
+  scoreCandidate(query, candidate) {
+    const titleScore = Math.max(
+      this.titleSimilarity(query.title, candidate.title),
+      this.titleSimilarity(query.title, candidate.originalTitle)
+    );
+
+    let yearScore = 0.5; // No year in the file name: neither evidence for nor against
+    if (query.year) {
+      const candidateYear = parseInt(candidate.year, 10);
+      if (!candidateYear) {
+        yearScore = 0.3;
+      } else {
+        const difference = Math.abs(candidateYear - query.year);
+        yearScore = difference === 0 ? 1 : difference === 1 ? 0.7 : 0;
+      }
+    }
+
+    return Math.round((titleScore * 0.7 + yearScore * 0.3) * 1000) / 1000;
+  }
+
+  /**
+   * Build the query (title/year) for a local movie file or series
+   */
+  buildQuery(item, type) {
+    if (type === 'tv') {
+      // Series titles come from the episode parser, e.g. "Doctor Who 2005"
+      const parsed = parseMovieTitle(item.fileTitle || item.title);
+      return { title: parsed.title || item.fileTitle || item.title, year: parsed.year };
+    }
+    return parseMovieTitle(item.relativePath || item.title);
+  }
+
+  /**
+   * Search TMDB and score the candidates for one item
+   */
+  async findCandidates(query, type) {
+    const results = type === 'tv'
+      ? await this.movieAPI.searchTVShows(query.title)
+      : await this.movieAPI.searchMovies(query.title);
+
+    return results
+      .map(candidate => ({ candidate, score: this.scoreCandidate(query, candidate) }))
+      .sort((a, b) => b.score - a.score || (b.candidate.popularity || 0) - (a.candidate.popularity || 0));
+  }
+
+  /**
+   * Pick the metadata fields stored with a match
+   */
+  toMetadata(candidate) {
+    return {
+      tmdbId: candidate.tmdbId,
+      title: candidate.title,
+      originalTitle: candidate.originalTitle,
+      overview: candidate.overview,
+      releaseDate: candidate.releaseDate,
+      year: candidate.year,
+      posterUrl: candidate.posterUrl,
+      backdropUrl: candidate.backdropUrl,
+      rating: candidate.rating,
+      genres: candidate.genres,
+      genreIds: candidate.genreIds
+    };
+  }
+
+  /**
+   * Match one local item (movie file or local series)
+   *
+   * @param {object} item - Local media item or series
+   * @param {string} type - 'movie' or 'tv'
+   * @param {object} options - force: rematch even if a match exists
+   * @returns {object|null} The match record, or null if nothing needed to change
+   */
+  async matchItem(item, type, options = {}) {
+    const existing = this.matches.get(item.id);
+    if (existing && ['manual', 'ignored'].includes(existing.status) && !options.force) return null;
+
+    const query = this.buildQuery(item, type);
+    if (!query.title) return null;
+
+    // Already matched with the same query (renames that don't change the title keep their match)
+    if (existing && !options.force && existing.type === type &&
+        existing.query.title === query.title && existing.query.year === query.year) {
+      return null;
+    }
+
+    const scored = await this.findCandidates(query, type);
+    const best = scored[0];
+    let confidence = best ? best.score : 0;
+
+    // Two near-identical candidates (remakes, same-name shows) make the pick uncertain
+    if (scored.length > 1 && scored[0].score - scored[1].score < 0.02) {
+      confidence = Math.max(0, Math.round((confidence - 0.15) * 1000) / 1000);
+    }
+
+    const record = {
+      mediaId: item.id,
+      type,
+      query,
+      status: !best ? 'unmatched' : confidence >= config.matching.minConfidence ? 'matched' : 'low-confidence',
+      confidence,
+      tmdbId: best ? best.candidate.tmdbId : null,
+      metadata: best ? this.toMetadata(best.candidate) : null,
+      candidates: scored.slice(0, 5).map(({ candidate, score }) => ({
+        tmdbId: candidate.tmdbId,
+        title: candidate.title,
+        year: candidate.year,
+        posterUrl: candidate.posterUrl,
+        score
+      })),
+      matchedAt: new Date().toISOString()
+    };
+
+    this.matches.set(item.id, record);
+    return record;
+  }
+
+  /**
+   * Set a match by hand (admin correction)
+   */
+  async setManualMatch(mediaId, tmdbId, type) {
+    await this.load();
+    const candidate = await this.movieAPI.getTMDBItem(tmdbId, type);
+    if (!candidate) return null;
+
+    const existing = this.matches.get(mediaId);
+    const record = {
+      mediaId,
+      type,
+      query: existing ? existing.query : null,
+      status: 'manual',
+      confidence: 1,
+      tmdbId: candidate.tmdbId,
+      metadata: this.toMetadata(candidate),
+      candidates: existing ? existing.candidates : [],
+      matchedAt: new Date().toISOString()
+    };
+
+    this.matches.set(mediaId, record);
+    await this.save();
+    eventBus.publish('metadata', { updated: [mediaId] });
+    return record;
+  }
+
+  /**
+   * Accept the current best candidate (e.g. of a low-confidence match)
+   */
+  async confirmMatch(mediaId) {
+    await this.load();
+    const existing = this.matches.get(mediaId);
+    if (!existing || !existing.metadata) return null;
+
+    const record = { ...existing, status: 'manual', matchedAt: new Date().toISOString() };
+    this.matches.set(mediaId, record);
+    await this.save();
+    eventBus.publish('metadata', { updated: [mediaId] });
+    return record;
+  }
+
+  /**
+   * Mark an item as having no TMDB match (stops automatic matching)
+   */
+  async ignoreMatch(mediaId) {
+    await this.load();
+    const existing = this.matches.get(mediaId);
+    if (!existing) return null;
+
+    const record = { ...existing, status: 'ignored', matchedAt: new Date().toISOString() };
+    this.matches.set(mediaId, record);
+    await this.save();
+    eventBus.publish('metadata', { updated: [mediaId] });
+    return record;
+  }
+
+  /**
+   * Match every local movie and series that has no up-to-date match
+   * Runs one at a time; concurrent calls share the running pass
+   */
+  async matchLibrary(options = {}) {
+    if (this.activeRun) return this.activeRun;
+
+    this.activeRun = this.runMatchLibrary(options).finally(() => {
+      this.activeRun = null;
+    });
+    return this.activeRun;
+  }
+
+  async runMatchLibrary(options = {}) {
+    const summary = { matched: [], lowConfidence: [], unmatched: [], errors: 0 };
+    if (!config.tmdbApiKey) return summary;
+
+    // Required here: localTVService (and through it MediaScanner) depend on this module
+    const MediaScanner = require('./mediaScanner');
+    const localTVService = require('./localTVService');
+    const mediaScanner = new MediaScanner(config.mediaPath);
+
+    await this.load();
+    const shows = await localTVService.getShows();
+    const episodeIds = new Set(shows.flatMap(show => show.mediaIds));
+    const movies = (await mediaScanner.getLibrary()).filter(item =>
+      item.type === 'video' && MOVIE_LIBRARY_TYPES.includes(item.libraryType) && !episodeIds.has(item.id)
+    );
+
+    const work = [
+      ...movies.map(item => ({ item, type: 'movie' })),
+      ...shows.map(item => ({ item, type: 'tv' }))
+    ];
+
+    for (const { item, type } of work) {
+      try {
+        const record = await this.matchItem(item, type, options);
+        if (!record) continue;
+
+        if (record.status === 'matched') summary.matched.push(item.id);
+        else if (record.status === 'low-confidence') summary.lowConfidence.push(item.id);
+        else summary.unmatched.push(item.id);
+      } catch (error) {
+        summary.errors++;
+        console.error(`Error matching ${item.title}:`, error.message);
+      }
+    }
+
+    // Drop matches of files and series that are gone
+    const currentIds = new Set(work.map(({ item }) => item.id));
+    Array.from(this.matches.keys()).forEach(mediaId => {
+      if (!currentIds.has(mediaId)) this.matches.delete(mediaId);
+    });
+
+    await this.save();
+
+    const changed = summary.matched.length + summary.lowConfidence.length + summary.unmatched.length;
+    if (changed > 0) {
+      console.log(`Metadata matching: ${summary.matched.length} matched, ${summary.lowConfidence.length} need review, ${summary.unmatched.length} unmatched`);
+      eventBus.publish('metadata', { updated: [...summary.matched, ...summary.lowConfidence, ...summary.unmatched] });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Match the library now and again whenever it changes
+   */
+  start() {
+    if (this.unsubscribe || !config.tmdbApiKey) return;
+
+    this.unsubscribe = eventBus.subscribe(event => {
+      if (event.type !== 'library') return;
+      clearTimeout(this.matchTimer);
+      this.matchTimer = setTimeout(() => {
+        this.matchLibrary().catch(error => console.error('Metadata matching failed:', error.message));
+      }, 5000);
+    });
+
+    this.matchLibrary().catch(error => console.error('Metadata matching failed:', error.message));
+  }
+
+  /**
+   * Stop following library changes
+   */
+  stop() {
+    clearTimeout(this.matchTimer);
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+}
+
+module.exports = new MetadataMatcher();
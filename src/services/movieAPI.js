@@ -1,6 +1,7 @@
 const axios = require('axios');
-const fs = require('fs-extra');
-const path = require('path');
+const streamingProviders = require('./streamingProviders');
+const sourceHealthMonitor = require('./sourceHealthMonitor');
+const apiCache = require('./apiCache');
 
 /**
  * Movie API Service
@@ -28,38 +29,9 @@ class MovieAPI {
     this.omdbBaseUrl = 'http://www.omdbapi.com';
     this.omdbApiKey = process.env.OMDB_API_KEY || ''; // Optional - free tier: 1,000 requests/day
     this.cinetaroBaseUrl = 'https://apicinetaro.falex43350.workers.dev';
-    // Fallback streaming sources - multiple APIs for redundancy
-    this.fallbackSources = [
-      {
-        name: 'cinetaro',
-        baseUrl: 'https://apicinetaro.falex43350.workers.dev',
-        priority: 1,
-        enabled: true
-      },
-      {
-        name: 'cinetaro-alt',
-        baseUrl: 'https://cinetaro-api.vercel.app',
-        priority: 2,
-        enabled: true
-      },
-      {
-        name: 'vidsrc',
-        baseUrl: 'https://vidsrc.me',
-        priority: 3,
-        enabled: true
-      },
-      {
-        name: 'embed',
-        baseUrl: 'https://embed.su',
-        priority: 4,
-        enabled: true
-      }
-    ];
-    
-    // Cache for API responses
-    this.cacheDir = path.join(__dirname, '../../.cache/api');
-    this.cacheExpiry = 24 * 60 * 60 * 1000; // 24 hours
-    fs.ensureDirSync(this.cacheDir);
+    // Streaming sources are provider plugins (see streamingProviders)
+    this.streamingProviders = streamingProviders;
+    this.sourceHealthMonitor = sourceHealthMonitor;
     
     // Genre mapping (will be populated from TMDB API)
     this.genreMap = {
@@ -78,7 +50,7 @@ class MovieAPI {
     
     try {
       // Get movie genres
-      const movieGenresResponse = await axios.get(`${this.tmdbBaseUrl}/genre/movie/list`, {
+      const movieGenresResponse = await this.cachedGet('genres', 'movie_genres', `${this.tmdbBaseUrl}/genre/movie/list`, {
         params: { api_key: this.tmdbApiKey, language: 'en-US' },
         timeout: 10000
       });
@@ -87,7 +59,7 @@ class MovieAPI {
       });
 
       // Get TV genres
-      const tvGenresResponse = await axios.get(`${this.tmdbBaseUrl}/genre/tv/list`, {
+      const tvGenresResponse = await this.cachedGet('genres', 'tv_genres', `${this.tmdbBaseUrl}/genre/tv/list`, {
         params: { api_key: this.tmdbApiKey, language: 'en-US' },
         timeout: 10000
       });
@@ -127,9 +99,18 @@ class MovieAPI {
     return `${normalizedTitle}_${year}`;
   }
 
+  /**
+   * Check if an item is a local file matched to TMDB metadata
+   */
+  isMatchedLocal(media) {
+    return !!media.tmdbId && (!media.source || media.source === 'local');
+  }
+
   /**
    * Deduplicate media items by title and year
-   * Keeps the item with better metadata (prefers API content over local)
+   * Keeps the item with better metadata (prefers API content over local),
+   * except that local files matched to TMDB win since they are playable and
+   * already carry the TMDB metadata
    */
   deduplicateMedia(mediaArray) {
     if (!Array.isArray(mediaArray) || mediaArray.length === 0) {
@@ -155,6 +136,10 @@ class MovieAPI {
         
         if (!existing) {
           seen.set(key, item);
+        } else if (this.isMatchedLocal(existing) !== this.isMatchedLocal(item)) {
+          if (this.isMatchedLocal(item)) {
+            seen.set(key, item);
+          }
         } else {
           // Prefer API content (has posters, metadata) over local files
           // Prefer items with streaming over those without
@@ -178,44 +163,25 @@ class MovieAPI {
   }
 
   /**
-   * Get cache file path
+   * GET an API URL through the API cache (shared by all instances, see apiCache)
+   * Only the response body is cached, as { data } like an axios response; failed
+   * requests throw as usual and are never cached
+   *
+   * @param {string} endpoint - Endpoint whose TTL applies (config.apiCache.ttl)
+   * @param {string} key - Cache key
+   * @param {object} cacheOptions - cacheNotFound: remember 404 answers for a while (see apiCache)
    */
-  getCachePath(key) {
-    return path.join(this.cacheDir, `${key}.json`);
+  async cachedGet(endpoint, key, url, options, cacheOptions = {}) {
+    const data = await apiCache.wrap(endpoint, key, async () => (await axios.get(url, options)).data, cacheOptions);
+    return { data };
   }
 
   /**
-   * Get cached data if valid
+   * POST to an API URL through the API cache (GraphQL queries), see cachedGet()
    */
-  async getCached(key) {
-    try {
-      const cachePath = this.getCachePath(key);
-      if (await fs.pathExists(cachePath)) {
-        const data = await fs.readJson(cachePath);
-        const now = Date.now();
-        if (data.timestamp && (now - data.timestamp) < this.cacheExpiry) {
-          return data.data;
-        }
-      }
-    } catch (error) {
-      console.warn('Cache read error:', error.message);
-    }
-    return null;
-  }
-
-  /**
-   * Cache data
-   */
-  async setCache(key, data) {
-    try {
-      const cachePath = this.getCachePath(key);
-      await fs.writeJson(cachePath, {
-        timestamp: Date.now(),
-        data: data
-      });
-    } catch (error) {
-      console.warn('Cache write error:', error.message);
-    }
+  async cachedPost(endpoint, key, url, body, options) {
+    const data = await apiCache.wrap(endpoint, key, async () => (await axios.post(url, body, options)).data);
+    return { data };
   }
 
   /**
@@ -228,11 +194,9 @@ class MovieAPI {
     }
 
     const cacheKey = `movie_search_${query}_${page}`;
-    const cached = await this.getCached(cacheKey);
-    if (cached) return cached;
 
     try {
-      const response = await axios.get(`${this.tmdbBaseUrl}/search/movie`, {
+      const response = await this.cachedGet('search', cacheKey, `${this.tmdbBaseUrl}/search/movie`, {
         params: {
           api_key: this.tmdbApiKey,
           query: query,
@@ -266,7 +230,6 @@ class MovieAPI {
         subtitles: this.useCinetaro ? ['english', 'spanish', 'french', 'german'] : []
       }));
 
-      await this.setCache(cacheKey, results);
       return results;
     } catch (error) {
       console.error('Error searching movies:', error.message);
@@ -284,11 +247,9 @@ class MovieAPI {
     }
 
     const cacheKey = `tv_search_${query}_${page}`;
-    const cached = await this.getCached(cacheKey);
-    if (cached) return cached;
 
     try {
-      const response = await axios.get(`${this.tmdbBaseUrl}/search/tv`, {
+      const response = await this.cachedGet('search', cacheKey, `${this.tmdbBaseUrl}/search/tv`, {
         params: {
           api_key: this.tmdbApiKey,
           query: query,
@@ -322,7 +283,6 @@ class MovieAPI {
         subtitles: this.useCinetaro ? ['english', 'spanish', 'french', 'german'] : []
       }));
 
-      await this.setCache(cacheKey, results);
       return results;
     } catch (error) {
       console.error('Error searching TV shows:', error.message);
@@ -330,16 +290,238 @@ class MovieAPI {
     }
   }
 
+  /**
+   * Get a single movie or TV show from TMDB by ID
+   * Returns the same shape as searchMovies()/searchTVShows() results
+   */
+  async getTMDBItem(tmdbId, type = 'movie') {
+    if (!this.tmdbApiKey) {
+      console.warn('TMDB API key not set. Set TMDB_API_KEY environment variable for TMDB lookups.');
+      return null;
+    }
+
+    const cacheKey = `${type}_item_${tmdbId}`;
+
+    try {
+      const response = await this.cachedGet('details', cacheKey, `${this.tmdbBaseUrl}/${type === 'tv' ? 'tv' : 'movie'}/${tmdbId}`, {
+        params: {
+          api_key: this.tmdbApiKey,
+          language: 'en-US'
+        },
+        timeout: 10000
+      });
+
+      const item = response.data;
+      const releaseDate = type === 'tv' ? item.first_air_date : item.release_date;
+      const result = {
+        id: `tmdb_${type}_${item.id}`,
+        title: type === 'tv' ? item.name : item.title,
+        originalTitle: type === 'tv' ? item.original_name : item.original_title,
+        overview: item.overview,
+        releaseDate,
+        year: releaseDate ? releaseDate.split('-')[0] : null,
+        posterUrl: item.poster_path ? `${this.tmdbImageUrl}${item.poster_path}` : null,
+        backdropUrl: item.backdrop_path ? `https://image.tmdb.org/t/p/w1280${item.backdrop_path}` : null,
+        rating: item.vote_average,
+        popularity: item.popularity,
+        type,
+        source: 'tmdb',
+        tmdbId: item.id,
+        genres: item.genres ? item.genres.map(g => g.name) : [],
+        genreIds: item.genres ? item.genres.map(g => g.id) : [],
+        hasThumbnail: !!item.poster_path
+      };
+
+      return result;
+    } catch (error) {
+      if (error.response && error.response.status === 404) return null;
+      console.error(`Error getting TMDB ${type} ${tmdbId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the seasons of a TMDB TV show (shape served by /api/tv/:tvId/details)
+   * Throws when the request fails
+   */
+  async getTVDetails(tmdbId) {
+    const cacheKey = `tv_details_${tmdbId}`;
+
+    const response = await this.cachedGet('seasons', cacheKey, `${this.tmdbBaseUrl}/tv/${tmdbId}`, {
+      params: {
+        api_key: this.tmdbApiKey,
+        language: 'en-US',
+        append_to_response: 'episode_groups'
+      },
+      timeout: 10000
+    });
+
+    const tvShow = response.data;
+    const seasons = (tvShow.seasons || []).filter(s => s.season_number >= 0).map(season => ({
+      seasonNumber: season.season_number,
+      name: season.name || `Season ${season.season_number}`,
+      episodeCount: season.episode_count,
+      overview: season.overview,
+      posterPath: season.poster_path
+    }));
+
+    const result = {
+      id: tvShow.id,
+      name: tvShow.name,
+      overview: tvShow.overview,
+      posterPath: tvShow.poster_path,
+      backdropPath: tvShow.backdrop_path,
+      totalSeasons: tvShow.number_of_seasons,
+      totalEpisodes: tvShow.number_of_episodes,
+      seasons: seasons
+    };
+
+    return result;
+  }
+
+  /**
+   * Get the episodes of a season of a TMDB TV show (shape served by /api/tv/:tvId/season/:n)
+   * Throws when the request fails
+   */
+  async getTVSeason(tmdbId, seasonNumber) {
+    const cacheKey = `tv_season_${tmdbId}_${seasonNumber}`;
+
+    const response = await this.cachedGet('seasons', cacheKey, `${this.tmdbBaseUrl}/tv/${tmdbId}/season/${seasonNumber}`, {
+      params: {
+        api_key: this.tmdbApiKey,
+        language: 'en-US'
+      },
+      timeout: 10000
+    });
+
+    const season = response.data;
+    const episodes = (season.episodes || []).map(ep => ({
+      episodeNumber: ep.episode_number,
+      name: ep.name || `Episode ${ep.episode_number}`,
+      overview: ep.overview,
+      airDate: ep.air_date,
+      stillPath: ep.still_path,
+      runtime: ep.runtime
+    }));
+
+    const result = {
+      seasonNumber: season.season_number,
+      name: season.name,
+      overview: season.overview,
+      episodes: episodes
+    };
+
+    return result;
+  }
+
+  /**
+   * Get TMDB's recommendations for a movie or TV show (titles its viewers also liked)
+   *
+   * @param {string|number} tmdbId - TMDB ID
+   * @param {string} type - 'movie' or 'tv'
+   * @returns {Array} Items in the same shape as the popular lists
+   */
+  async getTMDBRecommendations(tmdbId, type = 'movie') {
+    if (!this.tmdbApiKey) return [];
+
+    const cacheKey = `${type}_recommendations_${tmdbId}`;
+
+    try {
+      const response = await this.cachedGet('recommendations', cacheKey, `${this.tmdbBaseUrl}/${type === 'tv' ? 'tv' : 'movie'}/${tmdbId}/recommendations`, {
+        params: {
+          api_key: this.tmdbApiKey,
+          language: 'en-US'
+        },
+        timeout: 10000
+      });
+
+      const results = response.data.results
+        .map(item => {
+          const releaseDate = type === 'tv' ? item.first_air_date : item.release_date;
+          return {
+            id: `tmdb_${type}_${item.id}`,
+            title: type === 'tv' ? item.name : item.title,
+            originalTitle: type === 'tv' ? item.original_name : item.original_title,
+            overview: item.overview,
+            releaseDate,
+            year: releaseDate ? releaseDate.split('-')[0] : null,
+            posterUrl: item.poster_path ? `${this.tmdbImageUrl}${item.poster_path}` : null,
+            backdropUrl: item.backdrop_path ? `https://image.tmdb.org/t/p/w1280${item.backdrop_path}` : null,
+            rating: item.vote_average,
+            popularity: item.popularity,
+            type,
+            source: 'tmdb',
+            tmdbId: item.id,
+            genres: this.mapGenres(item.genre_ids || [], type),
+            genreIds: item.genre_ids || [],
+            hasThumbnail: !!item.poster_path,
+            streamingUrl: this.useCinetaro
+              ? this.getStreamingUrlSync(item.id, type, type === 'tv' ? { season: 1, episode: 1 } : {})
+              : null,
+            hasStreaming: this.useCinetaro,
+            subtitles: this.useCinetaro ? ['english', 'spanish', 'french', 'german'] : []
+          };
+        })
+        .filter(item => item.title && item.posterUrl && item.tmdbId);
+
+      return results;
+    } catch (error) {
+      if (error.response && error.response.status === 404) return [];
+      console.error(`Error getting TMDB recommendations for ${type} ${tmdbId}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Get the US certification of a title
+   * Movies use TMDB release_dates, TV shows TMDB content_ratings and anime the
+   * MyAnimeList age rating from Jikan (e.g. "PG-13 - Teens 13 or older")
+   *
+   * @param {string|number} id - TMDB ID for movies/TV, MyAnimeList ID for anime
+   * @param {string} type - 'movie', 'tv', or 'anime'
+   * @returns {string|null} Certification as published, or null if the title has none
+   */
+  async getCertification(id, type = 'movie') {
+    if (type !== 'anime' && !this.tmdbApiKey) return null;
+
+    const cacheKey = `${type}_certification_${id}`;
+
+    let certification = null;
+    try {
+      if (type === 'anime') {
+        const response = await this.cachedGet('certification', cacheKey, `${this.jikanBaseUrl}/anime/${id}`, { timeout: 10000 }, { cacheNotFound: true });
+        certification = response.data.data?.rating || null;
+      } else if (type === 'tv') {
+        const response = await this.cachedGet('certification', cacheKey, `${this.tmdbBaseUrl}/tv/${id}/content_ratings`, {
+          params: { api_key: this.tmdbApiKey },
+          timeout: 10000
+        }, { cacheNotFound: true });
+        const us = (response.data.results || []).find(r => r.iso_3166_1 === 'US');
+        certification = (us && us.rating) || null;
+      } else {
+        const response = await this.cachedGet('certification', cacheKey, `${this.tmdbBaseUrl}/movie/${id}/release_dates`, {
+          params: { api_key: this.tmdbApiKey },
+          timeout: 10000
+        }, { cacheNotFound: true });
+        const us = (response.data.results || []).find(r => r.iso_3166_1 === 'US');
+        const rated = us && us.release_dates.find(r => r.certification);
+        certification = rated ? rated.certification : null;
+      }
+    } catch (error) {
+      if (!error.response || error.response.status !== 404) throw error;
+    }
+
+    return certification;
+  }
+
   /**
    * Search anime using Jikan API (free, no key needed)
    */
   async searchAnime(query, page = 1) {
     const cacheKey = `anime_search_${query}_${page}`;
-    const cached = await this.getCached(cacheKey);
-    if (cached) return cached;
 
     try {
-      const response = await axios.get(`${this.jikanBaseUrl}/anime`, {
+      const response = await this.cachedGet('search', cacheKey, `${this.jikanBaseUrl}/anime`, {
         params: {
           q: query,
           page: page,
@@ -368,6 +550,7 @@ class MovieAPI {
           source: 'jikan',
           malId: item.mal_id,
           anilistId: anilistId,
+          ageRating: item.rating || null,
           genres: item.genres?.map(g => g.name) || [],
           episodes: item.episodes,
           status: item.status,
@@ -380,7 +563,6 @@ class MovieAPI {
         };
       });
 
-      await this.setCache(cacheKey, results);
       return results;
     } catch (error) {
       console.error('Error searching anime:', error.message);
@@ -398,15 +580,9 @@ class MovieAPI {
     }
 
     const cacheKey = `trending_movies_${page}`;
-    const cached = await this.getCached(cacheKey);
-    if (cached) {
-      console.log(`[TMDB] Using cached trending movies (page ${page})`);
-      return cached;
-    }
 
     try {
-      console.log(`[TMDB] Fetching trending movies from TMDB API (page ${page})...`);
-      const response = await axios.get(`${this.tmdbBaseUrl}/trending/movie/day`, {
+      const response = await this.cachedGet('trending', cacheKey, `${this.tmdbBaseUrl}/trending/movie/day`, {
         params: {
           api_key: this.tmdbApiKey,
           page: page,
@@ -439,7 +615,6 @@ class MovieAPI {
         }))
         .filter(item => item.title && item.posterUrl && item.tmdbId);
 
-      await this.setCache(cacheKey, results);
       return results;
     } catch (error) {
       console.error('Error getting trending movies:', error.message);
@@ -457,15 +632,9 @@ class MovieAPI {
     }
 
     const cacheKey = `now_playing_movies_${page}`;
-    const cached = await this.getCached(cacheKey);
-    if (cached) {
-      console.log(`[TMDB] Using cached now playing movies (page ${page})`);
-      return cached;
-    }
 
     try {
-      console.log(`[TMDB] Fetching now playing movies from TMDB API (page ${page})...`);
-      const response = await axios.get(`${this.tmdbBaseUrl}/movie/now_playing`, {
+      const response = await this.cachedGet('nowPlaying', cacheKey, `${this.tmdbBaseUrl}/movie/now_playing`, {
         params: {
           api_key: this.tmdbApiKey,
           page: page,
@@ -498,7 +667,6 @@ class MovieAPI {
         }))
         .filter(item => item.title && item.posterUrl && item.tmdbId);
 
-      await this.setCache(cacheKey, results);
       return results;
     } catch (error) {
       console.error('Error getting now playing movies:', error.message);
@@ -519,11 +687,9 @@ class MovieAPI {
     }
 
     const cacheKey = `top_rated_movies_${page}`;
-    const cached = await this.getCached(cacheKey);
-    if (cached) return cached;
 
     try {
-      const response = await axios.get(`${this.tmdbBaseUrl}/movie/top_rated`, {
+      const response = await this.cachedGet('topRated', cacheKey, `${this.tmdbBaseUrl}/movie/top_rated`, {
         params: {
           api_key: this.tmdbApiKey,
           page: page,
@@ -556,7 +722,6 @@ class MovieAPI {
           subtitles: this.useCinetaro ? ['english', 'spanish', 'french', 'german'] : []
         }));
 
-      await this.setCache(cacheKey, results);
       return results;
     } catch (error) {
       console.error('Error getting top rated movies:', error.message);
@@ -574,11 +739,9 @@ class MovieAPI {
     }
 
     const cacheKey = `upcoming_movies_${page}`;
-    const cached = await this.getCached(cacheKey);
-    if (cached) return cached;
 
     try {
-      const response = await axios.get(`${this.tmdbBaseUrl}/movie/upcoming`, {
+      const response = await this.cachedGet('upcoming', cacheKey, `${this.tmdbBaseUrl}/movie/upcoming`, {
         params: {
           api_key: this.tmdbApiKey,
           page: page,
@@ -611,7 +774,6 @@ class MovieAPI {
           subtitles: this.useCinetaro ? ['english', 'spanish', 'french', 'german'] : []
         }));
 
-      await this.setCache(cacheKey, results);
       return results;
     } catch (error) {
       console.error('Error getting upcoming movies:', error.message);
@@ -626,15 +788,9 @@ class MovieAPI {
     }
 
     const cacheKey = `popular_movies_${page}`;
-    const cached = await this.getCached(cacheKey);
-    if (cached) {
-      console.log(`[TMDB] Using cached popular movies (page ${page})`);
-      return cached;
-    }
 
     try {
-      console.log(`[TMDB] Fetching popular movies from TMDB API (page ${page})...`);
-      const response = await axios.get(`${this.tmdbBaseUrl}/movie/popular`, {
+      const response = await this.cachedGet('popular', cacheKey, `${this.tmdbBaseUrl}/movie/popular`, {
         params: {
           api_key: this.tmdbApiKey,
           page: page,
@@ -669,7 +825,6 @@ class MovieAPI {
         // Filter out invalid items - must have title and poster for good UX
         .filter(item => item.title && item.posterUrl && item.tmdbId);
 
-      await this.setCache(cacheKey, results);
       return results;
     } catch (error) {
       console.error('Error getting popular movies:', error.message);
@@ -687,15 +842,9 @@ class MovieAPI {
     }
 
     const cacheKey = `top_rated_tv_${page}`;
-    const cached = await this.getCached(cacheKey);
-    if (cached) {
-      console.log(`[TMDB] Using cached top rated TV shows (page ${page})`);
-      return cached;
-    }
 
     try {
-      console.log(`[TMDB] Fetching top rated TV shows from TMDB API (page ${page})...`);
-      const response = await axios.get(`${this.tmdbBaseUrl}/tv/top_rated`, {
+      const response = await this.cachedGet('topRated', cacheKey, `${this.tmdbBaseUrl}/tv/top_rated`, {
         params: {
           api_key: this.tmdbApiKey,
           page: page,
@@ -729,7 +878,6 @@ class MovieAPI {
         }))
         .filter(item => item.title && item.posterUrl && item.tmdbId);
 
-      await this.setCache(cacheKey, results);
       return results;
     } catch (error) {
       console.error('Error getting top rated TV shows:', error.message);
@@ -750,15 +898,9 @@ class MovieAPI {
     }
 
     const cacheKey = `popular_tv_${page}`;
-    const cached = await this.getCached(cacheKey);
-    if (cached) {
-      console.log(`[TMDB] Using cached popular TV shows (page ${page})`);
-      return cached;
-    }
 
     try {
-      console.log(`[TMDB] Fetching popular TV shows from TMDB API (page ${page})...`);
-      const response = await axios.get(`${this.tmdbBaseUrl}/tv/popular`, {
+      const response = await this.cachedGet('popular', cacheKey, `${this.tmdbBaseUrl}/tv/popular`, {
         params: {
           api_key: this.tmdbApiKey,
           page: page,
@@ -793,7 +935,6 @@ class MovieAPI {
         }))
         .filter(item => item.title && item.posterUrl && item.tmdbId);
 
-      await this.setCache(cacheKey, results);
       return results;
     } catch (error) {
       console.error('Error getting popular TV shows:', error.message);
@@ -801,6 +942,39 @@ class MovieAPI {
     }
   }
 
+  /**
+   * Get the episode count of an anime, or null while it is unknown (e.g. still airing)
+   *
+   * @param {string|number} id - MyAnimeList ID, or AniList ID when source is 'anilist'
+   * @param {string} source - 'mal' (looked up on Jikan) or 'anilist'
+   */
+  async getAnimeEpisodeCount(id, source = 'mal') {
+    if (source === 'anilist') {
+      const cacheKey = `anilist_anime_episodes_${id}`;
+
+      const response = await this.cachedPost('details', cacheKey,
+        this.anilistGraphQlUrl,
+        {
+          query: 'query ($id: Int) { Media(id: $id, type: ANIME) { episodes } }',
+          variables: { id: Number(id) }
+        },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+          },
+          timeout: 10000
+        }
+      );
+      return response.data.data?.Media?.episodes || null;
+    }
+
+    const cacheKey = `anime_episodes_${id}`;
+
+    const response = await this.cachedGet('details', cacheKey, `${this.jikanBaseUrl}/anime/${id}`, { timeout: 10000 });
+    return response.data.data?.episodes || null;
+  }
+
   /**
    * Get popular anime - combines Jikan and AniList results
    */
@@ -821,11 +995,9 @@ class MovieAPI {
    */
   async getPopularAnimeFromJikan(page = 1) {
     const cacheKey = `jikan_popular_anime_${page}`;
-    const cached = await this.getCached(cacheKey);
-    if (cached) return cached;
 
     try {
-      const response = await axios.get(`${this.jikanBaseUrl}/top/anime`, {
+      const response = await this.cachedGet('popular', cacheKey, `${this.jikanBaseUrl}/top/anime`, {
         params: {
           page: page,
           limit: 20
@@ -853,6 +1025,7 @@ class MovieAPI {
             source: 'jikan',
             malId: item.mal_id,
             anilistId: anilistId,
+            ageRating: item.rating || null,
             genres: item.genres?.map(g => g.name) || [],
             episodes: item.episodes,
             status: item.status,
@@ -866,7 +1039,6 @@ class MovieAPI {
         })
         .filter(item => item.title && item.posterUrl && item.malId);
 
-      await this.setCache(cacheKey, results);
       return results;
     } catch (error) {
       console.error('Error getting popular anime from Jikan:', error.message);
@@ -879,8 +1051,6 @@ class MovieAPI {
    */
   async getPopularAnimeFromAniList(page = 1) {
     const cacheKey = `anilist_popular_anime_${page}`;
-    const cached = await this.getCached(cacheKey);
-    if (cached) return cached;
 
     try {
       const perPage = 20;
@@ -917,6 +1087,7 @@ class MovieAPI {
               episodes
               status
               format
+              isAdult
               studios {
                 nodes {
                   name
@@ -927,7 +1098,7 @@ class MovieAPI {
         }
       `;
 
-      const response = await axios.post(
+      const response = await this.cachedPost('popular', cacheKey,
         this.anilistGraphQlUrl,
         {
           query: query,
@@ -968,6 +1139,7 @@ class MovieAPI {
             episodes: item.episodes,
             status: item.status,
             format: item.format,
+            isAdult: !!item.isAdult,
             studio: item.studios?.nodes?.[0]?.name || null,
             hasThumbnail: !!item.coverImage,
             streamingUrl: this.useCinetaro ? this.getStreamingUrlSync(item.id, 'anime', { season: 1, episode: 1 }) : null,
@@ -977,7 +1149,6 @@ class MovieAPI {
         })
         .filter(item => item.title && item.posterUrl);
 
-      await this.setCache(cacheKey, results);
       return results;
     } catch (error) {
       console.error('Error getting popular anime from AniList:', error.message);
@@ -992,11 +1163,9 @@ class MovieAPI {
     if (!this.tmdbApiKey) return [];
 
     const cacheKey = `movies_genre_${genreId}_${page}`;
-    const cached = await this.getCached(cacheKey);
-    if (cached) return cached;
 
     try {
-      const response = await axios.get(`${this.tmdbBaseUrl}/discover/movie`, {
+      const response = await this.cachedGet('genre', cacheKey, `${this.tmdbBaseUrl}/discover/movie`, {
         params: {
           api_key: this.tmdbApiKey,
           with_genres: genreId,
@@ -1030,7 +1199,6 @@ class MovieAPI {
         subtitles: this.useCinetaro ? ['english', 'spanish', 'french', 'german'] : []
       }));
 
-      await this.setCache(cacheKey, results);
       return results;
     } catch (error) {
       console.error('Error getting movies by genre:', error.message);
@@ -1044,52 +1212,74 @@ class MovieAPI {
    * @param {string|number} id - TMDB ID for movies/TV, Anilist ID for anime
    * @param {string} type - 'movie', 'tv', or 'anime'
    * @param {object} options - Additional options (season, episode, language, etc.)
-   * @param {object} source - Source configuration object
+   * @param {object|string} source - Provider (or provider name) from the streaming provider registry
    */
   getStreamingUrlFromSource(id, type = 'movie', options = {}, source) {
-    if (!source || !source.enabled) return null;
+    if (!source) return null;
+    return this.streamingProviders.buildUrl(source, id, type, options);
+  }
 
-    const { season = 1, episode = 1, language = 'english', animeType = 'sub' } = options;
-    const baseUrl = source.baseUrl;
+  /**
+   * Candidate streaming sources of a title: every enabled provider that can
+   * play its type, in priority order, with its URL, languages and last-known health
+   * 
+   * @param {string|number} id - TMDB ID for movies/TV, Anilist ID for anime
+   * @param {string} type - 'movie', 'tv', or 'anime'
+   * @param {object} options - Additional options (season, episode, language, etc.)
+   * @returns {Array} [{ name, label, priority, url, languages, health, available }]
+   */
+  getStreamingSources(id, type = 'movie', options = {}) {
+    if (!this.useCinetaro) return [];
+
+    return this.streamingProviders.getEnabledProviders(type)
+      .map(provider => ({ provider, url: this.getStreamingUrlFromSource(id, type, options, provider) }))
+      .filter(({ url }) => url)
+      .map(({ provider, url }) => {
+        const { circuit, successRate, averageLatency, lastCheckedAt } = this.sourceHealthMonitor.getStatus(provider.name);
+        const available = this.sourceHealthMonitor.getCachedAvailability(url);
+        return {
+          name: provider.name,
+          label: provider.label,
+          priority: provider.priority,
+          url,
+          languages: provider.languages[type] || [],
+          health: { circuit, successRate, averageLatency, lastCheckedAt },
+          available: available === undefined ? null : available
+        };
+      });
+  }
 
-    try {
-      let url = null;
-
-      if (source.name === 'cinetaro' || source.name === 'cinetaro-alt') {
-        // Cinetaro format
-        if (type === 'movie') {
-          url = `${baseUrl}/movie/${id}/${language}`;
-        } else if (type === 'tv') {
-          url = `${baseUrl}/tv/${id}/${season}/${episode}/${language}`;
-        } else if (type === 'anime') {
-          url = `${baseUrl}/anime/anilist/${animeType}/${id}/${season}/${episode}`;
-        }
-      } else if (source.name === 'vidsrc') {
-        // Vidsrc format
-        if (type === 'movie') {
-          url = `${baseUrl}/embed/movie/${id}`;
-        } else if (type === 'tv') {
-          url = `${baseUrl}/embed/tv/${id}/${season}-${episode}`;
-        }
-      } else if (source.name === 'embed') {
-        // Generic embed format
-        if (type === 'movie') {
-          url = `${baseUrl}/embed/movie/${id}`;
-        } else if (type === 'tv') {
-          url = `${baseUrl}/embed/tv/${id}/${season}/${episode}`;
+  /**
+   * Pick the source to play from candidate sources (see getStreamingSources)
+   * Tries each source in order until one is available; sources whose circuit is
+   * open are skipped. Falls back to the first source (the frontend handles the error).
+   * 
+   * @param {Array} sources - Candidate sources, in the order to try
+   * @returns {object|null} The chosen source (its available flag updated)
+   */
+  async selectStreamingSource(sources) {
+    for (const source of sources) {
+      // Skip sources whose circuit is open (they failed repeatedly) unless the answer is cached
+      if (source.available === null && !this.sourceHealthMonitor.isAvailable(source.name)) continue;
+
+      try {
+        source.available = await this.checkStreamingUrlAvailability(source.url, source.name);
+        if (source.available) {
+          console.log(`[Streaming] Using ${source.name} for ${source.url}`);
+          return source;
         }
+      } catch (error) {
+        // Try next source
+        continue;
       }
-
-      return url;
-    } catch (error) {
-      console.warn(`Error generating URL from ${source.name}:`, error.message);
-      return null;
     }
+
+    return sources[0] || null;
   }
 
   /**
    * Get streaming/embed URL with fallback support
-   * Tries multiple sources in priority order until one works
+   * Tries the enabled providers for the type in priority order until one works
    * 
    * @param {string|number} id - TMDB ID for movies/TV, Anilist ID for anime
    * @param {string} type - 'movie', 'tv', or 'anime'
@@ -1097,49 +1287,15 @@ class MovieAPI {
    * @param {boolean} checkAvailability - If true, checks if URL is actually available
    */
   async getStreamingUrl(id, type = 'movie', options = {}, checkAvailability = false) {
-    if (!this.useCinetaro) return null;
-
-    // Sort sources by priority
-    const sortedSources = [...this.fallbackSources]
-      .filter(s => s.enabled)
-      .sort((a, b) => a.priority - b.priority);
+    const sources = this.getStreamingSources(id, type, options);
 
     // If not checking availability, return primary source URL immediately (fast)
     if (!checkAvailability) {
-      const primarySource = sortedSources[0];
-      if (primarySource) {
-        return this.getStreamingUrlFromSource(id, type, options, primarySource);
-      }
-      return null;
+      return sources.length > 0 ? sources[0].url : null;
     }
 
-    // Try each source in order with availability checking
-    for (const source of sortedSources) {
-      const url = this.getStreamingUrlFromSource(id, type, options, source);
-      
-      if (!url) continue;
-
-      // Check if this URL is actually available
-      try {
-        const isAvailable = await this.checkStreamingUrlAvailability(url, source.name);
-        if (isAvailable) {
-          console.log(`[Streaming] Using ${source.name} for ${type} ${id}`);
-          return url;
-        }
-      } catch (error) {
-        // Try next source
-        continue;
-      }
-    }
-
-    // If checking availability and none worked, return primary source URL anyway
-    // (let the frontend handle the error)
-    const primarySource = sortedSources[0];
-    if (primarySource) {
-      return this.getStreamingUrlFromSource(id, type, options, primarySource);
-    }
-
-    return null;
+    const source = await this.selectStreamingSource(sources);
+    return source ? source.url : null;
   }
 
   /**
@@ -1149,11 +1305,7 @@ class MovieAPI {
   getStreamingUrlSync(id, type = 'movie', options = {}) {
     if (!this.useCinetaro) return null;
 
-    const sortedSources = [...this.fallbackSources]
-      .filter(s => s.enabled)
-      .sort((a, b) => a.priority - b.priority);
-
-    const primarySource = sortedSources[0];
+    const primarySource = this.streamingProviders.getEnabledProviders(type)[0];
     if (primarySource) {
       return this.getStreamingUrlFromSource(id, type, options, primarySource);
     }
@@ -1163,19 +1315,26 @@ class MovieAPI {
 
   /**
    * Check if a streaming URL is actually available
+   * Results are cached per URL, and the outcome is recorded with the source's health
+   * (only errors, timeouts and 5xx answers count as source failures)
    * 
    * @param {string} url - The streaming URL to check
-   * @param {string} sourceName - Name of the source (for logging)
+   * @param {string} sourceName - Name of the source (for logging and health tracking)
    */
   async checkStreamingUrlAvailability(url, sourceName = 'unknown') {
     if (!url) return false;
 
+    const cached = this.sourceHealthMonitor.getCachedAvailability(url);
+    if (cached !== undefined) return cached;
+
+    const started = Date.now();
     try {
       const response = await axios.head(url, {
         timeout: 3000, // Fast timeout for fallback checking
         validateStatus: (status) => status < 500, // Accept any status below 500
         maxRedirects: 2
       });
+      this.sourceHealthMonitor.recordResult(sourceName, true, Date.now() - started);
       
       // Some sources return 200 even if content doesn't exist
       // For now, accept 200-299 as available
@@ -1185,9 +1344,12 @@ class MovieAPI {
         console.log(`[Streaming] ${sourceName} returned status ${response.status} for ${url}`);
       }
       
+      this.sourceHealthMonitor.cacheAvailability(url, isAvailable);
       return isAvailable;
     } catch (error) {
-      // Timeout or network error - assume not available
+      // Timeout, network error or 5xx - assume not available
+      // (not cached: the source's circuit covers outages)
+      this.sourceHealthMonitor.recordResult(sourceName, false, Date.now() - started, error.message);
       return false;
     }
   }
@@ -1292,10 +1454,6 @@ class MovieAPI {
       return this.getPopularAnimeFromJikan(page).catch(() => []);
     }
 
-    const cacheKey = `cartoons_all_${page}`;
-    const cached = await this.getCached(cacheKey);
-    if (cached) return cached;
-
     try {
       // Fetch from multiple sources in parallel
       const [
@@ -1336,7 +1494,6 @@ class MovieAPI {
       // Deduplicate by title and year
       const deduplicated = this.deduplicateMedia(allCartoons);
 
-      await this.setCache(cacheKey, deduplicated);
       return deduplicated;
     } catch (error) {
       console.error('Error getting cartoons:', error.message);
@@ -1351,11 +1508,9 @@ class MovieAPI {
     if (!this.tmdbApiKey) return [];
 
     const cacheKey = `tmdb_top_rated_animation_movies_${page}`;
-    const cached = await this.getCached(cacheKey);
-    if (cached) return cached;
 
     try {
-      const response = await axios.get(`${this.tmdbBaseUrl}/discover/movie`, {
+      const response = await this.cachedGet('topRated', cacheKey, `${this.tmdbBaseUrl}/discover/movie`, {
         params: {
           api_key: this.tmdbApiKey,
           with_genres: 16, // Animation genre
@@ -1391,7 +1546,6 @@ class MovieAPI {
         }))
         .filter(item => item.title && item.posterUrl && item.tmdbId);
 
-      await this.setCache(cacheKey, results);
       return results;
     } catch (error) {
       console.error('Error getting top rated animation movies:', error.message);
@@ -1406,11 +1560,9 @@ class MovieAPI {
     if (!this.tmdbApiKey) return [];
 
     const cacheKey = `tmdb_top_rated_animation_tv_${page}`;
-    const cached = await this.getCached(cacheKey);
-    if (cached) return cached;
 
     try {
-      const response = await axios.get(`${this.tmdbBaseUrl}/discover/tv`, {
+      const response = await this.cachedGet('topRated', cacheKey, `${this.tmdbBaseUrl}/discover/tv`, {
         params: {
           api_key: this.tmdbApiKey,
           with_genres: 16, // Animation genre
@@ -1446,7 +1598,6 @@ class MovieAPI {
         }))
         .filter(item => item.title && item.posterUrl && item.tmdbId);
 
-      await this.setCache(cacheKey, results);
       return results;
     } catch (error) {
       console.error('Error getting top rated animation TV:', error.message);
@@ -1461,11 +1612,9 @@ class MovieAPI {
     if (!this.tmdbApiKey) return [];
 
     const cacheKey = `tmdb_tv_genre_${genreId}_${page}`;
-    const cached = await this.getCached(cacheKey);
-    if (cached) return cached;
 
     try {
-      const response = await axios.get(`${this.tmdbBaseUrl}/discover/tv`, {
+      const response = await this.cachedGet('genre', cacheKey, `${this.tmdbBaseUrl}/discover/tv`, {
         params: {
           api_key: this.tmdbApiKey,
           with_genres: genreId,
@@ -1500,7 +1649,6 @@ class MovieAPI {
         }))
         .filter(item => item.title && item.posterUrl && item.tmdbId);
 
-      await this.setCache(cacheKey, results);
       return results;
     } catch (error) {
       console.error('Error getting TV shows by genre:', error.message);
@@ -1513,12 +1661,10 @@ class MovieAPI {
    */
   async getPopularTVShowsFromTVMaze(page = 1) {
     const cacheKey = `tvmaze_tv_shows_${page}`;
-    const cached = await this.getCached(cacheKey);
-    if (cached) return cached;
 
     try {
       // TVMaze uses page-based pagination (starts at 0)
-      const response = await axios.get(`${this.tvmazeBaseUrl}/shows`, {
+      const response = await this.cachedGet('popular', cacheKey, `${this.tvmazeBaseUrl}/shows`, {
         params: {
           page: page - 1 // TVMaze uses 0-indexed pages
         },
@@ -1556,7 +1702,6 @@ class MovieAPI {
         })
         .filter(item => item.title && item.posterUrl);
 
-      await this.setCache(cacheKey, results);
       return results;
     } catch (error) {
       // TVMaze returns 404 when page is out of range - this is normal
@@ -1578,11 +1723,9 @@ class MovieAPI {
     }
 
     const cacheKey = `omdb_${imdbId}`;
-    const cached = await this.getCached(cacheKey);
-    if (cached) return cached;
 
     try {
-      const response = await axios.get(this.omdbBaseUrl, {
+      const response = await this.cachedGet('details', cacheKey, this.omdbBaseUrl, {
         params: {
           apikey: this.omdbApiKey,
           i: imdbId,
@@ -1653,8 +1796,6 @@ class MovieAPI {
     }
 
     const cacheKey = `omdb_search_${title}_${year || 'any'}`;
-    const cached = await this.getCached(cacheKey);
-    if (cached) return cached;
 
     try {
       const params = {
@@ -1667,7 +1808,7 @@ class MovieAPI {
         params.y = year;
       }
 
-      const response = await axios.get(this.omdbBaseUrl, {
+      const response = await this.cachedGet('search', cacheKey, this.omdbBaseUrl, {
         params: params,
         timeout: 10000
       });
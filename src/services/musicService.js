@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const MediaScanner = require('./mediaScanner');
+const config = require('../config');
+
+// Library types whose audio files are browsed as music
+const MUSIC_LIBRARY_TYPES = ['music', 'mixed'];
+
+// Album art files looked for next to the tracks when none is embedded
+const FOLDER_COVER_NAMES = ['cover', 'folder', 'front', 'album'];
+const FOLDER_COVER_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+const UNKNOWN_ARTIST = 'Unknown Artist';
+const UNKNOWN_ALBUM = 'Unknown Album';
+
+/**
+ * Music Service
+ * Groups local audio files into artists -> albums -> tracks using their tags
+ */
+class MusicService {
+  constructor() {
+    this.mediaScanner = new MediaScanner(config.mediaPath);
+  }
+
+  /**
+   * Stable ID from a name (same name in any folder = same artist/album)
+   */
+  hashId(prefix, ...parts) {
+    const key = parts.map(part => (part || '').toLowerCase().replace(/[^a-z0-9]+/g, '')).join(':');
+    return `${prefix}_${crypto.createHash('sha1').update(key).digest('hex').slice(0, 12)}`;
+  }
+
+  /**
+   * Build a track from a media item
+   */
+  toTrack(item) {
+    const music = item.music || {};
+    const albumArtist = music.albumArtist || music.artist || UNKNOWN_ARTIST;
+    const album = music.album || UNKNOWN_ALBUM;
+    const artistId = this.hashId('local_artist', albumArtist);
+    const albumId = this.hashId('local_album', albumArtist, album);
+
+    return {
+      id: item.id,
+      title: music.title || item.title,
+      artist: music.artist || albumArtist,
+      albumArtist,
+      artistId,
+      album,
+      albumId,
+      trackNumber: music.trackNumber || null,
+      discNumber: music.discNumber || null,
+      year: music.year || null,
+      genre: music.genre || null,
+      duration: item.duration || 0,
+      streamUrl: `/api/stream/${item.id}`,
+      coverUrl: `/api/music/albums/${albumId}/cover`,
+      hasThumbnail: !!item.hasThumbnail,
+      path: item.path,
+      createdAt: item.createdAt
+    };
+  }
+
+  /**
+   * Sort tracks in album order (disc, track number, title)
+   */
+  compareTracks(a, b) {
+    return (a.discNumber || 1) - (b.discNumber || 1) ||
+      (a.trackNumber || Infinity) - (b.trackNumber || Infinity) ||
+      a.title.localeCompare(b.title);
+  }
+
+  /**
+   * Group the library into artists and albums
+   * Returns { artists: Map, albums: Map, tracks: [] }
+   */
+  async buildLibrary() {
+    const media = await this.mediaScanner.getLibrary();
+    const tracks = media
+      .filter(item => item.type === 'audio' && MUSIC_LIBRARY_TYPES.includes(item.libraryType))
+      .map(item => this.toTrack(item));
+
+    const albums = new Map();
+    const artists = new Map();
+
+    tracks.forEach(track => {
+      if (!albums.has(track.albumId)) {
+        albums.set(track.albumId, {
+          id: track.albumId,
+          title: track.album,
+          artist: track.albumArtist,
+          artistId: track.artistId,
+          year: null,
+          genres: new Set(),
+          tracks: []
+        });
+      }
+      const album = albums.get(track.albumId);
+      album.tracks.push(track);
+      if (track.year && (!album.year || track.year < album.year)) album.year = track.year;
+      if (track.genre) album.genres.add(track.genre);
+
+      if (!artists.has(track.artistId)) {
+        artists.set(track.artistId, { id: track.artistId, name: track.albumArtist, albumIds: new Set() });
+      }
+      artists.get(track.artistId).albumIds.add(track.albumId);
+    });
+
+    albums.forEach(album => album.tracks.sort((a, b) => this.compareTracks(a, b)));
+    return { artists, albums, tracks };
+  }
+
+  /**
+   * Public album summary (without the track list)
+   */
+  toAlbumSummary(album) {
+    return {
+      id: album.id,
+      title: album.title,
+      artist: album.artist,
+      artistId: album.artistId,
+      year: album.year,
+      genres: Array.from(album.genres),
+      trackCount: album.tracks.length,
+      duration: album.tracks.reduce((sum, track) => sum + track.duration, 0),
+      coverUrl: `/api/music/albums/${album.id}/cover`
+    };
+  }
+
+  /**
+   * Public track (file path stripped)
+   */
+  toPublicTrack(track) {
+    const { path: filePath, ...publicTrack } = track;
+    return publicTrack;
+  }
+
+  /**
+   * Get all artists
+   */
+  async getArtists() {
+    const { artists, albums } = await this.buildLibrary();
+
+    return Array.from(artists.values()).map(artist => {
+      const artistAlbums = Array.from(artist.albumIds).map(id => albums.get(id));
+      return {
+        id: artist.id,
+        name: artist.name,
+        albumCount: artistAlbums.length,
+        trackCount: artistAlbums.reduce((sum, album) => sum + album.tracks.length, 0),
+        coverUrl: `/api/music/albums/${artistAlbums[0].id}/cover`
+      };
+    }).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get an artist with their albums (newest first)
+   */
+  async getArtist(artistId) {
+    const { artists, albums } = await this.buildLibrary();
+    const artist = artists.get(artistId);
+    if (!artist) return null;
+
+    const artistAlbums = Array.from(artist.albumIds)
+      .map(id => this.toAlbumSummary(albums.get(id)))
+      .sort((a, b) => (b.year || 0) - (a.year || 0) || a.title.localeCompare(b.title));
+
+    return {
+      id: artist.id,
+      name: artist.name,
+      albumCount: artistAlbums.length,
+      trackCount: artistAlbums.reduce((sum, album) => sum + album.trackCount, 0),
+      albums: artistAlbums
+    };
+  }
+
+  /**
+   * Get albums, optionally of one artist
+   */
+  async getAlbums(options = {}) {
+    const { albums } = await this.buildLibrary();
+
+    return Array.from(albums.values())
+      .filter(album => !options.artistId || album.artistId === options.artistId)
+      .map(album => this.toAlbumSummary(album))
+      .sort((a, b) => a.artist.localeCompare(b.artist) || a.title.localeCompare(b.title));
+  }
+
+  /**
+   * Get an album with its tracks in order
+   */
+  async getAlbum(albumId) {
+    const { albums } = await this.buildLibrary();
+    const album = albums.get(albumId);
+    if (!album) return null;
+
+    return {
+      ...this.toAlbumSummary(album),
+      tracks: album.tracks.map(track => this.toPublicTrack(track))
+    };
+  }
+
+  /**
+   * Get tracks, optionally filtered by artist, album or a search query
+   */
+  async getTracks(options = {}) {
+    const { tracks } = await this.buildLibrary();
+    const query = (options.q || '').trim().toLowerCase();
+
+    return tracks
+      .filter(track => !options.artistId || track.artistId === options.artistId)
+      .filter(track => !options.albumId || track.albumId === options.albumId)
+      .filter(track => !query || [track.title, track.artist, track.album]
+        .some(value => value && value.toLowerCase().includes(query)))
+      .sort((a, b) => a.albumArtist.localeCompare(b.albumArtist) ||
+        a.album.localeCompare(b.album) ||
+        this.compareTracks(a, b))
+      .map(track => this.toPublicTrack(track));
+  }
+
+  /**
+   * Get a single track
+   */
+  async getTrack(trackId) {
+    const { tracks } = await this.buildLibrary();
+    const track = tracks.find(t => t.id === trackId);
+    return track ? this.toPublicTrack(track) : null;
+  }
+
+  /**
+   * Find the cover image of an album
+   * Embedded art of the first track that has it, else a cover/folder image next to the tracks
+   */
+  async getAlbumCover(albumId) {
+    const { albums } = await this.buildLibrary();
+    const album = albums.get(albumId);
+    if (!album) return null;
+
+    const withArt = album.tracks.find(track => track.hasThumbnail);
+    if (withArt) {
+      const thumbnailPath = await this.mediaScanner.getThumbnail(withArt.id);
+      if (thumbnailPath && await fs.pathExists(thumbnailPath)) return thumbnailPath;
+    }
+
+    const folders = [...new Set(album.tracks.map(track => path.dirname(track.path)))];
+    for (const folder of folders) {
+      const files = await fs.readdir(folder).catch(() => []);
+      const cover = files.find(file => {
+        const ext = path.extname(file).toLowerCase();
+        return FOLDER_COVER_EXTENSIONS.includes(ext) &&
+          FOLDER_COVER_NAMES.includes(path.basename(file, path.extname(file)).toLowerCase());
+      });
+      if (cover) return path.join(folder, cover);
+    }
+
+    return null;
+  }
+}
+
+module.exports = new MusicService();
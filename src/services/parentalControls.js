@@ -0,0 +1,220 @@
+const bcrypt = require('bcrypt');
+const MovieAPI = require('./movieAPI');
+const UserService = require('./userService');
+const ProfileService = require('./profileService');
+const { MOST_RESTRICTIVE_CERTIFICATION, normalizeCertification, getCertificationLevel } = require('../utils/certifications');
+const config = require('../config');
+
+// Certification lookups run at the same time when filtering a list
+const LOOKUP_CONCURRENCY = 10;
+
+/**
+ * Parental Controls Service
+ * Hides titles above the active profile's maximum certification from API
+ * content lists and blocks them from streaming. Accounts with a PIN can unlock
+ * their session to browse unrestricted until they lock it again, switch
+ * profile or log out.
+ *
+ * Certifications come from TMDB (release_dates for movies, content_ratings for
+ * TV) and MyAnimeList age ratings for anime. Titles without one are hidden from
+ * restricted users unless PARENTAL_ALLOW_UNRATED is set.
+ */
+class ParentalControlsService {
+  constructor() {
+    this.movieAPI = new MovieAPI();
+    this.userService = new UserService();
+    this.profileService = new ProfileService();
+    this.certifications = new Map(); // "<type>:<id>" -> certification (null when unrated)
+    this.pinAttempts = new Map(); // PIN owner (user or profile ID) -> { count, lockedUntil }
+  }
+
+  /**
+   * Maximum certification for the current session, or null when unrestricted
+   */
+  async getRestriction(session) {
+    if (!session || !session.userId) {
+      // A guest limit that isn't a certification falls back to the most restrictive, never to none
+      const guestLimit = config.parental.guestMaxCertification;
+      return guestLimit ? (normalizeCertification(guestLimit) || MOST_RESTRICTIVE_CERTIFICATION) : null;
+    }
+    if (session.parentalUnlocked) return null;
+
+    // A deleted profile falls back to the main profile, never to no limit
+    const profile = await this.profileService.getProfile(session.userId, session.profileId || session.userId) ||
+      await this.profileService.getProfile(session.userId, session.userId);
+    return (profile && profile.maxCertification) || null;
+  }
+
+  /**
+   * Lookup key of an item: TMDB ID for movies/TV, MyAnimeList ID for anime
+   */
+  getLookup(item) {
+    if ((item.type === 'movie' || item.type === 'tv') && item.tmdbId) {
+      return { id: item.tmdbId, type: item.type };
+    }
+    if (item.type === 'anime' && item.malId) {
+      return { id: item.malId, type: 'anime' };
+    }
+    return null;
+  }
+
+  /**
+   * Item to look up from an API media ID (tmdb_movie_<id>, tmdb_tv_<id>, anime_<MyAnimeList id>)
+   */
+  getItemFromMediaId(mediaId) {
+    const match = String(mediaId).match(/^(?:tmdb_(movie|tv)|(anime))_(\d+)$/);
+    if (!match) return {};
+    return match[2] ? { type: 'anime', malId: match[3] } : { type: match[1], tmdbId: match[3] };
+  }
+
+  /**
+   * Certification of an API item, or null if it has none we can find
+   */
+  async getCertification(item) {
+    if (item.ageRating) return normalizeCertification(item.ageRating);
+    if (item.isAdult) return 'NC-17';
+
+    const lookup = this.getLookup(item);
+    if (!lookup) return null;
+
+    const key = `${lookup.type}:${lookup.id}`;
+    if (!this.certifications.has(key)) {
+      try {
+        const certification = await this.movieAPI.getCertification(lookup.id, lookup.type);
+        this.certifications.set(key, normalizeCertification(certification));
+      } catch (error) {
+        // Not remembered, so the lookup is tried again next time
+        console.warn(`Certification lookup failed for ${key}:`, error.message);
+        return null;
+      }
+    }
+    return this.certifications.get(key);
+  }
+
+  /**
+   * Check if a certification is within a limit
+   */
+  isCertificationAllowed(certification, maxCertification) {
+    if (!maxCertification) return true;
+    const level = getCertificationLevel(certification);
+    if (level === null) return config.parental.allowUnrated;
+    return level <= getCertificationLevel(maxCertification);
+  }
+
+  /**
+   * Check if a limit (null = none) allows more than the current one
+   */
+  isLessRestrictive(maxCertification, currentMaxCertification) {
+    if (!currentMaxCertification) return false;
+    if (!maxCertification) return true;
+    return getCertificationLevel(maxCertification) > getCertificationLevel(currentMaxCertification);
+  }
+
+  /**
+   * PIN needed to switch the session to a profile: { ownerId, hash } of the PIN to check,
+   * { ownerId, hash: null } when one is needed but none is set, or null when none is needed
+   *
+   * A profile's own PIN is always asked (unless it is already active). Going from a
+   * restricted profile to a less restricted one also needs a PIN: the profile's, else
+   * the account's parental PIN.
+   */
+  async getSwitchPin(session, profile) {
+    const activeProfileId = session.profileId || session.userId;
+    if (profile.pin && profile.id !== activeProfileId) {
+      return { ownerId: profile.id, hash: profile.pin };
+    }
+
+    const current = await this.getRestriction(session);
+    if (!this.isLessRestrictive(profile.maxCertification, current)) return null;
+    if (profile.pin) return { ownerId: profile.id, hash: profile.pin };
+
+    const user = await this.userService.getUserWithParentalPin(session.userId);
+    return { ownerId: session.userId, hash: (user && user.parentalPin) || null };
+  }
+
+  /**
+   * Check if an item may be shown under a limit
+   * @returns {object} { allowed, certification }
+   */
+  async checkItem(item, maxCertification) {
+    if (!maxCertification) return { allowed: true, certification: null };
+    const certification = await this.getCertification(item);
+    return {
+      allowed: this.isCertificationAllowed(certification, maxCertification),
+      certification
+    };
+  }
+
+  /**
+   * Remove items above a limit from a list (no-op when unrestricted)
+   */
+  async filterItems(items, maxCertification) {
+    if (!maxCertification || !Array.isArray(items)) return items;
+
+    const allowed = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        allowed[index] = (await this.checkItem(items[index], maxCertification)).allowed;
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(LOOKUP_CONCURRENCY, items.length) }, worker));
+
+    return items.filter((item, index) => allowed[index]);
+  }
+
+  /**
+   * Check a PIN against its hash, throwing 403 when wrong
+   * Too many wrong PINs for the same owner lock it out for a while (429)
+   *
+   * @param {string} ownerId - User or profile the PIN belongs to
+   * @param {string} pin - PIN entered
+   * @param {string} hash - Stored bcrypt hash
+   */
+  async verifyPin(ownerId, pin, hash) {
+    const attempts = this.pinAttempts.get(ownerId) || { count: 0, lockedUntil: 0 };
+    if (attempts.lockedUntil > Date.now()) {
+      const minutes = Math.ceil((attempts.lockedUntil - Date.now()) / 60000);
+      throw Object.assign(new Error(`Too many wrong PINs, try again in ${minutes} minute(s)`), { status: 429 });
+    }
+
+    if (!await bcrypt.compare(String(pin), hash)) {
+      attempts.count++;
+      if (attempts.count >= config.parental.maxPinAttempts) {
+        attempts.count = 0;
+        attempts.lockedUntil = Date.now() + config.parental.pinLockout;
+      }
+      this.pinAttempts.set(ownerId, attempts);
+      throw Object.assign(new Error('Incorrect PIN'), { status: 403 });
+    }
+
+    this.pinAttempts.delete(ownerId);
+  }
+
+  /**
+   * Unlock a restricted session with the account's PIN
+   */
+  async unlock(session, pin) {
+    const userId = session.userId;
+    const user = await this.userService.getUserWithParentalPin(userId);
+    if (!user) {
+      throw Object.assign(new Error('User not found'), { status: 404 });
+    }
+    if (!user.parentalPin) {
+      throw Object.assign(new Error('No parental PIN is set for this account'), { status: 400 });
+    }
+
+    await this.verifyPin(userId, pin, user.parentalPin);
+    session.parentalUnlocked = true;
+  }
+
+  /**
+   * Restore the user's restriction
+   */
+  lock(session) {
+    delete session.parentalUnlocked;
+  }
+}
+
+module.exports = new ParentalControlsService();
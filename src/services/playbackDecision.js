@@ -0,0 +1,187 @@
+/**
+ * Playback Decision Service
+ * Decides per request whether a local file can be direct-played, remuxed into
+ * a browser-friendly container, or must be transcoded, based on the cached
+ * ffprobe streams and the codecs/containers the client says it supports
+ */
+
+// Used when the client doesn't send its capabilities (what every modern browser plays)
+const DEFAULT_CAPABILITIES = {
+  containers: ['mp4', 'webm', 'mp3', 'ogg', 'wav', 'flac'],
+  videoCodecs: ['h264', 'vp8', 'vp9'],
+  audioCodecs: ['aac', 'mp3', 'opus', 'vorbis', 'flac', 'pcm'],
+  hls: true
+};
+
+// File extension -> container name understood by clients
+const CONTAINER_ALIASES = {
+  m4v: 'mp4',
+  m4a: 'mp4',
+  mkv: 'matroska',
+  ogv: 'ogg',
+  oga: 'ogg',
+  '3gp': '3gp',
+  mov: 'mov'
+};
+
+// Codecs that can be copied into a fragmented MP4 without re-encoding
+const MP4_VIDEO_CODECS = ['h264', 'hevc', 'av1', 'vp9'];
+const MP4_AUDIO_CODECS = ['aac', 'mp3', 'opus', 'flac', 'ac3', 'eac3'];
+
+class PlaybackDecisionService {
+  /**
+   * Parse client capabilities from query parameters
+   * e.g. ?containers=mp4,webm&videoCodecs=h264,vp9&audioCodecs=aac,opus&hls=1
+   */
+  parseCapabilities(query = {}) {
+    const list = (value, fallback) => {
+      if (typeof value !== 'string' || !value.trim()) return fallback;
+      return value.split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+    };
+
+    return {
+      containers: list(query.containers, DEFAULT_CAPABILITIES.containers),
+      videoCodecs: list(query.videoCodecs, DEFAULT_CAPABILITIES.videoCodecs),
+      audioCodecs: list(query.audioCodecs, DEFAULT_CAPABILITIES.audioCodecs),
+      hls: query.hls === undefined ? DEFAULT_CAPABILITIES.hls : query.hls === '1' || query.hls === 'true'
+    };
+  }
+
+  /**
+   * Parse and validate an ?audioTrack= query parameter against a media item's audio tracks
+   * Returns null when no track was requested; throws an error with status 400 for unknown tracks
+   */
+  parseAudioTrack(value, media) {
+    if (value === undefined || value === '') return null;
+
+    const index = Number(value);
+    const tracks = media.audioTracks || [];
+    if (!Number.isInteger(index) || index < 0 || (tracks.length > 0 && index >= tracks.length)) {
+      throw Object.assign(new Error(`Unknown audio track: ${value}`), { status: 400 });
+    }
+    return index;
+  }
+
+  /**
+   * Normalize an ffprobe codec name (pcm_s16le -> pcm)
+   */
+  normalizeCodec(codecName) {
+    if (!codecName) return null;
+    const codec = codecName.toLowerCase();
+    return codec.startsWith('pcm_') ? 'pcm' : codec;
+  }
+
+  /**
+   * Container of a media item, taken from its extension
+   * (ffprobe reports "mov,mp4,m4a,..." which can't tell mp4 from mov)
+   */
+  getContainer(media) {
+    const extension = (media.extension || '').replace('.', '').toLowerCase();
+    return CONTAINER_ALIASES[extension] || extension;
+  }
+
+  /**
+   * Summarize the streams that matter for playback
+   * audioTrack selects an audio stream by position; otherwise the one browsers play (default, else first)
+   */
+  getStreamInfo(media, probe, audioTrack = null) {
+    const streams = (probe && probe.streams) || [];
+    const audioStreams = streams.filter(s => s.codec_type === 'audio');
+    const video = streams.find(s => s.codec_type === 'video' && !(s.disposition && s.disposition.attached_pic));
+    const defaultAudio = audioStreams.find(s => s.disposition && s.disposition.default) || audioStreams[0];
+    const audio = audioTrack !== null ? audioStreams[audioTrack] : defaultAudio;
+
+    return {
+      container: this.getContainer(media),
+      videoCodec: video ? this.normalizeCodec(video.codec_name) : null,
+      audioCodec: audio ? this.normalizeCodec(audio.codec_name) : null,
+      audioTrack: audio ? audioStreams.indexOf(audio) : null,
+      // Browsers play the file's default audio track, others must be selected by remuxing
+      defaultAudioTrack: audio === defaultAudio,
+      // Browsers only decode 8-bit H.264
+      tenBitVideo: !!(video && video.pix_fmt && /10le|10be|12le/.test(video.pix_fmt))
+    };
+  }
+
+  /**
+   * Decide how a media item should be played
+   *
+   * @param {object} media - Media item (from MediaScanner.getMetadata)
+   * @param {object|null} probe - Cached ffprobe output
+   * @param {object} capabilities - Parsed client capabilities
+   * @param {number|null} audioTrack - Requested audio track (position among audio streams)
+   * @returns {object} { method, protocol, url, reasons, container, videoCodec, audioCodec, audioTrack }
+   */
+  decide(media, probe, capabilities = DEFAULT_CAPABILITIES, audioTrack = null) {
+    const info = this.getStreamInfo(media, probe, audioTrack);
+    const directUrl = `/api/stream/${media.id}`;
+    const reasons = [];
+
+    // Non-default audio tracks are passed on to the remux/HLS stream
+    const trackParam = info.defaultAudioTrack ? '' : `audioTrack=${info.audioTrack}`;
+    const withTrack = (url) => (trackParam ? `${url}${url.includes('?') ? '&' : '?'}${trackParam}` : url);
+
+    const result = (method, protocol, url) => ({
+      method,
+      protocol,
+      url: url === directUrl ? url : withTrack(url),
+      reasons,
+      container: info.container,
+      videoCodec: info.videoCodec,
+      audioCodec: info.audioCodec,
+      audioTrack: info.audioTrack
+    });
+
+    if (!probe) {
+      reasons.push('No stream information available (ffprobe missing or failed), trying the original file');
+      return result('direct', 'http', directUrl);
+    }
+
+    const isVideo = media.type === 'video' && !!info.videoCodec;
+    const containerOk = capabilities.containers.includes(info.container);
+    const videoOk = !isVideo || (capabilities.videoCodecs.includes(info.videoCodec) && !info.tenBitVideo);
+    const audioOk = !info.audioCodec || capabilities.audioCodecs.includes(info.audioCodec);
+
+    if (!containerOk) reasons.push(`Container "${info.container}" is not supported by the client`);
+    if (isVideo && !capabilities.videoCodecs.includes(info.videoCodec)) {
+      reasons.push(`Video codec "${info.videoCodec}" is not supported by the client`);
+    } else if (isVideo && info.tenBitVideo) {
+      reasons.push('10-bit video is not supported by the client');
+    }
+    if (!audioOk) reasons.push(`Audio codec "${info.audioCodec}" is not supported by the client`);
+    if (!info.defaultAudioTrack) reasons.push(`Audio track ${info.audioTrack + 1} is not the file's default track`);
+
+    if (containerOk && videoOk && audioOk && info.defaultAudioTrack) {
+      reasons.push('Container and codecs are supported by the client');
+      return result('direct', 'http', directUrl);
+    }
+
+    // Video can be kept as-is: copy it into fragmented MP4, converting audio only if needed
+    const canRemuxVideo = !isVideo || MP4_VIDEO_CODECS.includes(info.videoCodec);
+    if (videoOk && canRemuxVideo && capabilities.containers.includes('mp4')) {
+      const remuxUrl = `/api/stream/${media.id}/remux`;
+
+      if (audioOk && (!info.audioCodec || MP4_AUDIO_CODECS.includes(info.audioCodec))) {
+        reasons.push('Streams will be copied into an MP4 container');
+        return result('remux', 'http', remuxUrl);
+      }
+
+      if (capabilities.audioCodecs.includes('aac')) {
+        reasons.push(isVideo
+          ? 'Video will be copied into an MP4 container and audio converted to AAC'
+          : 'Audio will be converted to AAC');
+        return result(isVideo ? 'remux' : 'transcode', 'http', `${remuxUrl}?audio=aac`);
+      }
+    }
+
+    if (isVideo && capabilities.hls) {
+      reasons.push('Video will be transcoded to H.264/AAC HLS');
+      return result('transcode', 'hls', `/api/stream/${media.id}/hls/master.m3u8`);
+    }
+
+    reasons.push('No compatible playback method, trying the original file');
+    return result('direct', 'http', directUrl);
+  }
+}
+
+module.exports = new PlaybackDecisionService();
@@ -0,0 +1,211 @@
+const { v4: uuidv4 } = require('uuid');
+const bcrypt = require('bcrypt');
+const UserService = require('./userService');
+const { isValidCertification } = require('../utils/certifications');
+
+const MAX_PROFILES = 5;
+const PROFILE_AVATARS = ['🙂', '😎', '🦊', '🐼', '🐯', '🦁', '🐸', '🐙', '🦄', '🚀', '⭐', '🎮'];
+
+/**
+ * Profile Service
+ * Profiles let a household share one login while each person keeps their own
+ * favorites, watch history and collections (stored under the profile ID).
+ *
+ * Every account has a main profile whose ID is the user ID, so data saved
+ * before profiles existed stays with it. Its name is the account's display
+ * name, its PIN is the account's parental PIN and its certification limit the
+ * account's (set by admins through /api/users). Extra profiles are stored in
+ * the user record and each can have its own avatar, PIN and limit.
+ */
+class ProfileService {
+  constructor() {
+    this.userService = new UserService();
+  }
+
+  /**
+   * Main profile of an account, built from the user record
+   */
+  getMainProfile(user) {
+    return {
+      id: user.id,
+      name: user.displayName || user.username,
+      avatar: user.avatar || PROFILE_AVATARS[0],
+      maxCertification: user.maxCertification || null,
+      pin: user.parentalPin || null,
+      isMain: true,
+      createdAt: user.createdAt
+    };
+  }
+
+  /**
+   * Profile as returned to clients (PIN hash replaced by hasPin)
+   */
+  toPublicProfile(profile) {
+    const { pin, ...publicProfile } = profile;
+    return { ...publicProfile, hasPin: !!pin };
+  }
+
+  /**
+   * Load all users and the account of a user (throws 404 if it doesn't exist)
+   */
+  async loadAccount(userId) {
+    const users = await this.userService.loadUsers();
+    const user = users.find(u => u.id === userId);
+    if (!user) {
+      throw Object.assign(new Error('User not found'), { status: 404 });
+    }
+    if (!Array.isArray(user.profiles)) user.profiles = [];
+    return { users, user };
+  }
+
+  /**
+   * Get the profiles of an account, main profile first
+   */
+  async getProfiles(userId) {
+    const { user } = await this.loadAccount(userId);
+    return [
+      this.getMainProfile(user),
+      ...user.profiles.map(profile => ({ ...profile, isMain: false }))
+    ].map(profile => this.toPublicProfile(profile));
+  }
+
+  /**
+   * Get a profile of an account with its PIN hash, or null
+   */
+  async getProfile(userId, profileId) {
+    const users = await this.userService.loadUsers();
+    const user = users.find(u => u.id === userId);
+    if (!user) return null;
+    if (profileId === user.id) return this.getMainProfile(user);
+
+    const profile = (user.profiles || []).find(p => p.id === profileId);
+    return profile ? { ...profile, isMain: false } : null;
+  }
+
+  /**
+   * IDs of all profiles of an account (their data is stored under these IDs)
+   */
+  async getProfileIds(userId) {
+    const { user } = await this.loadAccount(userId);
+    return [user.id, ...user.profiles.map(profile => profile.id)];
+  }
+
+  /**
+   * Validate profile fields, throwing an error with status 400
+   */
+  validate(fields) {
+    if (fields.name !== undefined && (typeof fields.name !== 'string' || !fields.name.trim())) {
+      throw Object.assign(new Error('Profile name cannot be empty'), { status: 400 });
+    }
+    if (fields.avatar !== undefined && !PROFILE_AVATARS.includes(fields.avatar)) {
+      throw Object.assign(new Error(`Avatar must be one of: ${PROFILE_AVATARS.join(' ')}`), { status: 400 });
+    }
+    if (fields.maxCertification !== undefined && fields.maxCertification !== null &&
+        !isValidCertification(fields.maxCertification)) {
+      throw Object.assign(new Error(`Unknown certification: ${fields.maxCertification}`), { status: 400 });
+    }
+    if (fields.pin !== undefined && fields.pin !== null && !/^\d{4,8}$/.test(String(fields.pin))) {
+      throw Object.assign(new Error('PIN must be 4 to 8 digits'), { status: 400 });
+    }
+  }
+
+  /**
+   * Create a profile
+   *
+   * @param {string} userId - Account the profile belongs to
+   * @param {object} fields - { name, avatar, maxCertification, pin }
+   * @returns {object} The public profile
+   */
+  async createProfile(userId, fields) {
+    this.validate(fields);
+    if (fields.name === undefined) {
+      throw Object.assign(new Error('Profile name is required'), { status: 400 });
+    }
+
+    const { users, user } = await this.loadAccount(userId);
+    if (user.profiles.length + 1 >= MAX_PROFILES) {
+      throw Object.assign(new Error(`An account can have at most ${MAX_PROFILES} profiles`), { status: 400 });
+    }
+
+    const saltRounds = 10;
+    const profile = {
+      id: uuidv4(),
+      name: fields.name.trim(),
+      avatar: fields.avatar || PROFILE_AVATARS[(user.profiles.length + 1) % PROFILE_AVATARS.length],
+      maxCertification: fields.maxCertification || null,
+      pin: fields.pin ? await bcrypt.hash(String(fields.pin), saltRounds) : null,
+      createdAt: new Date().toISOString()
+    };
+
+    user.profiles.push(profile);
+    await this.userService.saveUsers(users);
+    return this.toPublicProfile({ ...profile, isMain: false });
+  }
+
+  /**
+   * Update a profile
+   * The main profile's name, avatar and PIN are the account's; its limit can only be
+   * changed by admins through the user (throws 400)
+   */
+  async updateProfile(userId, profileId, updates) {
+    this.validate(updates);
+    const { users, user } = await this.loadAccount(userId);
+
+    if (profileId === user.id) {
+      if (updates.maxCertification !== undefined) {
+        throw Object.assign(new Error('The main profile\'s limit is the account\'s, set by admins'), { status: 400 });
+      }
+      if (updates.name !== undefined) user.displayName = updates.name.trim();
+      if (updates.avatar !== undefined) user.avatar = updates.avatar;
+      user.updatedAt = new Date().toISOString();
+      await this.userService.saveUsers(users);
+      if (updates.pin !== undefined) {
+        await this.userService.setParentalPin(user.id, updates.pin);
+      }
+      const [mainProfile] = await this.getProfiles(userId);
+      return mainProfile;
+    }
+
+    const profile = user.profiles.find(p => p.id === profileId);
+    if (!profile) {
+      throw Object.assign(new Error('Profile not found'), { status: 404 });
+    }
+
+    const saltRounds = 10;
+    if (updates.name !== undefined) profile.name = updates.name.trim();
+    if (updates.avatar !== undefined) profile.avatar = updates.avatar;
+    if (updates.maxCertification !== undefined) profile.maxCertification = updates.maxCertification || null;
+    if (updates.pin !== undefined) {
+      profile.pin = updates.pin === null ? null : await bcrypt.hash(String(updates.pin), saltRounds);
+    }
+    profile.updatedAt = new Date().toISOString();
+
+    await this.userService.saveUsers(users);
+    return this.toPublicProfile({ ...profile, isMain: false });
+  }
+
+  /**
+   * Delete a profile (the main profile can't be deleted)
+   * The caller clears the profile's favorites, history and collections
+   */
+  async deleteProfile(userId, profileId) {
+    const { users, user } = await this.loadAccount(userId);
+    if (profileId === user.id) {
+      throw Object.assign(new Error('The main profile cannot be deleted'), { status: 400 });
+    }
+
+    const remaining = user.profiles.filter(p => p.id !== profileId);
+    if (remaining.length === user.profiles.length) {
+      throw Object.assign(new Error('Profile not found'), { status: 404 });
+    }
+
+    user.profiles = remaining;
+    await this.userService.saveUsers(users);
+    return true;
+  }
+}
+
+ProfileService.AVATARS = PROFILE_AVATARS;
+ProfileService.MAX_PROFILES = MAX_PROFILES;
+
+module.exports = ProfileService;
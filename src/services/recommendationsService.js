@@ -1,13 +1,38 @@
 const fs = require('fs-extra');
 const path = require('path');
+const MovieAPI = require('./movieAPI');
+
+// Weights of the parts of a recommendation score (each part is between 0 and 1)
+const SCORE_WEIGHTS = {
+  genres: 0.4, // Overlap with the genres of what the profile watched and liked
+  tmdb: 0.3, // TMDB lists the title among the recommendations of a watched/liked title
+  rating: 0.2, // Average rating out of 10
+  recency: 0.1 // Release year, newer first (titles older than RECENCY_YEARS get 0)
+};
+const RECENCY_YEARS = 20;
+
+// Each seed counts a bit less than the one watched after it
+const SEED_DECAY = 0.85;
+
+// Titles used as seeds for "Because you watched"/"Because you liked" rows
+const MAX_WATCHED_ROWS = 3;
+const MAX_LIKED_ROWS = 1;
+
+// Most recent watched/liked titles looked at when building recommendations
+const MAX_SEEDS = 10;
 
 /**
  * Recommendations Service
  * Provides content recommendations based on user preferences
+ *
+ * Candidates are the local library plus the popular and top rated API lists.
+ * They are scored on genre overlap with the profile's watch history and
+ * favorites, TMDB's own recommendations for those titles, rating and recency.
  */
 class RecommendationsService {
   constructor() {
     this.historyDir = path.join(__dirname, '../../.data');
+    this.movieAPI = new MovieAPI();
     this.initializeStorage();
   }
 
@@ -16,116 +41,224 @@ class RecommendationsService {
   }
 
   /**
-   * Get recommendations based on favorites
+   * Titles that can be recommended: the local library and the popular API lists
+   * (served from the API cache most of the time)
    */
-  async getRecommendationsFromFavorites(userId, favorites, allMedia) {
-    try {
-      // Get genres from favorites
-      const favoriteGenres = new Set();
-      favorites.forEach(fav => {
-        if (fav.genres && Array.isArray(fav.genres)) {
-          fav.genres.forEach(genre => favoriteGenres.add(genre.toLowerCase()));
-        }
-      });
+  async getCandidates(allMedia) {
+    const lists = await Promise.all([
+      this.movieAPI.getPopularMovies(1),
+      this.movieAPI.getTopRatedMovies(1),
+      this.movieAPI.getPopularTVShows(1),
+      this.movieAPI.getTopRatedTVShows(1),
+      this.movieAPI.getPopularAnime(1)
+    ].map(promise => promise.catch(() => [])));
 
-      // Find similar content
-      const recommendations = allMedia.filter(media => {
-        // Don't recommend items already favorited
-        if (favorites.find(f => f.mediaId === media.id)) return false;
-        
-        // Match by genres
-        if (media.genres && Array.isArray(media.genres)) {
-          return media.genres.some(genre => 
-            favoriteGenres.has(genre.toLowerCase())
-          );
-        }
-        return false;
-      });
+    return this.mergeItems(allMedia, ...lists);
+  }
+
+  /**
+   * Merge item lists, keeping the first item of each ID
+   */
+  mergeItems(...lists) {
+    const items = new Map();
+    lists.forEach(list => list.forEach(item => {
+      if (item && item.id && !items.has(item.id)) items.set(item.id, item);
+    }));
+    return [...items.values()];
+  }
 
-      // Sort by rating and limit
-      return recommendations
-        .sort((a, b) => (b.rating || 0) - (a.rating || 0))
-        .slice(0, 20);
+  /**
+   * Find a title by media ID: in the candidates, else from TMDB (tmdb_movie_<id>, tmdb_tv_<id>)
+   * Returns null when it can't be found
+   */
+  async findItem(mediaId, candidates) {
+    const candidate = candidates.find(item => item.id === mediaId);
+    if (candidate) return candidate;
+
+    const match = String(mediaId).match(/^tmdb_(movie|tv)_(\d+)$/);
+    if (!match) return null;
+    try {
+      return await this.movieAPI.getTMDBItem(match[2], match[1]);
     } catch (error) {
-      console.error('Error getting recommendations:', error);
-      return [];
+      console.warn(`Could not look up ${mediaId}:`, error.message);
+      return null;
     }
   }
 
   /**
-   * Get recommendations based on watch history
+   * TMDB recommendations for a title (empty for titles without a TMDB ID)
    */
-  async getRecommendationsFromHistory(userId, history, allMedia) {
-    try {
-      // Get genres from watched content
-      const watchedGenres = new Set();
-      history.forEach(entry => {
-        const media = allMedia.find(m => m.id === entry.mediaId);
-        if (media && media.genres && Array.isArray(media.genres)) {
-          media.genres.forEach(genre => watchedGenres.add(genre.toLowerCase()));
-        }
+  async getTMDBRecommendations(item) {
+    if (!item.tmdbId || (item.type !== 'movie' && item.type !== 'tv')) return [];
+    return this.movieAPI.getTMDBRecommendations(item.tmdbId, item.type);
+  }
+
+  /**
+   * Genre weights of seed titles ({ item, weight }), keyed by lower-case genre
+   */
+  getGenreWeights(seeds) {
+    const weights = new Map();
+    seeds.forEach(({ item, weight }) => {
+      (item.genres || []).forEach(genre => {
+        const key = genre.toLowerCase();
+        weights.set(key, (weights.get(key) || 0) + weight);
       });
+    });
+    return weights;
+  }
+
+  /**
+   * Score a candidate between 0 and 1
+   *
+   * @param {object} item - Candidate title
+   * @param {Map} genreWeights - From getGenreWeights()
+   * @param {Map} tmdbScores - Media ID -> strength of TMDB's recommendation (0-1)
+   */
+  scoreItem(item, genreWeights, tmdbScores) {
+    const totalGenreWeight = [...genreWeights.values()].reduce((sum, weight) => sum + weight, 0);
+    const genres = [...new Set((item.genres || []).map(genre => genre.toLowerCase()))];
+    const genreScore = totalGenreWeight > 0
+      ? Math.min(1, genres.reduce((sum, genre) => sum + (genreWeights.get(genre) || 0), 0) / totalGenreWeight)
+      : 0;
 
-      // Find similar content
-      const recommendations = allMedia.filter(media => {
-        // Don't recommend items already watched
-        if (history.find(h => h.mediaId === media.id)) return false;
-        
-        // Match by genres
-        if (media.genres && Array.isArray(media.genres)) {
-          return media.genres.some(genre => 
-            watchedGenres.has(genre.toLowerCase())
-          );
-        }
-        return false;
+    const year = parseInt(item.year, 10);
+    const age = year ? new Date().getFullYear() - year : RECENCY_YEARS;
+    const recencyScore = Math.max(0, 1 - age / RECENCY_YEARS);
+    const ratingScore = Math.min(1, Math.max(0, (parseFloat(item.rating) || 0) / 10));
+
+    return SCORE_WEIGHTS.genres * genreScore +
+      SCORE_WEIGHTS.tmdb * (tmdbScores.get(item.id) || 0) +
+      SCORE_WEIGHTS.rating * ratingScore +
+      SCORE_WEIGHTS.recency * recencyScore;
+  }
+
+  /**
+   * Rank candidates for a set of seeds
+   * Only titles sharing a genre with the seeds or recommended by TMDB for them are kept
+   *
+   * @param {Array} seeds - [{ item, weight }]
+   * @param {Array} candidates - Titles to rank
+   * @param {Set} excludeIds - Media IDs never to return
+   * @param {number} limit - Maximum number of titles
+   * @param {Function} filter - Optional async filter run on the best titles (e.g. parental controls)
+   */
+  async rank(seeds, candidates, excludeIds, limit, filter = null) {
+    const tmdbScores = new Map();
+    const recommended = [];
+    for (const { item, weight } of seeds) {
+      const items = await this.getTMDBRecommendations(item);
+      items.forEach(recommendation => {
+        tmdbScores.set(recommendation.id, Math.min(1, (tmdbScores.get(recommendation.id) || 0) + weight));
       });
+      recommended.push(items);
+    }
 
-      // Sort by rating and limit
-      return recommendations
-        .sort((a, b) => (b.rating || 0) - (a.rating || 0))
-        .slice(0, 20);
-    } catch (error) {
-      console.error('Error getting recommendations from history:', error);
-      return [];
+    const genreWeights = this.getGenreWeights(seeds);
+    const ranked = this.mergeItems(candidates, ...recommended)
+      .filter(item => !excludeIds.has(item.id))
+      .filter(item => tmdbScores.has(item.id) ||
+        (item.genres || []).some(genre => genreWeights.has(genre.toLowerCase())))
+      .map(item => ({ item, score: this.scoreItem(item, genreWeights, tmdbScores) }))
+      .sort((a, b) => b.score - a.score)
+      .map(({ item }) => item);
+
+    // Filter a few more than needed, so the row stays full when some are removed
+    const best = ranked.slice(0, limit * 2);
+    return (filter ? await filter(best) : best).slice(0, limit);
+  }
+
+  /**
+   * Build the home page recommendation rows of a profile
+   *
+   * @param {object} options
+   * @param {Array} options.history - Watch history entries, newest first
+   * @param {Array} options.favorites - Favorites, as stored by FavoritesService
+   * @param {Array} options.allMedia - Local library
+   * @param {Array} options.excludeIds - Media IDs never to recommend (e.g. reported as not streaming)
+   * @param {number} options.limit - Maximum titles per row
+   * @param {Function} options.filter - Optional async filter for the titles of each row
+   * @returns {Array} Rows: { id, title, reason, seedId, items }
+   */
+  async getRecommendationRows({ history = [], favorites = [], allMedia = [], excludeIds = [], limit = 20, filter = null }) {
+    const candidates = await this.getCandidates(allMedia);
+
+    // Watched and favorited titles are never recommended
+    const exclude = new Set([
+      ...excludeIds,
+      ...history.map(entry => entry.mediaId),
+      ...favorites.map(favorite => favorite.id)
+    ]);
+
+    const watchedSeeds = await this.getSeeds(history.map(entry => entry.mediaId), candidates);
+    const sortedFavorites = [...favorites].sort((a, b) => new Date(b.addedAt || 0) - new Date(a.addedAt || 0));
+    const likedSeeds = await this.getSeeds(sortedFavorites.map(favorite => favorite.id), candidates);
+
+    const rows = [];
+    const shown = new Set(exclude);
+    const addRow = (row, items) => {
+      if (items.length === 0) return;
+      items.forEach(item => shown.add(item.id));
+      rows.push({ ...row, items });
+    };
+
+    for (const seed of watchedSeeds.slice(0, MAX_WATCHED_ROWS)) {
+      addRow({
+        id: `because_watched_${seed.item.id}`,
+        title: `Because you watched ${seed.item.title}`,
+        reason: 'watched',
+        seedId: seed.item.id
+      }, await this.rank([{ item: seed.item, weight: 1 }], candidates, shown, limit, filter));
+    }
+
+    for (const seed of likedSeeds.slice(0, MAX_LIKED_ROWS)) {
+      addRow({
+        id: `because_liked_${seed.item.id}`,
+        title: `Because you liked ${seed.item.title}`,
+        reason: 'favorite',
+        seedId: seed.item.id
+      }, await this.rank([{ item: seed.item, weight: 1 }], candidates, shown, limit, filter));
+    }
+
+    // Top picks across everything the profile watched and liked, shown first
+    const topPicks = await this.rank([...watchedSeeds, ...likedSeeds], candidates, shown, limit, filter);
+    if (topPicks.length > 0) {
+      rows.unshift({ id: 'top_picks', title: 'Recommended For You', reason: 'profile', seedId: null, items: topPicks });
     }
+
+    return rows;
   }
 
   /**
-   * Get "Similar to" recommendations for a specific media item
+   * Resolve the most recent seed media IDs to titles with a decaying weight
+   * Titles that can't be found or have no genres and no TMDB ID are skipped
+   *
+   * @param {Array} mediaIds - Media IDs, newest first
+   * @param {Array} candidates - Known titles
    */
-  getSimilarTo(media, allMedia, limit = 10) {
-    if (!media || !media.genres || !Array.isArray(media.genres)) {
-      return [];
+  async getSeeds(mediaIds, candidates) {
+    const seeds = [];
+    for (const mediaId of [...new Set(mediaIds)].slice(0, MAX_SEEDS)) {
+      const item = await this.findItem(mediaId, candidates);
+      if (!item || (!(item.genres || []).length && !item.tmdbId)) continue;
+      seeds.push({ item, weight: Math.pow(SEED_DECAY, seeds.length) });
     }
+    return seeds;
+  }
+
+  /**
+   * Titles similar to one title, ranked like the recommendation rows
+   *
+   * @param {string} mediaId - Media ID of the title
+   * @param {object} options - { allMedia, excludeIds, limit, filter }
+   * @returns {Array|null} Similar titles, or null if the title can't be found
+   */
+  async getSimilar(mediaId, { allMedia = [], excludeIds = [], limit = 12, filter = null }) {
+    const candidates = await this.getCandidates(allMedia);
+    const item = await this.findItem(mediaId, candidates);
+    if (!item) return null;
 
-    const mediaGenres = new Set(media.genres.map(g => g.toLowerCase()));
-    
-    const similar = allMedia
-      .filter(m => {
-        // Don't include the same item
-        if (m.id === media.id) return false;
-        
-        // Match by genres
-        if (m.genres && Array.isArray(m.genres)) {
-          return m.genres.some(genre => 
-            mediaGenres.has(genre.toLowerCase())
-          );
-        }
-        return false;
-      })
-      .sort((a, b) => {
-        // Sort by genre match count and rating
-        const aMatchCount = a.genres ? a.genres.filter(g => mediaGenres.has(g.toLowerCase())).length : 0;
-        const bMatchCount = b.genres ? b.genres.filter(g => mediaGenres.has(g.toLowerCase())).length : 0;
-        
-        if (aMatchCount !== bMatchCount) {
-          return bMatchCount - aMatchCount;
-        }
-        return (b.rating || 0) - (a.rating || 0);
-      })
-      .slice(0, limit);
-
-    return similar;
+    const exclude = new Set([...excludeIds, mediaId]);
+    return this.rank([{ item, weight: 1 }], candidates, exclude, limit, filter);
   }
 }
 
@@ -0,0 +1,227 @@
+const streamingProviders = require('./streamingProviders');
+const config = require('../config');
+
+/**
+ * Source Health Monitor
+ * Keeps track of how well each streaming provider is doing so a dead provider
+ * isn't tried on every request:
+ *
+ * - Providers are probed in the background (their health check) and every
+ *   availability check made while streaming counts too. Success rate and
+ *   latency are kept over the last few results.
+ * - After several failures in a row the provider's circuit opens and it is
+ *   skipped. Once the reset timeout has passed one request is let through
+ *   (half-open); a success closes the circuit again, a failure reopens it.
+ * - Availability of a title's URL is cached, longer for available URLs than
+ *   for unavailable ones.
+ *
+ * Only network errors, timeouts and 5xx answers count as provider failures; a
+ * title a provider doesn't have is cached as unavailable but says nothing
+ * about the provider.
+ */
+class SourceHealthMonitor {
+  constructor() {
+    this.providers = new Map(); // name -> stats
+    this.availability = new Map(); // URL -> { available, expiresAt } (oldest first)
+    this.probeTimer = null;
+  }
+
+  /**
+   * Stats of a provider, created on first use
+   */
+  getStats(name) {
+    if (!this.providers.has(name)) {
+      this.providers.set(name, {
+        circuit: 'closed',
+        openedAt: null,
+        consecutiveFailures: 0,
+        successes: 0,
+        failures: 0,
+        recent: [], // last results: { ok, latency }
+        lastCheckedAt: null,
+        lastError: null
+      });
+    }
+    return this.providers.get(name);
+  }
+
+  /**
+   * Record the outcome of a request to a provider
+   *
+   * @param {string} name - Provider name
+   * @param {boolean} ok - Whether the provider answered
+   * @param {number} latency - Response time in milliseconds
+   * @param {string} error - What went wrong, when it failed
+   */
+  recordResult(name, ok, latency, error = null) {
+    const stats = this.getStats(name);
+    const { failureThreshold, latencyWindow } = config.sourceHealth;
+
+    stats.recent.push({ ok, latency });
+    if (stats.recent.length > latencyWindow) stats.recent.shift();
+    stats.lastCheckedAt = new Date().toISOString();
+
+    if (ok) {
+      stats.successes++;
+      stats.consecutiveFailures = 0;
+      stats.lastError = null;
+      if (stats.circuit !== 'closed') {
+        console.log(`[Streaming] ${name} is back, closing its circuit`);
+      }
+      stats.circuit = 'closed';
+      stats.openedAt = null;
+      return;
+    }
+
+    stats.failures++;
+    stats.consecutiveFailures++;
+    stats.lastError = error;
+    if (stats.circuit === 'half-open' || (stats.circuit === 'closed' && stats.consecutiveFailures >= failureThreshold)) {
+      console.warn(`[Streaming] ${name} failed ${stats.consecutiveFailures} time(s) in a row, opening its circuit`);
+      stats.circuit = 'open';
+      stats.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Check if a request may be sent to a provider: always while its circuit is
+   * closed, once per reset timeout while it is open (the trial request)
+   */
+  isAvailable(name) {
+    const stats = this.getStats(name);
+    if (stats.circuit === 'closed') return true;
+
+    if (Date.now() - stats.openedAt >= config.sourceHealth.resetTimeout) {
+      stats.circuit = 'half-open';
+      stats.openedAt = Date.now(); // A trial that never reports back is retried after another timeout
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Close a provider's circuit and forget its results (e.g. after fixing its URL)
+   */
+  reset(name) {
+    this.providers.delete(name);
+    return this.getStatus(name);
+  }
+
+  /**
+   * Health of a provider as returned to admins
+   */
+  getStatus(name) {
+    const stats = this.getStats(name);
+    const succeeded = stats.recent.filter(result => result.ok);
+    const latencies = succeeded.map(result => result.latency);
+    return {
+      circuit: stats.circuit,
+      openedAt: stats.openedAt ? new Date(stats.openedAt).toISOString() : null,
+      consecutiveFailures: stats.consecutiveFailures,
+      successes: stats.successes,
+      failures: stats.failures,
+      successRate: stats.recent.length > 0 ? Math.round((succeeded.length / stats.recent.length) * 100) : null,
+      averageLatency: latencies.length > 0 ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+      lastCheckedAt: stats.lastCheckedAt,
+      lastError: stats.lastError
+    };
+  }
+
+  /**
+   * Health of every provider, in priority order
+   */
+  getAllStatus() {
+    return streamingProviders.getProviders().map(provider => ({
+      name: provider.name,
+      enabled: provider.enabled,
+      ...this.getStatus(provider.name)
+    }));
+  }
+
+  /**
+   * Run a provider's health check and record the result
+   */
+  async probe(name) {
+    const started = Date.now();
+    const result = await streamingProviders.checkHealth(name);
+    this.recordResult(name, result.healthy, Date.now() - started, result.error || (result.healthy ? null : 'Health check failed'));
+    return { ...result, ...this.getStatus(name) };
+  }
+
+  /**
+   * Probe every enabled provider
+   */
+  async probeAll() {
+    const providers = streamingProviders.getProviders().filter(provider => provider.enabled);
+    await Promise.all(providers.map(provider => this.probe(provider.name).catch(error => {
+      console.warn(`[Streaming] Health check of ${provider.name} failed:`, error.message);
+    })));
+  }
+
+  /**
+   * Cached availability of a title's URL: true, false, or undefined when unknown
+   */
+  getCachedAvailability(url) {
+    const cached = this.availability.get(url);
+    if (!cached) return undefined;
+    if (cached.expiresAt <= Date.now()) {
+      this.availability.delete(url);
+      return undefined;
+    }
+    return cached.available;
+  }
+
+  /**
+   * Remember the availability of a title's URL
+   */
+  cacheAvailability(url, available) {
+    const { availableTtl, unavailableTtl, maxCachedTitles } = config.sourceHealth;
+    this.availability.delete(url);
+    this.availability.set(url, {
+      available,
+      expiresAt: Date.now() + (available ? availableTtl : unavailableTtl)
+    });
+
+    // Drop the oldest results past the limit
+    while (this.availability.size > maxCachedTitles) {
+      this.availability.delete(this.availability.keys().next().value);
+    }
+  }
+
+  /**
+   * Number of titles with a cached availability
+   */
+  getCachedTitleCount() {
+    return this.availability.size;
+  }
+
+  /**
+   * Forget cached title availability
+   */
+  clearAvailability() {
+    const count = this.availability.size;
+    this.availability.clear();
+    return count;
+  }
+
+  /**
+   * Start probing providers in the background
+   */
+  start() {
+    if (this.probeTimer || !config.useCinetaro || !config.sourceHealth.probeInterval) return;
+
+    this.probeTimer = setInterval(() => this.probeAll(), config.sourceHealth.probeInterval);
+    this.probeTimer.unref();
+    this.probeAll();
+  }
+
+  /**
+   * Stop background probing
+   */
+  stop() {
+    clearInterval(this.probeTimer);
+    this.probeTimer = null;
+  }
+}
+
+module.exports = new SourceHealthMonitor();
@@ -0,0 +1,271 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const streamingProviders = require('./streamingProviders');
+const config = require('../config');
+
+/**
+ * Stream Report Service
+ * Users report titles that don't stream, optionally naming the source and the
+ * episode that failed. Reports are kept in .data/nonStreamableReports.json:
+ *
+ * - A reported source is tried last for that title (or episode) until the
+ *   report expires (STREAM_REPORT_TTL) or an admin clears it.
+ * - A title is confirmed broken once an admin confirms it or enough different
+ *   accounts report the whole title, without a source or episode
+ *   (STREAM_REPORT_CONFIRM_THRESHOLD). Confirmed titles can be hidden from the
+ *   API lists and are left out of recommendations.
+ *
+ * Older versions kept a plain list of { mediaId, reportedAt, reportedBy };
+ * those entries are read as reports without a source.
+ */
+class StreamReportService {
+  constructor() {
+    this.dataDir = path.join(__dirname, '../../.data');
+    this.reportsFile = path.join(this.dataDir, 'nonStreamableReports.json');
+    this.reports = [];
+    this.confirmed = {}; // mediaId -> { confirmedAt, confirmedBy }
+    this.loadPromise = null;
+    this.savePromise = Promise.resolve();
+  }
+
+  /**
+   * Load reports and admin confirmations (from disk only once per process),
+   * dropping expired reports
+   *
+   * @returns {object} { reports: [...], confirmed: { mediaId: { confirmedAt, confirmedBy } } }
+   */
+  async load() {
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        let data = {};
+        try {
+          if (await fs.pathExists(this.reportsFile)) {
+            data = await fs.readJson(this.reportsFile);
+          }
+        } catch (error) {
+          console.error('Error loading non-streamable reports:', error);
+        }
+
+        this.reports = (Array.isArray(data) ? data : (data.reports || [])).map(report => this.normalize(report));
+        this.confirmed = (!Array.isArray(data) && data.confirmed) || {};
+      })();
+    }
+    await this.loadPromise;
+
+    const expiresBefore = Date.now() - config.streamReports.ttl;
+    this.reports = this.reports.filter(report =>
+      this.confirmed[report.mediaId] || new Date(report.reportedAt).getTime() > expiresBefore);
+    return { reports: this.reports, confirmed: this.confirmed };
+  }
+
+  /**
+   * Fill in fields missing from reports saved by older versions
+   */
+  normalize(report) {
+    return {
+      id: report.id || uuidv4(),
+      mediaId: report.mediaId,
+      source: report.source || null,
+      season: Number.isInteger(report.season) ? report.season : null,
+      episode: Number.isInteger(report.episode) ? report.episode : null,
+      reportedBy: report.reportedBy || null,
+      profileId: report.profileId || null,
+      reportedAt: report.reportedAt || new Date().toISOString()
+    };
+  }
+
+  /**
+   * Save reports and confirmations (writes are chained so they never interleave)
+   */
+  async save() {
+    this.savePromise = this.savePromise
+      .catch(() => {})
+      .then(async () => {
+        await fs.ensureDir(this.dataDir);
+        await fs.writeJson(this.reportsFile, { reports: this.reports, confirmed: this.confirmed }, { spaces: 2 });
+      });
+
+    try {
+      await this.savePromise;
+    } catch (error) {
+      console.error('Error saving non-streamable reports:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Report a title (or a source/episode of it) as not streaming
+   * A user reporting the same thing again refreshes their report
+   *
+   * @param {object} report - { mediaId, source, season, episode, userId, profileId }
+   */
+  async report({ mediaId, source = null, season = null, episode = null, userId, profileId = null }) {
+    if (source !== null && !streamingProviders.getProvider(source)) {
+      throw Object.assign(new Error('Unknown streaming source'), { status: 400 });
+    }
+    if ((season !== null || episode !== null) && !(Number.isInteger(season) && season >= 0 && Number.isInteger(episode) && episode >= 1)) {
+      throw Object.assign(new Error('season and episode must be given together as numbers'), { status: 400 });
+    }
+
+    const data = await this.load();
+    const existing = data.reports.find(r => r.mediaId === mediaId && r.reportedBy === userId &&
+      r.source === source && r.season === season && r.episode === episode);
+
+    let report = existing;
+    if (existing) {
+      existing.reportedAt = new Date().toISOString();
+      existing.profileId = profileId;
+    } else {
+      report = this.normalize({ mediaId, source, season, episode, reportedBy: userId, profileId });
+      this.reports.push(report);
+    }
+
+    await this.save();
+    return report;
+  }
+
+  /**
+   * Reports of a title that apply to an episode (reports without an episode apply to all of them)
+   */
+  getReportsFor(reports, mediaId, { season = null, episode = null } = {}) {
+    return reports.filter(r => r.mediaId === mediaId &&
+      (r.season === null || (r.season === season && r.episode === episode)));
+  }
+
+  /**
+   * Move the sources reported for a title (or the episode) after the others,
+   * keeping the order otherwise; each source gets the number of reports against it
+   *
+   * @param {string} mediaId - Media ID of the title
+   * @param {Array} sources - Candidate sources (see movieAPI.getStreamingSources)
+   * @param {object} options - { season, episode } for series
+   */
+  async demoteSources(mediaId, sources, options = {}) {
+    const { reports } = await this.load();
+    const applicable = this.getReportsFor(reports, mediaId, options);
+
+    const reported = sources.map(source => ({
+      ...source,
+      reports: applicable.filter(r => r.source === source.name).length
+    }));
+    return [
+      ...reported.filter(source => source.reports === 0),
+      ...reported.filter(source => source.reports > 0)
+    ];
+  }
+
+  /**
+   * Summary of a title's reports
+   * Only reports of the whole title count towards confirming it; reports naming a
+   * source or an episode just demote that source
+   */
+  summarize(mediaId, reports, confirmation) {
+    const reporters = new Set(reports.map(r => r.reportedBy).filter(Boolean));
+    const titleReporters = new Set(reports
+      .filter(r => r.source === null && r.season === null)
+      .map(r => r.reportedBy)
+      .filter(Boolean));
+    const sources = {};
+    reports.forEach(r => {
+      if (r.source) sources[r.source] = (sources[r.source] || 0) + 1;
+    });
+    const confirmed = !!confirmation || titleReporters.size >= config.streamReports.confirmThreshold;
+
+    return {
+      mediaId,
+      status: confirmed ? 'confirmed' : 'reported',
+      confirmedBy: confirmation ? confirmation.confirmedBy : (confirmed ? 'reports' : null),
+      confirmedAt: confirmation ? confirmation.confirmedAt : null,
+      reports: reports.length,
+      reporters: reporters.size,
+      titleReporters: titleReporters.size,
+      sources,
+      lastReportedAt: reports.reduce((latest, r) => (!latest || r.reportedAt > latest ? r.reportedAt : latest), null)
+    };
+  }
+
+  /**
+   * Reported titles, most recently reported first
+   *
+   * @param {string} status - Only 'reported' or 'confirmed' titles (optional)
+   */
+  async getTitles(status = null) {
+    const { reports, confirmed } = await this.load();
+    const mediaIds = new Set([...reports.map(r => r.mediaId), ...Object.keys(confirmed)]);
+
+    return Array.from(mediaIds)
+      .map(mediaId => this.summarize(mediaId, reports.filter(r => r.mediaId === mediaId), confirmed[mediaId]))
+      .filter(title => !status || title.status === status)
+      .sort((a, b) => (b.lastReportedAt || '').localeCompare(a.lastReportedAt || ''));
+  }
+
+  /**
+   * A title's summary with its reports, newest first (throws 404 if it has none)
+   */
+  async getTitle(mediaId) {
+    const { reports, confirmed } = await this.load();
+    const titleReports = reports.filter(r => r.mediaId === mediaId);
+    if (titleReports.length === 0 && !confirmed[mediaId]) {
+      throw Object.assign(new Error('No reports for this title'), { status: 404 });
+    }
+
+    return {
+      ...this.summarize(mediaId, titleReports, confirmed[mediaId]),
+      reportList: titleReports.sort((a, b) => b.reportedAt.localeCompare(a.reportedAt))
+    };
+  }
+
+  /**
+   * Media IDs of titles confirmed broken
+   */
+  async getBrokenMediaIds() {
+    const titles = await this.getTitles('confirmed');
+    return new Set(titles.map(title => title.mediaId));
+  }
+
+  /**
+   * Media IDs of titles reported as not streaming, with open reports or confirmed broken
+   */
+  async getReportedMediaIds() {
+    const titles = await this.getTitles();
+    return new Set(titles.map(title => title.mediaId));
+  }
+
+  /**
+   * Confirm a reported title as broken (throws 404 if it has no reports)
+   */
+  async confirm(mediaId, adminId) {
+    const data = await this.load();
+    if (!data.reports.some(r => r.mediaId === mediaId)) {
+      throw Object.assign(new Error('No reports for this title'), { status: 404 });
+    }
+
+    data.confirmed[mediaId] = { confirmedAt: new Date().toISOString(), confirmedBy: adminId };
+    await this.save();
+    return this.getTitle(mediaId);
+  }
+
+  /**
+   * Clear a title's reports and confirmation, or only the reports against one source
+   * Throws 404 when there was nothing to clear
+   *
+   * @returns {number} Number of reports removed
+   */
+  async clear(mediaId, source = null) {
+    const data = await this.load();
+    const matches = r => r.mediaId === mediaId && (!source || r.source === source);
+    const removed = data.reports.filter(matches).length;
+    const wasConfirmed = !source && !!data.confirmed[mediaId];
+    if (removed === 0 && !wasConfirmed) {
+      throw Object.assign(new Error('No reports for this title'), { status: 404 });
+    }
+
+    this.reports = data.reports.filter(r => !matches(r));
+    if (!source) delete data.confirmed[mediaId];
+    await this.save();
+    return removed;
+  }
+}
+
+module.exports = new StreamReportService();
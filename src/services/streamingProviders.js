@@ -0,0 +1,267 @@
+const fs = require('fs-extra');
+const path = require('path');
+const axios = require('axios');
+const config = require('../config');
+
+const MEDIA_TYPES = ['movie', 'tv', 'anime'];
+
+/**
+ * Streaming Provider Registry
+ * Streaming sources are plugins: one CommonJS module per provider in the
+ * provider directories (src/providers, plus STREAMING_PROVIDERS_PATH). A
+ * provider exports:
+ *
+ *   name         unique name, e.g. 'vidsrc'
+ *   label        display name (optional)
+ *   baseUrl      default base URL
+ *   types        media types it can play ('movie', 'tv', 'anime')
+ *   priority     default order (lower is tried first)
+ *   languages    languages it offers per media type, e.g. { movie: ['english'] } (optional)
+ *   buildUrl({ baseUrl, id, type, season, episode, language, animeType }) -> URL or null
+ *   healthCheck({ baseUrl, timeout }) -> true when the provider is up (optional;
+ *                defaults to a HEAD request to baseUrl)
+ *
+ * Admins enable, disable, reorder and re-point providers at runtime; those
+ * settings are kept in .data/streamingProviders.json and applied over the
+ * plugins' defaults. Plugins are loaded synchronously so URLs can be built
+ * while API lists are mapped.
+ */
+class StreamingProviderRegistry {
+  constructor() {
+    this.dataDir = path.join(__dirname, '../../.data');
+    this.settingsFile = path.join(this.dataDir, 'streamingProviders.json');
+    this.plugins = new Map(); // name -> plugin module
+    this.settings = {}; // name -> { enabled, priority, baseUrl }
+    this.load();
+  }
+
+  /**
+   * Load the provider plugins and the saved settings
+   */
+  load() {
+    this.plugins = new Map();
+    config.streaming.providerPaths.forEach(dir => {
+      if (!fs.existsSync(dir)) {
+        console.warn(`Streaming provider directory not found: ${dir}`);
+        return;
+      }
+      fs.readdirSync(dir)
+        .filter(file => file.endsWith('.js'))
+        .sort()
+        .forEach(file => this.loadPlugin(path.join(dir, file)));
+    });
+
+    try {
+      this.settings = fs.existsSync(this.settingsFile) ? fs.readJsonSync(this.settingsFile) : {};
+    } catch (error) {
+      console.error('Error loading streaming provider settings:', error);
+      this.settings = {};
+    }
+  }
+
+  /**
+   * Load one plugin file (later directories override providers with the same name)
+   */
+  loadPlugin(file) {
+    try {
+      delete require.cache[require.resolve(file)];
+      const plugin = require(file);
+      const problem = this.validatePlugin(plugin);
+      if (problem) {
+        console.warn(`Skipping streaming provider ${file}: ${problem}`);
+        return;
+      }
+      this.plugins.set(plugin.name, plugin);
+    } catch (error) {
+      console.warn(`Could not load streaming provider ${file}:`, error.message);
+    }
+  }
+
+  /**
+   * Check a plugin's exports, returning what is wrong or null
+   */
+  validatePlugin(plugin) {
+    if (!plugin || typeof plugin.name !== 'string' || !plugin.name) return 'name is required';
+    if (typeof plugin.buildUrl !== 'function') return 'buildUrl() is required';
+    if (!Array.isArray(plugin.types) || !plugin.types.every(type => MEDIA_TYPES.includes(type))) {
+      return `types must list media types (${MEDIA_TYPES.join(', ')})`;
+    }
+    if (plugin.healthCheck !== undefined && typeof plugin.healthCheck !== 'function') return 'healthCheck must be a function';
+    if (plugin.languages !== undefined && (typeof plugin.languages !== 'object' ||
+        !Object.values(plugin.languages).every(Array.isArray))) {
+      return 'languages must list languages per media type';
+    }
+    return null;
+  }
+
+  /**
+   * Reload plugins from disk (new or changed plugin files)
+   */
+  reload() {
+    this.load();
+    return this.getProviders();
+  }
+
+  /**
+   * Save the admin settings
+   */
+  async saveSettings() {
+    try {
+      await fs.ensureDir(this.dataDir);
+      await fs.writeJson(this.settingsFile, this.settings, { spaces: 2 });
+    } catch (error) {
+      console.error('Error saving streaming provider settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Provider with the admin settings applied
+   */
+  toProvider(plugin) {
+    const settings = this.settings[plugin.name] || {};
+    return {
+      name: plugin.name,
+      label: plugin.label || plugin.name,
+      types: plugin.types,
+      languages: plugin.languages || {},
+      baseUrl: settings.baseUrl || plugin.baseUrl,
+      defaultBaseUrl: plugin.baseUrl,
+      priority: settings.priority !== undefined ? settings.priority : (Number.isInteger(plugin.priority) ? plugin.priority : 100),
+      enabled: settings.enabled !== undefined ? settings.enabled : plugin.enabled !== false
+    };
+  }
+
+  /**
+   * All providers in priority order
+   */
+  getProviders() {
+    return Array.from(this.plugins.values())
+      .map(plugin => this.toProvider(plugin))
+      .sort((a, b) => a.priority - b.priority || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * A provider by name, or null
+   */
+  getProvider(name) {
+    const plugin = this.plugins.get(name);
+    return plugin ? this.toProvider(plugin) : null;
+  }
+
+  /**
+   * Enabled providers that can play a media type, in priority order
+   */
+  getEnabledProviders(type) {
+    return this.getProviders().filter(provider => provider.enabled && (!type || provider.types.includes(type)));
+  }
+
+  /**
+   * Build a provider's URL for a title (null when it can't play it)
+   *
+   * @param {object|string} provider - Provider (or its name)
+   * @param {string|number} id - TMDB ID for movies/TV, AniList ID for anime
+   * @param {string} type - 'movie', 'tv' or 'anime'
+   * @param {object} options - { season, episode, language, animeType }
+   */
+  buildUrl(provider, id, type, options = {}) {
+    const resolved = typeof provider === 'string' ? this.getProvider(provider) : provider;
+    if (!resolved || !resolved.enabled || !resolved.types.includes(type)) return null;
+
+    const { season = 1, episode = 1, language = 'english', animeType = 'sub' } = options;
+    try {
+      return this.plugins.get(resolved.name).buildUrl({
+        baseUrl: resolved.baseUrl, id, type, season, episode, language, animeType
+      }) || null;
+    } catch (error) {
+      console.warn(`Error generating URL from ${resolved.name}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Update a provider's enabled flag, priority or base URL (null restores the default URL)
+   * Throws 404 for unknown providers and 400 for invalid values
+   */
+  async updateProvider(name, updates) {
+    if (!this.plugins.has(name)) {
+      throw Object.assign(new Error('Streaming provider not found'), { status: 404 });
+    }
+    if (updates.enabled !== undefined && typeof updates.enabled !== 'boolean') {
+      throw Object.assign(new Error('enabled must be true or false'), { status: 400 });
+    }
+    if (updates.priority !== undefined && (!Number.isInteger(updates.priority) || updates.priority < 1)) {
+      throw Object.assign(new Error('priority must be a positive integer'), { status: 400 });
+    }
+    if (updates.baseUrl !== undefined && updates.baseUrl !== null && !/^https?:\/\/\S+$/.test(updates.baseUrl)) {
+      throw Object.assign(new Error('baseUrl must be an http(s) URL'), { status: 400 });
+    }
+
+    const settings = { ...(this.settings[name] || {}) };
+    if (updates.enabled !== undefined) settings.enabled = updates.enabled;
+    if (updates.priority !== undefined) settings.priority = updates.priority;
+    if (updates.baseUrl !== undefined) {
+      if (updates.baseUrl === null) delete settings.baseUrl;
+      else settings.baseUrl = updates.baseUrl.replace(/\/+$/, '');
+    }
+    this.settings[name] = settings;
+
+    await this.saveSettings();
+    return this.getProvider(name);
+  }
+
+  /**
+   * Set the priority order (names first to last; providers not listed keep their place after them)
+   */
+  async reorder(names) {
+    const unknown = names.filter(name => !this.plugins.has(name));
+    if (unknown.length > 0) {
+      throw Object.assign(new Error(`Unknown streaming providers: ${unknown.join(', ')}`), { status: 400 });
+    }
+
+    const order = [...new Set(names), ...this.getProviders().map(p => p.name).filter(name => !names.includes(name))];
+    order.forEach((name, index) => {
+      this.settings[name] = { ...(this.settings[name] || {}), priority: index + 1 };
+    });
+
+    await this.saveSettings();
+    return this.getProviders();
+  }
+
+  /**
+   * Run a provider's health check (sourceHealthMonitor records the results)
+   */
+  async checkHealth(name) {
+    const provider = this.getProvider(name);
+    if (!provider) {
+      throw Object.assign(new Error('Streaming provider not found'), { status: 404 });
+    }
+
+    const plugin = this.plugins.get(name);
+    const timeout = config.streaming.healthCheckTimeout;
+    const result = { healthy: false, checkedAt: new Date().toISOString(), error: null };
+    try {
+      result.healthy = plugin.healthCheck
+        ? !!await plugin.healthCheck({ baseUrl: provider.baseUrl, timeout })
+        : await this.defaultHealthCheck(provider.baseUrl, timeout);
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    return result;
+  }
+
+  /**
+   * Default health check: the base URL answers below 500
+   */
+  async defaultHealthCheck(baseUrl, timeout) {
+    const response = await axios.head(baseUrl, {
+      timeout,
+      validateStatus: status => status < 500,
+      maxRedirects: 2
+    });
+    return response.status < 500;
+  }
+}
+
+module.exports = new StreamingProviderRegistry();
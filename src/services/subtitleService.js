@@ -0,0 +1,241 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { spawn } = require('child_process');
+const { toWebVTT, shiftVtt } = require('../utils/subtitleConverter');
+const { getLanguageName } = require('../utils/languages');
+
+// Sidecar subtitle extensions and their formats
+const SIDECAR_FORMATS = {
+  '.srt': 'srt',
+  '.ass': 'ass',
+  '.ssa': 'ssa',
+  '.vtt': 'vtt'
+};
+
+// Embedded subtitle codecs ffmpeg can convert to WebVTT
+// Image-based subtitles (PGS, VobSub, DVB) would need OCR and are skipped
+const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'ass', 'ssa', 'webvtt', 'mov_text', 'text'];
+
+// Folders next to a video that commonly hold its subtitles
+const SUBTITLE_FOLDERS = ['subs', 'subtitles'];
+
+// Sidecar name tags that aren't languages: Movie.en.forced.srt, Movie.en.sdh.srt
+const FORCED_TAGS = ['forced'];
+const SDH_TAGS = ['sdh', 'cc'];
+const DEFAULT_TAGS = ['default'];
+
+/**
+ * Subtitle Service
+ * Discovers sidecar (.srt/.ass/.vtt) and embedded subtitle tracks of local
+ * videos and serves them as WebVTT
+ */
+class SubtitleService {
+  constructor() {
+    this.cachePath = path.join(__dirname, '../../.cache/subtitles');
+    fs.ensureDirSync(this.cachePath);
+  }
+
+  /**
+   * Check if a file is a sidecar subtitle file
+   */
+  isSubtitleFile(filePath) {
+    return !!SIDECAR_FORMATS[path.extname(filePath).toLowerCase()];
+  }
+
+  /**
+   * Track label such as "English (Forced)" or "Commentary"
+   */
+  buildLabel(track, fallback) {
+    const flags = [track.forced && 'Forced', track.sdh && 'SDH'].filter(Boolean);
+    const base = track.title || getLanguageName(track.language) || fallback;
+    return flags.length ? `${base} (${flags.join(', ')})` : base;
+  }
+
+  /**
+   * Parse the tags between the video name and the extension of a sidecar
+   * e.g. ".en.forced" -> English, forced; ".Commentary" -> titled "Commentary"
+   */
+  parseSidecarTags(tagString) {
+    const track = { language: null, title: null, forced: false, sdh: false, default: false };
+
+    tagString.split(/[._\s]+/).filter(Boolean).forEach(tag => {
+      const lower = tag.toLowerCase();
+      if (FORCED_TAGS.includes(lower)) track.forced = true;
+      else if (SDH_TAGS.includes(lower)) track.sdh = true;
+      else if (DEFAULT_TAGS.includes(lower)) track.default = true;
+      else if (!track.language && getLanguageName(tag)) track.language = tag;
+      else if (!track.title) track.title = tag;
+    });
+
+    return track;
+  }
+
+  /**
+   * Find sidecar subtitle files of a video
+   * Matches "<video name>[.tags].<ext>" next to the video or in a Subs/Subtitles folder
+   */
+  async findSidecars(videoPath) {
+    const videoDir = path.dirname(videoPath);
+    const videoName = path.basename(videoPath, path.extname(videoPath));
+    const candidates = [];
+
+    const folders = [videoDir];
+    try {
+      const entries = await fs.readdir(videoDir, { withFileTypes: true });
+      entries
+        .filter(entry => entry.isDirectory() && SUBTITLE_FOLDERS.includes(entry.name.toLowerCase()))
+        .forEach(entry => folders.push(path.join(videoDir, entry.name)));
+    } catch (error) {
+      return [];
+    }
+
+    for (const folder of folders) {
+      const files = await fs.readdir(folder).catch(() => []);
+      files.forEach(file => {
+        const ext = path.extname(file).toLowerCase();
+        if (!SIDECAR_FORMATS[ext]) return;
+
+        const name = path.basename(file, path.extname(file));
+        if (name !== videoName && !name.startsWith(`${videoName}.`)) return;
+
+        candidates.push({
+          file: path.relative(videoDir, path.join(folder, file)),
+          format: SIDECAR_FORMATS[ext],
+          ...this.parseSidecarTags(name.slice(videoName.length))
+        });
+      });
+    }
+
+    return candidates
+      .sort((a, b) => a.file.localeCompare(b.file))
+      .map((sidecar, i) => ({
+        id: `external-${i + 1}`,
+        source: 'external',
+        ...sidecar,
+        label: this.buildLabel(sidecar, candidates.length > 1 ? `Subtitles ${i + 1}` : 'Subtitles')
+      }));
+  }
+
+  /**
+   * Get text-based embedded subtitle tracks from ffprobe output
+   */
+  getEmbeddedTracks(probe) {
+    if (!probe || !Array.isArray(probe.streams)) return [];
+
+    return probe.streams
+      .filter(stream => stream.codec_type === 'subtitle' && TEXT_SUBTITLE_CODECS.includes(stream.codec_name))
+      .map((stream, i) => {
+        const tags = stream.tags || {};
+        const disposition = stream.disposition || {};
+        const track = {
+          id: `embedded-${stream.index}`,
+          source: 'embedded',
+          streamIndex: stream.index,
+          codec: stream.codec_name,
+          language: tags.language && tags.language !== 'und' ? tags.language : null,
+          title: tags.title || null,
+          forced: disposition.forced === 1,
+          sdh: disposition.hearing_impaired === 1,
+          default: disposition.default === 1
+        };
+        return { ...track, label: this.buildLabel(track, `Track ${i + 1}`) };
+      });
+  }
+
+  /**
+   * All subtitle tracks of a video: embedded tracks first, then sidecars
+   */
+  async getTracks(videoPath, probe) {
+    return [...this.getEmbeddedTracks(probe), ...await this.findSidecars(videoPath)];
+  }
+
+  /**
+   * Read a sidecar file, falling back to Latin-1 for files that aren't UTF-8
+   */
+  async readSidecar(filePath) {
+    const buffer = await fs.readFile(filePath);
+    const text = buffer.toString('utf8');
+    return text.includes('\uFFFD') ? buffer.toString('latin1') : text;
+  }
+
+  /**
+   * Extract an embedded subtitle stream as WebVTT (cached until the video changes)
+   */
+  async extractEmbedded(mediaId, videoPath, streamIndex) {
+    const cacheFile = path.join(this.cachePath, `${mediaId}_${streamIndex}.vtt`);
+    const [videoStats, cacheStats] = await Promise.all([
+      fs.stat(videoPath),
+      fs.stat(cacheFile).catch(() => null)
+    ]);
+    if (cacheStats && cacheStats.mtimeMs >= videoStats.mtimeMs) {
+      return fs.readFile(cacheFile, 'utf8');
+    }
+
+    const vtt = await new Promise((resolve, reject) => {
+      const ffmpeg = spawn('ffmpeg', [
+        '-v', 'error',
+        '-i', videoPath,
+        '-map', `0:${streamIndex}`,
+        '-f', 'webvtt',
+        'pipe:1'
+      ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+      const output = [];
+      let stderr = '';
+      ffmpeg.stdout.on('data', chunk => output.push(chunk));
+      ffmpeg.stderr.on('data', chunk => {
+        stderr = (stderr + chunk.toString()).slice(-2000);
+      });
+      ffmpeg.on('error', error => {
+        const message = error.code === 'ENOENT' ? 'ffmpeg is not installed or not in PATH' : error.message;
+        reject(Object.assign(new Error(message), { status: 503 }));
+      });
+      ffmpeg.on('close', code => {
+        if (code === 0) {
+          resolve(Buffer.concat(output).toString('utf8'));
+        } else {
+          reject(new Error(stderr.trim() || `ffmpeg exited with code ${code}`));
+        }
+      });
+    });
+
+    await fs.writeFile(cacheFile, vtt);
+    return vtt;
+  }
+
+  /**
+   * Get a subtitle track as WebVTT
+   *
+   * @param {object} media - Media item (id, path, subtitles)
+   * @param {string} trackId - Track ID from media.subtitles
+   * @param {number} offset - Seconds to shift cues back (stream started mid-file)
+   * @returns {string|null} WebVTT text, or null if the track doesn't exist
+   */
+  async getWebVTT(media, trackId, offset = 0) {
+    const track = (media.subtitles || []).find(t => t.id === trackId);
+    if (!track) return null;
+
+    let vtt;
+    if (track.source === 'embedded') {
+      vtt = await this.extractEmbedded(media.id, media.path, track.streamIndex);
+    } else {
+      const filePath = path.join(path.dirname(media.path), track.file);
+      if (!(await fs.pathExists(filePath))) return null;
+      vtt = toWebVTT(await this.readSidecar(filePath), track.format);
+    }
+
+    return shiftVtt(vtt, offset);
+  }
+
+  /**
+   * Delete cached extractions of a media item
+   */
+  async clearCache(mediaId) {
+    const files = await fs.readdir(this.cachePath).catch(() => []);
+    await Promise.all(files
+      .filter(file => file.startsWith(`${mediaId}_`))
+      .map(file => fs.remove(path.join(this.cachePath, file)).catch(() => {})));
+  }
+}
+
+module.exports = new SubtitleService();
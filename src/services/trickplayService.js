@@ -0,0 +1,335 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { spawn } = require('child_process');
+const libraryIndex = require('./libraryIndex');
+const eventBus = require('./eventBus');
+const jobQueue = require('./jobQueue');
+const config = require('../config');
+
+const MANIFEST_VERSION = 1;
+// Media IDs used as directory names (local_<hash> or a UUID), nothing that could leave the cache
+const MEDIA_ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * Trickplay Service
+ * Generates seek-preview sprite sheets (a grid of small frames taken every few
+ * seconds) and a WebVTT index pointing each time range at its tile, one video
+ * at a time as 'trickplay' background jobs
+ */
+class TrickplayService {
+  constructor() {
+    this.cachePath = path.join(__dirname, '../../.cache/trickplay');
+    fs.ensureDirSync(this.cachePath);
+
+    this.manifests = new Map(); // Media ID -> manifest (null when none was generated)
+    this.ffmpegMissing = false;
+    this.unsubscribe = null;
+    this.queueTimer = null;
+
+    jobQueue.register('trickplay', (job, context) => this.processJob(job, context), { maxAttempts: 2 });
+  }
+
+  getJobKey(mediaId) {
+    return `trickplay:${mediaId}`;
+  }
+
+  // Directory of a media item's sprites, or null for an ID that isn't a valid media ID
+  getDir(mediaId) {
+    if (typeof mediaId !== 'string' || !MEDIA_ID_PATTERN.test(mediaId)) return null;
+    return path.join(this.cachePath, mediaId);
+  }
+
+  /**
+   * Index entry of a media item (media items returned by the scanner don't carry the fingerprint)
+   */
+  async getEntry(mediaId) {
+    await libraryIndex.load();
+    return libraryIndex.get(mediaId) || null;
+  }
+
+  /**
+   * Read the manifest of a video's generated sprites, or null
+   */
+  async getManifest(mediaId) {
+    if (!this.getDir(mediaId)) return null;
+    if (!this.manifests.has(mediaId)) {
+      let manifest = null;
+      try {
+        manifest = await fs.readJson(path.join(this.getDir(mediaId), 'manifest.json'));
+      } catch (error) {
+        // Not generated yet
+      }
+      this.manifests.set(mediaId, manifest && manifest.version === MANIFEST_VERSION ? manifest : null);
+    }
+    return this.manifests.get(mediaId);
+  }
+
+  /**
+   * Check if the sprites of an entry are up to date with the file
+   */
+  async isCurrent(entry) {
+    const manifest = await this.getManifest(entry.id);
+    return !!manifest && manifest.fingerprint === entry.fingerprint;
+  }
+
+  /**
+   * Tile size and frame count for a video
+   * The interval grows for long videos so a file never needs more than maxFrames tiles
+   */
+  getLayout(entry) {
+    const { interval, width, columns, rows, maxFrames } = config.trickplay;
+    const resolution = entry.resolution || { width: 16, height: 9 };
+    const height = Math.max(2, Math.round((width * resolution.height) / resolution.width / 2) * 2);
+    const frameInterval = Math.max(interval, Math.ceil(entry.duration / maxFrames));
+    const count = Math.ceil(entry.duration / frameInterval);
+
+    return {
+      interval: frameInterval,
+      width,
+      height,
+      columns,
+      rows,
+      count,
+      sheets: Math.ceil(count / (columns * rows))
+    };
+  }
+
+  /**
+   * Generation state of a video: ready, generating, pending, failed or unavailable
+   */
+  async getStatus(entry) {
+    if (await this.isCurrent(entry)) return 'ready';
+
+    await jobQueue.load();
+    const job = jobQueue.findByKey(this.getJobKey(entry.id));
+    if (!job || job.payload.fingerprint !== entry.fingerprint) return 'unavailable';
+    if (job.status === 'running') return 'generating';
+    if (job.status === 'queued') return 'pending';
+    if (job.status === 'failed') return 'failed';
+    return 'unavailable';
+  }
+
+  /**
+   * Whether sprites can be made for an entry (a probed video with a duration)
+   */
+  canGenerate(entry) {
+    return entry.type === 'video' && entry.duration > 0 && !!entry.resolution;
+  }
+
+  /**
+   * Queue a video for generation
+   * No-op if its sprites are current or a job for this version of the file is queued, running
+   * or failed (failed jobs are retried from the admin job list)
+   */
+  async enqueue(entry) {
+    if (this.ffmpegMissing || !this.canGenerate(entry)) return;
+    if (await this.isCurrent(entry)) return;
+
+    await jobQueue.load();
+    const job = jobQueue.findByKey(this.getJobKey(entry.id));
+    if (job && job.payload.fingerprint === entry.fingerprint && ['queued', 'running', 'failed'].includes(job.status)) return;
+
+    await jobQueue.add('trickplay', { mediaId: entry.id, fingerprint: entry.fingerprint }, {
+      key: this.getJobKey(entry.id),
+      label: entry.relativePath
+    });
+  }
+
+  /**
+   * Queue every indexed video whose sprites are missing or outdated
+   */
+  async enqueueLibrary() {
+    await libraryIndex.load();
+    for (const entry of libraryIndex.getAll()) {
+      await this.enqueue(entry);
+    }
+  }
+
+  /**
+   * Job handler: generate the sprites of a video
+   * Skipped when the file changed or was removed since the job was queued
+   */
+  async processJob(job, context) {
+    const { mediaId, fingerprint } = job.payload;
+    const entry = await this.getEntry(mediaId);
+    if (!entry || entry.fingerprint !== fingerprint || !this.canGenerate(entry)) {
+      return { skipped: true };
+    }
+
+    try {
+      await this.generate(entry, context);
+    } catch (error) {
+      if (error.status === 503) {
+        this.ffmpegMissing = true;
+        console.warn('Trickplay generation disabled:', error.message);
+        error.retry = false;
+      }
+      throw error;
+    }
+
+    eventBus.publish('trickplay', { mediaId });
+    const manifest = await this.getManifest(mediaId);
+    return { count: manifest.count, sheets: manifest.sheets };
+  }
+
+  /**
+   * Run ffmpeg to render the sprite sheets of a video, then write its WebVTT index
+   * Progress is read from ffmpeg's -progress output
+   */
+  async generate(entry, { progress = () => {}, signal } = {}) {
+    const layout = this.getLayout(entry);
+    const outputDir = this.getDir(entry.id);
+    const workDir = `${outputDir}.tmp`;
+    await fs.emptyDir(workDir);
+
+    await new Promise((resolve, reject) => {
+      const ffmpeg = spawn('ffmpeg', [
+        '-v', 'error',
+        '-skip_frame', 'nokey',
+        '-i', entry.path,
+        '-an', '-sn',
+        '-vf', `fps=1/${layout.interval},scale=${layout.width}:${layout.height},tile=${layout.columns}x${layout.rows}`,
+        '-q:v', '5',
+        '-progress', 'pipe:1', '-nostats',
+        '-y', path.join(workDir, 'sprite-%d.jpg')
+      ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+      const abort = () => ffmpeg.kill('SIGKILL');
+      if (signal) signal.addEventListener('abort', abort, { once: true });
+
+      ffmpeg.stdout.on('data', chunk => {
+        const match = chunk.toString().match(/out_time_(?:us|ms)=(\d+)(?![\s\S]*out_time_)/);
+        if (match) progress((parseInt(match[1], 10) / 1e6 / entry.duration) * 100);
+      });
+
+      let stderr = '';
+      ffmpeg.stderr.on('data', chunk => {
+        stderr = (stderr + chunk.toString()).slice(-2000);
+      });
+      ffmpeg.on('error', error => {
+        const message = error.code === 'ENOENT' ? 'ffmpeg is not installed or not in PATH' : error.message;
+        reject(Object.assign(new Error(message), { status: 503 }));
+      });
+      ffmpeg.on('close', code => {
+        if (signal) signal.removeEventListener('abort', abort);
+        if (signal && signal.aborted) {
+          reject(new Error('Cancelled'));
+        } else if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(stderr.trim() || `ffmpeg exited with code ${code}`));
+        }
+      });
+    }).catch(async error => {
+      await fs.remove(workDir).catch(() => {});
+      throw error;
+    });
+
+    // Keyframe-only decoding can produce fewer frames than planned
+    const sheets = (await fs.readdir(workDir)).filter(file => /^sprite-\d+\.jpg$/.test(file)).length;
+    const count = Math.min(layout.count, sheets * layout.columns * layout.rows);
+
+    await fs.writeJson(path.join(workDir, 'manifest.json'), {
+      version: MANIFEST_VERSION,
+      mediaId: entry.id,
+      fingerprint: entry.fingerprint,
+      duration: entry.duration,
+      ...layout,
+      count,
+      sheets,
+      generatedAt: new Date().toISOString()
+    });
+
+    await fs.remove(outputDir);
+    await fs.move(workDir, outputDir);
+    this.manifests.delete(entry.id);
+  }
+
+  /**
+   * Format seconds as a WebVTT timestamp
+   */
+  formatTimestamp(seconds) {
+    const ms = Math.round(seconds * 1000);
+    const h = Math.floor(ms / 3600000);
+    const m = Math.floor((ms % 3600000) / 60000);
+    const s = Math.floor((ms % 60000) / 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(ms % 1000, 3)}`;
+  }
+
+  /**
+   * WebVTT index of a video's tiles (cue text is "<sprite url>#xywh=x,y,w,h")
+   *
+   * @param {object} manifest - Manifest from getManifest()
+   * @param {string} baseUrl - URL the sprite file names are appended to
+   * @returns {string} WebVTT text
+   */
+  buildVtt(manifest, baseUrl) {
+    const perSheet = manifest.columns * manifest.rows;
+    const cues = [];
+
+    for (let i = 0; i < manifest.count; i++) {
+      const start = i * manifest.interval;
+      const end = Math.min((i + 1) * manifest.interval, manifest.duration);
+      const tile = i % perSheet;
+      const x = (tile % manifest.columns) * manifest.width;
+      const y = Math.floor(tile / manifest.columns) * manifest.height;
+      const sheet = Math.floor(i / perSheet) + 1;
+
+      cues.push(`${this.formatTimestamp(start)} --> ${this.formatTimestamp(end)}\n` +
+        `${baseUrl}/sprite-${sheet}.jpg#xywh=${x},${y},${manifest.width},${manifest.height}`);
+    }
+
+    return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+  }
+
+  /**
+   * Path of a sprite sheet, or null if it doesn't exist
+   */
+  async getSpritePath(mediaId, file) {
+    const dir = this.getDir(mediaId);
+    if (!dir || !/^sprite-\d+\.jpg$/.test(file)) return null;
+    const spritePath = path.join(dir, file);
+    return (await fs.pathExists(spritePath)) ? spritePath : null;
+  }
+
+  /**
+   * Delete the sprites of a media item (cancelling its generation if queued or running)
+   */
+  async clearCache(mediaId) {
+    await jobQueue.cancelByKey(this.getJobKey(mediaId));
+    const dir = this.getDir(mediaId);
+    if (dir) await fs.remove(dir).catch(() => {});
+    this.manifests.delete(mediaId);
+  }
+
+  /**
+   * Generate missing sprites now and after every library change
+   */
+  start() {
+    if (this.unsubscribe || !config.trickplay.enabled) return;
+
+    this.unsubscribe = eventBus.subscribe(event => {
+      if (event.type !== 'library') return;
+      clearTimeout(this.queueTimer);
+      this.queueTimer = setTimeout(() => {
+        this.enqueueLibrary().catch(error => console.error('Trickplay queueing failed:', error.message));
+      }, 5000);
+    });
+
+    this.enqueueLibrary().catch(error => console.error('Trickplay queueing failed:', error.message));
+  }
+
+  /**
+   * Stop following library changes (running jobs are stopped by the job queue)
+   */
+  stop() {
+    clearTimeout(this.queueTimer);
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+}
+
+module.exports = new TrickplayService();
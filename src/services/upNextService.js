@@ -0,0 +1,186 @@
+const MovieAPI = require('./movieAPI');
+const localTVService = require('./localTVService');
+const watchHistoryService = require('./watchHistoryService');
+const config = require('../config');
+
+// Anime media IDs: anime_<MyAnimeList id> (search), jikan_anime_<MyAnimeList id> and anilist_anime_<AniList id> (popular lists)
+const ANIME_ID_PATTERN = /^(jikan_|anilist_)?anime_(\d+)$/;
+
+/**
+ * Up Next Service
+ * Works out which episode of a series to play next from the profile's watch
+ * history and the series' seasons (local series, TMDB TV shows and anime).
+ *
+ * The next episode follows the last one watched: later episodes of the same
+ * season first, then the following seasons. Specials (season 0), episodes
+ * that haven't aired yet and episodes already watched are skipped.
+ */
+class UpNextService {
+  constructor() {
+    this.movieAPI = new MovieAPI();
+  }
+
+  /**
+   * Seasons of a series, sorted ([{ seasonNumber, episodeCount }]), or null if unknown
+   */
+  async getSeasons(showId) {
+    if (localTVService.isLocalShowId(showId)) {
+      const details = await localTVService.getDetails(showId);
+      return details ? details.seasons : null;
+    }
+
+    if (showId.startsWith('tmdb_tv_')) {
+      if (!config.tmdbApiKey) return null;
+      const details = await this.movieAPI.getTVDetails(showId.replace('tmdb_tv_', ''));
+      return [...details.seasons].sort((a, b) => a.seasonNumber - b.seasonNumber);
+    }
+
+    const anime = showId.match(ANIME_ID_PATTERN);
+    if (anime) {
+      // Anime have one season; without an episode count (still airing) there is no next episode to offer
+      const episodeCount = await this.movieAPI.getAnimeEpisodeCount(anime[2], anime[1] === 'anilist_' ? 'anilist' : 'mal');
+      return [{ seasonNumber: 1, episodeCount }];
+    }
+
+    return null;
+  }
+
+  /**
+   * Episodes of a season in order (same shape as /api/tv/:tvId/season/:n)
+   */
+  async getEpisodes(showId, season) {
+    if (localTVService.isLocalShowId(showId)) {
+      const data = await localTVService.getSeason(showId, season.seasonNumber);
+      return data ? data.episodes : [];
+    }
+
+    if (showId.startsWith('tmdb_tv_')) {
+      const data = await this.movieAPI.getTVSeason(showId.replace('tmdb_tv_', ''), season.seasonNumber);
+      return data.episodes;
+    }
+
+    // Anime: numbered episodes
+    const count = season.episodeCount || 0;
+    return Array.from({ length: count }, (_, i) => ({
+      episodeNumber: i + 1,
+      name: `Episode ${i + 1}`
+    }));
+  }
+
+  /**
+   * Check if an episode can be played now (aired, or no air date known)
+   */
+  hasAired(episode) {
+    return !episode.airDate || new Date(episode.airDate) <= new Date();
+  }
+
+  /**
+   * Find the episode after one, rolling over into the next seasons
+   *
+   * @param {string} showId - Series media ID
+   * @param {number} seasonNumber - Season of the current episode
+   * @param {number} episodeNumber - Current episode
+   * @param {object} options - { skip: function(season, episode) -> true for episodes to pass over }
+   * @returns {object|null} { season, episode, name, overview, airDate, stillPath, runtime, mediaId }
+   */
+  async getEpisodeAfter(showId, seasonNumber, episodeNumber, options = {}) {
+    const seasons = await this.getSeasons(showId);
+    if (!seasons) return null;
+
+    const skip = options.skip || (() => false);
+    const laterSeasons = seasons.filter(s => s.seasonNumber >= seasonNumber && s.seasonNumber > 0);
+
+    for (const season of laterSeasons) {
+      const episodes = await this.getEpisodes(showId, season);
+      const current = season.seasonNumber === seasonNumber
+        ? episodes.find(ep => ep.episodeNumber === episodeNumber)
+        : null;
+
+      const next = episodes.find(ep => {
+        if (season.seasonNumber === seasonNumber && ep.episodeNumber <= episodeNumber) return false;
+        // A multi-episode file covers several numbers; move past all of them
+        if (current && current.mediaId && ep.mediaId === current.mediaId) return false;
+        const numbers = ep.episodeNumbers || [ep.episodeNumber];
+        return this.hasAired(ep) && !numbers.some(number => skip(season.seasonNumber, number));
+      });
+
+      if (next) {
+        return {
+          season: season.seasonNumber,
+          episode: next.episodeNumber,
+          name: next.name,
+          overview: next.overview || '',
+          airDate: next.airDate || null,
+          stillPath: next.stillPath || null,
+          runtime: next.runtime || null,
+          mediaId: next.mediaId || null
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Next unwatched episode of a series for a history entry, or null when the
+   * series is caught up (or its current episode is still in progress)
+   */
+  async getNextForEntry(entry) {
+    const episodes = Object.values(entry.episodes || {});
+    const inProgress = episodes.find(ep =>
+      ep.season === entry.lastSeason && ep.episode === entry.lastEpisode && watchHistoryService.getState(ep) === 'in-progress');
+    if (inProgress) return null; // Shown in Continue Watching instead
+
+    // Start after the most recently completed episode
+    const completed = episodes
+      .filter(ep => ep.watched && ep.completedAt)
+      .sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt) || b.season - a.season || b.episode - a.episode)[0];
+    if (!completed) return null;
+
+    const watched = new Set(episodes.filter(ep => ep.watched).map(ep => `${ep.season}:${ep.episode}`));
+    return this.getEpisodeAfter(entry.mediaId, completed.season, completed.episode, {
+      skip: (season, episode) => watched.has(`${season}:${episode}`)
+    });
+  }
+
+  /**
+   * Next unwatched episode after a given one (for the player's "Next Episode")
+   */
+  async getNextEpisode(userId, mediaId, seasonNumber, episodeNumber) {
+    const state = await watchHistoryService.getWatchState(userId, mediaId);
+    const watched = new Set((state.episodes || []).filter(ep => ep.watched).map(ep => `${ep.season}:${ep.episode}`));
+    return this.getEpisodeAfter(mediaId, seasonNumber, episodeNumber, {
+      skip: (season, episode) => watched.has(`${season}:${episode}`)
+    });
+  }
+
+  /**
+   * Up Next row of a profile: the next episode of each series it is watching,
+   * most recently watched series first
+   *
+   * @param {string} userId - Profile ID
+   * @param {number} limit - Maximum number of series
+   * @returns {Array} [{ mediaId, mediaType, lastWatched, next: { season, episode, name, ... } }]
+   */
+  async getUpNext(userId, limit = 10) {
+    const history = await watchHistoryService.getHistory(userId);
+    const series = history.filter(entry =>
+      (entry.mediaType === 'tv' || entry.mediaType === 'anime') && entry.episodes && !entry.watched);
+
+    const upNext = [];
+    for (const entry of series) {
+      if (upNext.length >= limit) break;
+      try {
+        const next = await this.getNextForEntry(entry);
+        if (next) {
+          upNext.push({ mediaId: entry.mediaId, mediaType: entry.mediaType, lastWatched: entry.lastWatched, next });
+        }
+      } catch (error) {
+        console.warn(`Could not work out the next episode of ${entry.mediaId}:`, error.message);
+      }
+    }
+    return upNext;
+  }
+}
+
+module.exports = new UpNextService();
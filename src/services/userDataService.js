@@ -0,0 +1,176 @@
+const FavoritesService = require('./favoritesService');
+const watchHistoryService = require('./watchHistoryService');
+const collectionsService = require('./collectionsService');
+
+const ARCHIVE_FORMAT = 'media-streaming-server/user-data';
+const ARCHIVE_VERSION = 1;
+const IMPORT_MODES = ['merge', 'replace'];
+
+/**
+ * User Data Service
+ * Exports a profile's favorites, watch history and collections as one
+ * versioned archive, and imports archives back (onto the same or another
+ * server/profile).
+ *
+ * Imports either replace the profile's data or merge into it: favorites and
+ * collections are added when missing (a collection in both keeps the most
+ * recently updated copy), history entries keep the most recently watched copy
+ * with their episodes merged the same way.
+ */
+class UserDataService {
+  constructor() {
+    this.favoritesService = new FavoritesService();
+  }
+
+  /**
+   * Build the archive of a profile's data
+   *
+   * @param {string} userId - Profile ID
+   * @param {object} profile - { id, name } of the profile, kept for reference
+   */
+  async exportData(userId, profile = {}) {
+    const [favorites, watchHistory, collections] = await Promise.all([
+      this.favoritesService.getUserFavorites(userId),
+      watchHistoryService.getHistory(userId),
+      collectionsService.getCollections(userId)
+    ]);
+
+    return {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      profile: { id: profile.id || userId, name: profile.name || null },
+      favorites,
+      watchHistory,
+      // The owner is the profile the archive is imported into
+      collections: collections.map(({ ownerId, ...collection }) => collection)
+    };
+  }
+
+  /**
+   * Check an archive, throwing an error with status 400 when it can't be imported
+   */
+  validateArchive(archive) {
+    const invalid = message => Object.assign(new Error(message), { status: 400 });
+
+    if (!archive || typeof archive !== 'object' || archive.format !== ARCHIVE_FORMAT) {
+      throw invalid('Not a user data archive');
+    }
+    if (!Number.isInteger(archive.version) || archive.version < 1) {
+      throw invalid('Archive version is missing');
+    }
+    if (archive.version > ARCHIVE_VERSION) {
+      throw invalid(`Archive version ${archive.version} is newer than this server supports (${ARCHIVE_VERSION})`);
+    }
+
+    const sections = {
+      favorites: item => typeof item.id === 'string' && item.id,
+      watchHistory: entry => typeof entry.mediaId === 'string' && entry.mediaId,
+      collections: collection => typeof collection.id === 'string' && typeof collection.name === 'string' &&
+        (collection.mediaIds === undefined || Array.isArray(collection.mediaIds))
+    };
+    for (const [section, isValid] of Object.entries(sections)) {
+      const items = archive[section];
+      if (items === undefined) continue;
+      if (!Array.isArray(items) || !items.every(item => item && typeof item === 'object' && isValid(item))) {
+        throw invalid(`Archive ${section} are invalid`);
+      }
+    }
+  }
+
+  /**
+   * Import an archive into a profile
+   *
+   * @param {string} userId - Profile ID
+   * @param {object} archive - Archive from exportData
+   * @param {string} mode - 'merge' (default) or 'replace'
+   * @returns {object} Number of favorites, history entries and collections the profile has after importing
+   */
+  async importData(userId, archive, mode = 'merge') {
+    if (!IMPORT_MODES.includes(mode)) {
+      throw Object.assign(new Error(`Mode must be one of: ${IMPORT_MODES.join(', ')}`), { status: 400 });
+    }
+    this.validateArchive(archive);
+
+    const replace = mode === 'replace';
+    const favorites = await this.importFavorites(userId, archive.favorites || [], replace);
+    const watchHistory = await this.importHistory(userId, archive.watchHistory || [], replace);
+    const collections = await this.importCollections(userId, archive.collections || [], replace);
+
+    return { favorites, watchHistory, collections };
+  }
+
+  /**
+   * Import favorites (merging keeps the existing copy of a title)
+   */
+  async importFavorites(userId, imported, replace) {
+    const allFavorites = await this.favoritesService.loadFavorites();
+    const current = replace ? [] : (allFavorites[userId] || []);
+
+    const favorites = [...current];
+    imported.forEach(item => {
+      if (!favorites.some(f => f.id === item.id)) {
+        favorites.push({ ...item, addedAt: item.addedAt || new Date().toISOString() });
+      }
+    });
+
+    allFavorites[userId] = favorites;
+    await this.favoritesService.saveFavorites(allFavorites);
+    return favorites.length;
+  }
+
+  /**
+   * Import watch history (merging keeps the most recently watched copy of each
+   * title and of each episode)
+   */
+  async importHistory(userId, imported, replace) {
+    const history = replace ? [] : await watchHistoryService.getHistory(userId);
+    const isNewer = (a, b) => new Date(a.lastWatched || 0) > new Date(b.lastWatched || 0);
+
+    imported.forEach(item => {
+      const entry = watchHistoryService.normalizeRecord(item);
+      const index = history.findIndex(h => h.mediaId === entry.mediaId);
+      if (index === -1) {
+        history.push(entry);
+        return;
+      }
+
+      const existing = history[index];
+      const merged = isNewer(entry, existing) ? { ...entry } : { ...existing };
+      if (existing.episodes || entry.episodes) {
+        merged.episodes = { ...(existing.episodes || {}) };
+        Object.entries(entry.episodes || {}).forEach(([key, episode]) => {
+          if (!merged.episodes[key] || isNewer(episode, merged.episodes[key])) {
+            merged.episodes[key] = watchHistoryService.normalizeRecord(episode);
+          }
+        });
+      }
+      history[index] = merged;
+    });
+
+    await watchHistoryService.saveSortedHistory(userId, history);
+    return history.length;
+  }
+
+  /**
+   * Import collections (merging keeps the most recently updated copy of a collection)
+   */
+  async importCollections(userId, imported, replace) {
+    const collections = replace ? [] : await collectionsService.getCollections(userId);
+
+    imported.forEach(item => {
+      const collection = collectionsService.normalize(item, userId);
+      const index = collections.findIndex(c => c.id === collection.id);
+      if (index === -1) {
+        collections.push(collection);
+      } else if (new Date(collection.updatedAt || 0) > new Date(collections[index].updatedAt || 0)) {
+        collections[index] = collection;
+      }
+    });
+
+    await collectionsService.saveCollections(userId, collections);
+    return collections.length;
+  }
+}
+
+module.exports = new UserDataService();
@@ -2,26 +2,51 @@ const fs = require('fs-extra');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const bcrypt = require('bcrypt');
+const { isValidCertification } = require('../utils/certifications');
+
+const USER_ROLES = ['admin', 'user'];
 
 /**
  * User Service
  * Manages user accounts and authentication for household members
+ *
+ * Roles:
+ * - admin: manages users, libraries, scans, metadata matches and jobs
+ * - user: browses and plays media, with access to their own favorites and history only
+ * The first registered user becomes the admin.
+ *
+ * Parental controls: an admin can give any user a maximum certification
+ * (maxCertification, null = unrestricted) and a PIN that unlocks it for a session.
  */
 class UserService {
   constructor() {
     this.usersDir = path.join(__dirname, '../../.data');
     this.usersFile = path.join(this.usersDir, 'users.json');
-    this.initializeStorage();
   }
 
   /**
    * Initialize storage directory and file
+   * Run once at startup (server.js), before the first request
    */
   async initializeStorage() {
     await fs.ensureDir(this.usersDir);
     if (!await fs.pathExists(this.usersFile)) {
       await fs.writeJson(this.usersFile, []);
     }
+    await this.ensureAdmin();
+  }
+
+  /**
+   * Make the oldest user the admin if nobody is (accounts created before roles were enforced)
+   */
+  async ensureAdmin() {
+    const users = await this.loadUsers();
+    if (users.length === 0 || users.some(u => u.role === 'admin')) return;
+
+    const oldest = users.reduce((a, b) => (new Date(a.createdAt) <= new Date(b.createdAt) ? a : b));
+    oldest.role = 'admin';
+    await this.saveUsers(users);
+    console.log(`No admin account found, made "${oldest.username}" the admin`);
   }
 
   /**
@@ -49,15 +74,31 @@ class UserService {
     }
   }
 
+  /**
+   * User as returned to callers: no password, PIN hash or profiles (see ProfileService)
+   */
+  toPublicUser(user) {
+    const { password: _, parentalPin, profiles, ...publicUser } = user;
+    return {
+      ...publicUser,
+      maxCertification: user.maxCertification || null,
+      hasParentalPin: !!parentalPin
+    };
+  }
+
   /**
    * Register a new user
+   * The first user becomes the admin; later users get `role` (default 'user')
    */
-  async register(username, password, displayName = null) {
+  async register(username, password, displayName = null, role = 'user') {
     const users = await this.loadUsers();
 
     // Check if username already exists
     if (users.some(u => u.username.toLowerCase() === username.toLowerCase())) {
-      throw new Error('Username already exists');
+      throw Object.assign(new Error('Username already exists'), { status: 409 });
+    }
+    if (!USER_ROLES.includes(role)) {
+      throw Object.assign(new Error(`Role must be one of: ${USER_ROLES.join(', ')}`), { status: 400 });
     }
 
     // Hash password
@@ -71,15 +112,14 @@ class UserService {
       displayName: displayName || username,
       password: hashedPassword,
       createdAt: new Date().toISOString(),
-      role: 'user' // Can be 'admin' or 'user'
+      role: users.length === 0 ? 'admin' : role
     };
 
     users.push(newUser);
     await this.saveUsers(users);
 
     // Return user without password
-    const { password: _, ...userWithoutPassword } = newUser;
-    return userWithoutPassword;
+    return this.toPublicUser(newUser);
   }
 
   /**
@@ -99,8 +139,7 @@ class UserService {
     }
 
     // Return user without password
-    const { password: _, ...userWithoutPassword } = user;
-    return userWithoutPassword;
+    return this.toPublicUser(user);
   }
 
   /**
@@ -115,8 +154,7 @@ class UserService {
     }
 
     // Return user without password
-    const { password: _, ...userWithoutPassword } = user;
-    return userWithoutPassword;
+    return this.toPublicUser(user);
   }
 
   /**
@@ -131,8 +169,15 @@ class UserService {
     }
 
     // Return user without password
-    const { password: _, ...userWithoutPassword } = user;
-    return userWithoutPassword;
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Check if an admin account exists (until then anyone may register)
+   */
+  async hasAdmin() {
+    const users = await this.loadUsers();
+    return users.some(u => u.role === 'admin');
   }
 
   /**
@@ -140,10 +185,7 @@ class UserService {
    */
   async getAllUsers() {
     const users = await this.loadUsers();
-    return users.map(user => {
-      const { password: _, ...userWithoutPassword } = user;
-      return userWithoutPassword;
-    });
+    return users.map(user => this.toPublicUser(user));
   }
 
   /**
@@ -154,11 +196,30 @@ class UserService {
     const userIndex = users.findIndex(u => u.id === userId);
 
     if (userIndex === -1) {
-      throw new Error('User not found');
+      throw Object.assign(new Error('User not found'), { status: 404 });
     }
 
-    // Don't allow updating password or id through this method
-    const { password, id, ...allowedUpdates } = updates;
+    // Don't allow updating password, PIN, profiles or id through this method
+    const { password, parentalPin, profiles, id, ...allowedUpdates } = updates;
+
+    if (allowedUpdates.role !== undefined) {
+      if (!USER_ROLES.includes(allowedUpdates.role)) {
+        throw Object.assign(new Error(`Role must be one of: ${USER_ROLES.join(', ')}`), { status: 400 });
+      }
+      if (allowedUpdates.role !== 'admin' && this.isLastAdmin(users, userId)) {
+        throw Object.assign(new Error('The last admin cannot be demoted'), { status: 400 });
+      }
+    }
+    if (allowedUpdates.maxCertification !== undefined && allowedUpdates.maxCertification !== null &&
+        !isValidCertification(allowedUpdates.maxCertification)) {
+      throw Object.assign(new Error(`Unknown certification: ${allowedUpdates.maxCertification}`), { status: 400 });
+    }
+    if (allowedUpdates.username !== undefined) {
+      allowedUpdates.username = String(allowedUpdates.username).toLowerCase();
+      if (users.some(u => u.id !== userId && u.username.toLowerCase() === allowedUpdates.username)) {
+        throw Object.assign(new Error('Username already exists'), { status: 409 });
+      }
+    }
 
     users[userIndex] = {
       ...users[userIndex],
@@ -168,8 +229,60 @@ class UserService {
 
     await this.saveUsers(users);
 
-    const { password: _, ...userWithoutPassword } = users[userIndex];
-    return userWithoutPassword;
+    return this.toPublicUser(users[userIndex]);
+  }
+
+  /**
+   * Change a user's password
+   */
+  async changePassword(userId, password) {
+    const users = await this.loadUsers();
+    const user = users.find(u => u.id === userId);
+
+    if (!user) {
+      throw Object.assign(new Error('User not found'), { status: 404 });
+    }
+
+    const saltRounds = 10;
+    user.password = await bcrypt.hash(password, saltRounds);
+    user.updatedAt = new Date().toISOString();
+    await this.saveUsers(users);
+    return true;
+  }
+
+  /**
+   * Set or clear (null) a user's parental PIN
+   */
+  async setParentalPin(userId, pin) {
+    const users = await this.loadUsers();
+    const user = users.find(u => u.id === userId);
+
+    if (!user) {
+      throw Object.assign(new Error('User not found'), { status: 404 });
+    }
+
+    const saltRounds = 10;
+    user.parentalPin = pin === null ? null : await bcrypt.hash(String(pin), saltRounds);
+    user.updatedAt = new Date().toISOString();
+    await this.saveUsers(users);
+    return true;
+  }
+
+  /**
+   * Get a user with their PIN hash (for checking a PIN)
+   */
+  async getUserWithParentalPin(userId) {
+    const users = await this.loadUsers();
+    const user = users.find(u => u.id === userId);
+    return user ? { ...this.toPublicUser(user), parentalPin: user.parentalPin || null } : null;
+  }
+
+  /**
+   * Check if a user is the only admin
+   */
+  isLastAdmin(users, userId) {
+    const admins = users.filter(u => u.role === 'admin');
+    return admins.length === 1 && admins[0].id === userId;
   }
 
   /**
@@ -180,7 +293,10 @@ class UserService {
     const filteredUsers = users.filter(u => u.id !== userId);
 
     if (filteredUsers.length === users.length) {
-      throw new Error('User not found');
+      throw Object.assign(new Error('User not found'), { status: 404 });
+    }
+    if (this.isLastAdmin(users, userId)) {
+      throw Object.assign(new Error('The last admin cannot be deleted'), { status: 400 });
     }
 
     await this.saveUsers(filteredUsers);
@@ -188,4 +304,6 @@ class UserService {
   }
 }
 
+UserService.ROLES = USER_ROLES;
+
 module.exports = UserService;
@@ -1,9 +1,20 @@
 const fs = require('fs-extra');
 const path = require('path');
+const config = require('../config');
+const { getMediaTypeFromId } = require('../utils/mediaIds');
+
+// Entries kept in a history; older entries are dropped unless they hold watch state
+const MAX_HISTORY_ENTRIES = 100;
 
 /**
  * Watch History Service
  * Tracks what users have watched and resume positions
+ *
+ * Each entry keeps the last position and the watch state of a title: whether
+ * it was watched, how many times (playCount) and when it was first and last
+ * completed. Playback past the completion threshold counts as a play, and
+ * titles can be marked as watched or unwatched explicitly. TV episodes are
+ * tracked the same way in the show's entry (episodes, keyed "S1E2").
  */
 class WatchHistoryService {
   constructor() {
@@ -30,7 +41,7 @@ class WatchHistoryService {
       const historyFile = this.getHistoryFile(userId);
       if (await fs.pathExists(historyFile)) {
         const data = await fs.readJson(historyFile);
-        return Array.isArray(data) ? data : [];
+        return Array.isArray(data) ? data.map(entry => this.normalizeRecord(entry)) : [];
       }
       return [];
     } catch (error) {
@@ -52,45 +63,272 @@ class WatchHistoryService {
     }
   }
 
+  /**
+   * Progress (percent) at which a title or episode counts as watched
+   */
+  getCompletionThreshold() {
+    return config.watchHistory.completionThreshold;
+  }
+
+  /**
+   * Key of an episode in an entry's episodes map
+   */
+  getEpisodeKey(season, episode) {
+    return `S${season}E${episode}`;
+  }
+
+  /**
+   * Fill in watch state fields missing from entries saved by older versions
+   * (those only had a position, so a title past the threshold counts as watched once)
+   */
+  normalizeRecord(record) {
+    const watched = record.watched !== undefined
+      ? !!record.watched
+      : (record.progress || 0) >= this.getCompletionThreshold();
+    return {
+      ...record,
+      watched,
+      playCount: record.playCount !== undefined ? record.playCount : (watched ? 1 : 0),
+      completedAt: record.completedAt || null,
+      firstCompletedAt: record.firstCompletedAt || record.completedAt || null
+    };
+  }
+
+  /**
+   * State of a title or episode: 'unwatched', 'in-progress' or 'watched'
+   * A watched title being played again is 'in-progress' (a rewatch)
+   */
+  getState(record) {
+    if (!record) return 'unwatched';
+    const progress = record.progress || 0;
+    if (record.position > 0 && progress > 0 && progress < this.getCompletionThreshold()) return 'in-progress';
+    return record.watched ? 'watched' : 'unwatched';
+  }
+
+  /**
+   * Record a completed play of a title or episode
+   */
+  markRecordCompleted(record, now) {
+    record.watched = true;
+    record.playCount = (record.playCount || 0) + 1;
+    record.completedAt = now;
+    if (!record.firstCompletedAt) record.firstCompletedAt = now;
+  }
+
+  /**
+   * Update the position of a title or episode
+   * Crossing the completion threshold counts a play, so each rewatch counts again
+   */
+  updateRecordPosition(record, position, duration, now) {
+    const previousProgress = record.progress || 0;
+    record.position = position;
+    record.duration = duration;
+    record.progress = duration > 0 ? (position / duration) * 100 : 0;
+    record.lastWatched = now;
+
+    const threshold = this.getCompletionThreshold();
+    if (previousProgress < threshold && record.progress >= threshold) {
+      this.markRecordCompleted(record, now);
+    }
+  }
+
+  /**
+   * Get the entry of a media item from a history list, creating it if needed
+   */
+  getOrCreateEntry(history, mediaId, mediaType) {
+    let entry = history.find(h => h.mediaId === mediaId);
+    if (!entry) {
+      entry = this.normalizeRecord({
+        mediaId,
+        mediaType,
+        position: 0,
+        duration: 0,
+        progress: 0,
+        lastWatched: new Date().toISOString()
+      });
+      history.push(entry);
+    }
+    if (mediaType) entry.mediaType = mediaType;
+    return entry;
+  }
+
+  /**
+   * Check if an entry holds watch state (a watched title or episode, or a play count)
+   */
+  hasWatchState(entry) {
+    const isWatched = record => record.watched || record.playCount > 0;
+    return isWatched(entry) || Object.values(entry.episodes || {}).some(isWatched);
+  }
+
+  /**
+   * Sort history newest first and save it
+   * Only the last 100 entries are kept, plus older ones that hold watch state
+   * (watched flags, play counts and completion dates are never dropped)
+   */
+  async saveSortedHistory(userId, history) {
+    history.sort((a, b) => new Date(b.lastWatched) - new Date(a.lastWatched));
+    const kept = history.filter((entry, index) => index < MAX_HISTORY_ENTRIES || this.hasWatchState(entry));
+    await this.saveHistory(userId, kept);
+  }
+
   /**
    * Add or update watch history entry
+   * TV episodes (options.season and options.episode) are tracked in the show's entry;
+   * the show's position follows the episode being played
+   *
+   * @param {string} userId - Profile ID
+   * @param {string} mediaId - Media ID (the show for episodes)
+   * @param {string} mediaType - 'movie', 'tv', 'video'...
+   * @param {number} position - Current playback position in seconds
+   * @param {number} duration - Total duration in seconds
+   * @param {object} options - { season, episode }
    */
-  async addHistory(userId, mediaId, mediaType, position = 0, duration = 0) {
+  async addHistory(userId, mediaId, mediaType, position = 0, duration = 0, options = {}) {
     try {
       const history = await this.getHistory(userId);
-      const existingIndex = history.findIndex(h => h.mediaId === mediaId);
-      
-      const entry = {
-        mediaId,
-        mediaType,
-        position, // Current playback position in seconds
-        duration, // Total duration in seconds
-        lastWatched: new Date().toISOString(),
-        progress: duration > 0 ? (position / duration) * 100 : 0
-      };
+      const entry = this.getOrCreateEntry(history, mediaId, mediaType);
+      const now = new Date().toISOString();
 
-      if (existingIndex >= 0) {
-        history[existingIndex] = entry;
-      } else {
-        history.push(entry);
-      }
+      if (options.season !== undefined && options.episode !== undefined) {
+        const key = this.getEpisodeKey(options.season, options.episode);
+        entry.episodes = entry.episodes || {};
+        const episode = this.normalizeRecord(entry.episodes[key] || {
+          season: options.season,
+          episode: options.episode,
+          position: 0,
+          duration: 0,
+          progress: 0
+        });
+        this.updateRecordPosition(episode, position, duration, now);
+        entry.episodes[key] = episode;
 
-      // Sort by last watched (newest first)
-      history.sort((a, b) => new Date(b.lastWatched) - new Date(a.lastWatched));
-      
-      // Keep only last 100 entries
-      if (history.length > 100) {
-        history.splice(100);
+        entry.position = position;
+        entry.duration = duration;
+        entry.progress = episode.progress;
+        entry.lastWatched = now;
+        entry.lastSeason = options.season;
+        entry.lastEpisode = options.episode;
+      } else {
+        this.updateRecordPosition(entry, position, duration, now);
       }
 
-      await this.saveHistory(userId, history);
-      return entry;
+      await this.saveSortedHistory(userId, history);
+      return this.toWatchState(entry);
     } catch (error) {
       console.error('Error adding watch history:', error);
       throw error;
     }
   }
 
+  /**
+   * Mark a title, or some of its episodes, as watched or unwatched
+   * Marking as watched counts a play unless it was already watched; marking as
+   * unwatched clears the play count and position
+   *
+   * @param {string} userId - Profile ID
+   * @param {string} mediaId - Media ID (the show for episodes)
+   * @param {string} mediaType - Media type, used when the title isn't in the history yet
+   *   (optional for API titles, whose media ID gives it; throws 400 when it can't be told)
+   * @param {boolean} watched - New state
+   * @param {object} options - { season, episodes: [numbers] } to mark episodes of a season
+   */
+  async setWatched(userId, mediaId, mediaType, watched, options = {}) {
+    const history = await this.getHistory(userId);
+    const existing = history.find(h => h.mediaId === mediaId);
+    const type = mediaType || (existing && existing.mediaType) || getMediaTypeFromId(mediaId);
+    if (!type) {
+      throw Object.assign(new Error('mediaType is required'), { status: 400 });
+    }
+
+    const entry = this.getOrCreateEntry(history, mediaId, type);
+    const now = new Date().toISOString();
+
+    const update = record => {
+      if (watched) {
+        if (!record.watched || this.getState(record) === 'in-progress') {
+          this.markRecordCompleted(record, now);
+        }
+      } else {
+        record.watched = false;
+        record.playCount = 0;
+        record.completedAt = null;
+        record.firstCompletedAt = null;
+      }
+      record.position = 0;
+      record.progress = 0;
+      record.lastWatched = now;
+    };
+
+    if (options.season !== undefined && Array.isArray(options.episodes)) {
+      entry.episodes = entry.episodes || {};
+      options.episodes.forEach(number => {
+        const key = this.getEpisodeKey(options.season, number);
+        const episode = this.normalizeRecord(entry.episodes[key] || {
+          season: options.season,
+          episode: number,
+          position: 0,
+          duration: 0,
+          progress: 0
+        });
+        update(episode);
+        entry.episodes[key] = episode;
+      });
+      entry.lastWatched = now;
+    } else {
+      update(entry);
+    }
+
+    await this.saveSortedHistory(userId, history);
+    return this.toWatchState(entry);
+  }
+
+  /**
+   * Watch state of a history entry as returned to clients
+   */
+  toWatchState(entry) {
+    const episodes = Object.values(entry.episodes || {})
+      .map(episode => ({ ...episode, state: this.getState(episode) }))
+      .sort((a, b) => a.season - b.season || a.episode - b.episode);
+    return {
+      ...entry,
+      state: this.getState(entry),
+      episodes,
+      watchedEpisodes: episodes.filter(episode => episode.watched).length
+    };
+  }
+
+  /**
+   * Get the watch state of a media item (unwatched when it isn't in the history)
+   */
+  async getWatchState(userId, mediaId) {
+    const history = await this.getHistory(userId);
+    const entry = history.find(h => h.mediaId === mediaId);
+    if (!entry) {
+      return { mediaId, state: 'unwatched', watched: false, playCount: 0, position: 0, progress: 0, episodes: [], watchedEpisodes: 0 };
+    }
+    return this.toWatchState(entry);
+  }
+
+  /**
+   * Get a short watch state of every title in the history (for badges on cards)
+   * @returns {object} mediaId -> { state, watched, playCount, progress, watchedEpisodes }
+   */
+  async getWatchStates(userId) {
+    const history = await this.getHistory(userId);
+    const states = {};
+    history.forEach(entry => {
+      const state = this.toWatchState(entry);
+      states[entry.mediaId] = {
+        state: state.state,
+        watched: state.watched,
+        playCount: state.playCount,
+        progress: state.progress,
+        watchedEpisodes: state.watchedEpisodes
+      };
+    });
+    return states;
+  }
+
   /**
    * Get resume position for a media item
    */
@@ -101,7 +339,10 @@ class WatchHistoryService {
       return entry ? {
         position: entry.position,
         duration: entry.duration,
-        progress: entry.progress
+        progress: entry.progress,
+        state: this.getState(entry),
+        season: entry.lastSeason,
+        episode: entry.lastEpisode
       } : null;
     } catch (error) {
       console.error('Error getting resume position:', error);
@@ -110,14 +351,16 @@ class WatchHistoryService {
   }
 
   /**
-   * Get continue watching list (items with progress > 5% and < 90%)
+   * Get continue watching list (items with progress > 5% and below the completion threshold)
    */
   async getContinueWatching(userId, limit = 10) {
     try {
       const history = await this.getHistory(userId);
+      const threshold = this.getCompletionThreshold();
       return history
-        .filter(h => h.progress > 5 && h.progress < 90)
-        .slice(0, limit);
+        .filter(h => h.progress > 5 && h.progress < threshold)
+        .slice(0, limit)
+        .map(entry => this.toWatchState(entry));
     } catch (error) {
       console.error('Error getting continue watching:', error);
       return [];
@@ -137,6 +380,13 @@ class WatchHistoryService {
       throw error;
     }
   }
+
+  /**
+   * Delete the whole watch history of a user
+   */
+  async clearHistory(userId) {
+    await fs.remove(this.getHistoryFile(userId));
+  }
 }
 
 module.exports = new WatchHistoryService();
@@ -0,0 +1,70 @@
+/**
+ * Utility: US content certifications used by parental controls
+ *
+ * Movie (MPA) and TV Parental Guidelines ratings share one scale so a single
+ * limit covers both, e.g. a "PG" limit allows PG and TV-PG but not PG-13 or TV-14:
+ *   TV-Y < TV-Y7 < G = TV-G < PG = TV-PG < PG-13 = TV-14 < R = TV-MA < NC-17
+ */
+
+const MOVIE_CERTIFICATIONS = ['G', 'PG', 'PG-13', 'R', 'NC-17'];
+const TV_CERTIFICATIONS = ['TV-Y', 'TV-Y7', 'TV-G', 'TV-PG', 'TV-14', 'TV-MA'];
+const MOST_RESTRICTIVE_CERTIFICATION = 'TV-Y';
+
+const CERTIFICATION_LEVELS = {
+  'TV-Y': 0,
+  'TV-Y7': 1,
+  G: 2,
+  'TV-G': 2,
+  PG: 3,
+  'TV-PG': 3,
+  'PG-13': 4,
+  'TV-14': 4,
+  R: 5,
+  'TV-MA': 5,
+  'NC-17': 6
+};
+
+// MyAnimeList age ratings as reported by Jikan ("PG-13 - Teens 13 or older")
+const ANIME_RATINGS = {
+  G: 'G',
+  PG: 'PG',
+  'PG-13': 'PG-13',
+  R: 'R',
+  'R+': 'NC-17',
+  RX: 'NC-17'
+};
+
+/**
+ * Normalize a certification ("pg-13", "TV-14", "R - 17+ (violence & profanity)")
+ * Returns the certification as listed above, or null if it isn't one
+ */
+function normalizeCertification(value) {
+  if (!value || typeof value !== 'string') return null;
+  const code = value.split(' - ')[0].trim().toUpperCase();
+  if (CERTIFICATION_LEVELS[code] !== undefined) return code;
+  return ANIME_RATINGS[code] || null;
+}
+
+/**
+ * Position of a certification on the shared scale, or null if unknown
+ */
+function getCertificationLevel(value) {
+  const certification = normalizeCertification(value);
+  return certification ? CERTIFICATION_LEVELS[certification] : null;
+}
+
+/**
+ * Check if a value is a certification that can be used as a limit
+ */
+function isValidCertification(value) {
+  return typeof value === 'string' && CERTIFICATION_LEVELS[value] !== undefined;
+}
+
+module.exports = {
+  MOVIE_CERTIFICATIONS,
+  TV_CERTIFICATIONS,
+  MOST_RESTRICTIVE_CERTIFICATION,
+  normalizeCertification,
+  getCertificationLevel,
+  isValidCertification
+};
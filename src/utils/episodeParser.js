@@ -0,0 +1,130 @@
+/**
+ * Utility: Parse TV episode information from file names
+ *
+ * Supported naming schemes:
+ *   Show.Name.S01E02.mkv, Show Name - s1e2.mp4
+ *   Show.Name.S01E02E03.mkv, Show.Name.S01E02-E03.mkv, Show.Name.S01E02-03.mkv (multi-episode)
+ *   Show.Name.1x02.mkv, Show.Name.1x02-1x03.mkv
+ *   Show.Name.2024.01.15.mkv, Show Name 2024-01-15.mp4 (dated episodes)
+ * When the file name has no show name (e.g. Show Name/Season 1/S01E02.mkv)
+ * the show name comes from the folder.
+ */
+
+const path = require('path');
+
+// S01E02, S01E02E03, S01E02-E03, S01E02-03
+const SEASON_EPISODE_PATTERN = /\bs(\d{1,3})[ ._-]?e(\d{1,4})((?:[ ._]?-[ ._]?e?\d{1,4}|[ ._]?e\d{1,4})*)\b/i;
+// 1x02, 1x02-1x03, 1x02-03
+const CROSS_PATTERN = /\b(\d{1,2})x(\d{2,3})((?:-(?:\d{1,2}x)?\d{2,3})*)\b/i;
+// 2024.01.15, 2024-01-15, 2024 01 15
+const DATE_PATTERN = /\b((?:19|20)\d{2})[ ._-](\d{2})[ ._-](\d{2})\b/;
+// Season folders such as "Season 1", "S01", "Series 2", "Specials"
+const SEASON_FOLDER_PATTERN = /^(?:season|series|s)[ ._-]*(\d{1,3})$|^specials$/i;
+// Release tags that end the episode title (quality, source, codecs)
+const RELEASE_TAG_PATTERN = /(?:^|[ ._-])(?:\d{3,4}p|[48]k|hdtv|web[ .-]?dl|webrip|bluray|brrip|dvdrip|hdrip|x26[45]|h\.?26[45]|hevc|xvid|aac|ac3|dts|proper|repack|(?:19|20)\d{2})(?:[ ._-]|$).*$/i;
+
+/**
+ * Turn a raw name fragment into a readable title
+ */
+function cleanTitle(value) {
+  return (value || '')
+    .replace(/[._]+/g, ' ')
+    .replace(/\s*[-–]\s*$/, '')
+    .replace(/\[[^\]]*\]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Episode numbers of a (possibly multi-episode) match
+ * "-05" after E02 is a range (2, 3, 4, 5), "E03" lists a single episode
+ */
+function parseEpisodeNumbers(firstEpisode, rest) {
+  const episodes = [firstEpisode];
+  const parts = (rest || '').match(/-?[^\d-]*\d+/g) || [];
+
+  parts.forEach(part => {
+    const episode = parseInt(part.replace(/\D/g, ''), 10);
+    const last = episodes[episodes.length - 1];
+    if (episode <= last) return;
+
+    if (part.startsWith('-')) {
+      for (let i = last + 1; i <= episode; i++) episodes.push(i);
+    } else {
+      episodes.push(episode);
+    }
+  });
+
+  return episodes;
+}
+
+/**
+ * Show name from the folders when the file name doesn't contain it
+ */
+function showTitleFromFolders(relativePath) {
+  const folders = path.dirname(relativePath).split(path.sep).filter(f => f && f !== '.');
+
+  while (folders.length > 0) {
+    const folder = folders.pop();
+    if (!SEASON_FOLDER_PATTERN.test(folder)) {
+      return cleanTitle(folder);
+    }
+  }
+  return '';
+}
+
+/**
+ * Parse episode information from a media file path
+ *
+ * @param {string} relativePath - Path relative to the library root
+ * @returns {object|null} { showTitle, seasonNumber, episodeNumbers, airDate, episodeTitle } or null
+ */
+function parseEpisode(relativePath) {
+  const baseName = path.basename(relativePath, path.extname(relativePath));
+  let match;
+  let result = null;
+
+  if ((match = baseName.match(SEASON_EPISODE_PATTERN))) {
+    result = {
+      seasonNumber: parseInt(match[1], 10),
+      episodeNumbers: parseEpisodeNumbers(parseInt(match[2], 10), match[3])
+    };
+  } else if ((match = baseName.match(CROSS_PATTERN))) {
+    // 1x02-1x03: only the episode part after "x" matters
+    const rest = (match[3] || '').replace(/-\d{1,2}x/gi, '-');
+    result = {
+      seasonNumber: parseInt(match[1], 10),
+      episodeNumbers: parseEpisodeNumbers(parseInt(match[2], 10), rest)
+    };
+  } else if ((match = baseName.match(DATE_PATTERN))) {
+    const [, year, month, day] = match;
+    const monthNumber = parseInt(month, 10);
+    const dayNumber = parseInt(day, 10);
+    if (monthNumber < 1 || monthNumber > 12 || dayNumber < 1 || dayNumber > 31) return null;
+
+    // Dated shows are grouped by year; episode numbers are assigned when grouping
+    result = {
+      seasonNumber: parseInt(year, 10),
+      episodeNumbers: [],
+      airDate: `${year}-${month}-${day}`
+    };
+  }
+
+  if (!result) return null;
+
+  const before = baseName.slice(0, match.index);
+  const after = baseName.slice(match.index + match[0].length);
+
+  return {
+    showTitle: cleanTitle(before) || showTitleFromFolders(relativePath),
+    seasonNumber: result.seasonNumber,
+    episodeNumbers: result.episodeNumbers,
+    airDate: result.airDate || null,
+    episodeTitle: cleanTitle(after.replace(/^[\s._-]+/, '').replace(RELEASE_TAG_PATTERN, '')) || null
+  };
+}
+
+module.exports = {
+  parseEpisode,
+  cleanTitle
+};
@@ -0,0 +1,23 @@
+/**
+ * Utility: Language names for ISO 639 codes found in file names and stream tags
+ */
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+/**
+ * Human-readable language name for a language code ('en', 'eng', 'pt-BR')
+ * Returns null for unknown or undetermined codes
+ */
+function getLanguageName(code) {
+  if (!code || !/^[a-z]{2,3}(?:-[a-z]{2,4})?$/i.test(code) || code.toLowerCase() === 'und') return null;
+  try {
+    const name = languageNames.of(code);
+    return name && name.toLowerCase() !== code.toLowerCase() ? name : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  getLanguageName
+};
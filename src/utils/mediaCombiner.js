@@ -19,7 +19,7 @@ async function combineMedia(options = {}) {
   // Get local media
   let localMedia = [];
   try {
-    localMedia = await mediaScanner.scan();
+    localMedia = await mediaScanner.getLibrary();
   } catch (error) {
     console.warn('Error scanning local media:', error.message);
   }
@@ -0,0 +1,43 @@
+/**
+ * Utility: media ID prefixes
+ *
+ * Titles from the online APIs carry their source and type in the ID
+ * (tmdb_movie_603, tmdb_tv_1399, tvmaze_tv_82, anime_21, jikan_anime_21,
+ * anilist_anime_1, omdb_tt0133093); files of the local library don't
+ * (local_<hash>, or a UUID for entries scanned by older versions).
+ */
+
+const API_ID_PREFIXES = [
+  { prefix: 'tmdb_movie_', type: 'movie' },
+  { prefix: 'tmdb_tv_', type: 'tv' },
+  { prefix: 'tvmaze_tv_', type: 'tv' },
+  { prefix: 'anime_', type: 'anime' },
+  { prefix: 'jikan_anime_', type: 'anime' },
+  { prefix: 'anilist_anime_', type: 'anime' },
+  { prefix: 'omdb_', type: null } // movies and series alike
+];
+
+function getApiPrefix(mediaId) {
+  if (typeof mediaId !== 'string') return null;
+  return API_ID_PREFIXES.find(({ prefix }) => mediaId.startsWith(prefix)) || null;
+}
+
+/**
+ * Check if a media ID belongs to a title from the online APIs (not a local file)
+ */
+function isApiMediaId(mediaId) {
+  return getApiPrefix(mediaId) !== null;
+}
+
+/**
+ * Media type ('movie', 'tv' or 'anime') given by a media ID, or null when the ID doesn't tell
+ */
+function getMediaTypeFromId(mediaId) {
+  const match = getApiPrefix(mediaId);
+  return match ? match.type : null;
+}
+
+module.exports = {
+  isApiMediaId,
+  getMediaTypeFromId
+};
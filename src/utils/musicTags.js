@@ -0,0 +1,128 @@
+/**
+ * Utility: Read music tags (ID3, Vorbis comments, MP4 atoms) from ffprobe output
+ *
+ * Tags missing from the file are taken from the path:
+ *   Artist/Album (1999)/01 - Title.mp3 -> artist, album, year, track number, title
+ *   Artist - Title.mp3                  -> artist, title
+ */
+
+const path = require('path');
+const { cleanTitle } = require('./episodeParser');
+
+const TRACK_PREFIX_PATTERN = /^(?:(\d{1,2})[-.])?(\d{1,3})(?:\s*[-._]\s*|\s+)(.+)$/;
+const ALBUM_YEAR_PATTERN = /^(.*?)\s*[([]((?:19|20)\d{2})[)\]]\s*$|^((?:19|20)\d{2})\s*-\s*(.+)$/;
+
+/**
+ * Case-insensitive tag lookup across the format and stream tags
+ * (ID3 tags are lowercase in ffprobe output, Vorbis comments uppercase)
+ */
+function readTags(probe) {
+  const tags = {};
+  if (!probe) return tags;
+
+  const sources = [
+    ...(probe.streams || []).filter(s => s.codec_type === 'audio').map(s => s.tags || {}),
+    (probe.format && probe.format.tags) || {}
+  ];
+  // Format tags win over stream tags
+  sources.forEach(source => {
+    Object.entries(source).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && String(value).trim() !== '') {
+        tags[key.toLowerCase()] = String(value).trim();
+      }
+    });
+  });
+
+  return tags;
+}
+
+/**
+ * Parse "3", "3/12" or "03" into numbers
+ */
+function parsePosition(value) {
+  if (!value) return { number: null, total: null };
+  const [number, total] = String(value).split('/').map(part => parseInt(part, 10));
+  return {
+    number: Number.isInteger(number) && number > 0 ? number : null,
+    total: Number.isInteger(total) && total > 0 ? total : null
+  };
+}
+
+/**
+ * Year from a date tag ("1999", "1999-05-04")
+ */
+function parseYear(value) {
+  const match = value && String(value).match(/(?:19|20)\d{2}/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+/**
+ * Guess tags from the file path
+ */
+function parsePath(relativePath) {
+  const baseName = path.basename(relativePath, path.extname(relativePath));
+  const folders = path.dirname(relativePath).split(path.sep).filter(f => f && f !== '.');
+  const result = { title: null, artist: null, album: null, trackNumber: null, discNumber: null, year: null };
+
+  let name = baseName;
+  const trackMatch = name.match(TRACK_PREFIX_PATTERN);
+  if (trackMatch) {
+    result.discNumber = trackMatch[1] ? parseInt(trackMatch[1], 10) : null;
+    result.trackNumber = parseInt(trackMatch[2], 10);
+    name = trackMatch[3];
+  }
+
+  // "Artist - Title" when the folders don't name the artist
+  const dashIndex = name.indexOf(' - ');
+  if (dashIndex > 0 && folders.length < 2) {
+    result.artist = cleanTitle(name.slice(0, dashIndex));
+    name = name.slice(dashIndex + 3);
+  }
+  result.title = cleanTitle(name) || baseName;
+
+  if (folders.length >= 1) {
+    const albumFolder = folders[folders.length - 1];
+    const yearMatch = albumFolder.match(ALBUM_YEAR_PATTERN);
+    if (yearMatch) {
+      result.album = cleanTitle(yearMatch[1] || yearMatch[4]);
+      result.year = parseInt(yearMatch[2] || yearMatch[3], 10);
+    } else {
+      result.album = cleanTitle(albumFolder);
+    }
+  }
+  if (folders.length >= 2 && !result.artist) {
+    result.artist = cleanTitle(folders[folders.length - 2]);
+  }
+
+  return result;
+}
+
+/**
+ * Read music tags of an audio file
+ *
+ * @param {object|null} probe - ffprobe output (null when ffprobe is missing)
+ * @param {string} relativePath - Path relative to the library root
+ * @returns {object} { title, artist, albumArtist, album, trackNumber, trackTotal, discNumber, year, genre }
+ */
+function parseMusicTags(probe, relativePath) {
+  const tags = readTags(probe);
+  const fromPath = parsePath(relativePath);
+  const track = parsePosition(tags.track || tags.tracknumber);
+  const disc = parsePosition(tags.disc || tags.discnumber);
+
+  return {
+    title: tags.title || fromPath.title,
+    artist: tags.artist || tags.album_artist || tags.albumartist || fromPath.artist,
+    albumArtist: tags.album_artist || tags.albumartist || null,
+    album: tags.album || fromPath.album,
+    trackNumber: track.number || fromPath.trackNumber,
+    trackTotal: track.total || parseInt(tags.tracktotal || tags.totaltracks, 10) || null,
+    discNumber: disc.number || fromPath.discNumber,
+    year: parseYear(tags.date || tags.year || tags.originaldate) || fromPath.year,
+    genre: tags.genre || null
+  };
+}
+
+module.exports = {
+  parseMusicTags
+};
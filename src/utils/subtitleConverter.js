@@ -0,0 +1,169 @@
+/**
+ * Utility: Convert subtitle files to WebVTT
+ *
+ * Supported formats:
+ *   SubRip (.srt), Advanced SubStation Alpha (.ass/.ssa), WebVTT (.vtt)
+ */
+
+const TIMESTAMP_PATTERN = /(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})/;
+const CUE_TIMING_PATTERN = /^((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})(.*)$/;
+
+/**
+ * Parse a subtitle timestamp (SRT, VTT or ASS) into seconds
+ */
+function parseTimestamp(value) {
+  const match = value.trim().match(TIMESTAMP_PATTERN);
+  if (!match) return null;
+
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  // ASS uses centiseconds, SRT/VTT milliseconds
+  return parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseInt(seconds, 10) +
+    parseInt(fraction, 10) / Math.pow(10, fraction.length);
+}
+
+/**
+ * Format seconds as a WebVTT timestamp (HH:MM:SS.mmm)
+ */
+function formatTimestamp(totalSeconds) {
+  const milliseconds = Math.max(0, Math.round(totalSeconds * 1000));
+  const hours = Math.floor(milliseconds / 3600000);
+  const minutes = Math.floor((milliseconds % 3600000) / 60000);
+  const seconds = Math.floor((milliseconds % 60000) / 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(milliseconds % 1000, 3)}`;
+}
+
+/**
+ * Normalize line endings and strip the byte order mark
+ */
+function normalizeText(text) {
+  return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Convert SubRip to WebVTT
+ */
+function srtToVtt(text) {
+  const blocks = normalizeText(text).split(/\n{2,}/);
+  const cues = [];
+
+  blocks.forEach(block => {
+    const lines = block.split('\n').filter(line => line.trim() !== '');
+    const timingIndex = lines.findIndex(line => CUE_TIMING_PATTERN.test(line.trim()));
+    if (timingIndex === -1) return;
+
+    const [, start, end] = lines[timingIndex].trim().match(CUE_TIMING_PATTERN);
+    const cueText = lines.slice(timingIndex + 1)
+      .map(line => line.replace(/\{\\an?\d+\}/g, '')) // Position tags some SRT files carry over from ASS
+      .join('\n');
+    if (!cueText.trim()) return;
+
+    cues.push({ start: parseTimestamp(start), end: parseTimestamp(end), text: cueText });
+  });
+
+  return buildVtt(cues);
+}
+
+/**
+ * Convert (Advanced) SubStation Alpha to WebVTT
+ * Styling and positioning are dropped, only the dialogue text is kept
+ */
+function assToVtt(text) {
+  const lines = normalizeText(text).split('\n');
+  const cues = [];
+  let format = null;
+  let inEvents = false;
+
+  lines.forEach(line => {
+    const trimmed = line.trim();
+    if (/^\[.*\]$/.test(trimmed)) {
+      inEvents = trimmed.toLowerCase() === '[events]';
+      return;
+    }
+    if (!inEvents) return;
+
+    if (/^format:/i.test(trimmed)) {
+      format = trimmed.slice(trimmed.indexOf(':') + 1).split(',').map(field => field.trim().toLowerCase());
+      return;
+    }
+    if (!/^dialogue:/i.test(trimmed) || !format) return;
+
+    // The text field is last and may itself contain commas
+    const values = trimmed.slice(trimmed.indexOf(':') + 1).split(',');
+    const fields = values.slice(0, format.length - 1).concat(values.slice(format.length - 1).join(','));
+    const field = name => (fields[format.indexOf(name)] || '').trim();
+
+    const cueText = field('text')
+      .replace(/\{[^}]*\}/g, '')
+      .replace(/\\[Nn]/g, '\n')
+      .replace(/\\h/g, ' ')
+      .trim();
+    const start = parseTimestamp(field('start'));
+    const end = parseTimestamp(field('end'));
+    if (!cueText || start === null || end === null) return;
+
+    cues.push({ start, end, text: cueText });
+  });
+
+  cues.sort((a, b) => a.start - b.start);
+  return buildVtt(cues);
+}
+
+/**
+ * Build a WebVTT document from cues ({ start, end, text } in seconds)
+ */
+function buildVtt(cues) {
+  const body = cues
+    .map(cue => `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${cue.text.replace(/-->/g, '->')}`)
+    .join('\n\n');
+  return `WEBVTT\n\n${body}\n`;
+}
+
+/**
+ * Shift every cue of a WebVTT document by -offset seconds
+ * Used when a remuxed/transcoded stream starts mid-file; cues that ended before
+ * the offset are dropped
+ */
+function shiftVtt(vtt, offset) {
+  if (!offset) return vtt;
+
+  const [header, ...blocks] = normalizeText(vtt).trimEnd().split(/\n{2,}/);
+  const shifted = blocks.map(block => {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => CUE_TIMING_PATTERN.test(line));
+    if (timingIndex === -1) return block; // NOTE, STYLE and REGION blocks
+
+    const [, start, end, settings] = lines[timingIndex].match(CUE_TIMING_PATTERN);
+    const endTime = parseTimestamp(end) - offset;
+    if (endTime <= 0) return null;
+
+    lines[timingIndex] = `${formatTimestamp(parseTimestamp(start) - offset)} --> ${formatTimestamp(endTime)}${settings}`;
+    return lines.join('\n');
+  }).filter(Boolean);
+
+  return [header, ...shifted].join('\n\n') + '\n';
+}
+
+/**
+ * Convert subtitle text of the given format ('srt', 'ass', 'ssa' or 'vtt') to WebVTT
+ */
+function toWebVTT(text, format) {
+  switch (format) {
+    case 'srt':
+      return srtToVtt(text);
+    case 'ass':
+    case 'ssa':
+      return assToVtt(text);
+    case 'vtt': {
+      const normalized = normalizeText(text);
+      return normalized.startsWith('WEBVTT') ? normalized : `WEBVTT\n\n${normalized}`;
+    }
+    default:
+      throw new Error(`Unsupported subtitle format: ${format}`);
+  }
+}
+
+module.exports = {
+  toWebVTT,
+  shiftVtt
+};
@@ -0,0 +1,66 @@
+/**
+ * Utility: Parse movie title and year from file names
+ *
+ *   The.Matrix.1999.1080p.BluRay.x264.mkv -> { title: 'The Matrix', year: 1999 }
+ *   Alien (1979).mp4                      -> { title: 'Alien', year: 1979 }
+ *   Movies/Heat (1995)/movie.mkv          -> { title: 'Heat', year: 1995 }
+ */
+
+const path = require('path');
+const { cleanTitle } = require('./episodeParser');
+
+const YEAR_PATTERN = /(?:^|[\s._([-])((?:19|20)\d{2})(?=$|[\s._)\]-])/g;
+// Release tags that end the title when there is no year
+const RELEASE_TAG_PATTERN = /(?:^|[\s._-])(?:\d{3,4}p|[48]k|hdtv|web[ .-]?dl|webrip|bluray|brrip|dvdrip|hdrip|x26[45]|h\.?26[45]|hevc|xvid|remux|extended|unrated|proper|repack)(?:[\s._-]|$)/i;
+// File names that say nothing about the movie (use the folder name instead)
+const GENERIC_NAME_PATTERN = /^(?:movie|film|video|feature|main|sample)$/i;
+
+/**
+ * Parse a title and year from a single name (file or folder)
+ */
+function parseName(name) {
+  // The last year wins ("Blade Runner 2049 (2017)"), one at the very start
+  // is part of the title ("2001 A Space Odyssey")
+  const yearMatch = Array.from(name.matchAll(YEAR_PATTERN)).filter(m => m.index > 0).pop();
+  let title = name;
+  let year = null;
+
+  if (yearMatch) {
+    title = name.slice(0, yearMatch.index);
+    year = parseInt(yearMatch[1], 10);
+  } else {
+    const tagMatch = name.match(RELEASE_TAG_PATTERN);
+    if (tagMatch && tagMatch.index > 0) title = name.slice(0, tagMatch.index);
+  }
+
+  return {
+    title: cleanTitle(title.replace(/[([]\s*$/, '')),
+    year
+  };
+}
+
+/**
+ * Parse movie title and year from a media file path
+ *
+ * @param {string} relativePath - Path relative to the library root
+ * @returns {object} { title, year }
+ */
+function parseMovieTitle(relativePath) {
+  const baseName = path.basename(relativePath, path.extname(relativePath));
+  const parsed = parseName(baseName);
+
+  const folder = path.basename(path.dirname(relativePath));
+  if (folder && folder !== '.') {
+    const fromFolder = parseName(folder);
+    if (!parsed.title || GENERIC_NAME_PATTERN.test(parsed.title)) return fromFolder;
+    if (!parsed.year && fromFolder.year && cleanTitle(fromFolder.title).toLowerCase() === parsed.title.toLowerCase()) {
+      parsed.year = fromFolder.year;
+    }
+  }
+
+  return parsed;
+}
+
+module.exports = {
+  parseMovieTitle
+};
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const apiCache = require('../src/services/apiCache');
+
+const HOUR = 60 * 60 * 1000;
+const defaults = { ...config.apiCache, ttl: { ...config.apiCache.ttl } };
+const tempDirs = [];
+
+// Point the cache at an empty directory
+async function useCacheDir() {
+  apiCache.cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'api-cache-'));
+  tempDirs.push(apiCache.cacheDir);
+  apiCache.memory = new Map();
+  apiCache.files = new Map();
+  apiCache.diskSize = 0;
+  apiCache.pending = new Map();
+  apiCache.ready = null;
+}
+
+// Make a cached entry look older than it is
+function age(key, ms) {
+  apiCache.memory.get(key).timestamp -= ms;
+}
+
+test.after(() => Promise.all(tempDirs.map(dir => fs.remove(dir))));
+
+test.beforeEach(async () => {
+  Object.assign(config.apiCache, defaults, { ttl: { ...defaults.ttl, trending: HOUR } });
+  await useCacheDir();
+});
+
+test('fresh entries are served without calling the API', async () => {
+  let calls = 0;
+  const fetch = async () => ({ page: ++calls });
+
+  assert.deepStrictEqual(await apiCache.wrap('trending', 'k', fetch), { page: 1 });
+  assert.deepStrictEqual(await apiCache.wrap('trending', 'k', fetch), { page: 1 });
+  assert.strictEqual(calls, 1);
+});
+
+test('expired entries are served while being refreshed in the background', async () => {
+  let calls = 0;
+  const fetch = async () => ({ page: ++calls });
+
+  await apiCache.wrap('trending', 'k', fetch);
+  age('k', HOUR + 1);
+
+  assert.deepStrictEqual(await apiCache.wrap('trending', 'k', fetch), { page: 1 });
+  await apiCache.pending.get('k');
+  assert.deepStrictEqual(await apiCache.wrap('trending', 'k', fetch), { page: 2 });
+});
+
+test('entries past the stale period wait for the API', async () => {
+  let calls = 0;
+  const fetch = async () => ({ page: ++calls });
+
+  await apiCache.wrap('trending', 'k', fetch);
+  age('k', HOUR + config.apiCache.staleTtl + 1);
+
+  assert.deepStrictEqual(await apiCache.wrap('trending', 'k', fetch), { page: 2 });
+});
+
+test('failed calls are not cached', async () => {
+  await assert.rejects(apiCache.wrap('trending', 'k', async () => { throw new Error('down'); }), /down/);
+  assert.deepStrictEqual(await apiCache.wrap('trending', 'k', async () => ({ ok: true })), { ok: true });
+});
+
+test('404 answers are remembered for a while when asked for', async () => {
+  let calls = 0;
+  const fetch = async () => {
+    calls++;
+    throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+  };
+  const isNotFound = error => error.response.status === 404;
+
+  await assert.rejects(apiCache.wrap('certification', 'k', fetch, { cacheNotFound: true }), isNotFound);
+  await assert.rejects(apiCache.wrap('certification', 'k', fetch, { cacheNotFound: true }), isNotFound);
+  assert.strictEqual(calls, 1);
+
+  age('k', config.apiCache.notFoundTtl);
+  await assert.rejects(apiCache.wrap('certification', 'k', fetch, { cacheNotFound: true }), isNotFound);
+  assert.strictEqual(calls, 2);
+
+  await assert.rejects(apiCache.wrap('details', 'other', fetch), isNotFound);
+  await assert.rejects(apiCache.wrap('details', 'other', fetch), isNotFound);
+  assert.strictEqual(calls, 4);
+});
+
+test('concurrent calls for a key share one request', async () => {
+  let calls = 0;
+  const fetch = async () => {
+    calls++;
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return { page: 1 };
+  };
+
+  await Promise.all([apiCache.wrap('trending', 'k', fetch), apiCache.wrap('trending', 'k', fetch)]);
+  assert.strictEqual(calls, 1);
+});
+
+test('memory keeps the most recently used entries and falls back to disk', async () => {
+  config.apiCache.memoryEntries = 2;
+  await apiCache.wrap('details', 'a', async () => 'A');
+  await apiCache.wrap('details', 'b', async () => 'B');
+  await apiCache.wrap('details', 'a', async () => 'A2'); // a is now the most recently used
+  await apiCache.wrap('details', 'c', async () => 'C');
+
+  assert.deepStrictEqual(Array.from(apiCache.memory.keys()), ['a', 'c']);
+  assert.strictEqual(await apiCache.wrap('details', 'b', async () => 'B2'), 'B');
+});
+
+test('the disk cache drops the least recently used files past maxSize', async () => {
+  await apiCache.wrap('details', 'a', async () => 'x'.repeat(100));
+  await apiCache.wrap('details', 'b', async () => 'y'.repeat(100));
+  config.apiCache.maxSize = apiCache.diskSize + 50;
+  apiCache.files.get(apiCache.getFileName('details', 'a')).accessedAt -= HOUR;
+
+  await apiCache.wrap('details', 'c', async () => 'z'.repeat(100));
+
+  assert.ok(!apiCache.files.has(apiCache.getFileName('details', 'a')));
+  assert.ok(apiCache.files.has(apiCache.getFileName('details', 'c')));
+  assert.ok(apiCache.diskSize <= config.apiCache.maxSize);
+});
+
+test('entries written in an older format are misses', async () => {
+  await fs.writeJson(path.join(apiCache.cacheDir, apiCache.getFileName('details', 'k')), {
+    key: 'k', endpoint: 'details', timestamp: Date.now(), data: { mapped: true }
+  });
+
+  assert.deepStrictEqual(await apiCache.wrap('details', 'k', async () => ({ raw: true })), { raw: true });
+});
+
+test('purging an endpoint leaves the others cached', async () => {
+  await apiCache.wrap('trending', 't', async () => 'T');
+  await apiCache.wrap('details', 'd', async () => 'D');
+
+  assert.strictEqual(await apiCache.purge('trending'), 1);
+  assert.ok(!apiCache.memory.has('t'));
+  assert.strictEqual(await apiCache.wrap('details', 'd', async () => 'D2'), 'D');
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const UserService = require('../src/services/userService');
+const ProfileService = require('../src/services/profileService');
+const parentalControls = require('../src/services/parentalControls');
+const { requireRegistrationAllowed } = require('../src/middleware/auth');
+
+const USERS = {
+  admin: { id: 'admin', role: 'admin' },
+  member: { id: 'member', role: 'user' }
+};
+const PROFILES = {
+  admin: { id: 'admin', maxCertification: null },
+  member: { id: 'member', maxCertification: null },
+  kids: { id: 'kids', maxCertification: 'PG' }
+};
+
+let hasAdmin;
+
+// Fake user and profile stores (the middleware creates its own service instances)
+UserService.prototype.hasAdmin = async () => hasAdmin;
+UserService.prototype.getUserById = async userId => USERS[userId] || null;
+ProfileService.prototype.getProfile = async (userId, profileId) => PROFILES[profileId] || null;
+parentalControls.profileService = new ProfileService();
+
+// Run the middleware; resolves with the status it answered, or 'next' when it let the request through
+function register(session) {
+  return new Promise((resolve, reject) => {
+    const req = { session };
+    const res = { status: code => ({ json: () => resolve(code) }) };
+    requireRegistrationAllowed(req, res, error => (error ? reject(error) : resolve('next')));
+  });
+}
+
+test.beforeEach(() => {
+  hasAdmin = true;
+});
+
+test('anyone may register the first account', async () => {
+  hasAdmin = false;
+  assert.strictEqual(await register({}), 'next');
+});
+
+test('once an admin exists, guests and members cannot register', async () => {
+  assert.strictEqual(await register({}), 403);
+  assert.strictEqual(await register({ userId: 'member' }), 403);
+});
+
+test('a restricted profile cannot register its way out of its limit', async () => {
+  assert.strictEqual(await register({ userId: 'admin', profileId: 'kids' }), 403);
+});
+
+test('admins on an unrestricted profile can register accounts', async () => {
+  assert.strictEqual(await register({ userId: 'admin' }), 'next');
+});
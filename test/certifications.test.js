@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  MOST_RESTRICTIVE_CERTIFICATION,
+  normalizeCertification,
+  getCertificationLevel,
+  isValidCertification
+} = require('../src/utils/certifications');
+
+test('movie and TV ratings share one scale', () => {
+  const ranking = ['TV-Y', 'TV-Y7', 'G', 'PG', 'PG-13', 'R', 'NC-17'].map(getCertificationLevel);
+  assert.deepStrictEqual(ranking, [...ranking].sort((a, b) => a - b));
+  assert.strictEqual(getCertificationLevel('TV-G'), getCertificationLevel('G'));
+  assert.strictEqual(getCertificationLevel('TV-PG'), getCertificationLevel('PG'));
+  assert.strictEqual(getCertificationLevel('TV-14'), getCertificationLevel('PG-13'));
+  assert.strictEqual(getCertificationLevel('TV-MA'), getCertificationLevel('R'));
+  assert.strictEqual(getCertificationLevel(MOST_RESTRICTIVE_CERTIFICATION), 0);
+});
+
+test('certifications are normalized from TMDB and MyAnimeList ratings', () => {
+  assert.strictEqual(normalizeCertification('pg-13'), 'PG-13');
+  assert.strictEqual(normalizeCertification('PG-13 - Teens 13 or older'), 'PG-13');
+  assert.strictEqual(normalizeCertification('R+ - Mild Nudity'), 'NC-17');
+  assert.strictEqual(normalizeCertification('Rx - Hentai'), 'NC-17');
+  assert.strictEqual(normalizeCertification('NR'), null);
+  assert.strictEqual(normalizeCertification(''), null);
+  assert.strictEqual(getCertificationLevel('Unrated'), null);
+});
+
+test('only exact certifications can be used as limits', () => {
+  assert.strictEqual(isValidCertification('PG'), true);
+  assert.strictEqual(isValidCertification('TV-MA'), true);
+  assert.strictEqual(isValidCertification('pg'), false);
+  assert.strictEqual(isValidCertification('R+'), false);
+  assert.strictEqual(isValidCertification(null), false);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const HlsTranscoder = require('../src/services/hlsTranscoder');
+
+const RENDITIONS = [{ name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 }];
+let cachePath;
+let transcoder;
+
+test.beforeEach(async () => {
+  cachePath = await fs.mkdtemp(path.join(os.tmpdir(), 'hls-'));
+  transcoder = new HlsTranscoder({ cachePath, renditions: RENDITIONS, maxSessions: 2 });
+  transcoder.startProcess = () => {}; // No ffmpeg needed to track sessions
+});
+
+test.afterEach(async () => {
+  await transcoder.stopAll();
+  await fs.remove(cachePath);
+});
+
+test('creating a transcoder leaves the cache alone until it is cleared', async () => {
+  await fs.outputFile(path.join(cachePath, 'old', 'segment_00000.ts'), '');
+  const other = new HlsTranscoder({ cachePath, renditions: RENDITIONS });
+  await other.stopAll();
+  assert.deepStrictEqual(await fs.readdir(cachePath), ['old']);
+
+  await other.clearCache();
+  assert.deepStrictEqual(await fs.readdir(cachePath), []);
+});
+
+test('viewers of the same stream share a session', async () => {
+  const first = await transcoder.getSession('local_1', '/media/a.mkv', { viewerId: 'a' });
+  const second = await transcoder.getSession('local_1', '/media/a.mkv', { viewerId: 'b' });
+  assert.strictEqual(second, first);
+  assert.deepStrictEqual(Array.from(first.viewers), ['a', 'b']);
+
+  const otherStart = await transcoder.getSession('local_1', '/media/a.mkv', { viewerId: 'a', startTime: 60 });
+  assert.notStrictEqual(otherStart.id, first.id);
+});
+
+test('a session only stops once every viewer released it', async () => {
+  const session = await transcoder.getSession('local_1', '/media/a.mkv', { viewerId: 'a' });
+  await transcoder.getSession('local_1', '/media/a.mkv', { viewerId: 'b' });
+
+  assert.strictEqual(await transcoder.releaseSession(session.id, 'a'), false);
+  assert.ok(transcoder.touchSession(session.id));
+  assert.strictEqual(await transcoder.releaseSession(session.id, 'c'), false);
+  assert.ok(transcoder.touchSession(session.id));
+
+  assert.strictEqual(await transcoder.releaseSession(session.id, 'b'), true);
+  assert.strictEqual(transcoder.touchSession(session.id), null);
+  assert.strictEqual(await fs.pathExists(session.outputDir), false);
+});
+
+test('idle sessions are stopped', async () => {
+  const session = await transcoder.getSession('local_1', '/media/a.mkv', { viewerId: 'a' });
+  session.lastAccess = Date.now() - transcoder.idleTimeout - 1;
+  await transcoder.cleanupIdleSessions();
+  assert.strictEqual(transcoder.touchSession(session.id), null);
+});
+
+test('a viewer leaving the player releases every session it holds', async () => {
+  const first = await transcoder.getSession('local_1', '/media/a.mkv', { viewerId: 'a' });
+  const second = await transcoder.getSession('local_1', '/media/a.mkv', { viewerId: 'a', startTime: 60 });
+  await transcoder.getSession('local_1', '/media/a.mkv', { viewerId: 'b', startTime: 60 });
+
+  assert.strictEqual(await transcoder.releaseViewer('a'), 1);
+  assert.strictEqual(transcoder.touchSession(first.id), null);
+  assert.ok(transcoder.touchSession(second.id));
+});
+
+test('the session limit evicts sessions nobody watches, never watched ones', async () => {
+  const watched = await transcoder.getSession('local_1', '/media/a.mkv', { viewerId: 'a' });
+  const unwatched = await transcoder.getSession('local_2', '/media/b.mkv');
+  unwatched.lastAccess = watched.lastAccess + 1; // The watched session is the least recently used
+
+  await transcoder.getSession('local_3', '/media/c.mkv', { viewerId: 'c' });
+  assert.ok(transcoder.touchSession(watched.id));
+  assert.strictEqual(transcoder.touchSession(unwatched.id), null);
+
+  await assert.rejects(transcoder.getSession('local_4', '/media/d.mkv', { viewerId: 'd' }), error => error.status === 503);
+  assert.ok(transcoder.touchSession(watched.id));
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const jobQueue = require('../src/services/jobQueue');
+const libraryIndex = require('../src/services/libraryIndex');
+const MediaScanner = require('../src/services/mediaScanner');
+
+const tempDirs = [];
+
+// Wait until a job has finished
+async function settled(job) {
+  while (!['completed', 'failed', 'cancelled'].includes(job.status)) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  return job;
+}
+
+test.after(() => Promise.all(tempDirs.map(dir => fs.remove(dir))));
+
+test.beforeEach(async () => {
+  jobQueue.stop();
+  await jobQueue.savePromise.catch(() => {});
+  jobQueue.dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'jobs-'));
+  tempDirs.push(jobQueue.dataDir);
+  jobQueue.jobsFile = path.join(jobQueue.dataDir, 'jobs.json');
+  jobQueue.jobs = new Map();
+  jobQueue.loadPromise = null;
+  config.jobs.retryDelay = 10;
+});
+
+test.afterEach(() => jobQueue.stop());
+
+test('queued jobs run oldest first, within the concurrency limit', async () => {
+  const order = [];
+  let running = 0;
+  let maxRunning = 0;
+  jobQueue.register('order', async job => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    order.push(job.payload.n);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    running--;
+  }, { concurrency: 2 });
+
+  const jobs = [];
+  for (let n = 1; n <= 5; n++) jobs.push(await jobQueue.add('order', { n }));
+  await jobQueue.start();
+  await Promise.all(jobs.map(settled));
+
+  assert.deepStrictEqual(order, [1, 2, 3, 4, 5]);
+  assert.strictEqual(maxRunning, 2);
+  assert.deepStrictEqual(jobQueue.list({ type: 'order' }).map(job => job.payload.n), [5, 4, 3, 2, 1]);
+});
+
+test('failed jobs are retried until their last attempt', async () => {
+  let attempts = 0;
+  jobQueue.register('flaky', async () => {
+    attempts++;
+    if (attempts < 3) throw new Error('busy');
+    return 'done';
+  }, { maxAttempts: 3 });
+
+  await jobQueue.start();
+  const job = await settled(await jobQueue.add('flaky'));
+  assert.strictEqual(job.status, 'completed');
+  assert.strictEqual(job.attempts, 3);
+
+  jobQueue.register('broken', async () => { throw new Error('broken'); }, { maxAttempts: 2 });
+  const broken = await settled(await jobQueue.add('broken'));
+  assert.strictEqual(broken.status, 'failed');
+  assert.strictEqual(broken.attempts, 2);
+});
+
+test('a metadata job fails when ffprobe could not read the file, so it is retried', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'metadata-job-'));
+  tempDirs.push(dir);
+  libraryIndex.libraryDir = dir;
+  libraryIndex.indexFile = path.join(dir, 'index.json');
+  libraryIndex.loadPromise = Promise.resolve();
+  libraryIndex.set({ id: 'local_0123456789abcdef', path: path.join(dir, 'a.mkv'), type: 'video', fingerprint: 'f1', probe: null });
+
+  const scanner = new MediaScanner(dir);
+  scanner.getFileMetadata = async () => null;
+  const job = { payload: { mediaId: 'local_0123456789abcdef', fingerprint: 'f1' } };
+
+  await assert.rejects(
+    scanner.processMetadataJob(job, { progress: () => {}, signal: new AbortController().signal }),
+    /ffprobe could not read the file/
+  );
+  assert.strictEqual(libraryIndex.get('local_0123456789abcdef').probe, null);
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isApiMediaId, getMediaTypeFromId } = require('../src/utils/mediaIds');
+
+test('API media IDs are told apart from local files by their prefix', () => {
+  ['tmdb_movie_603', 'tmdb_tv_1399', 'tvmaze_tv_82', 'anime_21', 'jikan_anime_21', 'anilist_anime_1', 'omdb_tt0133093']
+    .forEach(mediaId => assert.strictEqual(isApiMediaId(mediaId), true, mediaId));
+  ['local_0123456789abcdef', '9b2f7d1e-4c1a-4e53-8a4b-1f2d3c4b5a69', 'movie_603', '', null, undefined]
+    .forEach(mediaId => assert.strictEqual(isApiMediaId(mediaId), false, String(mediaId)));
+});
+
+test('the media type comes from the prefix when it tells', () => {
+  assert.strictEqual(getMediaTypeFromId('tmdb_movie_603'), 'movie');
+  assert.strictEqual(getMediaTypeFromId('tvmaze_tv_82'), 'tv');
+  assert.strictEqual(getMediaTypeFromId('jikan_anime_21'), 'anime');
+  assert.strictEqual(getMediaTypeFromId('omdb_tt0133093'), null);
+  assert.strictEqual(getMediaTypeFromId('local_0123456789abcdef'), null);
+});
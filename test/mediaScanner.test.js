@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const libraryIndex = require('../src/services/libraryIndex');
+const metadataMatcher = require('../src/services/metadataMatcher');
+const MediaScanner = require('../src/services/mediaScanner');
+
+let dir;
+let scanner;
+
+test.beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'media-scanner-'));
+  libraryIndex.libraryDir = dir;
+  libraryIndex.indexFile = path.join(dir, 'index.json');
+  libraryIndex.items = new Map();
+  libraryIndex.loadPromise = null;
+  metadataMatcher.loadPromise = Promise.resolve(); // No TMDB matches
+  scanner = new MediaScanner(dir);
+});
+
+test.afterEach(() => fs.remove(dir));
+
+test('fingerprints depend on the content, not the file name', async () => {
+  const content = Buffer.alloc(200 * 1024, 'a');
+  await fs.writeFile(path.join(dir, 'a.mkv'), content);
+  await fs.writeFile(path.join(dir, 'b.mkv'), content);
+  content[content.length - 1] = 'b'.charCodeAt(0); // Only the tail differs
+  await fs.writeFile(path.join(dir, 'c.mkv'), content);
+
+  const a = await scanner.computeFingerprint(path.join(dir, 'a.mkv'), content.length);
+  const b = await scanner.computeFingerprint(path.join(dir, 'b.mkv'), content.length);
+  const c = await scanner.computeFingerprint(path.join(dir, 'c.mkv'), content.length);
+  assert.strictEqual(a, b);
+  assert.notStrictEqual(a, c);
+});
+
+test('fingerprints of small files hash the whole file once', async () => {
+  await fs.writeFile(path.join(dir, 'small.mp3'), 'abc');
+  const fingerprint = await scanner.computeFingerprint(path.join(dir, 'small.mp3'), 3);
+  assert.match(fingerprint, /^[0-9a-f]{40}$/);
+});
+
+test('media IDs are stable and stay unique for copies of the same content', () => {
+  const id = scanner.generateMediaId('f1', 'Movies/a.mkv');
+  assert.match(id, /^local_[0-9a-f]{16}$/);
+  assert.strictEqual(scanner.generateMediaId('f1', 'Movies/a.mkv'), id);
+
+  libraryIndex.set({ id, relativePath: 'Movies/a.mkv', fingerprint: 'f1' });
+  assert.strictEqual(scanner.generateMediaId('f1', 'Movies/a.mkv'), id);
+  const copy = scanner.generateMediaId('f1', 'Backup/a.mkv');
+  assert.notStrictEqual(copy, id);
+  assert.match(copy, /^local_[0-9a-f]{16}$/);
+});
+
+test('getMediaItem waits for the index to load', async () => {
+  await fs.writeJson(libraryIndex.indexFile, {
+    version: 1,
+    items: [{ id: 'local_0123456789abcdef', title: 'Movie', type: 'video', audioTracks: [] }]
+  });
+
+  const item = await scanner.getMediaItem('local_0123456789abcdef');
+  assert.strictEqual(item.title, 'Movie');
+});
+
+test('a forced refresh during a scan queues one forced scan after it', async () => {
+  const runs = [];
+  let finishFirst;
+  scanner.runRefresh = options => {
+    runs.push(options);
+    if (runs.length === 1) return new Promise(resolve => { finishFirst = resolve; });
+    return Promise.resolve({ run: runs.length });
+  };
+
+  const first = scanner.refresh();
+  const joined = scanner.refresh();
+  const forced = scanner.refresh({ force: true });
+  const forcedAgain = scanner.refresh({ force: true });
+
+  finishFirst({ run: 1 });
+  assert.deepStrictEqual(await Promise.all([first, joined]), [{ run: 1 }, { run: 1 }]);
+  assert.deepStrictEqual(await Promise.all([forced, forcedAgain]), [{ run: 2 }, { run: 2 }]);
+  assert.deepStrictEqual(runs, [{}, { force: true }]);
+});
+
+test('cover art extraction never runs the file name through a shell', async () => {
+  const marker = path.join(dir, 'pwned');
+  process.env.SCANNER_TEST_MARKER = marker; // A shell would create it
+  const audioPath = path.join(dir, 'a"$(touch $SCANNER_TEST_MARKER)".mp3');
+  await fs.writeFile(audioPath, 'not audio');
+
+  assert.strictEqual(await scanner.extractCoverArt(audioPath, path.join(dir, 'cover.jpg')), false);
+  assert.strictEqual(await fs.pathExists(marker), false);
+});
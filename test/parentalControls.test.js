@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcrypt');
+const config = require('../src/config');
+const parentalControls = require('../src/services/parentalControls');
+
+const USER_ID = 'user-1';
+const KIDS = { id: 'kids', maxCertification: 'PG', pin: null };
+const TEEN = { id: 'teen', maxCertification: 'PG-13', pin: null };
+const LOCKED = { id: 'locked', maxCertification: 'PG', pin: 'profile-hash' };
+
+// Account with a main profile (no limit) and the profiles above
+function useAccount({ parentalPin = null } = {}) {
+  const profiles = { [USER_ID]: { id: USER_ID, maxCertification: null, pin: parentalPin } };
+  [KIDS, TEEN, LOCKED].forEach(profile => { profiles[profile.id] = profile; });
+
+  parentalControls.profileService = {
+    getProfile: async (userId, profileId) => (userId === USER_ID && profiles[profileId]) || null
+  };
+  parentalControls.userService = {
+    getUserWithParentalPin: async userId => (userId === USER_ID ? { id: USER_ID, parentalPin } : null)
+  };
+  return profiles;
+}
+
+test('isLessRestrictive compares certification levels', () => {
+  assert.strictEqual(parentalControls.isLessRestrictive('PG-13', 'PG'), true);
+  assert.strictEqual(parentalControls.isLessRestrictive(null, 'PG'), true);
+  assert.strictEqual(parentalControls.isLessRestrictive('TV-PG', 'PG'), false);
+  assert.strictEqual(parentalControls.isLessRestrictive('G', 'PG'), false);
+  assert.strictEqual(parentalControls.isLessRestrictive('R', null), false);
+});
+
+test('guests are unrestricted unless a guest limit is configured', async () => {
+  const configured = config.parental.guestMaxCertification;
+  try {
+    config.parental.guestMaxCertification = null;
+    assert.strictEqual(await parentalControls.getRestriction({}), null);
+    config.parental.guestMaxCertification = 'TV-Y';
+    assert.strictEqual(await parentalControls.getRestriction({}), 'TV-Y');
+    config.parental.guestMaxCertification = 'pg';
+    assert.strictEqual(await parentalControls.getRestriction(null), 'PG');
+    config.parental.guestMaxCertification = 'PG-15';
+    assert.strictEqual(await parentalControls.getRestriction({}), 'TV-Y');
+  } finally {
+    config.parental.guestMaxCertification = configured;
+  }
+});
+
+test('unrated titles are only shown to restricted users when allowed', () => {
+  const allowUnrated = config.parental.allowUnrated;
+  try {
+    config.parental.allowUnrated = false;
+    assert.strictEqual(parentalControls.isCertificationAllowed(null, 'PG'), false);
+    assert.strictEqual(parentalControls.isCertificationAllowed(null, null), true);
+    config.parental.allowUnrated = true;
+    assert.strictEqual(parentalControls.isCertificationAllowed(null, 'PG'), true);
+  } finally {
+    config.parental.allowUnrated = allowUnrated;
+  }
+  assert.strictEqual(parentalControls.isCertificationAllowed('TV-PG', 'PG'), true);
+  assert.strictEqual(parentalControls.isCertificationAllowed('TV-14', 'PG'), false);
+});
+
+test('getRestriction falls back to the main profile when the profile was deleted', async () => {
+  useAccount();
+  assert.strictEqual(await parentalControls.getRestriction({ userId: USER_ID, profileId: 'kids' }), 'PG');
+  assert.strictEqual(await parentalControls.getRestriction({ userId: USER_ID, profileId: 'deleted' }), null);
+  assert.strictEqual(await parentalControls.getRestriction({ userId: USER_ID, profileId: 'kids', parentalUnlocked: true }), null);
+});
+
+test('switching from a restricted profile to the main profile needs the account PIN', async () => {
+  const profiles = useAccount({ parentalPin: 'account-hash' });
+  const pin = await parentalControls.getSwitchPin({ userId: USER_ID, profileId: 'kids' }, profiles[USER_ID]);
+  assert.deepStrictEqual(pin, { ownerId: USER_ID, hash: 'account-hash' });
+});
+
+test('switching to a less restricted profile without a PIN anywhere is refused', async () => {
+  const profiles = useAccount();
+  const pin = await parentalControls.getSwitchPin({ userId: USER_ID, profileId: 'kids' }, profiles.teen);
+  assert.deepStrictEqual(pin, { ownerId: USER_ID, hash: null });
+});
+
+test('switching to an equally or more restricted profile needs no PIN', async () => {
+  const profiles = useAccount();
+  assert.strictEqual(await parentalControls.getSwitchPin({ userId: USER_ID, profileId: 'teen' }, profiles.kids), null);
+  assert.strictEqual(await parentalControls.getSwitchPin({ userId: USER_ID }, profiles.teen), null);
+});
+
+test('a profile with its own PIN always asks for it', async () => {
+  const profiles = useAccount({ parentalPin: 'account-hash' });
+  const pin = await parentalControls.getSwitchPin({ userId: USER_ID }, profiles.locked);
+  assert.deepStrictEqual(pin, { ownerId: 'locked', hash: 'profile-hash' });
+  assert.strictEqual(await parentalControls.getSwitchPin({ userId: USER_ID, profileId: 'locked' }, profiles.locked), null);
+});
+
+test('verifyPin accepts the right PIN and rejects a wrong one', async () => {
+  const hash = await bcrypt.hash('1234', 4);
+  await parentalControls.verifyPin('pin-test', '1234', hash);
+  await assert.rejects(parentalControls.verifyPin('pin-test', '9999', hash), { status: 403 });
+});
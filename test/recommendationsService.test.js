@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const recommendationsService = require('../src/services/recommendationsService');
+
+const thisYear = new Date().getFullYear();
+const title = (id, genres, extra = {}) => ({ id, title: id, genres, rating: 7, year: thisYear, ...extra });
+
+// API lists and TMDB recommendations served from memory
+function useMovieAPI({ popular = [], recommendations = {} } = {}) {
+  const list = async () => popular;
+  recommendationsService.movieAPI = {
+    getPopularMovies: list,
+    getTopRatedMovies: async () => [],
+    getPopularTVShows: async () => [],
+    getTopRatedTVShows: async () => [],
+    getPopularAnime: async () => [],
+    getTMDBRecommendations: async tmdbId => recommendations[tmdbId] || [],
+    getTMDBItem: async () => null
+  };
+}
+
+test('titles sharing more of the seeds\' genres rank higher', async () => {
+  useMovieAPI();
+  const seed = title('seed', ['Action', 'Sci-Fi']);
+  const candidates = [title('drama', ['Drama']), title('action', ['Action']), title('both', ['Action', 'Sci-Fi'])];
+
+  const ranked = await recommendationsService.rank([{ item: seed, weight: 1 }], candidates, new Set(['seed']), 10);
+  assert.deepStrictEqual(ranked.map(item => item.id), ['both', 'action']);
+});
+
+test('TMDB recommendations of a seed are candidates too', async () => {
+  useMovieAPI({ recommendations: { 42: [title('tmdb_movie_7', ['Drama'])] } });
+  const seed = title('tmdb_movie_42', ['Action'], { tmdbId: 42, type: 'movie' });
+
+  const ranked = await recommendationsService.rank([{ item: seed, weight: 1 }], [], new Set(), 10);
+  assert.deepStrictEqual(ranked.map(item => item.id), ['tmdb_movie_7']);
+});
+
+test('rows leave out watched, favorited and excluded titles and keep the filter', async () => {
+  useMovieAPI({
+    popular: [
+      title('tmdb_movie_1', ['Comedy']),
+      title('tmdb_movie_2', ['Comedy']),
+      title('tmdb_movie_3', ['Comedy']),
+      title('tmdb_movie_4', ['Comedy'])
+    ]
+  });
+
+  const rows = await recommendationsService.getRecommendationRows({
+    history: [{ mediaId: 'tmdb_movie_1' }],
+    favorites: [{ id: 'tmdb_movie_2' }],
+    excludeIds: ['tmdb_movie_3'],
+    filter: async items => items.filter(item => item.id !== 'tmdb_movie_5'),
+    allMedia: [title('tmdb_movie_5', ['Comedy'])]
+  });
+
+  assert.strictEqual(rows[0].id, 'because_watched_tmdb_movie_1');
+  rows.forEach(row => assert.deepStrictEqual(row.items.map(item => item.id), ['tmdb_movie_4']));
+  assert.deepStrictEqual(rows.map(row => row.id), ['because_watched_tmdb_movie_1']);
+});
+
+test('getSimilar returns null for unknown titles', async () => {
+  useMovieAPI();
+  assert.strictEqual(await recommendationsService.getSimilar('tmdb_movie_404', {}), null);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../src/config');
+const sourceHealthMonitor = require('../src/services/sourceHealthMonitor');
+
+const defaults = { ...config.sourceHealth };
+
+// Make an open circuit look older than the reset timeout
+function expireOpenCircuit(name) {
+  sourceHealthMonitor.getStats(name).openedAt -= config.sourceHealth.resetTimeout;
+}
+
+test.beforeEach(() => {
+  Object.assign(config.sourceHealth, defaults, { failureThreshold: 3 });
+  sourceHealthMonitor.providers = new Map();
+  sourceHealthMonitor.availability = new Map();
+});
+
+test('the circuit opens after several failures in a row', () => {
+  sourceHealthMonitor.recordResult('vidsrc', false, 100, 'timeout');
+  sourceHealthMonitor.recordResult('vidsrc', false, 100, 'timeout');
+  assert.strictEqual(sourceHealthMonitor.isAvailable('vidsrc'), true);
+
+  sourceHealthMonitor.recordResult('vidsrc', false, 100, 'timeout');
+  assert.strictEqual(sourceHealthMonitor.getStatus('vidsrc').circuit, 'open');
+  assert.strictEqual(sourceHealthMonitor.isAvailable('vidsrc'), false);
+});
+
+test('a success in between resets the failure count', () => {
+  sourceHealthMonitor.recordResult('vidsrc', false, 100);
+  sourceHealthMonitor.recordResult('vidsrc', false, 100);
+  sourceHealthMonitor.recordResult('vidsrc', true, 100);
+  sourceHealthMonitor.recordResult('vidsrc', false, 100);
+
+  assert.strictEqual(sourceHealthMonitor.getStatus('vidsrc').circuit, 'closed');
+});
+
+test('an open circuit lets one trial request through after the reset timeout', () => {
+  for (let i = 0; i < 3; i++) sourceHealthMonitor.recordResult('vidsrc', false, 100);
+  expireOpenCircuit('vidsrc');
+
+  assert.strictEqual(sourceHealthMonitor.isAvailable('vidsrc'), true);
+  assert.strictEqual(sourceHealthMonitor.getStatus('vidsrc').circuit, 'half-open');
+  assert.strictEqual(sourceHealthMonitor.isAvailable('vidsrc'), false);
+});
+
+test('the trial request closes or reopens the circuit', () => {
+  for (let i = 0; i < 3; i++) {
+    sourceHealthMonitor.recordResult('vidsrc', false, 100);
+    sourceHealthMonitor.recordResult('embed', false, 100);
+  }
+  expireOpenCircuit('vidsrc');
+  expireOpenCircuit('embed');
+  sourceHealthMonitor.isAvailable('vidsrc');
+  sourceHealthMonitor.isAvailable('embed');
+
+  sourceHealthMonitor.recordResult('vidsrc', true, 100);
+  sourceHealthMonitor.recordResult('embed', false, 100);
+
+  assert.strictEqual(sourceHealthMonitor.getStatus('vidsrc').circuit, 'closed');
+  assert.strictEqual(sourceHealthMonitor.isAvailable('vidsrc'), true);
+  assert.strictEqual(sourceHealthMonitor.getStatus('embed').circuit, 'open');
+  assert.strictEqual(sourceHealthMonitor.isAvailable('embed'), false);
+});
+
+test('success rate and latency cover the last results only', () => {
+  config.sourceHealth.latencyWindow = 2;
+  sourceHealthMonitor.recordResult('vidsrc', false, 900);
+  sourceHealthMonitor.recordResult('vidsrc', true, 100);
+  sourceHealthMonitor.recordResult('vidsrc', true, 300);
+
+  const status = sourceHealthMonitor.getStatus('vidsrc');
+  assert.strictEqual(status.successRate, 100);
+  assert.strictEqual(status.averageLatency, 200);
+  assert.strictEqual(status.failures, 1);
+});
+
+test('title availability expires and the oldest titles are dropped past the limit', () => {
+  config.sourceHealth.maxCachedTitles = 2;
+  sourceHealthMonitor.cacheAvailability('a', true);
+  sourceHealthMonitor.cacheAvailability('b', false);
+  sourceHealthMonitor.cacheAvailability('c', true);
+
+  assert.strictEqual(sourceHealthMonitor.getCachedAvailability('a'), undefined);
+  assert.strictEqual(sourceHealthMonitor.getCachedAvailability('b'), false);
+
+  sourceHealthMonitor.availability.get('c').expiresAt = Date.now();
+  assert.strictEqual(sourceHealthMonitor.getCachedAvailability('c'), undefined);
+});
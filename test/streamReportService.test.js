@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const streamReportService = require('../src/services/streamReportService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const SOURCES = [{ name: 'cinetaro' }, { name: 'vidsrc' }, { name: 'embed' }];
+const tempDirs = [];
+
+// Point the service at an empty reports file
+async function useReportsFile(data) {
+  streamReportService.dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'stream-reports-'));
+  tempDirs.push(streamReportService.dataDir);
+  streamReportService.reportsFile = path.join(streamReportService.dataDir, 'nonStreamableReports.json');
+  if (data) await fs.writeJson(streamReportService.reportsFile, data);
+  streamReportService.loadPromise = null;
+}
+
+test.after(() => Promise.all(tempDirs.map(dir => fs.remove(dir))));
+
+test.beforeEach(async () => {
+  config.streamReports.ttl = 30 * DAY;
+  config.streamReports.confirmThreshold = 2;
+  await useReportsFile();
+});
+
+test('reported sources are tried last, for the reported episode only', async () => {
+  await streamReportService.report({ mediaId: 'tmdb_tv_1', source: 'cinetaro', season: 1, episode: 2, userId: 'a' });
+
+  const episode = await streamReportService.demoteSources('tmdb_tv_1', SOURCES, { season: 1, episode: 2 });
+  assert.deepStrictEqual(episode.map(s => [s.name, s.reports]), [['vidsrc', 0], ['embed', 0], ['cinetaro', 1]]);
+
+  const otherEpisode = await streamReportService.demoteSources('tmdb_tv_1', SOURCES, { season: 1, episode: 3 });
+  assert.deepStrictEqual(otherEpisode.map(s => s.name), ['cinetaro', 'vidsrc', 'embed']);
+});
+
+test('a user reporting the same thing again refreshes their report', async () => {
+  const first = await streamReportService.report({ mediaId: 'tmdb_movie_1', source: 'vidsrc', userId: 'a' });
+  const second = await streamReportService.report({ mediaId: 'tmdb_movie_1', source: 'vidsrc', userId: 'a' });
+  assert.strictEqual(second.id, first.id);
+  assert.strictEqual((await streamReportService.getTitle('tmdb_movie_1')).reports, 1);
+});
+
+test('unknown sources and half-given episodes are rejected', async () => {
+  await assert.rejects(streamReportService.report({ mediaId: 'tmdb_movie_1', source: 'nope', userId: 'a' }), { status: 400 });
+  await assert.rejects(streamReportService.report({ mediaId: 'tmdb_tv_1', season: 1, userId: 'a' }), { status: 400 });
+});
+
+test('only reports of the whole title confirm it', async () => {
+  await streamReportService.report({ mediaId: 'tmdb_movie_1', source: 'cinetaro', userId: 'a' });
+  await streamReportService.report({ mediaId: 'tmdb_movie_1', source: 'vidsrc', userId: 'b' });
+  await streamReportService.report({ mediaId: 'tmdb_tv_1', season: 1, episode: 1, userId: 'a' });
+  await streamReportService.report({ mediaId: 'tmdb_tv_1', season: 1, episode: 1, userId: 'b' });
+  assert.strictEqual((await streamReportService.getBrokenMediaIds()).size, 0);
+
+  await streamReportService.report({ mediaId: 'tmdb_movie_1', userId: 'a' });
+  await streamReportService.report({ mediaId: 'tmdb_movie_1', userId: 'b' });
+  const title = await streamReportService.getTitle('tmdb_movie_1');
+  assert.strictEqual(title.status, 'confirmed');
+  assert.strictEqual(title.confirmedBy, 'reports');
+  assert.deepStrictEqual(Array.from(await streamReportService.getBrokenMediaIds()), ['tmdb_movie_1']);
+});
+
+test('reported titles include open reports as well as confirmed ones', async () => {
+  await streamReportService.report({ mediaId: 'tmdb_movie_1', userId: 'a' });
+  await streamReportService.report({ mediaId: 'tmdb_tv_1', source: 'vidsrc', season: 1, episode: 1, userId: 'a' });
+  await streamReportService.confirm('tmdb_tv_1', 'admin');
+
+  assert.deepStrictEqual(Array.from(await streamReportService.getReportedMediaIds()).sort(), ['tmdb_movie_1', 'tmdb_tv_1']);
+  assert.deepStrictEqual(Array.from(await streamReportService.getBrokenMediaIds()), ['tmdb_tv_1']);
+});
+
+test('reports expire unless an admin confirmed the title', async () => {
+  const old = new Date(Date.now() - 31 * DAY).toISOString();
+  await useReportsFile({
+    reports: [
+      { mediaId: 'tmdb_movie_1', source: 'vidsrc', reportedBy: 'a', reportedAt: old },
+      { mediaId: 'tmdb_movie_2', source: 'vidsrc', reportedBy: 'a', reportedAt: old }
+    ],
+    confirmed: { tmdb_movie_2: { confirmedAt: old, confirmedBy: 'admin' } }
+  });
+
+  const titles = await streamReportService.getTitles();
+  assert.deepStrictEqual(titles.map(title => [title.mediaId, title.reports]), [['tmdb_movie_2', 1]]);
+  const sources = await streamReportService.demoteSources('tmdb_movie_1', SOURCES);
+  assert.deepStrictEqual(sources.map(s => s.reports), [0, 0, 0]);
+});
+
+test('reports saved by older versions are read as title reports', async () => {
+  await useReportsFile([{ mediaId: 'tmdb_movie_1', reportedBy: 'a', reportedAt: new Date().toISOString() }]);
+  const title = await streamReportService.getTitle('tmdb_movie_1');
+  assert.strictEqual(title.reports, 1);
+  assert.strictEqual(title.titleReporters, 1);
+});
+
+test('concurrent reports are all saved', async () => {
+  await Promise.all(['a', 'b', 'c', 'd', 'e'].map(userId =>
+    streamReportService.report({ mediaId: 'tmdb_movie_1', source: 'embed', userId })));
+
+  streamReportService.loadPromise = null;
+  assert.strictEqual((await streamReportService.getTitle('tmdb_movie_1')).reports, 5);
+});
+
+test('clearing a source keeps the other reports', async () => {
+  await streamReportService.report({ mediaId: 'tmdb_movie_1', source: 'embed', userId: 'a' });
+  await streamReportService.report({ mediaId: 'tmdb_movie_1', source: 'vidsrc', userId: 'a' });
+  assert.strictEqual(await streamReportService.clear('tmdb_movie_1', 'embed'), 1);
+  assert.deepStrictEqual((await streamReportService.getTitle('tmdb_movie_1')).sources, { vidsrc: 1 });
+  await assert.rejects(streamReportService.clear('tmdb_movie_2'), { status: 404 });
+});
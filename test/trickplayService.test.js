@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const trickplayService = require('../src/services/trickplayService');
+
+let dir;
+
+test.beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'trickplay-'));
+  trickplayService.cachePath = path.join(dir, 'trickplay');
+  trickplayService.manifests = new Map();
+  await fs.outputFile(path.join(trickplayService.cachePath, 'local_0123456789abcdef', 'sprite-1.jpg'), '');
+  await fs.outputFile(path.join(dir, 'sprite-1.jpg'), '');
+  await fs.outputJson(path.join(dir, 'manifest.json'), { version: 1 });
+});
+
+test.afterEach(() => fs.remove(dir));
+
+test('sprites of a media item are found in its cache directory', async () => {
+  assert.strictEqual(
+    await trickplayService.getSpritePath('local_0123456789abcdef', 'sprite-1.jpg'),
+    path.join(trickplayService.cachePath, 'local_0123456789abcdef', 'sprite-1.jpg')
+  );
+  assert.strictEqual(await trickplayService.getSpritePath('local_0123456789abcdef', '../sprite-1.jpg'), null);
+});
+
+test('media IDs cannot point outside the cache directory', async () => {
+  assert.strictEqual(trickplayService.getDir('..'), null);
+  assert.strictEqual(trickplayService.getDir('../trickplay-other'), null);
+  assert.strictEqual(await trickplayService.getSpritePath('..', 'sprite-1.jpg'), null);
+  assert.strictEqual(await trickplayService.getManifest('..'), null);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const upNextService = require('../src/services/upNextService');
+
+const lookups = [];
+const EPISODE_COUNTS = { 'mal:21': 12, 'anilist:1': 26, 'mal:5': null }; // 5 is still airing
+
+test.beforeEach(() => {
+  lookups.length = 0;
+  upNextService.movieAPI = {
+    getAnimeEpisodeCount: async (id, source) => {
+      lookups.push(`${source}:${id}`);
+      return EPISODE_COUNTS[`${source}:${id}`];
+    }
+  };
+});
+
+test('anime are looked up by the MyAnimeList or AniList ID in their media ID', async () => {
+  assert.strictEqual((await upNextService.getEpisodeAfter('anime_21', 1, 3)).episode, 4);
+  assert.strictEqual((await upNextService.getEpisodeAfter('jikan_anime_21', 1, 11)).episode, 12);
+  assert.strictEqual((await upNextService.getEpisodeAfter('anilist_anime_1', 1, 25)).episode, 26);
+  assert.deepStrictEqual(lookups, ['mal:21', 'mal:21', 'anilist:1']);
+});
+
+test('finished anime have no episode after the last one', async () => {
+  assert.strictEqual(await upNextService.getEpisodeAfter('anime_21', 1, 12), null);
+});
+
+test('anime without a known episode count get no next episode', async () => {
+  assert.strictEqual(await upNextService.getEpisodeAfter('anime_5', 1, 3), null);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const UserService = require('../src/services/userService');
+
+let usersDir;
+
+// User service storing its users in a temporary directory
+function createUserService() {
+  const userService = new UserService();
+  userService.usersDir = usersDir;
+  userService.usersFile = path.join(usersDir, 'users.json');
+  return userService;
+}
+
+test.beforeEach(async () => {
+  usersDir = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'users-')), '.data');
+});
+
+test.afterEach(() => fs.remove(path.dirname(usersDir)));
+
+test('creating the service writes nothing until storage is initialized', async () => {
+  const userService = createUserService();
+  assert.strictEqual(await fs.pathExists(usersDir), false);
+
+  await userService.initializeStorage();
+  assert.deepStrictEqual(await fs.readJson(userService.usersFile), []);
+});
+
+test('initializing storage makes the oldest user the admin when nobody is', async () => {
+  await fs.outputJson(path.join(usersDir, 'users.json'), [
+    { id: 'b', username: 'newer', role: 'user', createdAt: '2024-02-01T00:00:00.000Z' },
+    { id: 'a', username: 'older', role: 'user', createdAt: '2024-01-01T00:00:00.000Z' }
+  ]);
+
+  await createUserService().initializeStorage();
+  const users = await fs.readJson(path.join(usersDir, 'users.json'));
+  assert.deepStrictEqual(users.map(user => [user.id, user.role]), [['b', 'user'], ['a', 'admin']]);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const watchHistoryService = require('../src/services/watchHistoryService');
+
+const PROFILE_ID = 'profile-1';
+let historyDir;
+
+test.beforeEach(async () => {
+  config.watchHistory.completionThreshold = 90;
+  historyDir = await fs.mkdtemp(path.join(os.tmpdir(), 'watch-history-'));
+  watchHistoryService.historyDir = historyDir;
+});
+
+test.afterEach(() => fs.remove(historyDir));
+
+test('playing past the threshold counts a play each time', async () => {
+  await watchHistoryService.addHistory(PROFILE_ID, 'tmdb_movie_1', 'movie', 95, 100);
+  await watchHistoryService.addHistory(PROFILE_ID, 'tmdb_movie_1', 'movie', 10, 100);
+  const state = await watchHistoryService.addHistory(PROFILE_ID, 'tmdb_movie_1', 'movie', 92, 100);
+  assert.strictEqual(state.state, 'watched');
+  assert.strictEqual(state.playCount, 2);
+  assert.ok(state.firstCompletedAt <= state.completedAt);
+});
+
+test('WATCH_COMPLETION_THRESHOLD=0 is not replaced by the default', () => {
+  const configPath = require.resolve('../src/config');
+  const loaded = require.cache[configPath];
+  process.env.WATCH_COMPLETION_THRESHOLD = '0';
+  delete require.cache[configPath];
+  try {
+    assert.strictEqual(require('../src/config').watchHistory.completionThreshold, 0);
+  } finally {
+    delete process.env.WATCH_COMPLETION_THRESHOLD;
+    require.cache[configPath] = loaded;
+  }
+});
+
+test('a threshold of 0 counts any playback as watched', async () => {
+  config.watchHistory.completionThreshold = 0;
+  const state = await watchHistoryService.addHistory(PROFILE_ID, 'tmdb_movie_1', 'movie', 1, 100);
+  assert.strictEqual(state.watched, true);
+});
+
+test('watched titles are kept past the history limit', async () => {
+  const old = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  const history = [
+    { mediaId: 'tmdb_movie_watched', mediaType: 'movie', watched: true, playCount: 1, lastWatched: old },
+    { mediaId: 'tmdb_tv_episodes', mediaType: 'tv', watched: false, playCount: 0, lastWatched: old,
+      episodes: { S1E1: { season: 1, episode: 1, watched: true, playCount: 1 } } },
+    { mediaId: 'tmdb_movie_started', mediaType: 'movie', watched: false, playCount: 0, progress: 20, lastWatched: old }
+  ];
+  for (let i = 0; i < 100; i++) {
+    history.push({ mediaId: `tmdb_movie_${i}`, mediaType: 'movie', progress: 10, lastWatched: new Date().toISOString() });
+  }
+  await watchHistoryService.saveSortedHistory(PROFILE_ID, history);
+
+  const saved = (await watchHistoryService.getHistory(PROFILE_ID)).map(entry => entry.mediaId);
+  assert.strictEqual(saved.length, 102);
+  assert.ok(saved.includes('tmdb_movie_watched'));
+  assert.ok(saved.includes('tmdb_tv_episodes'));
+  assert.ok(!saved.includes('tmdb_movie_started'));
+});
+
+test('setWatched takes the media type from the media ID', async () => {
+  const state = await watchHistoryService.setWatched(PROFILE_ID, 'tmdb_tv_7', undefined, true, { season: 1, episodes: [1, 2] });
+  assert.strictEqual(state.mediaType, 'tv');
+  assert.strictEqual(state.watchedEpisodes, 2);
+
+  const anime = await watchHistoryService.setWatched(PROFILE_ID, 'anime_21', undefined, true);
+  assert.strictEqual(anime.mediaType, 'anime');
+});
+
+test('setWatched keeps the media type of a title already in the history', async () => {
+  await watchHistoryService.addHistory(PROFILE_ID, 'local_0123456789abcdef', 'video', 10, 100);
+  const state = await watchHistoryService.setWatched(PROFILE_ID, 'local_0123456789abcdef', undefined, true);
+  assert.strictEqual(state.mediaType, 'video');
+});
+
+test('setWatched needs a media type for unknown local files', async () => {
+  await assert.rejects(watchHistoryService.setWatched(PROFILE_ID, 'local_0123456789abcdef', undefined, true), { status: 400 });
+  assert.deepStrictEqual(await watchHistoryService.getHistory(PROFILE_ID), []);
+});